@@ -7,7 +7,19 @@ export class AlsaBackend extends SpawnBackend {
       sampleRate: config?.get('audio.sampleRate') || 48000,
       channels: config?.get('audio.channels') || 2,
       format: config?.get('audio.alsa.format') || 'FLOAT_LE',
-      argsBuilder: ({ sampleRate, channels, format }) => ['-f', format, '-c', String(channels), '-r', String(sampleRate), '-'],
+      device: config?.get('audio.device') || null,
+      bufferMs: config?.get('audio.playerBuffer') || null,
+      argsBuilder: ({ sampleRate, channels, format, device, bufferMs }) => [
+        ...(device ? ['-D', device] : []),
+        ...(bufferMs ? [`--buffer-time=${Math.round(bufferMs * 1000)}`] : []),
+        '-f',
+        format,
+        '-c',
+        String(channels),
+        '-r',
+        String(sampleRate),
+        '-'
+      ],
       logger
     });
   }
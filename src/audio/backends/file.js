@@ -0,0 +1,195 @@
+/**
+ * File Backend - Streams the output to a WAV file, raw PCM file or FIFO
+ *
+ * For headless machines and recording sessions: blocks are written as they
+ * are rendered, so the engine keeps real-time pacing and a FIFO reader (a
+ * streaming encoder, `aplay` on another host over ssh, ...) hears the set
+ * live. `audio.file.path` picks the target (default `strudel-output.wav`)
+ * and `audio.file.format` forces `wav` or `raw`; otherwise `.wav`/`.wave`
+ * files get a WAV header, patched with the final length on stop, and
+ * anything else (FIFOs included) receives headerless PCM. WAV over a FIFO
+ * uses a streaming header of unknown length. `audio.file.bitDepth` selects
+ * 16/24-bit PCM or 32-bit float (the default). Every start (a restart after
+ * stop, or a recovery) records a new take, and no take overwrites an
+ * existing file: the first goes to the configured path if it is free, later
+ * ones to `name-1.wav`, `name-2.wav` and so on. FIFOs are always reopened.
+ *
+ * @module audio/backends/file
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import { EventEmitter } from 'events';
+import { constants } from 'fs';
+import { open, stat } from 'fs/promises';
+import path from 'path';
+import { WavWriter, encodeSamples, wavHeader } from '../wav.js';
+
+const WAV_EXTENSIONS = new Set(['.wav', '.wave']);
+
+export class FileBackend extends EventEmitter {
+  /**
+   * Create a file backend instance.
+   * @param {Config} config - Config provider
+   * @param {Logger} logger - Logger instance
+   */
+  constructor(config, logger) {
+    super();
+    this.config = config;
+    this.logger = logger;
+    this.sampleRate = this.config?.get('audio.sampleRate') || 48000;
+    this.channels = this.config?.get('audio.channels') || 2;
+    const configured = this.config?.get('audio.file.path') || 'strudel-output.wav';
+    this.target = path.resolve(configured.replace(/^~/, process.env.HOME || process.env.USERPROFILE || ''));
+    // File of the current (or last) take
+    this.path = this.target;
+    this.format = this.config?.get('audio.file.format') || null;
+    this.bitDepth = Number(this.config?.get('audio.file.bitDepth') || 32);
+    this.initialized = false;
+    this.xruns = 0;
+    this.framesWritten = 0;
+    this.writer = null;
+    this.handle = null;
+    this._queue = Promise.resolve();
+    this._waitingForReader = false;
+    this._abandoned = false;
+  }
+
+  /**
+   * Always available: it only needs a writable path.
+   * @returns {Promise<boolean>}
+   */
+  static async isAvailable() {
+    return true;
+  }
+
+  /**
+   * Open the target. Opening a FIFO waits for a reader in the background;
+   * blocks queue up until it connects.
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.initialized) {
+      return;
+    }
+    if (![16, 24, 32].includes(this.bitDepth)) {
+      throw new Error(`Unsupported file backend bit depth: ${this.bitDepth}`);
+    }
+
+    const fifo = await stat(this.target).then((info) => info.isFIFO()).catch(() => false);
+    const format = this.format || (!fifo && WAV_EXTENSIONS.has(path.extname(this.target).toLowerCase()) ? 'wav' : 'raw');
+    if (format !== 'wav' && format !== 'raw') {
+      throw new Error(`Unknown file backend format: ${format} (expected wav|raw)`);
+    }
+    this.path = fifo ? this.target : await this._takePath();
+    this.framesWritten = 0;
+    const options = { sampleRate: this.sampleRate, channels: this.channels, bitDepth: this.bitDepth };
+
+    if (format === 'wav' && !fifo) {
+      this.writer = new WavWriter(this.path, options);
+      this._queue = this.writer.open();
+    } else {
+      if (fifo) {
+        this.logger?.info?.(`Waiting for a reader on ${this.path}...`);
+      }
+      this._waitingForReader = fifo;
+      this._queue = open(this.path, 'w').then(async (handle) => {
+        this._waitingForReader = false;
+        this.handle = handle;
+        if (format === 'wav') {
+          await handle.write(wavHeader({ ...options, dataBytes: Infinity }));
+        }
+      });
+    }
+    // Surface open failures on the first write rather than as unhandled rejections
+    this._queue.catch(() => {});
+
+    this.initialized = true;
+    this.logger?.info?.(`Writing ${format === 'wav' ? 'WAV' : 'raw PCM'} audio to ${this.path}`);
+  }
+
+  /**
+   * First free file name for a new take: the configured path, then
+   * `name-1.ext`, `name-2.ext`, ...
+   * @returns {Promise<string>}
+   * @private
+   */
+  async _takePath() {
+    const { dir, name, ext } = path.parse(this.target);
+    for (let take = 0; ; take += 1) {
+      const candidate = take === 0 ? this.target : path.join(dir, `${name}-${take}${ext}`);
+      const taken = await stat(candidate).then(() => true, () => false);
+      if (!taken) {
+        return candidate;
+      }
+    }
+  }
+
+  /**
+   * Append a block.
+   * @param {Buffer} buffer - PCM buffer (F32_LE interleaved)
+   * @returns {Promise<void>}
+   */
+  async playBuffer(buffer) {
+    if (!this.initialized) {
+      throw new Error('File backend not initialized');
+    }
+    const samples = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4);
+    const frames = samples.length / this.channels;
+    // File handles need one write at a time, in order
+    const write = this._queue.then(async () => {
+      if (this._abandoned) {
+        return;
+      }
+      if (this.writer) {
+        await this.writer.write(samples);
+      } else {
+        await this.handle.write(encodeSamples(samples, this.bitDepth));
+      }
+      this.framesWritten += frames;
+    });
+    this._queue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Finish writing and close the file (patching the WAV header).
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.initialized) {
+      return;
+    }
+    this.initialized = false;
+    try {
+      if (this._waitingForReader) {
+        // Nobody connected: drop the queued blocks and stand in as the reader
+        // so the pending open returns
+        this._abandoned = true;
+        const reader = await open(this.path, constants.O_RDONLY | constants.O_NONBLOCK);
+        await this._queue;
+        await reader.close();
+      }
+      await this._queue;
+      if (this.writer?.handle) {
+        await this.writer.close();
+      }
+      await this.handle?.close();
+    } catch (error) {
+      this.logger?.warn?.(`Error closing ${this.path}: ${error.message}`);
+    }
+    this.writer = null;
+    this.handle = null;
+    this._abandoned = false;
+    this.logger?.debug?.(`File backend wrote ${this.framesWritten} frames to ${this.path}`);
+    this.emit('exit', { code: 0, signal: null });
+  }
+
+  /**
+   * Cleanup backend resources.
+   * @returns {Promise<void>}
+   */
+  async cleanup() {
+    await this.stop();
+  }
+}
@@ -1,103 +1,285 @@
+/**
+ * JACK Backend - Plays through jack-stdin as a JACK client
+ *
+ * There are no maintained JACK bindings for Node, so this backend streams
+ * float32 PCM into `jack-stdin` (from jack-stdio, `audio.jack.binary`),
+ * which runs as a client of its own (`audio.jack.clientName`, default
+ * `strudel-cli`) with one output port per channel; its process callback
+ * plays each period out of a ring buffer that the pipe fills. jack-stdin
+ * does not resample, so the engine runs at the server's sample rate and
+ * period size, read with `jack_samplerate` and `jack_bufsize`
+ * (getServerFormat()). Once the client is up, each port gets an alias
+ * (`jack_alias`) after the orbit routed to its channel (`orbit1_L`,
+ * `orbit1_R`, `orbit2`... from `audio.orbitChannels`, `out_N` for the rest,
+ * or `audio.jack.portNames`), under which patchbays show it and
+ * `jack_connect` finds it. Each channel is connected to a physical
+ * `system:playback_*` port, to the ports matching `audio.device` or
+ * `audio.jack.connect` (a regex, or a plain substring when it is not a valid
+ * one), or left unconnected when that is `false`; with more channels than
+ * targets the targets are reused in turn. jack-stdin reports no playback
+ * position, so the engine's clock follows the wall clock as it does for the
+ * other pipe-fed players.
+ *
+ * @module audio/backends/jack
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
 import { EventEmitter } from 'events';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
 import { SpawnBackend } from './spawn-backend.js';
+import { parseJackPorts } from '../devices.js';
+
+const execFileAsync = promisify(execFile);
+
+/** How long to wait for jack-stdin's ports to appear before naming them. */
+const PORT_WAIT_MS = 2000;
+const PORT_POLL_MS = 50;
+
+/**
+ * Output port names for each channel, after the orbits routed to them.
+ * @param {number} channels - Output channels
+ * @param {object} [orbitChannels] - `audio.orbitChannels` (orbit → 1-based channels)
+ * @returns {string[]} e.g. ['orbit1_L', 'orbit1_R', 'orbit2', 'out_4']
+ */
+export function jackPortNames(channels, orbitChannels = {}) {
+  const names = Array.from({ length: channels }, (_, i) => `out_${i + 1}`);
+  const named = new Set();
+  for (const [orbit, mapping] of Object.entries(orbitChannels)) {
+    const targets = (Array.isArray(mapping) ? mapping : [mapping]).map(Number);
+    targets.forEach((channel, i) => {
+      if (channel < 1 || channel > channels || named.has(channel)) {
+        return;
+      }
+      named.add(channel);
+      names[channel - 1] = targets.length === 2 ? `orbit${orbit}_${i === 0 ? 'L' : 'R'}` : `orbit${orbit}`;
+    });
+  }
+  return names;
+}
 
 export class JackBackend extends EventEmitter {
+  /**
+   * Create a JACK backend instance.
+   * @param {Config} config - Config provider
+   * @param {Logger} logger - Logger instance
+   */
   constructor(config, logger) {
     super();
     this.config = config;
     this.logger = logger;
     this.sampleRate = config?.get('audio.sampleRate') || 48000;
+    this.bufferSize = config?.get('audio.bufferSize') || 256;
     this.channels = config?.get('audio.channels') || 2;
-    this.binary = config?.get('audio.jack.binary') || 'jack_play';
+    this.clientName = config?.get('audio.jack.clientName') || 'strudel-cli';
+    this.binary = config?.get('audio.jack.binary') || 'jack-stdin';
+    this.connect = config?.get('audio.device') || (config?.get('audio.jack.connect') ?? true);
+    this.portNames = config?.get('audio.jack.portNames') ||
+      jackPortNames(this.channels, config?.get('audio.orbitChannels') || {});
+    // Full names of the client's ports, by alias where one could be set
+    this.ports = [];
     this.spawn = new SpawnBackend({
       binary: this.binary,
       sampleRate: this.sampleRate,
       channels: this.channels,
       format: 'float',
-      argsBuilder: ({ sampleRate, channels }) => ['-r', String(sampleRate), '-c', String(channels), '-f', '16'],
+      // One destination per channel; jack-stdin leaves `-` channels unconnected
+      argsBuilder: () => ['-e', 'float', '-b', '32', '-n', this.clientName, ...this._targets],
       logger
     });
-    this.mode = 'spawn';
-    this.jackClient = null;
-    this.jack = null;
+    // Surface the player's lifecycle like the other backends
+    for (const event of ['exit', 'error', 'xrun']) {
+      this.spawn.on(event, (...args) => this.emit(event, ...args));
+    }
+    this.initialized = false;
+    this._targets = [];
   }
 
+  /**
+   * Check if jack-stdin is installed.
+   * @param {string} binary - Player binary
+   * @returns {Promise<boolean>}
+   */
+  static async isAvailable(binary = 'jack-stdin') {
+    return SpawnBackend.isAvailable(binary);
+  }
+
+  /**
+   * Adopt the server's format and start jack-stdin with its destinations.
+   * @returns {Promise<void>}
+   */
   async initialize() {
-    // Try native JACK client first, fall back to jack_play spawn
-    try {
-      const jack = await this._loadJack();
-      await this._initJackClient(jack);
-      this.mode = 'jack';
-      this.logger?.debug?.('Using native node-jack client');
+    if (this.initialized) {
       return;
-    } catch (error) {
-      this.logger?.debug?.(`node-jack unavailable (${error.message}); falling back to jack_play`);
-      await this.spawn.initialize();
-      this.mode = 'spawn';
     }
+    ({ sampleRate: this.sampleRate, bufferSize: this.bufferSize } = await this.queryServerFormat());
+    const targets = await this._connectionTargets();
+    this._targets = Array.from({ length: this.channels }, (_, i) => targets[i % targets.length] || '-');
+    this.spawn.sampleRate = this.sampleRate;
+    await this.spawn.initialize();
+    this.ports = await this._namePorts();
+    this.initialized = true;
+    this.logger?.debug?.(`jack-stdin client ${this.clientName} running at ${this.sampleRate}Hz/${this.bufferSize}`);
   }
 
+  /**
+   * Send a block to jack-stdin.
+   * @param {Buffer} buffer - PCM buffer (F32_LE interleaved)
+   * @returns {Promise<void>}
+   */
   async playBuffer(buffer) {
-    if (this.mode === 'jack' && this.jackClient?.process) {
-      // node-jack expects Float32Array buffers
-      try {
-        const floatArray = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4);
-        this.jackClient.process(floatArray);
-        return;
-      } catch (error) {
-        this.logger?.warn?.(`node-jack write failed, falling back to spawn: ${error.message}`);
-        this.mode = 'spawn';
-      }
-    }
     return this.spawn.playBuffer(buffer);
   }
 
+  /**
+   * Ask the running server for its sample rate and period size without
+   * starting a client, keeping the configured values it does not report.
+   * @returns {Promise<{ sampleRate: number, bufferSize: number }>}
+   */
+  async queryServerFormat() {
+    return {
+      sampleRate: (await this._queryServer('jack_samplerate')) || this.sampleRate,
+      bufferSize: (await this._queryServer('jack_bufsize')) || this.bufferSize
+    };
+  }
+
+  /**
+   * The server's sample rate and period size, which the engine must use.
+   * @returns {{ sampleRate: number, bufferSize: number }|null}
+   */
+  getServerFormat() {
+    return this.initialized ? { sampleRate: this.sampleRate, bufferSize: this.bufferSize } : null;
+  }
+
+  /**
+   * Xruns reported by jack-stdin.
+   * @returns {number}
+   */
+  get xruns() {
+    return this.spawn.xruns;
+  }
+
+  /**
+   * Stop jack-stdin.
+   * @returns {Promise<void>}
+   */
   async stop() {
-    if (this.mode === 'jack' && this.jackClient?.close) {
-      try {
-        this.jackClient.close();
-      } catch (error) {
-        this.logger?.warn?.(`Error closing jack client: ${error.message}`);
-      }
-    }
     await this.spawn.stop();
+    this.ports = [];
+    this.initialized = false;
   }
 
+  /**
+   * Cleanup backend resources.
+   * @returns {Promise<void>}
+   */
   async cleanup() {
     await this.stop();
-    if (this.mode === 'jack') {
-      this.jackClient = null;
-      this.jack = null;
-    }
     await this.spawn.cleanup();
-    this.mode = 'spawn';
   }
 
-  static async isAvailable(binary = 'jack_play') {
+  /**
+   * First number printed by a JACK query tool, or null.
+   * @private
+   */
+  async _queryServer(binary) {
     try {
-      await import('node-jack');
-      return true;
+      const { stdout } = await execFileAsync(binary, [], { timeout: 5000 });
+      return Number(stdout.match(/\d+/)?.[0]) || null;
     } catch {
-      return SpawnBackend.isAvailable(binary);
+      return null;
+    }
+  }
+
+  /**
+   * Alias jack-stdin's ports after `portNames` once they are registered.
+   * @returns {Promise<string[]>} The ports' names for connecting to them
+   * @private
+   */
+  async _namePorts() {
+    const ports = await this._ownPorts();
+    if (ports.length < this.portNames.length) {
+      this.logger?.warn?.(`jack-stdin's ports did not appear; they keep their own names`);
+      return ports;
+    }
+    const named = [];
+    for (const [i, name] of this.portNames.entries()) {
+      const alias = `${this.clientName}:${name}`;
+      try {
+        await execFileAsync('jack_alias', [ports[i], alias], { timeout: 5000 });
+        named.push(alias);
+      } catch (error) {
+        this.logger?.debug?.(`Could not alias ${ports[i]} as ${alias}: ${error.message}`);
+        named.push(ports[i]);
+      }
     }
+    return named;
   }
 
-  async _loadJack() {
-    const jackModule = await import('node-jack');
-    if (!jackModule || (!jackModule.Client && !jackModule.default)) {
-      throw new Error('node-jack client not found');
+  /**
+   * The client's ports in registration order, polled until one per channel
+   * exists or PORT_WAIT_MS passes.
+   * @private
+   */
+  async _ownPorts() {
+    const deadline = Date.now() + PORT_WAIT_MS;
+    let ports = [];
+    do {
+      try {
+        const { stdout } = await execFileAsync('jack_lsp', [], { timeout: 5000 });
+        ports = stdout.split('\n')
+          .map((line) => line.trim())
+          .filter((line) => line.startsWith(`${this.clientName}:`));
+      } catch (error) {
+        this.logger?.debug?.(`Could not list JACK ports: ${error.message}`);
+      }
+      if (ports.length >= this.channels) {
+        break;
+      }
+      await new Promise((resolve) => setTimeout(resolve, PORT_POLL_MS));
+    } while (Date.now() < deadline);
+    return ports;
+  }
+
+  /**
+   * Input ports to connect to, in order: physical playback ports by
+   * default, ports matching the configured pattern, or none.
+   * @private
+   */
+  async _connectionTargets() {
+    if (this.connect === false || this.connect === 'false') {
+      return [];
     }
-    return jackModule.Client || jackModule.default;
+    let ports;
+    try {
+      const { stdout } = await execFileAsync('jack_lsp', ['-p'], { timeout: 5000 });
+      ports = parseJackPorts(stdout).filter((port) => !port.id.startsWith(`${this.clientName}:`));
+    } catch (error) {
+      this.logger?.warn?.(`Could not list JACK ports: ${error.message}`);
+      return [];
+    }
+    const matches = this.connect === true
+      ? ports.filter((port) => port.isDefault)
+      : ports.filter(this._portMatcher(String(this.connect)));
+    if (matches.length === 0) {
+      this.logger?.warn?.(`No JACK ports to connect to (${this.connect === true ? 'system:playback_*' : this.connect})`);
+    }
+    return matches.map((port) => port.id);
   }
 
-  async _initJackClient(JackClient) {
-    // Minimal jack client: open ports and buffer writer
-    const clientName = this.config?.get('audio.jack.clientName') || 'strudel-cli';
-    this.jackClient = new JackClient(clientName);
-    if (typeof this.jackClient?.process !== 'function') {
-      throw new Error('node-jack client missing process method');
+  /**
+   * Port filter for a configured pattern: a regex, or a substring when the
+   * pattern is not valid regex syntax (a device name with brackets, say).
+   * @private
+   */
+  _portMatcher(pattern) {
+    try {
+      const regex = new RegExp(pattern);
+      return (port) => regex.test(port.id);
+    } catch (error) {
+      this.logger?.debug?.(`Matching JACK ports containing "${pattern}" (${error.message})`);
+      return (port) => port.id.includes(pattern);
     }
-    // node-jack uses onProcess callback to provide output buffers; here we just push PCM directly
-    this.jackClient.activate();
   }
 }
@@ -0,0 +1,158 @@
+/**
+ * Null Backend - Discards audio at the pace of a real device
+ *
+ * For CI machines, SSH sessions and tests where no sound server exists. The
+ * backend acts like a device that consumes `audio.sampleRate` frames per
+ * second of wall time while it has audio queued, and stalls (as a starved
+ * device plays silence) when it runs dry. getPlaybackFrames() reports that
+ * position, so the engine clock, underrun counting and scheduling behave as
+ * they would with speakers attached. The most recent
+ * `audio.null.captureSeconds` of output (default 10, 0 disables) is kept for
+ * inspection with getCaptured().
+ *
+ * @module audio/backends/null
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import { EventEmitter } from 'events';
+import { performance } from 'perf_hooks';
+
+export class NullBackend extends EventEmitter {
+  /**
+   * Create a null backend instance.
+   * @param {Config} config - Config provider
+   * @param {Logger} logger - Logger instance
+   * @param {object} [options]
+   * @param {Function} [options.wallTime] - Wall clock in seconds (defaults to performance.now)
+   */
+  constructor(config, logger, { wallTime = () => performance.now() / 1000 } = {}) {
+    super();
+    this.config = config;
+    this.logger = logger;
+    this.sampleRate = this.config?.get('audio.sampleRate') || 48000;
+    this.channels = this.config?.get('audio.channels') || 2;
+    this.captureSeconds = this.config?.get('audio.null.captureSeconds') ?? 10;
+    this.wallTime = wallTime;
+    this.initialized = false;
+    this.xruns = 0;
+    this.framesWritten = 0;
+    this.captured = [];
+    this._capturedFrames = 0;
+    this._played = 0;
+    this._lastWall = null;
+  }
+
+  /**
+   * Always available: nothing is needed to throw audio away.
+   * @returns {Promise<boolean>}
+   */
+  static async isAvailable() {
+    return true;
+  }
+
+  /**
+   * Start the virtual device clock.
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.initialized) {
+      return;
+    }
+    this.framesWritten = 0;
+    this._played = 0;
+    this._lastWall = null;
+    this.initialized = true;
+    this.logger?.debug?.('Null backend started (audio is discarded)');
+  }
+
+  /**
+   * Accept a block, keeping a copy when capturing.
+   * @param {Buffer} buffer - PCM buffer (F32_LE interleaved)
+   * @returns {Promise<void>}
+   */
+  async playBuffer(buffer) {
+    if (!this.initialized) {
+      throw new Error('Null backend not initialized');
+    }
+    this._advance();
+    const frames = buffer.length / 4 / this.channels;
+    this.framesWritten += frames;
+
+    if (this.captureSeconds > 0) {
+      const samples = new Float32Array(buffer.length / 4);
+      samples.set(new Float32Array(buffer.buffer, buffer.byteOffset, samples.length));
+      this.captured.push(samples);
+      this._capturedFrames += frames;
+      const limit = this.captureSeconds * this.sampleRate;
+      while (this._capturedFrames - this.captured[0].length / this.channels >= limit) {
+        this._capturedFrames -= this.captured.shift().length / this.channels;
+      }
+    }
+  }
+
+  /**
+   * Frames the virtual device has played.
+   * @returns {number}
+   */
+  getPlaybackFrames() {
+    this._advance();
+    return Math.floor(this._played);
+  }
+
+  /**
+   * Captured output as one interleaved block (oldest first).
+   * @returns {Float32Array}
+   */
+  getCaptured() {
+    const out = new Float32Array(this._capturedFrames * this.channels);
+    let offset = 0;
+    for (const block of this.captured) {
+      out.set(block, offset);
+      offset += block.length;
+    }
+    return out;
+  }
+
+  /**
+   * Drop captured audio.
+   */
+  clearCaptured() {
+    this.captured = [];
+    this._capturedFrames = 0;
+  }
+
+  /**
+   * Play queued frames for the wall time since the last call.
+   * @private
+   */
+  _advance() {
+    const now = this.wallTime();
+    if (this._lastWall !== null) {
+      this._played = Math.min(this.framesWritten, this._played + (now - this._lastWall) * this.sampleRate);
+    }
+    this._lastWall = now;
+  }
+
+  /**
+   * Stop the virtual device.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.initialized) {
+      return;
+    }
+    this.initialized = false;
+    this._lastWall = null;
+    this.emit('exit', { code: 0, signal: null });
+  }
+
+  /**
+   * Cleanup backend resources.
+   * @returns {Promise<void>}
+   */
+  async cleanup() {
+    await this.stop();
+    this.clearCaptured();
+  }
+}
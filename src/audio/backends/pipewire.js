@@ -3,6 +3,8 @@
  *
  * Spawns a `pw-play` process and streams raw audio over stdin. Designed for
  * low-latency playback (5-10ms) and simple buffer writing for early alpha.
+ * `audio.device` names the target node (see `strudel devices pipewire`) and
+ * `audio.playerBuffer` the node latency, which getLatencyFrames() reports.
  *
  * @module audio/backends/pipewire
  * @author Grimm (Joshua Robert Humphrey)
@@ -12,6 +14,7 @@
 import { EventEmitter } from 'events';
 import { spawn, execFile } from 'child_process';
 import { promisify } from 'util';
+import { countXruns } from './spawn-backend.js';
 
 const execFileAsync = promisify(execFile);
 
@@ -31,7 +34,10 @@ export class PipeWireBackend extends EventEmitter {
     this.format = 'F32_LE';
     this.latencyMs = this.config?.get('audio.latency') || 10;
     this.binary = this.config?.get('audio.pipewire.binary') || 'pw-play';
+    this.device = this.config?.get('audio.device') || null;
+    this.bufferMs = this.config?.get('audio.playerBuffer') || null;
     this.initialized = false;
+    this.xruns = 0;
   }
 
   /**
@@ -64,6 +70,8 @@ export class PipeWireBackend extends EventEmitter {
       String(this.channels),
       '-r',
       String(this.sampleRate),
+      ...(this.device ? ['--target', this.device] : []),
+      ...(this.bufferMs ? [`--latency=${Math.round(this.bufferMs)}ms`] : []),
       '-'
     ];
 
@@ -78,9 +86,20 @@ export class PipeWireBackend extends EventEmitter {
       this.emit('error', err);
     });
 
+    // A dying pw-play breaks the pipe (EPIPE); the write rejects and 'exit' follows
+    this.process.stdin?.on?.('error', (err) => {
+      this.logger?.debug?.(`PipeWire stdin closed: ${err.message}`);
+    });
+
     this.process.stderr?.on?.('data', (data) => {
       // pw-play can be chatty; surface as debug
-      this.logger?.debug?.(`pipewire: ${data.toString().trim()}`);
+      const text = data.toString();
+      this.logger?.debug?.(`pipewire: ${text.trim()}`);
+      const xruns = countXruns(text);
+      if (xruns > 0) {
+        this.xruns += xruns;
+        this.emit('xrun', this.xruns);
+      }
     });
 
     this.process.on('exit', (code, signal) => {
@@ -114,6 +133,15 @@ export class PipeWireBackend extends EventEmitter {
     });
   }
 
+  /**
+   * Frames pw-play buffers between accepting audio and playing it, when its
+   * latency was set.
+   * @returns {number|undefined}
+   */
+  getLatencyFrames() {
+    return this.bufferMs ? Math.round((this.bufferMs / 1000) * this.sampleRate) : undefined;
+  }
+
   /**
    * Generate and play a sine wave for quick health checks.
    * @param {object} options - Playback options
@@ -7,8 +7,12 @@ export class PulseAudioBackend extends SpawnBackend {
       sampleRate: config?.get('audio.sampleRate') || 48000,
       channels: config?.get('audio.channels') || 2,
       format: config?.get('audio.pulse.format') || 'float32le',
-      argsBuilder: ({ sampleRate, channels, format }) => [
+      device: config?.get('audio.device') || null,
+      bufferMs: config?.get('audio.playerBuffer') || null,
+      argsBuilder: ({ sampleRate, channels, format, device, bufferMs }) => [
         '--raw',
+        ...(device ? ['--device', device] : []),
+        ...(bufferMs ? [`--latency-msec=${Math.round(bufferMs)}`] : []),
         '--rate',
         String(sampleRate),
         '--channels',
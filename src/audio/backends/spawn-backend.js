@@ -1,7 +1,9 @@
 /**
  * SpawnBackend - Generic PCM playback via spawned process.
  *
- * Used for simple command-line audio utilities (aplay, paplay, etc.).
+ * Used for simple command-line audio utilities (aplay, paplay, etc.). The
+ * player's own buffer is set explicitly (`bufferMs`, from `audio.playerBuffer`)
+ * so getLatencyFrames() can report the audio it holds before playing it.
  */
 import { EventEmitter } from 'events';
 import { spawn, execFile } from 'child_process';
@@ -9,17 +11,32 @@ import { promisify } from 'util';
 
 const execFileAsync = promisify(execFile);
 
+/** Player messages that report a device underrun/overrun (e.g. aplay's "underrun!!!"). */
+const XRUN_PATTERN = /underrun|overrun|xrun/gi;
+
+/**
+ * Count xrun reports in a chunk of player stderr.
+ * @param {string} text
+ * @returns {number}
+ */
+export function countXruns(text) {
+  return text.match(XRUN_PATTERN)?.length ?? 0;
+}
+
 export class SpawnBackend extends EventEmitter {
-  constructor({ binary, argsBuilder, sampleRate, channels, format = 'F32_LE', logger }) {
+  constructor({ binary, argsBuilder, sampleRate, channels, format = 'F32_LE', device = null, bufferMs = null, logger }) {
     super();
     this.binary = binary;
     this.argsBuilder = argsBuilder;
     this.sampleRate = sampleRate;
     this.channels = channels;
     this.format = format;
+    this.device = device;
+    this.bufferMs = bufferMs;
     this.logger = logger;
     this.process = null;
     this.initialized = false;
+    this.xruns = 0;
   }
 
   async initialize() {
@@ -28,7 +45,9 @@ export class SpawnBackend extends EventEmitter {
       binary: this.binary,
       sampleRate: this.sampleRate,
       channels: this.channels,
-      format: this.format
+      format: this.format,
+      device: this.device,
+      bufferMs: this.bufferMs
     });
 
     this.logger?.debug?.(`Starting backend: ${this.binary} ${args.join(' ')}`);
@@ -39,8 +58,19 @@ export class SpawnBackend extends EventEmitter {
       this.emit('error', err);
     });
 
+    // A dying player breaks the pipe (EPIPE); the write rejects and 'exit' follows
+    this.process.stdin?.on?.('error', (err) => {
+      this.logger?.debug?.(`${this.binary} stdin closed: ${err.message}`);
+    });
+
     this.process.stderr?.on?.('data', (data) => {
-      this.logger?.debug?.(`${this.binary}: ${data.toString().trim()}`);
+      const text = data.toString();
+      this.logger?.debug?.(`${this.binary}: ${text.trim()}`);
+      const xruns = countXruns(text);
+      if (xruns > 0) {
+        this.xruns += xruns;
+        this.emit('xrun', this.xruns);
+      }
     });
 
     this.process.on('exit', (code, signal) => {
@@ -65,6 +95,15 @@ export class SpawnBackend extends EventEmitter {
     });
   }
 
+  /**
+   * Frames the player buffers between accepting audio and playing it, when
+   * its buffer size was set.
+   * @returns {number|undefined}
+   */
+  getLatencyFrames() {
+    return this.bufferMs ? Math.round((this.bufferMs / 1000) * this.sampleRate) : undefined;
+  }
+
   async playSineWave({ frequency = 440, durationMs = 500, amplitude = 0.2 } = {}) {
     const totalSamples = Math.floor((this.sampleRate * durationMs) / 1000);
     const frameCount = totalSamples * this.channels;
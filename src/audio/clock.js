@@ -0,0 +1,136 @@
+/**
+ * AudioClock - Playback clock derived from frames consumed by the backend.
+ *
+ * The engine's timeline is measured in output frames, so the scheduler should
+ * run on the sound card's clock rather than the CPU's. The clock is fed the
+ * backend's playback position (total frames consumed) whenever it is known
+ * and interpolates between those reports with the wall clock. A delay-locked
+ * loop tracks the device's real rate: each report nudges the position and
+ * rate estimates by a fraction of the error, scaled by the time since the
+ * previous report so that report jitter averages out. Drift between the two
+ * clocks is therefore corrected gradually instead of with jumps, and time
+ * never runs backwards. Large errors (after an underrun or a backend restart)
+ * resync immediately; resyncing backwards holds the clock until the device
+ * catches up. Without reports the clock simply follows the wall clock.
+ *
+ * @module audio/clock
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import { performance } from 'perf_hooks';
+
+/** Time constant (seconds) for slewing the position towards reports. */
+const POSITION_SECONDS = 1;
+/** Time constant (seconds) of the rate tracking loop. */
+const RATE_SECONDS = 3;
+/** Maximum deviation of the tracked rate from nominal (1%). */
+const MAX_RATE_DEVIATION = 0.01;
+/** Errors above this many seconds resync instead of slewing. */
+const RESYNC_SECONDS = 0.25;
+
+export class AudioClock {
+  /**
+   * @param {object} options
+   * @param {number} options.sampleRate - Nominal sample rate in Hz
+   * @param {Function} [options.wallTime] - Wall clock in seconds (defaults to performance.now)
+   */
+  constructor({ sampleRate, wallTime = () => performance.now() / 1000 }) {
+    this.sampleRate = sampleRate;
+    this.wallTime = wallTime;
+    this.running = false;
+    this._baseFrame = 0;
+    this._baseWall = 0;
+    this._rate = sampleRate;
+    this._lastFrame = 0;
+    this._lastReportWall = null;
+  }
+
+  /**
+   * Start (or restart) the clock at frame 0.
+   */
+  start() {
+    this._baseFrame = 0;
+    this._baseWall = this.wallTime();
+    this._rate = this.sampleRate;
+    this._lastFrame = 0;
+    this._lastReportWall = null;
+    this.running = true;
+  }
+
+  /**
+   * Freeze the clock at its current position.
+   */
+  stop() {
+    this._lastFrame = this.frame;
+    this.running = false;
+  }
+
+  /**
+   * Feed the backend's playback position.
+   * @param {number} consumedFrames - Total frames the backend has played since start()
+   */
+  report(consumedFrames) {
+    if (!this.running || !Number.isFinite(consumedFrames)) {
+      return;
+    }
+    const wall = this.wallTime();
+    const predicted = this._predict(wall);
+    const error = consumedFrames - predicted;
+
+    if (Math.abs(error) > RESYNC_SECONDS * this.sampleRate) {
+      // Jumping back just holds the clock (frame is monotonic) until it catches up
+      this._baseFrame = consumedFrames;
+      this._baseWall = wall;
+      this._rate = this.sampleRate;
+      this._lastReportWall = wall;
+      return;
+    }
+
+    const elapsed = this._lastReportWall === null ? 0 : wall - this._lastReportWall;
+    if (elapsed > 0) {
+      const limit = this.sampleRate * MAX_RATE_DEVIATION;
+      const adjusted = this._rate + (error * elapsed) / (RATE_SECONDS * RATE_SECONDS);
+      this._rate = Math.min(this.sampleRate + limit, Math.max(this.sampleRate - limit, adjusted));
+    }
+    this._baseFrame = predicted + error * Math.min(1, elapsed / POSITION_SECONDS);
+    this._baseWall = wall;
+    this._lastReportWall = wall;
+  }
+
+  /**
+   * Current playback position in frames (monotonic).
+   * @returns {number}
+   */
+  get frame() {
+    if (!this.running) {
+      return this._lastFrame;
+    }
+    this._lastFrame = Math.max(this._lastFrame, this._predict(this.wallTime()));
+    return this._lastFrame;
+  }
+
+  /**
+   * Current playback position in seconds.
+   * @returns {number}
+   */
+  get time() {
+    return this.frame / this.sampleRate;
+  }
+
+  /**
+   * Measured device clock deviation from nominal, in parts per million.
+   * @returns {number}
+   */
+  get driftPpm() {
+    return ((this._rate - this.sampleRate) / this.sampleRate) * 1e6;
+  }
+
+  /**
+   * Extrapolate the position at a wall time.
+   * @private
+   */
+  _predict(wall) {
+    return this._baseFrame + (wall - this._baseWall) * this._rate;
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Devices - Output device discovery for the native backends
+ *
+ * Each backend names its outputs differently, so discovery runs the tool
+ * that backend's users already know and returns the names its player
+ * accepts: PipeWire sink nodes from `pw-dump` (or `pw-cli ls Node`) for
+ * `pw-play --target`, PCMs from `aplay -L` for `aplay -D`, sinks from
+ * `pactl list sinks` for `paplay --device`, and JACK playback ports from
+ * `jack_lsp`. The chosen name goes in `audio.device`.
+ *
+ * @module audio/devices
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+/** Backends with device discovery, in the order `strudel devices` lists them. */
+export const DEVICE_BACKENDS = ['pipewire', 'alsa', 'pulse', 'jack'];
+
+/**
+ * @typedef {object} OutputDevice
+ * @property {string} id - Name to put in `audio.device`
+ * @property {string} description - Human-readable description
+ * @property {boolean} isDefault - Whether the backend plays here by default
+ */
+
+/**
+ * Audio sinks from `pw-dump` JSON.
+ * @param {string} text - pw-dump output
+ * @returns {OutputDevice[]}
+ */
+export function parsePwDump(text) {
+  const objects = JSON.parse(text);
+  const defaultSink = objects
+    .filter((object) => object.type === 'PipeWire:Interface:Metadata' && object.props?.['metadata.name'] === 'default')
+    .flatMap((object) => object.metadata || [])
+    .find((entry) => entry.key === 'default.audio.sink')?.value?.name;
+
+  return objects
+    .filter((object) => object.type === 'PipeWire:Interface:Node' && object.info?.props?.['media.class'] === 'Audio/Sink')
+    .map(({ info: { props } }) => ({
+      id: props['node.name'],
+      description: props['node.description'] || props['node.nick'] || props['node.name'],
+      isDefault: props['node.name'] === defaultSink
+    }));
+}
+
+/**
+ * Audio sinks from `pw-cli ls Node` (no default information).
+ * @param {string} text - pw-cli output
+ * @returns {OutputDevice[]}
+ */
+export function parsePwCliNodes(text) {
+  return text
+    .split(/^\s*id \d+, type /m)
+    .slice(1)
+    .map((block) => {
+      const props = {};
+      for (const [, key, value] of block.matchAll(/^\s*([\w.]+) = "(.*)"$/gm)) {
+        props[key] = value;
+      }
+      return props;
+    })
+    .filter((props) => props['media.class'] === 'Audio/Sink' && props['node.name'])
+    .map((props) => ({
+      id: props['node.name'],
+      description: props['node.description'] || props['node.name'],
+      isDefault: false
+    }));
+}
+
+/**
+ * PCM names from `aplay -L`: a name line followed by indented description lines.
+ * @param {string} text - aplay output
+ * @returns {OutputDevice[]}
+ */
+export function parseAplayDevices(text) {
+  const devices = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    if (/^\s/.test(line)) {
+      const device = devices[devices.length - 1];
+      if (device) {
+        device.description = device.description ? `${device.description}, ${line.trim()}` : line.trim();
+      }
+    } else {
+      devices.push({ id: line.trim(), description: '', isDefault: line.trim() === 'default' });
+    }
+  }
+  return devices;
+}
+
+/**
+ * Sinks from `pactl list sinks` (run with LC_ALL=C).
+ * @param {string} text - pactl output
+ * @param {string} [defaultSink] - Name from `pactl info`
+ * @returns {OutputDevice[]}
+ */
+export function parsePactlSinks(text, defaultSink = null) {
+  return text
+    .split(/^Sink #\d+$/m)
+    .slice(1)
+    .map((block) => {
+      const id = block.match(/^\s*Name: (.+)$/m)?.[1].trim();
+      return {
+        id,
+        description: block.match(/^\s*Description: (.+)$/m)?.[1].trim() || id,
+        isDefault: id === defaultSink
+      };
+    })
+    .filter((device) => device.id);
+}
+
+/**
+ * Playback ports from `jack_lsp -p`: ports that take input are the ones we
+ * can feed.
+ * @param {string} text - jack_lsp output
+ * @returns {OutputDevice[]}
+ */
+export function parseJackPorts(text) {
+  const devices = [];
+  let port = null;
+  for (const line of text.split('\n')) {
+    const properties = line.match(/^\s+properties: (.*)$/);
+    if (properties && port) {
+      const flags = properties[1].split(',').map((flag) => flag.trim());
+      if (flags.includes('input')) {
+        devices.push({
+          id: port,
+          description: flags.includes('physical') ? 'physical playback port' : 'client input port',
+          isDefault: flags.includes('physical') && port.startsWith('system:playback_')
+        });
+      }
+      port = null;
+    } else if (line.trim() && !/^\s/.test(line)) {
+      port = line.trim();
+    }
+  }
+  return devices;
+}
+
+/**
+ * List a backend's output devices.
+ * @param {string} backend - pipewire|alsa|pulse|jack
+ * @returns {Promise<OutputDevice[]>}
+ */
+export async function listDevices(backend) {
+  switch (backend) {
+    case 'pipewire':
+      try {
+        return parsePwDump(await run('pw-dump'));
+      } catch {
+        return parsePwCliNodes(await run('pw-cli', ['ls', 'Node']));
+      }
+    case 'alsa':
+      return parseAplayDevices(await run('aplay', ['-L']));
+    case 'pulse': {
+      const info = await run('pactl', ['info']).catch(() => '');
+      const defaultSink = info.match(/^Default Sink: (.+)$/m)?.[1].trim();
+      return parsePactlSinks(await run('pactl', ['list', 'sinks']), defaultSink);
+    }
+    case 'jack':
+      return parseJackPorts(await run('jack_lsp', ['-p']));
+    default:
+      throw new Error(`Device discovery is not supported for backend: ${backend}`);
+  }
+}
+
+/**
+ * Run a discovery tool with untranslated output.
+ * @param {string} binary
+ * @param {string[]} [args]
+ * @returns {Promise<string>} stdout
+ */
+async function run(binary, args = []) {
+  const { stdout } = await execFileAsync(binary, args, {
+    env: { ...process.env, LC_ALL: 'C' },
+    timeout: 5000,
+    maxBuffer: 16 * 1024 * 1024
+  });
+  return stdout;
+}
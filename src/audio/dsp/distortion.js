@@ -0,0 +1,96 @@
+/**
+ * Distortion - Waveshaping and lo-fi per-voice processors.
+ *
+ * Ports of superdough's worklets so `shape`, `distort`, `crush` and `coarse`
+ * take the same ranges as in the browser: `shape` 0-1 (soft clipping that
+ * hardens towards 1), `distort` 0 upwards (exponential drive), `crush` 1-16
+ * bits and `coarse` a whole-number sample-and-hold factor. Each processor
+ * works in place on a voice block like FilterProcessor.
+ *
+ * @module audio/dsp/distortion
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+const clampPostgain = (postgain) => Math.max(0.001, Math.min(1, postgain));
+
+/**
+ * Shared waveshaper: (1 + k) * x / (1 + k * |x|), then post gain.
+ * @private
+ */
+class Waveshaper {
+  constructor(drive, postgain) {
+    this.drive = drive;
+    this.postgain = clampPostgain(postgain);
+  }
+
+  process(out, offset, count) {
+    const { drive, postgain } = this;
+    for (let i = offset; i < offset + count; i += 1) {
+      const x = out[i];
+      out[i] = (((1 + drive) * x) / (1 + drive * Math.abs(x))) * postgain;
+    }
+  }
+}
+
+export class ShapeProcessor extends Waveshaper {
+  /**
+   * @param {object} options
+   * @param {number} options.shape - Amount (0-1)
+   * @param {number} [options.postgain=1] - Output gain (`shapevol`)
+   */
+  constructor({ shape, postgain = 1 }) {
+    const amount = shape < 1 ? Math.max(0, shape) : 1 - 4e-10;
+    super((2 * amount) / (1 - amount), postgain);
+  }
+}
+
+export class DistortProcessor extends Waveshaper {
+  /**
+   * @param {object} options
+   * @param {number} options.distort - Drive (0 = clean)
+   * @param {number} [options.postgain=1] - Output gain (`distortvol`)
+   */
+  constructor({ distort, postgain = 1 }) {
+    super(Math.expm1(Math.max(0, distort)), postgain);
+  }
+}
+
+export class CrushProcessor {
+  /**
+   * @param {object} options
+   * @param {number} options.crush - Bit depth (1-16, fractional values allowed)
+   */
+  constructor({ crush }) {
+    this.steps = 2 ** (Math.max(1, crush) - 1);
+  }
+
+  process(out, offset, count) {
+    const { steps } = this;
+    for (let i = offset; i < offset + count; i += 1) {
+      out[i] = Math.round(out[i] * steps) / steps;
+    }
+  }
+}
+
+export class CoarseProcessor {
+  /**
+   * @param {object} options
+   * @param {number} options.coarse - Hold each sample for this many frames
+   */
+  constructor({ coarse }) {
+    this.factor = Math.max(1, Math.round(coarse));
+    this._counter = 0;
+    this._held = 0;
+  }
+
+  process(out, offset, count) {
+    for (let i = offset; i < offset + count; i += 1) {
+      if (this._counter === 0) {
+        this._held = out[i];
+      }
+      out[i] = this._held;
+      this._counter = (this._counter + 1) % this.factor;
+    }
+  }
+}
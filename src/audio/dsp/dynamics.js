@@ -0,0 +1,181 @@
+/**
+ * Dynamics - Master bus compressor and look-ahead limiter.
+ *
+ * Both processors work in place on interleaved blocks and are stereo-linked:
+ * the loudest channel of each frame drives the gain applied to all channels.
+ * The Limiter delays the signal by its look-ahead so gain reduction is fully
+ * in place when a peak arrives: the required gain is release-smoothed, held
+ * for the look-ahead window and averaged over the same window, which keeps
+ * the output under the ceiling without clicks. A final clamp makes it a true
+ * brickwall.
+ *
+ * @module audio/dsp/dynamics
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+const MIN_DB = -120;
+
+const dbToGain = (db) => 10 ** (db / 20);
+const gainToDb = (gain) => (gain > 0 ? Math.max(MIN_DB, 20 * Math.log10(gain)) : MIN_DB);
+const smoothing = (seconds, sampleRate) => (seconds > 0 ? Math.exp(-1 / (seconds * sampleRate)) : 0);
+
+/**
+ * Loudest absolute sample of one interleaved frame.
+ * @private
+ */
+function framePeak(block, base, channels) {
+  let peak = 0;
+  for (let ch = 0; ch < channels; ch += 1) {
+    const value = Math.abs(block[base + ch]);
+    if (value > peak) {
+      peak = value;
+    }
+  }
+  return peak;
+}
+
+export class Compressor {
+  /**
+   * @param {object} options
+   * @param {number} options.sampleRate - Engine sample rate
+   * @param {number} options.channels - Interleaved channel count
+   * @param {number} [options.threshold=-18] - Threshold in dBFS
+   * @param {number} [options.ratio=4] - Compression ratio (n:1)
+   * @param {number} [options.attack=0.01] - Attack time in seconds
+   * @param {number} [options.release=0.1] - Release time in seconds
+   * @param {number} [options.makeup=0] - Makeup gain in dB
+   */
+  constructor({ sampleRate, channels, threshold = -18, ratio = 4, attack = 0.01, release = 0.1, makeup = 0 }) {
+    this.channels = channels;
+    this.threshold = threshold;
+    this.slope = 1 - 1 / Math.max(1, ratio);
+    this.attackCoef = smoothing(attack, sampleRate);
+    this.releaseCoef = smoothing(release, sampleRate);
+    this.makeup = makeup;
+    this._envelope = 0;
+    this.reductionDb = 0;
+  }
+
+  /**
+   * Compress an interleaved block in place.
+   * @param {Float32Array} block
+   * @returns {Float32Array} The same block
+   */
+  process(block) {
+    const { channels } = this;
+    let maxReduction = 0;
+
+    for (let base = 0; base < block.length; base += channels) {
+      const over = gainToDb(framePeak(block, base, channels)) - this.threshold;
+      const target = over > 0 ? over * this.slope : 0;
+      const coef = target > this._envelope ? this.attackCoef : this.releaseCoef;
+      this._envelope = target + (this._envelope - target) * coef;
+      maxReduction = Math.max(maxReduction, this._envelope);
+
+      const gain = dbToGain(this.makeup - this._envelope);
+      for (let ch = 0; ch < channels; ch += 1) {
+        block[base + ch] *= gain;
+      }
+    }
+
+    this.reductionDb = maxReduction;
+    return block;
+  }
+}
+
+export class Limiter {
+  /**
+   * @param {object} options
+   * @param {number} options.sampleRate - Engine sample rate
+   * @param {number} options.channels - Interleaved channel count
+   * @param {number} [options.ceiling=-1] - Output ceiling in dBFS
+   * @param {number} [options.lookahead=0.005] - Look-ahead (and added latency) in seconds
+   * @param {number} [options.release=0.05] - Release time in seconds
+   */
+  constructor({ sampleRate, channels, ceiling = -1, lookahead = 0.005, release = 0.05 }) {
+    this.channels = channels;
+    this.ceiling = Math.min(1, dbToGain(ceiling));
+    this.window = Math.max(1, Math.round(lookahead * sampleRate));
+    this.releaseCoef = smoothing(release, sampleRate);
+    this.reductionDb = 0;
+
+    const { window } = this;
+    this._delay = new Float32Array(window * channels);
+    this._box = new Float64Array(window).fill(1);
+    this._boxSum = window;
+    // Monotonic queue for the sliding minimum (values and frame numbers)
+    this._minValues = new Float64Array(window + 1);
+    this._minFrames = new Float64Array(window + 1);
+    this._minHead = 0;
+    this._minTail = 0;
+    this._released = 1;
+    this._frame = 0;
+  }
+
+  /**
+   * Latency added by the look-ahead, in frames.
+   * @returns {number}
+   */
+  get latencyFrames() {
+    return this.window - 1;
+  }
+
+  /**
+   * Limit an interleaved block in place.
+   * @param {Float32Array} block
+   * @returns {Float32Array} The same block
+   */
+  process(block) {
+    const { channels, ceiling, window } = this;
+    const capacity = window + 1;
+    let minGain = 1;
+
+    for (let base = 0; base < block.length; base += channels) {
+      const frame = this._frame;
+      const peak = framePeak(block, base, channels);
+      const target = peak > ceiling ? ceiling / peak : 1;
+
+      // Instant attack, exponential release
+      this._released = target < this._released
+        ? target
+        : target + (this._released - target) * this.releaseCoef;
+
+      // Sliding minimum over the look-ahead window
+      while (this._minTail !== this._minHead
+        && this._minValues[(this._minTail - 1 + capacity) % capacity] >= this._released) {
+        this._minTail = (this._minTail - 1 + capacity) % capacity;
+      }
+      this._minValues[this._minTail] = this._released;
+      this._minFrames[this._minTail] = frame;
+      this._minTail = (this._minTail + 1) % capacity;
+      if (this._minFrames[this._minHead] <= frame - window) {
+        this._minHead = (this._minHead + 1) % capacity;
+      }
+      const held = this._minValues[this._minHead];
+
+      // Average over the same window so the gain ramps smoothly into the peak
+      const slot = frame % window;
+      this._boxSum += held - this._box[slot];
+      this._box[slot] = held;
+      const gain = Math.min(1, this._boxSum / window);
+      minGain = Math.min(minGain, gain);
+
+      // Delay line: store this frame, read the one leaving the window
+      const writeBase = slot * channels;
+      const readBase = ((frame + 1) % window) * channels;
+      for (let ch = 0; ch < channels; ch += 1) {
+        this._delay[writeBase + ch] = block[base + ch];
+      }
+      for (let ch = 0; ch < channels; ch += 1) {
+        const value = this._delay[readBase + ch] * gain;
+        block[base + ch] = Math.max(-ceiling, Math.min(ceiling, value));
+      }
+
+      this._frame = frame + 1;
+    }
+
+    this.reductionDb = minGain < 1 ? -gainToDb(minGain) : 0;
+    return block;
+  }
+}
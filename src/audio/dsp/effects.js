@@ -0,0 +1,191 @@
+/**
+ * Effects - Orbit-level send effects for the native engine.
+ *
+ * FeedbackDelay is a stereo delay line with smoothed, fractional delay time so
+ * tempo changes glide instead of clicking. Reverb is a Freeverb-style network
+ * (parallel damped combs into series all-passes per channel) whose comb
+ * feedback is derived from the requested decay time, so Strudel's `roomsize`
+ * in seconds maps onto an RT60.
+ *
+ * @module audio/dsp/effects
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+const MAX_DELAY_SECONDS = 10;
+
+// Freeverb tunings at 44.1kHz; the right channel is offset for stereo spread
+const COMB_TUNINGS = [1116, 1188, 1277, 1356, 1422, 1491, 1557, 1617];
+const ALLPASS_TUNINGS = [556, 441, 341, 225];
+const STEREO_SPREAD = 23;
+const REVERB_INPUT_GAIN = 0.015;
+
+export class FeedbackDelay {
+  /**
+   * @param {number} sampleRate - Engine sample rate
+   */
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+    this.size = Math.ceil(MAX_DELAY_SECONDS * sampleRate) + 2;
+    this.left = new Float32Array(this.size);
+    this.right = new Float32Array(this.size);
+    this.writeIndex = 0;
+    this.time = 0.25;
+    this.feedback = 0.5;
+    this._delayFrames = this.time * sampleRate;
+  }
+
+  /**
+   * Update delay time and feedback.
+   * @param {number} [time] - Delay time in seconds
+   * @param {number} [feedback] - Feedback amount (0-0.98)
+   */
+  setParams(time, feedback) {
+    if (typeof time === 'number' && time > 0) {
+      this.time = Math.min(time, MAX_DELAY_SECONDS);
+    }
+    if (typeof feedback === 'number') {
+      this.feedback = Math.min(Math.max(feedback, 0), 0.98);
+    }
+  }
+
+  /**
+   * Process a stereo send block, adding the wet signal to the outputs.
+   * @param {Float32Array} inL
+   * @param {Float32Array} inR
+   * @param {Float32Array} outL
+   * @param {Float32Array} outR
+   * @param {number} count
+   */
+  process(inL, inR, outL, outR, count) {
+    const target = this.time * this.sampleRate;
+    const { size, left, right } = this;
+
+    for (let i = 0; i < count; i += 1) {
+      // One-pole glide towards the target delay to avoid zipper noise
+      this._delayFrames += (target - this._delayFrames) * 0.001;
+      const readPos = this.writeIndex - this._delayFrames;
+      const base = Math.floor(readPos);
+      const frac = readPos - base;
+      const i0 = ((base % size) + size) % size;
+      const i1 = (i0 + 1) % size;
+      const wetL = left[i0] + (left[i1] - left[i0]) * frac;
+      const wetR = right[i0] + (right[i1] - right[i0]) * frac;
+
+      left[this.writeIndex] = inL[i] + wetL * this.feedback;
+      right[this.writeIndex] = inR[i] + wetR * this.feedback;
+      this.writeIndex = (this.writeIndex + 1) % size;
+
+      outL[i] += wetL;
+      outR[i] += wetR;
+    }
+  }
+
+  /**
+   * Seconds until the echoes fall below -60 dB.
+   * @returns {number}
+   */
+  get tailSeconds() {
+    if (this.feedback <= 0) {
+      return this.time;
+    }
+    return this.time * Math.ceil(Math.log(0.001) / Math.log(this.feedback) + 1);
+  }
+}
+
+class Comb {
+  constructor(length) {
+    this.buffer = new Float32Array(length);
+    this.index = 0;
+    this.store = 0;
+    this.feedback = 0.84;
+    this.damp = 0.2;
+  }
+
+  process(input) {
+    const output = this.buffer[this.index];
+    this.store = output * (1 - this.damp) + this.store * this.damp;
+    this.buffer[this.index] = input + this.store * this.feedback;
+    this.index = (this.index + 1) % this.buffer.length;
+    return output;
+  }
+}
+
+class Allpass {
+  constructor(length) {
+    this.buffer = new Float32Array(length);
+    this.index = 0;
+  }
+
+  process(input) {
+    const buffered = this.buffer[this.index];
+    this.buffer[this.index] = input + buffered * 0.5;
+    this.index = (this.index + 1) % this.buffer.length;
+    return buffered - input;
+  }
+}
+
+export class Reverb {
+  /**
+   * @param {number} sampleRate - Engine sample rate
+   */
+  constructor(sampleRate) {
+    const scale = sampleRate / 44100;
+    this.sampleRate = sampleRate;
+    this.combsL = COMB_TUNINGS.map((n) => new Comb(Math.round(n * scale)));
+    this.combsR = COMB_TUNINGS.map((n) => new Comb(Math.round((n + STEREO_SPREAD) * scale)));
+    this.allpassL = ALLPASS_TUNINGS.map((n) => new Allpass(Math.round(n * scale)));
+    this.allpassR = ALLPASS_TUNINGS.map((n) => new Allpass(Math.round((n + STEREO_SPREAD) * scale)));
+    this.size = 0;
+    this.setSize(2);
+  }
+
+  /**
+   * Set the decay time.
+   * @param {number} seconds - Approximate RT60 in seconds
+   */
+  setSize(seconds) {
+    if (typeof seconds !== 'number' || seconds <= 0 || seconds === this.size) {
+      return;
+    }
+    this.size = seconds;
+    for (const comb of [...this.combsL, ...this.combsR]) {
+      const delaySeconds = comb.buffer.length / this.sampleRate;
+      comb.feedback = Math.min(0.98, 10 ** ((-3 * delaySeconds) / seconds));
+    }
+  }
+
+  /**
+   * Process a stereo send block, adding the wet signal to the outputs.
+   * @param {Float32Array} inL
+   * @param {Float32Array} inR
+   * @param {Float32Array} outL
+   * @param {Float32Array} outR
+   * @param {number} count
+   */
+  process(inL, inR, outL, outR, count) {
+    for (let i = 0; i < count; i += 1) {
+      const input = (inL[i] + inR[i]) * REVERB_INPUT_GAIN;
+      let wetL = 0;
+      let wetR = 0;
+      for (let c = 0; c < this.combsL.length; c += 1) {
+        wetL += this.combsL[c].process(input);
+        wetR += this.combsR[c].process(input);
+      }
+      for (let a = 0; a < this.allpassL.length; a += 1) {
+        wetL = this.allpassL[a].process(wetL);
+        wetR = this.allpassR[a].process(wetR);
+      }
+      outL[i] += wetL;
+      outR[i] += wetR;
+    }
+  }
+
+  /**
+   * Seconds until the tail has decayed.
+   * @returns {number}
+   */
+  get tailSeconds() {
+    return this.size + 0.5;
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Envelope - Linear ADSR generator for native voices.
+ *
+ * Mirrors superdough's envelope semantics: the gate is held for the hap's
+ * duration, then the release segment runs from whatever level the envelope
+ * reached, so release tails extend past the end of the hap. Segments are
+ * linear by default; the `exponential` curve ramps exponentially between a
+ * floor of ENV_MIN and full level (superdough's `fmenv exp`).
+ *
+ * @module audio/dsp/envelope
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+const ENV_MIN = 0.001;
+const RELEASE_MIN = 0.01;
+
+/** Default ADSR for oscillator voices (seconds, seconds, level, seconds). */
+export const SYNTH_ADSR = [0.001, 0.05, 0.6, 0.01];
+
+/** Default ADSR for sample voices. */
+export const SAMPLE_ADSR = [0.001, 0.001, 1, 0.01];
+
+/**
+ * Resolve attack/decay/sustain/release the way superdough does: when nothing
+ * is set the defaults apply, otherwise an unset sustain is full if only an
+ * attack was given and zero once a decay is involved.
+ * @param {Array<number|undefined>} params - [attack, decay, sustain, release]
+ * @param {number[]} defaults - Values used when no parameter is set
+ * @returns {number[]} [attack, decay, sustain, release]
+ */
+export function adsrValues([attack, decay, sustain, release], defaults = SYNTH_ADSR) {
+  if (attack == null && decay == null && sustain == null && release == null) {
+    return defaults;
+  }
+  const resolvedSustain = sustain != null ? sustain : decay == null ? 1 : ENV_MIN;
+  return [
+    Math.max(attack ?? 0, ENV_MIN),
+    Math.max(decay ?? 0, ENV_MIN),
+    Math.min(Math.max(resolvedSustain, 0), 1),
+    Math.max(release ?? 0, RELEASE_MIN)
+  ];
+}
+
+export class Envelope {
+  /**
+   * @param {object} options
+   * @param {number} options.attack - Attack time in seconds
+   * @param {number} options.decay - Decay time in seconds
+   * @param {number} options.sustain - Sustain level (0-1)
+   * @param {number} options.release - Release time in seconds
+   * @param {number} options.hold - Gate length in seconds (attack+decay+sustain)
+   * @param {number} options.sampleRate - Engine sample rate
+   * @param {string} [options.curve='linear'] - Segment shape (linear|exponential)
+   */
+  constructor({ attack, decay, sustain, release, hold, sampleRate, curve = 'linear' }) {
+    this.attackFrames = Math.max(1, Math.round(attack * sampleRate));
+    this.decayFrames = Math.max(1, Math.round(decay * sampleRate));
+    this.sustain = sustain;
+    this.releaseFrames = Math.max(1, Math.round(release * sampleRate));
+    this.holdFrames = Math.max(0, Math.round(hold * sampleRate));
+    this.sampleRate = sampleRate;
+    this.exponential = curve === 'exponential';
+    if (this.exponential) {
+      // Exponential ramps cannot reach zero; they run between the floor and 1
+      this.sustain = ENV_MIN + sustain * (1 - ENV_MIN);
+    }
+    this.frame = 0;
+    this.level = 0;
+    this._releaseLevel = null;
+  }
+
+  /**
+   * Total length in frames (gate plus release).
+   * @returns {number}
+   */
+  get length() {
+    return this.holdFrames + this.releaseFrames;
+  }
+
+  /**
+   * Whether the release segment has finished.
+   * @returns {boolean}
+   */
+  get done() {
+    return this.frame >= this.length;
+  }
+
+  /**
+   * Advance one frame and return the gain.
+   * @returns {number}
+   */
+  next() {
+    const n = this.frame;
+    this.frame += 1;
+
+    if (n < this.holdFrames) {
+      if (n < this.attackFrames) {
+        this.level = this._ramp(this.exponential ? ENV_MIN : 0, 1, n / this.attackFrames);
+      } else if (n < this.attackFrames + this.decayFrames) {
+        this.level = this._ramp(1, this.sustain, (n - this.attackFrames) / this.decayFrames);
+      } else {
+        this.level = this.sustain;
+      }
+      return this.level;
+    }
+
+    if (this._releaseLevel === null) {
+      this._releaseLevel = this.level;
+    }
+    const elapsed = n - this.holdFrames;
+    if (elapsed >= this.releaseFrames) {
+      this.level = 0;
+      return 0;
+    }
+    this.level = this._ramp(this._releaseLevel, this.exponential ? ENV_MIN : 0, elapsed / this.releaseFrames);
+    return this.level;
+  }
+
+  /**
+   * Value a segment from `from` to `to` has reached after `progress` (0-1).
+   * @private
+   */
+  _ramp(from, to, progress) {
+    if (this.exponential && from > 0 && to > 0) {
+      return from * (to / from) ** progress;
+    }
+    return from + (to - from) * progress;
+  }
+
+  /**
+   * Close the gate and release over the given time.
+   * @param {number} [seconds] - Release time (defaults to the configured release)
+   * @param {number} [delay=0] - Frames from now until the gate closes
+   */
+  triggerRelease(seconds, delay = 0) {
+    const releasing = this.frame >= this.holdFrames;
+    if (releasing && seconds === undefined) {
+      return;
+    }
+    if (!releasing && delay > 0) {
+      // Close the gate later; the level is captured when the release begins.
+      // A gate that already closes sooner keeps its own release.
+      if (this.frame + delay < this.holdFrames) {
+        this.holdFrames = this.frame + delay;
+        this._releaseLevel = null;
+        if (seconds !== undefined) {
+          this.releaseFrames = Math.max(1, Math.round(seconds * this.sampleRate));
+        }
+      }
+      return;
+    }
+    // Restart the release from the current level
+    this._releaseLevel = this.level;
+    this.holdFrames = this.frame;
+    if (seconds !== undefined) {
+      this.releaseFrames = Math.max(1, Math.round(seconds * this.sampleRate));
+    }
+  }
+}
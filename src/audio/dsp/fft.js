@@ -0,0 +1,226 @@
+/**
+ * FFT - In-place radix-2 complex FFT and uniformly partitioned convolution.
+ *
+ * PartitionedConvolver convolves a stream with a long impulse response in
+ * blocks without added latency. The first `tailBlockSize` frames of the
+ * response are split into partitions of the stream's block size and
+ * convolved every block (overlap-save through a frequency-domain delay
+ * line). The rest uses partitions of `tailBlockSize` frames, computed once
+ * every `tailBlockSize` frames of input: the result of a finished input
+ * block is only needed from the next block on, because the tail starts
+ * `tailBlockSize` frames into the response. Long reverbs therefore cost a
+ * fraction of what a single partition size would.
+ *
+ * @module audio/dsp/fft
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+export class FFT {
+  /**
+   * @param {number} size - Transform length (power of two)
+   */
+  constructor(size) {
+    if (!Number.isInteger(Math.log2(size)) || size < 2) {
+      throw new Error(`FFT size must be a power of two, got ${size}`);
+    }
+    this.size = size;
+    this._cos = new Float64Array(size / 2);
+    this._sin = new Float64Array(size / 2);
+    for (let i = 0; i < size / 2; i += 1) {
+      this._cos[i] = Math.cos((2 * Math.PI * i) / size);
+      this._sin[i] = Math.sin((2 * Math.PI * i) / size);
+    }
+    this._reverse = new Uint32Array(size);
+    const bits = Math.log2(size);
+    for (let i = 0; i < size; i += 1) {
+      let reversed = 0;
+      for (let bit = 0; bit < bits; bit += 1) {
+        reversed = (reversed << 1) | ((i >> bit) & 1);
+      }
+      this._reverse[i] = reversed;
+    }
+  }
+
+  /**
+   * Forward transform in place.
+   * @param {Float64Array} re
+   * @param {Float64Array} im
+   */
+  forward(re, im) {
+    this._transform(re, im, -1);
+  }
+
+  /**
+   * Inverse transform in place (scaled by 1/size).
+   * @param {Float64Array} re
+   * @param {Float64Array} im
+   */
+  inverse(re, im) {
+    this._transform(re, im, 1);
+    const scale = 1 / this.size;
+    for (let i = 0; i < this.size; i += 1) {
+      re[i] *= scale;
+      im[i] *= scale;
+    }
+  }
+
+  /** @private */
+  _transform(re, im, sign) {
+    const n = this.size;
+    for (let i = 0; i < n; i += 1) {
+      const j = this._reverse[i];
+      if (j > i) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+    for (let half = 1; half < n; half *= 2) {
+      const step = n / (half * 2);
+      for (let start = 0; start < n; start += half * 2) {
+        for (let k = 0; k < half; k += 1) {
+          const wr = this._cos[k * step];
+          const wi = sign * this._sin[k * step];
+          const a = start + k;
+          const b = a + half;
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Overlap-save convolution of a stream with equal-size partitions of a
+ * response.
+ * @private
+ */
+class UniformConvolver {
+  /**
+   * @param {Float32Array} response - Impulse response segment
+   * @param {number} blockSize - Frames per input block (and partition)
+   */
+  constructor(response, blockSize) {
+    this.blockSize = blockSize;
+    this.fft = new FFT(blockSize * 2);
+    const size = blockSize * 2;
+    const bins = blockSize + 1;
+    const count = Math.max(1, Math.ceil(response.length / blockSize));
+
+    this.partitions = [];
+    for (let p = 0; p < count; p += 1) {
+      const re = new Float64Array(size);
+      const im = new Float64Array(size);
+      re.set(response.subarray(p * blockSize, (p + 1) * blockSize));
+      this.fft.forward(re, im);
+      this.partitions.push({ re: re.slice(0, bins), im: im.slice(0, bins) });
+    }
+    // Spectra of the most recent input blocks, newest at `_head`
+    this.history = this.partitions.map(() => ({ re: new Float64Array(bins), im: new Float64Array(bins) }));
+    this._head = 0;
+    this._input = new Float64Array(size);
+    this._re = new Float64Array(size);
+    this._im = new Float64Array(size);
+    this._accRe = new Float64Array(bins);
+    this._accIm = new Float64Array(bins);
+  }
+
+  /**
+   * Convolve one block.
+   * @param {Float32Array} input - blockSize frames
+   * @param {Float32Array} output - blockSize frames (summed into)
+   */
+  process(input, output) {
+    const { blockSize, fft } = this;
+    const size = blockSize * 2;
+    const bins = blockSize + 1;
+
+    // Sliding window of the previous and current input block
+    this._input.copyWithin(0, blockSize);
+    this._input.set(input, blockSize);
+    const re = this._re;
+    const im = this._im;
+    re.set(this._input);
+    im.fill(0);
+    fft.forward(re, im);
+
+    this._head = (this._head + this.history.length - 1) % this.history.length;
+    const newest = this.history[this._head];
+    newest.re.set(re.subarray(0, bins));
+    newest.im.set(im.subarray(0, bins));
+
+    const accRe = this._accRe.fill(0);
+    const accIm = this._accIm.fill(0);
+    for (let p = 0; p < this.partitions.length; p += 1) {
+      const x = this.history[(this._head + p) % this.history.length];
+      const h = this.partitions[p];
+      for (let k = 0; k < bins; k += 1) {
+        accRe[k] += x.re[k] * h.re[k] - x.im[k] * h.im[k];
+        accIm[k] += x.re[k] * h.im[k] + x.im[k] * h.re[k];
+      }
+    }
+
+    // Rebuild the conjugate-symmetric spectrum of a real signal
+    for (let k = 0; k < bins; k += 1) {
+      re[k] = accRe[k];
+      im[k] = accIm[k];
+    }
+    for (let k = bins; k < size; k += 1) {
+      re[k] = accRe[size - k];
+      im[k] = -accIm[size - k];
+    }
+    fft.inverse(re, im);
+    for (let i = 0; i < blockSize; i += 1) {
+      output[i] += re[blockSize + i];
+    }
+  }
+}
+
+export class PartitionedConvolver {
+  /**
+   * @param {Float32Array} response - Impulse response
+   * @param {object} [options]
+   * @param {number} [options.blockSize=128] - Frames per process() call
+   * @param {number} [options.tailBlockSize=2048] - Partition size past the head
+   */
+  constructor(response, { blockSize = 128, tailBlockSize = 2048 } = {}) {
+    this.blockSize = blockSize;
+    const headLength = Math.min(response.length, tailBlockSize);
+    this._head = new UniformConvolver(response.subarray(0, headLength), blockSize);
+    this._tail = null;
+    if (response.length > tailBlockSize) {
+      this._tail = new UniformConvolver(response.subarray(tailBlockSize), tailBlockSize);
+      this._tailInput = new Float32Array(tailBlockSize);
+      this._tailOutput = new Float32Array(tailBlockSize);
+      this._tailFill = 0;
+    }
+  }
+
+  /**
+   * Convolve the next block of the stream.
+   * @param {Float32Array} input - blockSize frames
+   * @param {Float32Array} output - blockSize frames (summed into)
+   */
+  process(input, output) {
+    this._head.process(input, output);
+    if (!this._tail) {
+      return;
+    }
+    const offset = this._tailFill;
+    for (let i = 0; i < this.blockSize; i += 1) {
+      output[i] += this._tailOutput[offset + i];
+    }
+    this._tailInput.set(input, offset);
+    this._tailFill += this.blockSize;
+    if (this._tailFill === this._tailInput.length) {
+      this._tailOutput.fill(0);
+      this._tail.process(this._tailInput, this._tailOutput);
+      this._tailFill = 0;
+    }
+  }
+}
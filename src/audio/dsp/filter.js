@@ -0,0 +1,208 @@
+/**
+ * Filters - Resonant biquad filters for native voices.
+ *
+ * Biquad implements the RBJ cookbook low-pass, high-pass and band-pass
+ * responses. FilterProcessor wraps one in a per-voice processor and can sweep
+ * its cutoff with an ADSR envelope the way superdough does (`lpenv`,
+ * `lpattack`, ... with `fanchor`), interpolating exponentially between the
+ * envelope's minimum and maximum frequency. VowelFilter is superdough's
+ * formant filter: five parallel band-passes per vowel with makeup gain.
+ *
+ * @module audio/dsp/filter
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+/** Samples between coefficient updates while a filter envelope is running. */
+const CONTROL_INTERVAL = 16;
+
+/** Default filter envelope ADSR (matches superdough). */
+export const FILTER_ADSR = [0.005, 0.14, 0, 0.1];
+
+/** Formant frequencies, gains and Qs for `vowel` (from superdough). */
+export const VOWEL_FORMANTS = {
+  a: { freqs: [660, 1120, 2750, 3000, 3350], gains: [1, 0.5012, 0.0708, 0.0631, 0.0126], qs: [80, 90, 120, 130, 140] },
+  e: { freqs: [440, 1800, 2700, 3000, 3300], gains: [1, 0.1995, 0.1259, 0.1, 0.1], qs: [70, 80, 100, 120, 120] },
+  i: { freqs: [270, 1850, 2900, 3350, 3590], gains: [1, 0.0631, 0.0631, 0.0158, 0.0158], qs: [40, 90, 100, 120, 120] },
+  o: { freqs: [430, 820, 2700, 3000, 3300], gains: [1, 0.3162, 0.0501, 0.0794, 0.01995], qs: [40, 80, 100, 120, 120] },
+  u: { freqs: [370, 630, 2750, 3000, 3400], gains: [1, 0.1, 0.0708, 0.0316, 0.01995], qs: [40, 60, 100, 120, 120] }
+};
+
+const VOWEL_MAKEUP_GAIN = 8;
+
+export class Biquad {
+  /**
+   * @param {string} type - lowpass|highpass|bandpass
+   * @param {number} sampleRate - Engine sample rate
+   */
+  constructor(type, sampleRate) {
+    this.type = type;
+    this.sampleRate = sampleRate;
+    this.b0 = 1;
+    this.b1 = 0;
+    this.b2 = 0;
+    this.a1 = 0;
+    this.a2 = 0;
+    this.z1 = 0;
+    this.z2 = 0;
+  }
+
+  /**
+   * Recompute coefficients.
+   * @param {number} frequency - Cutoff/centre frequency in Hz
+   * @param {number} q - Filter Q (linear)
+   */
+  setParams(frequency, q) {
+    const nyquist = this.sampleRate / 2;
+    const f = Math.min(Math.max(frequency, 10), nyquist * 0.99);
+    const w0 = (2 * Math.PI * f) / this.sampleRate;
+    const cos = Math.cos(w0);
+    const alpha = Math.sin(w0) / (2 * Math.max(q, 0.0001));
+    const a0 = 1 + alpha;
+    let b0;
+    let b1;
+    let b2;
+
+    switch (this.type) {
+      case 'highpass':
+        b0 = (1 + cos) / 2;
+        b1 = -(1 + cos);
+        b2 = b0;
+        break;
+      case 'bandpass':
+        // Constant 0 dB peak gain
+        b0 = alpha;
+        b1 = 0;
+        b2 = -alpha;
+        break;
+      case 'lowpass':
+      default:
+        b0 = (1 - cos) / 2;
+        b1 = 1 - cos;
+        b2 = b0;
+        break;
+    }
+
+    this.b0 = b0 / a0;
+    this.b1 = b1 / a0;
+    this.b2 = b2 / a0;
+    this.a1 = (-2 * cos) / a0;
+    this.a2 = (1 - alpha) / a0;
+  }
+
+  /**
+   * Filter one sample (transposed direct form II).
+   * @param {number} x
+   * @returns {number}
+   */
+  process(x) {
+    const y = this.b0 * x + this.z1;
+    this.z1 = this.b1 * x - this.a1 * y + this.z2;
+    this.z2 = this.b2 * x - this.a2 * y;
+    return y;
+  }
+}
+
+/**
+ * Convert a WebAudio-style resonance to a linear Q. Like BiquadFilterNode,
+ * low-pass and high-pass treat the value as a peak in dB while band-pass uses
+ * it as Q directly.
+ * @param {string} type - Filter type
+ * @param {number} resonance - Control value
+ * @returns {number}
+ */
+export function resonanceToQ(type, resonance) {
+  if (type === 'bandpass') {
+    return Math.max(resonance, 0.0001);
+  }
+  return 10 ** (resonance / 20);
+}
+
+export class FilterProcessor {
+  /**
+   * @param {object} options
+   * @param {string} options.type - lowpass|highpass|bandpass
+   * @param {number} options.frequency - Cutoff in Hz
+   * @param {number} options.resonance - Resonance control value
+   * @param {number} options.sampleRate - Engine sample rate
+   * @param {Envelope} [options.envelope] - Envelope sweeping the cutoff
+   * @param {number} [options.depth=1] - Envelope depth in octaves (negative inverts)
+   * @param {number} [options.anchor=0] - Where the base cutoff sits within the sweep (0-1)
+   */
+  constructor({ type, frequency, resonance, sampleRate, envelope = null, depth = 1, anchor = 0 }) {
+    this.biquad = new Biquad(type, sampleRate);
+    this.q = resonanceToQ(type, resonance);
+    this.envelope = envelope;
+    this.frequency = frequency;
+
+    if (envelope) {
+      const nyquist = sampleRate / 2;
+      const span = Math.abs(depth);
+      const offset = span * anchor;
+      const low = Math.min(Math.max(2 ** -offset * frequency, 10), nyquist);
+      const high = Math.min(Math.max(2 ** (span - offset) * frequency, 10), nyquist);
+      [this.min, this.max] = depth < 0 ? [high, low] : [low, high];
+    }
+
+    this.biquad.setParams(envelope ? this.min : frequency, this.q);
+    this._counter = 0;
+  }
+
+  /**
+   * Filter a block in place.
+   * @param {Float32Array} out - Block to process
+   * @param {number} offset - First index
+   * @param {number} count - Number of samples
+   */
+  process(out, offset, count) {
+    const { biquad, envelope } = this;
+
+    for (let i = offset; i < offset + count; i += 1) {
+      if (envelope) {
+        const level = envelope.next();
+        if (this._counter === 0) {
+          biquad.setParams(this.min * (this.max / this.min) ** level, this.q);
+        }
+        this._counter = (this._counter + 1) % CONTROL_INTERVAL;
+      }
+      out[i] = biquad.process(out[i]);
+    }
+  }
+}
+
+export class VowelFilter {
+  /**
+   * @param {object} options
+   * @param {string} options.vowel - a|e|i|o|u
+   * @param {number} options.sampleRate - Engine sample rate
+   */
+  constructor({ vowel, sampleRate }) {
+    const formant = VOWEL_FORMANTS[String(vowel).toLowerCase()];
+    if (!formant) {
+      throw new Error(`Unknown vowel: ${vowel} (expected ${Object.keys(VOWEL_FORMANTS).join('|')})`);
+    }
+    this.gains = formant.gains;
+    this.bands = formant.freqs.map((frequency, index) => {
+      const biquad = new Biquad('bandpass', sampleRate);
+      biquad.setParams(frequency, formant.qs[index]);
+      return biquad;
+    });
+  }
+
+  /**
+   * Filter a block in place.
+   * @param {Float32Array} out - Block to process
+   * @param {number} offset - First index
+   * @param {number} count - Number of samples
+   */
+  process(out, offset, count) {
+    const { bands, gains } = this;
+    for (let i = offset; i < offset + count; i += 1) {
+      let sum = 0;
+      for (let b = 0; b < bands.length; b += 1) {
+        sum += bands[b].process(out[i]) * gains[b];
+      }
+      out[i] = sum * VOWEL_MAKEUP_GAIN;
+    }
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * FM - Frequency modulation operator for synth voices.
+ *
+ * Follows superdough's FM: a modulator running at the carrier frequency times
+ * the harmonicity ratio (`fmh`) is added to the carrier's frequency, with a
+ * peak deviation of the modulator frequency times the modulation index
+ * (`fmi`). Without envelope controls the modulation is constant; setting any
+ * of `fmattack`/`fmdecay`/`fmsustain`/`fmrelease`/`fmvelocity` shapes it with
+ * an ADSR whose ramps are exponential unless `fmenv` is `lin`.
+ *
+ * @module audio/dsp/fm
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import { Oscillator } from './oscillators.js';
+
+/** Default ADSR for the modulation envelope (superdough's getADSRValues defaults). */
+export const FM_ADSR = [0.001, 0.001, 1, 0.01];
+
+export class FmOperator {
+  /**
+   * @param {object} options
+   * @param {number} options.frequency - Carrier frequency in Hz
+   * @param {number} options.index - Modulation index (`fmi`)
+   * @param {number} [options.harmonicity=1] - Modulator/carrier frequency ratio (`fmh`)
+   * @param {string} [options.wave='sine'] - Modulator waveform (`fmwave`)
+   * @param {Envelope} [options.envelope] - Modulation envelope (none = constant)
+   * @param {number} options.sampleRate - Engine sample rate
+   */
+  constructor({ frequency, index, harmonicity = 1, wave = 'sine', envelope = null, sampleRate }) {
+    this.frequency = frequency * harmonicity;
+    this.depth = this.frequency * index;
+    this.envelope = envelope;
+    this.oscillator = new Oscillator(wave, sampleRate);
+  }
+
+  /**
+   * Advance one frame.
+   * @returns {number} Frequency deviation in Hz to add to the carrier
+   */
+  next() {
+    const deviation = this.oscillator.next(this.frequency) * this.depth;
+    return this.envelope ? deviation * this.envelope.next() : deviation;
+  }
+}
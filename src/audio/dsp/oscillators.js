@@ -0,0 +1,164 @@
+/**
+ * Oscillators - Band-limited waveform generators for synth voices.
+ *
+ * Sawtooth and square use PolyBLEP correction at their discontinuities and
+ * triangle uses PolyBLAMP at its corners, so all three stay largely alias-free
+ * up to high notes. Noise sources cover white, pink (Paul Kellet's filter)
+ * and brown (integrated white) noise. A negative frequency runs the phase
+ * backwards, as when deep FM pushes a carrier through zero.
+ *
+ * @module audio/dsp/oscillators
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+const TYPE_ALIASES = {
+  sine: 'sine',
+  sin: 'sine',
+  sawtooth: 'sawtooth',
+  saw: 'sawtooth',
+  square: 'square',
+  sqr: 'square',
+  triangle: 'triangle',
+  tri: 'triangle',
+  noise: 'white',
+  white: 'white',
+  pink: 'pink',
+  brown: 'brown'
+};
+
+/**
+ * Normalise an `s` value to an oscillator type.
+ * @param {string} name - Sound name
+ * @returns {string|null} Oscillator type, or null if the name is not a waveform
+ */
+export function oscillatorType(name) {
+  return TYPE_ALIASES[String(name).toLowerCase()] || null;
+}
+
+/**
+ * PolyBLAMP residual for a slope discontinuity at phase 0.
+ * @param {number} t - Phase in [0, 1)
+ * @param {number} dt - Phase increment per sample
+ * @returns {number}
+ * @private
+ */
+function polyBlamp(t, dt) {
+  if (t < dt) {
+    const x = t / dt - 1;
+    return (-x * x * x) / 3;
+  }
+  if (t > 1 - dt) {
+    const x = (t - 1) / dt + 1;
+    return (x * x * x) / 3;
+  }
+  return 0;
+}
+
+/**
+ * PolyBLEP residual for a discontinuity at phase 0.
+ * @param {number} t - Phase in [0, 1)
+ * @param {number} dt - Phase increment per sample
+ * @returns {number}
+ * @private
+ */
+function polyBlep(t, dt) {
+  if (t < dt) {
+    const x = t / dt;
+    return x + x - x * x - 1;
+  }
+  if (t > 1 - dt) {
+    const x = (t - 1) / dt;
+    return x * x + x + x + 1;
+  }
+  return 0;
+}
+
+export class Oscillator {
+  /**
+   * @param {string} type - Waveform (see oscillatorType)
+   * @param {number} sampleRate - Engine sample rate
+   * @param {number} [phase=0] - Initial phase in [0, 1)
+   */
+  constructor(type, sampleRate, phase = 0) {
+    this.type = oscillatorType(type) || 'sine';
+    this.sampleRate = sampleRate;
+    this.phase = phase;
+    this._pink = [0, 0, 0, 0, 0, 0, 0];
+    this._brown = 0;
+  }
+
+  /**
+   * Produce the next sample.
+   * @param {number} frequency - Frequency in Hz (negative runs backwards)
+   * @returns {number} Sample in roughly [-1, 1]
+   */
+  next(frequency) {
+    const increment = Math.min(0.5, Math.max(-0.5, frequency / this.sampleRate));
+    const dt = Math.abs(increment);
+    const t = this.phase;
+    let sample;
+
+    switch (this.type) {
+      case 'sawtooth':
+        sample = 2 * t - 1 - polyBlep(t, dt);
+        break;
+      case 'square':
+        sample = this._square(t, dt);
+        break;
+      case 'triangle':
+        // Peak at phase 0, trough at 0.5; round both corners
+        sample = 2 * Math.abs(2 * t - 1) - 1;
+        sample -= 4 * dt * (polyBlamp(t, dt) - polyBlamp((t + 0.5) % 1, dt));
+        break;
+      case 'white':
+        return Math.random() * 2 - 1;
+      case 'pink':
+        return this._nextPink();
+      case 'brown':
+        this._brown = (this._brown + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+        return this._brown * 3.5;
+      case 'sine':
+      default:
+        sample = Math.sin(2 * Math.PI * t);
+        break;
+    }
+
+    this.phase += increment;
+    if (this.phase >= 1) {
+      this.phase -= 1;
+    } else if (this.phase < 0) {
+      this.phase += 1;
+    }
+    return sample;
+  }
+
+  /**
+   * Band-limited square at phase t.
+   * @private
+   */
+  _square(t, dt) {
+    let value = t < 0.5 ? 1 : -1;
+    value += polyBlep(t, dt);
+    value -= polyBlep((t + 0.5) % 1, dt);
+    return value;
+  }
+
+  /**
+   * Paul Kellet's economy pink noise filter.
+   * @private
+   */
+  _nextPink() {
+    const white = Math.random() * 2 - 1;
+    const b = this._pink;
+    b[0] = 0.99886 * b[0] + white * 0.0555179;
+    b[1] = 0.99332 * b[1] + white * 0.0750759;
+    b[2] = 0.969 * b[2] + white * 0.153852;
+    b[3] = 0.8665 * b[3] + white * 0.3104856;
+    b[4] = 0.55 * b[4] + white * 0.5329522;
+    b[5] = -0.7616 * b[5] - white * 0.016898;
+    const pink = b[0] + b[1] + b[2] + b[3] + b[4] + b[5] + b[6] + white * 0.5362;
+    b[6] = white * 0.115926;
+    return pink * 0.11;
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * Resample - Windowed-sinc sample-rate conversion for decoded samples.
+ *
+ * Converts whole buffers offline (at load time) so 44.1 kHz or 22.05 kHz
+ * files play at the right pitch and length on a 48 kHz engine. The kernel is
+ * a Kaiser-windowed sinc with 16 zero crossings, read from a precomputed
+ * table; when downsampling the cutoff follows the new Nyquist frequency to
+ * avoid aliasing. resampleAsync() does the same work in short chunks,
+ * yielding to the event loop between them, so loading a sample while the
+ * engine plays does not hold up its render loop.
+ *
+ * @module audio/dsp/resample
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+const ZERO_CROSSINGS = 16;
+const TABLE_RESOLUTION = 512;
+const KAISER_BETA = 8;
+/** Output frames converted between yields in resampleAsync() (a few ms of work). */
+const ASYNC_CHUNK_FRAMES = 4096;
+
+/**
+ * Zeroth-order modified Bessel function (series expansion).
+ * @private
+ */
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  for (let k = 1; k < 32; k += 1) {
+    term *= (x / (2 * k)) ** 2;
+    sum += term;
+    if (term < sum * 1e-12) {
+      break;
+    }
+  }
+  return sum;
+}
+
+const KERNEL = (() => {
+  const size = ZERO_CROSSINGS * TABLE_RESOLUTION + 2;
+  const table = new Float64Array(size);
+  const norm = besselI0(KAISER_BETA);
+  for (let i = 0; i < size; i += 1) {
+    const x = i / TABLE_RESOLUTION;
+    const ratio = x / ZERO_CROSSINGS;
+    const window = ratio < 1 ? besselI0(KAISER_BETA * Math.sqrt(1 - ratio * ratio)) / norm : 0;
+    const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+    table[i] = sinc * window;
+  }
+  return table;
+})();
+
+/**
+ * Kernel value at a distance (in zero crossings) from the centre.
+ * @private
+ */
+function kernelAt(distance) {
+  const position = Math.abs(distance) * TABLE_RESOLUTION;
+  const index = Math.floor(position);
+  if (index >= KERNEL.length - 1) {
+    return 0;
+  }
+  const frac = position - index;
+  return KERNEL[index] + (KERNEL[index + 1] - KERNEL[index]) * frac;
+}
+
+/**
+ * Resample one channel.
+ * @param {Float32Array} input - Source samples
+ * @param {number} ratio - Target rate divided by source rate
+ * @returns {Float32Array}
+ */
+export function resampleChannel(input, ratio) {
+  const output = new Float32Array(Math.max(1, Math.round(input.length * ratio)));
+  convertRange(input, output, ratio, 0, output.length);
+  return output;
+}
+
+/**
+ * Compute output frames [from, to) of a channel.
+ * @private
+ */
+function convertRange(input, output, ratio, from, to) {
+  const cutoff = Math.min(1, ratio);
+  const reach = Math.ceil(ZERO_CROSSINGS / cutoff);
+  const step = 1 / ratio;
+
+  for (let j = from; j < to; j += 1) {
+    const t = j * step;
+    const center = Math.floor(t);
+    const first = Math.max(0, center - reach + 1);
+    const last = Math.min(input.length - 1, center + reach);
+    let sum = 0;
+    for (let k = first; k <= last; k += 1) {
+      sum += input[k] * kernelAt((t - k) * cutoff);
+    }
+    output[j] = sum * cutoff;
+  }
+}
+
+/**
+ * Convert a decoded buffer to another sample rate. Buffers already at the
+ * target rate are returned unchanged.
+ * @param {{sampleRate: number, length: number, channelData: Float32Array[]}} buffer
+ * @param {number} targetRate - Desired sample rate in Hz
+ * @returns {{sampleRate: number, length: number, channelData: Float32Array[]}}
+ */
+export function resample(buffer, targetRate) {
+  if (!buffer.sampleRate || buffer.sampleRate === targetRate) {
+    return buffer;
+  }
+  const ratio = targetRate / buffer.sampleRate;
+  const channelData = buffer.channelData.map((channel) => resampleChannel(channel, ratio));
+  return {
+    ...buffer,
+    sampleRate: targetRate,
+    length: channelData[0]?.length ?? 0,
+    channelData
+  };
+}
+
+/**
+ * resample() in chunks of ASYNC_CHUNK_FRAMES, yielding to the event loop
+ * between them. The result is identical.
+ * @param {{sampleRate: number, length: number, channelData: Float32Array[]}} buffer
+ * @param {number} targetRate - Desired sample rate in Hz
+ * @returns {Promise<{sampleRate: number, length: number, channelData: Float32Array[]}>}
+ */
+export async function resampleAsync(buffer, targetRate) {
+  if (!buffer.sampleRate || buffer.sampleRate === targetRate) {
+    return buffer;
+  }
+  const ratio = targetRate / buffer.sampleRate;
+  const channelData = [];
+  for (const channel of buffer.channelData) {
+    const output = new Float32Array(Math.max(1, Math.round(channel.length * ratio)));
+    for (let from = 0; from < output.length; from += ASYNC_CHUNK_FRAMES) {
+      convertRange(channel, output, ratio, from, Math.min(from + ASYNC_CHUNK_FRAMES, output.length));
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    channelData.push(output);
+  }
+  return {
+    ...buffer,
+    sampleRate: targetRate,
+    length: channelData[0]?.length ?? 0,
+    channelData
+  };
+}
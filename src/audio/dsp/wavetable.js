@@ -0,0 +1,205 @@
+/**
+ * Wavetable - Band-limited single-cycle wavetables and their oscillator.
+ *
+ * A wavetable sample is a run of single-cycle frames: `cycleLength` samples
+ * each (from the file's `clm ` chunk, as written by Serum and friends), 2048
+ * when the length divides evenly, otherwise the whole file is one cycle.
+ * Each frame is analysed once and re-synthesised on demand into mip levels
+ * of TABLE_SIZE samples that keep fewer harmonics an octave at a time, so
+ * the oscillator can pick a level with nothing above Nyquist for the note it
+ * plays. The oscillator scans frames with a position from 0 (first frame) to
+ * 1 (last), crossfading between neighbouring frames.
+ *
+ * @module audio/dsp/wavetable
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import { FFT } from './fft.js';
+
+/** Samples per mip level table (one cycle). */
+export const TABLE_SIZE = 2048;
+/** Frame length assumed when a file has no `clm ` chunk. */
+export const DEFAULT_CYCLE_LENGTH = 2048;
+
+const MAX_HARMONIC = TABLE_SIZE / 2 - 1;
+const LEVELS = Math.log2(TABLE_SIZE);
+
+const fft = new FFT(TABLE_SIZE);
+
+export class Wavetable {
+  /**
+   * @param {object} sample - Decoded sample ({ channelData, length })
+   * @param {object} [options]
+   * @param {number} [options.cycleLength] - Samples per frame (defaults as described above)
+   */
+  constructor({ channelData, length }, { cycleLength } = {}) {
+    if (!length) {
+      throw new Error('Wavetable sample is empty');
+    }
+    this.frameLength = cycleLength > 0 && cycleLength <= length
+      ? cycleLength
+      : length % DEFAULT_CYCLE_LENGTH === 0 ? DEFAULT_CYCLE_LENGTH : length;
+    this.frames = Math.floor(length / this.frameLength);
+    this._mono = new Float32Array(length);
+    for (const channel of channelData) {
+      for (let i = 0; i < length; i += 1) {
+        this._mono[i] += channel[i] / channelData.length;
+      }
+    }
+    this._spectra = new Array(this.frames);
+    this._tables = new Map();
+  }
+
+  /**
+   * Mip level whose harmonics all stay below Nyquist at a frequency.
+   * @param {number} frequency - Playback frequency in Hz
+   * @param {number} sampleRate - Output sample rate
+   * @returns {number} Level (0 keeps every harmonic)
+   */
+  levelFor(frequency, sampleRate) {
+    const harmonics = Math.floor(sampleRate / 2 / Math.max(Math.abs(frequency), 1e-3));
+    if (harmonics >= MAX_HARMONIC) {
+      return 0;
+    }
+    return Math.min(LEVELS - 1, Math.ceil(Math.log2((TABLE_SIZE / 2) / Math.max(harmonics, 1))));
+  }
+
+  /**
+   * One cycle of a frame at a mip level, with a guard sample for
+   * interpolation (TABLE_SIZE + 1 samples).
+   * @param {number} frame - Frame index
+   * @param {number} level - Mip level
+   * @returns {Float32Array}
+   */
+  table(frame, level) {
+    const key = frame * LEVELS + level;
+    let table = this._tables.get(key);
+    if (!table) {
+      table = this._synthesize(frame, level);
+      this._tables.set(key, table);
+    }
+    return table;
+  }
+
+  /**
+   * Rebuild a frame from its harmonics up to the level's limit.
+   * @private
+   */
+  _synthesize(frame, level) {
+    const { re: sourceRe, im: sourceIm } = this._spectrum(frame);
+    const limit = Math.min(sourceRe.length - 1, (TABLE_SIZE / 2) >> level);
+    const re = new Float64Array(TABLE_SIZE);
+    const im = new Float64Array(TABLE_SIZE);
+    re[0] = sourceRe[0];
+    for (let k = 1; k <= limit; k += 1) {
+      re[k] = sourceRe[k];
+      im[k] = sourceIm[k];
+      re[TABLE_SIZE - k] = sourceRe[k];
+      im[TABLE_SIZE - k] = -sourceIm[k];
+    }
+    fft.inverse(re, im);
+
+    const table = new Float32Array(TABLE_SIZE + 1);
+    table.set(re);
+    table[TABLE_SIZE] = table[0];
+    return table;
+  }
+
+  /**
+   * Harmonics of a frame, scaled to TABLE_SIZE bins (computed once).
+   * @private
+   */
+  _spectrum(frame) {
+    if (this._spectra[frame]) {
+      return this._spectra[frame];
+    }
+    const size = this.frameLength;
+    const samples = this._mono.subarray(frame * size, (frame + 1) * size);
+    // The frame's own Nyquist bin is left out along with everything above it
+    const harmonics = Math.min(MAX_HARMONIC, Math.ceil(size / 2) - 1);
+    const re = new Float64Array(harmonics + 1);
+    const im = new Float64Array(harmonics + 1);
+    const scale = TABLE_SIZE / size;
+
+    if (Number.isInteger(Math.log2(size)) && size >= 2) {
+      const bins = { re: Float64Array.from(samples), im: new Float64Array(size) };
+      new FFT(size).forward(bins.re, bins.im);
+      for (let k = 0; k <= harmonics; k += 1) {
+        re[k] = bins.re[k] * scale;
+        im[k] = bins.im[k] * scale;
+      }
+    } else {
+      // Odd cycle lengths (AKWF's 600 samples, ...) take a plain DFT
+      for (let k = 0; k <= harmonics; k += 1) {
+        let sumRe = 0;
+        let sumIm = 0;
+        for (let n = 0; n < size; n += 1) {
+          const angle = (-2 * Math.PI * k * n) / size;
+          sumRe += samples[n] * Math.cos(angle);
+          sumIm += samples[n] * Math.sin(angle);
+        }
+        re[k] = sumRe * scale;
+        im[k] = sumIm * scale;
+      }
+    }
+
+    this._spectra[frame] = { re, im };
+    return this._spectra[frame];
+  }
+}
+
+export class WavetableOscillator {
+  /**
+   * @param {Wavetable} wavetable - Frames to play
+   * @param {number} sampleRate - Engine sample rate
+   * @param {number} [phase=0] - Initial phase in [0, 1)
+   */
+  constructor(wavetable, sampleRate, phase = 0) {
+    this.wavetable = wavetable;
+    this.sampleRate = sampleRate;
+    this.phase = phase;
+    this._frequency = null;
+    this._level = 0;
+  }
+
+  /**
+   * Produce the next sample.
+   * @param {number} frequency - Frequency in Hz (negative runs backwards)
+   * @param {number} [position=0] - Position in the table (0-1)
+   * @returns {number}
+   */
+  next(frequency, position = 0) {
+    const { wavetable } = this;
+    if (frequency !== this._frequency) {
+      this._frequency = frequency;
+      this._level = wavetable.levelFor(frequency, this.sampleRate);
+    }
+    const place = Math.min(Math.max(position, 0), 1) * (wavetable.frames - 1);
+    const frame = Math.floor(place);
+    const blend = place - frame;
+
+    let sample = this._read(wavetable.table(frame, this._level));
+    if (blend > 0) {
+      sample += (this._read(wavetable.table(frame + 1, this._level)) - sample) * blend;
+    }
+
+    this.phase += Math.min(0.5, Math.max(-0.5, frequency / this.sampleRate));
+    if (this.phase >= 1) {
+      this.phase -= 1;
+    } else if (this.phase < 0) {
+      this.phase += 1;
+    }
+    return sample;
+  }
+
+  /**
+   * Linearly interpolated table value at the current phase.
+   * @private
+   */
+  _read(table) {
+    const index = this.phase * TABLE_SIZE;
+    const base = Math.floor(index);
+    return table[base] + (table[base + 1] - table[base]) * (index - base);
+  }
+}
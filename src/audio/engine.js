@@ -1,44 +1,135 @@
 /**
  * NativeAudioEngine - Bridges Strudel scheduler to native audio backends.
  *
- * Uses @strudel/core's Cyclist scheduler to translate patterns into timed
- * events, then renders lightweight PCM buffers to a provided backend. This is
- * intentionally minimal (sine synthesis only) but exercises real scheduling so
- * backends, metrics, and the REPL have live data to display.
+ * A Scheduler (@strudel/core's Cyclist with quantised tempo changes and
+ * in-place pattern swaps) queries the stack of named slots (d1..d16, `$:`
+ * blocks), each of which can be replaced, hushed, muted or soloed alone. It
+ * runs on an AudioClock driven by the frames the backend has consumed, so
+ * every hap becomes a voice starting at a sample-accurate frame on the Mixer
+ * timeline. A render loop pulls `audio.bufferSize` blocks from the mixer and
+ * streams them to the backend without gaps.
+ *
+ * Sounds resolve to oscillator (with FM), wavetable or sample voices, with a
+ * sine burst for unknown names; the `_*For()` helpers below map a hap's
+ * controls onto them. Each voice is enveloped, filtered, shaped and panned
+ * into its orbit, whose delay and reverb feed the output channels in
+ * `audio.orbitChannels`. `audio.maxVoices` caps polyphony by stealing
+ * voices. The master mix runs through the optional compressor and the
+ * limiter; attached inputs (the WebAudio polyfill) join it before them, and
+ * attached outputs (the StreamServer) receive each finished block alongside
+ * the backend.
+ *
+ * getMetrics() reports DSP load, underruns, xruns, late events and queued
+ * latency. When the backend's player dies mid-stream the engine respawns it
+ * with backoff (`audio.recovery`), then asks the `failover` callback for
+ * another backend, emitting each step as a `backend` event.
  *
  * @module audio/engine
  */
 
-import { Cyclist, getFrequency, silence, setTime } from '@strudel/core';
+import { EventEmitter } from 'events';
+import { getFrequency, midiToFreq, noteToMidi, silence, setTime } from '@strudel/core';
 import { performance } from 'perf_hooks';
+import { AudioClock } from './clock.js';
+import { Scheduler } from './scheduler.js';
+import { DEFAULT_SLOT, SlotSet } from './slots.js';
+import { SampleBank } from './sample-bank.js';
+import { Mixer } from './mixer.js';
+import { VoiceManager } from './voice-manager.js';
+import { Compressor, Limiter } from './dsp/dynamics.js';
+import { OscillatorVoice, SampleVoice, WavetableVoice } from './voices.js';
+import { oscillatorType } from './dsp/oscillators.js';
+import { FmOperator, FM_ADSR } from './dsp/fm.js';
+import { Envelope, adsrValues, SAMPLE_ADSR, SYNTH_ADSR } from './dsp/envelope.js';
+import { FilterProcessor, FILTER_ADSR, VowelFilter } from './dsp/filter.js';
+import { CoarseProcessor, CrushProcessor, DistortProcessor, ShapeProcessor } from './dsp/distortion.js';
+
+const TEMPO_QUANTIZE = ['now', 'cycle'];
+/** Per-block decay of the peak DSP load (halves in about 2s at 48kHz/256). */
+const LOAD_PEAK_DECAY = 0.998;
+/** Beats per cycle for `beat` quantisation (Strudel's 4/4 convention). */
+const BEATS_PER_CYCLE = 4;
+/** Sound name prefix of wavetable samples. */
+const WAVETABLE_PREFIX = 'wt_';
+/** A recovered backend that keeps running this long gets its full respawn budget back. */
+const RECOVERY_STABLE_MS = 5000;
 
-export class NativeAudioEngine {
+export class NativeAudioEngine extends EventEmitter {
   /**
    * @param {object} options
    * @param {object} options.backend - Audio backend implementing playBuffer()
    * @param {Config} options.config - Config provider
    * @param {Logger} options.logger - Logger instance
+   * @param {SampleBank} [options.samples] - Sample bank (defaults to one built from config)
+   * @param {Function} [options.failover] - Async callback returning a replacement
+   *   for a backend that could not be respawned (or null when none is left)
    */
-  constructor({ backend, config, logger }) {
-    this.backend = backend;
+  constructor({ backend, config, logger, samples, failover = null }) {
+    super();
     this.config = config;
     this.logger = logger;
+    this.samples = samples || new SampleBank(config, logger);
+    this.failover = failover;
 
     this.sampleRate = this.config?.get('audio.sampleRate') || 48000;
     this.channels = this.config?.get('audio.channels') || 2;
     this.latencyMs = this.config?.get('audio.latency') || 10;
     this.outputGain = this.config?.get('audio.outputGain') || 0.2;
+    this.blockSize = this.config?.get('audio.bufferSize') || 256;
+
+    this.voiceManager = this._createVoiceManager();
+    this.mixer = new Mixer({
+      channels: this.channels,
+      blockSize: this.blockSize,
+      sampleRate: this.sampleRate,
+      orbitChannels: this.config?.get('audio.orbitChannels') || {},
+      voiceManager: this.voiceManager
+    });
+    this.compressor = this._createCompressor();
+    this.limiter = this._createLimiter();
+    this._renderTimer = null;
+    this.inputs = new Set();
+    this.outputs = new Set();
+    this.clock = new AudioClock({ sampleRate: this.sampleRate });
+    this._framesAcked = 0;
+    this._playbackOrigin = 0;
+    this._pipeOffset = null;
+    this._writeFailing = false;
+    this.recovery = {
+      retries: this.config?.get('audio.recovery.retries') ?? 3,
+      delay: this.config?.get('audio.recovery.delay') ?? 0.25,
+      failover: this.config?.get('audio.recovery.failover') ?? true
+    };
+    this._recovering = false;
+    this._respawns = 0;
+    this._recoveredAt = -Infinity;
+    this._onBackendExit = (info) => this._handleBackendLoss(`exited (code=${info?.code ?? 'none'}, signal=${info?.signal || 'none'})`);
+    this._onBackendError = (error) => this._handleBackendLoss(error?.message || 'error');
+    this.backend = null;
+    this._watchBackend(backend);
 
     this.scheduler = null;
+    this.slots = new SlotSet();
     this.pattern = null;
     this.started = false;
+    this.cps = (this.config?.get('audio.bpm') || 120) / 60;
+    this.tempoQuantize = this.config?.get('audio.tempoQuantize') || 'now';
+    this.patternQuantize = this.config?.get('audio.patternQuantize') || 'now';
+    this._starved = false;
+    this._clockSource = null;
+    this._invalidNotes = new Set();
     this._metrics = {
       lastEventAt: 0,
       cycle: 0,
-      bpm: this.config?.get('audio.bpm') || 120,
+      bpm: this.cps * 60,
       cpuAvg: 0,
+      cpuPeak: 0,
+      renderMs: 0,
       latencyMs: this.latencyMs,
-      events: 0
+      queuedMs: 0,
+      events: 0,
+      lateEvents: 0,
+      underruns: 0
     };
   }
 
@@ -50,10 +141,18 @@ export class NativeAudioEngine {
       return;
     }
 
+    if (this.samples && !this.samples.indexed) {
+      try {
+        await this.samples.index();
+      } catch (error) {
+        this.logger?.warn?.(`Sample index failed: ${error.message}`);
+      }
+    }
+
     const latency = (this.latencyMs || 10) / 1000;
 
-    this.scheduler = new Cyclist({
-      onTrigger: this._handleTrigger.bind(this),
+    this.scheduler = new Scheduler({
+      onTrigger: this._trigger.bind(this),
       onToggle: (started) => {
         this.started = started;
         this.logger?.debug?.(`Scheduler ${started ? 'started' : 'stopped'}`);
@@ -66,6 +165,7 @@ export class NativeAudioEngine {
         if (this.backend?.initialize) {
           await this.backend.initialize();
         }
+        this._startRenderLoop();
       }
     });
 
@@ -76,37 +176,162 @@ export class NativeAudioEngine {
   }
 
   /**
-   * Schedule a pattern for playback.
+   * Play a single pattern, replacing every slot. While playing, the new
+   * pattern replaces the old one in place (the clock and cycle position carry
+   * on), at the point chosen by `quantize`.
    * @param {object} pattern - Strudel Pattern instance
+   * @param {object} [options]
+   * @param {string|number} [options.quantize] - `now`, `beat`, `cycle` or a number of cycles
+   *   (swap on the next multiple of it); defaults to `audio.patternQuantize`
    */
-  async setPattern(pattern) {
-    await this.initialize();
+  async setPattern(pattern, options) {
     if (!pattern || pattern === silence) {
       this.logger?.warn?.('Ignoring empty pattern in NativeAudioEngine');
       return;
     }
+    this.slots.clear();
+    await this.updateSlots([[DEFAULT_SLOT, pattern]], options);
+  }
 
-    if (this.started) {
-      await this.stop();
+  /**
+   * Replace the patterns of some slots, leaving the others playing. An empty
+   * pattern (null or silence) hushes its slot.
+   * @param {Iterable<[string, object|null]>} entries - Slot name and pattern pairs
+   * @param {object} [options] - See setPattern()
+   */
+  async updateSlots(entries, options) {
+    for (const [name, pattern] of entries) {
+      this.slots.set(name, pattern);
     }
+    await this._playSlots(options);
+  }
 
-    this.pattern = pattern;
-    const bpm = this.config?.get('audio.bpm') || 120;
-    const cps = bpm / 60;
-    this.scheduler.setCps(cps);
-    await this.scheduler.setPattern(pattern, true);
-    this._metrics.bpm = bpm;
-    this.started = true;
-    this.logger?.debug?.('Pattern scheduled on NativeAudioEngine');
+  /**
+   * Stop one slot.
+   * @param {string} name - Slot name
+   * @returns {Promise<boolean>} Whether the slot existed
+   */
+  async hushSlot(name) {
+    const existed = this.slots.delete(name);
+    await this._playSlots({ quantize: 'now' });
+    return existed;
+  }
+
+  /**
+   * Mute or unmute one slot.
+   * @param {string} name - Slot name
+   * @param {boolean} [muted=true]
+   */
+  async muteSlot(name, muted = true) {
+    this.slots.mute(name, muted);
+    await this._playSlots({ quantize: 'now' });
+  }
+
+  /**
+   * Solo or unsolo one slot; without a name, clear every solo.
+   * @param {string} [name] - Slot name
+   * @param {boolean} [solo=true]
+   */
+  async soloSlot(name, solo = true) {
+    this.slots.solo(name, solo);
+    await this._playSlots({ quantize: 'now' });
+  }
+
+  /**
+   * Describe the slots (name, muted, solo, audible).
+   * @returns {Array<object>}
+   */
+  getSlots() {
+    return this.slots.list();
+  }
+
+  /**
+   * Change the tempo of the running scheduler without restarting it. The
+   * cycle position carries over, so playback stays in phase.
+   * @param {number} cps - Cycles per second
+   * @param {object} [options]
+   * @param {string} [options.quantize] - `now` (next scheduler tick) or `cycle` (next cycle
+   *   boundary); defaults to `audio.tempoQuantize`
+   */
+  setCps(cps, { quantize = this.tempoQuantize } = {}) {
+    if (!Number.isFinite(cps) || cps <= 0) {
+      throw new Error(`Invalid tempo: ${cps} cps`);
+    }
+    if (!TEMPO_QUANTIZE.includes(quantize)) {
+      throw new Error(`Unknown tempo quantize mode: ${quantize} (expected ${TEMPO_QUANTIZE.join('|')})`);
+    }
+
+    this.cps = cps;
+    this._metrics.bpm = Number((cps * 60).toFixed(2));
+    if (this.scheduler) {
+      const at = quantize === 'cycle' ? this.scheduler.nextCycle() : undefined;
+      this.scheduler.setCps(cps, { at });
+    }
+    this.logger?.debug?.(`Tempo set to ${cps} cps (${quantize})`);
+  }
+
+  /**
+   * Change the tempo in beats per minute (one cycle per beat, as `audio.bpm`).
+   * @param {number} bpm - Beats per minute
+   * @param {object} [options] - See setCps()
+   */
+  setBpm(bpm, options) {
+    this.setCps(bpm / 60, options);
   }
 
   /**
-   * Stop playback and release scheduler.
+   * Mix another source into the output, starting the backend and render loop
+   * if needed. Inputs implement `render(block, channels)`, adding their next
+   * frames to an interleaved block; they keep being rendered across pattern
+   * restarts until detached.
+   * @param {object} input - e.g. a WebAudio polyfill AudioContext
+   */
+  async attachInput(input) {
+    this.inputs.add(input);
+    if (this.backend?.initialize) {
+      await this.backend.initialize();
+    }
+    this._startRenderLoop();
+  }
+
+  /**
+   * Send every master block to an output as well as the backend. Outputs
+   * implement `write(block)` and must not hold on to the block or block the
+   * render loop (e.g. the StreamServer).
+   * @param {object} output
+   */
+  attachOutput(output) {
+    this.outputs.add(output);
+  }
+
+  /**
+   * Stop sending master blocks to an output.
+   * @param {object} output
+   */
+  detachOutput(output) {
+    this.outputs.delete(output);
+  }
+
+  /**
+   * Stop mixing an input in; the render loop stops when nothing else needs it.
+   * @param {object} input
+   */
+  detachInput(input) {
+    this.inputs.delete(input);
+    if (!this.started && this.inputs.size === 0) {
+      this._stopRenderLoop();
+    }
+  }
+
+  /**
+   * Stop playback, clear every slot and release scheduler.
    */
   async stop() {
     if (this.scheduler) {
       this.scheduler.stop();
     }
+    this._stopRenderLoop();
+    this.slots.clear();
     this.started = false;
   }
 
@@ -114,6 +339,8 @@ export class NativeAudioEngine {
    * Cleanup resources.
    */
   async cleanup() {
+    this.inputs.clear();
+    this.outputs.clear();
     await this.stop();
     this.scheduler = null;
     this.pattern = null;
@@ -125,16 +352,137 @@ export class NativeAudioEngine {
   getMetrics() {
     return {
       ...this._metrics,
-      playing: this.started
+      xruns: this.backend?.xruns ?? 0,
+      voices: this.mixer.activeVoices,
+      maxVoices: this.voiceManager.maxVoices,
+      stolenVoices: this.voiceManager.stolen,
+      clockDriftPpm: Math.round(this.clock.driftPpm),
+      clockSource: this._clockSource,
+      gainReduction: {
+        compressor: Number((this.compressor?.reductionDb ?? 0).toFixed(2)),
+        limiter: Number((this.limiter?.reductionDb ?? 0).toFixed(2))
+      },
+      playing: this.started,
+      recovering: this._recovering
     };
   }
 
+  /**
+   * Render a pattern faster than real time, without the scheduler or a
+   * backend. Haps are queried one cycle at a time and every rendered block is
+   * handed to `onBlock` (e.g. a WavWriter). The engine must not be playing.
+   * @param {object} pattern - Strudel Pattern instance
+   * @param {object} options
+   * @param {number} options.cycles - Number of cycles to render
+   * @param {number} [options.cps] - Cycles per second (defaults to the engine tempo)
+   * @param {number} [options.tail=0] - Extra seconds to let voices and effects ring out
+   * @param {Function} options.onBlock - Called with each interleaved Float32Array block
+   * @returns {Promise<{frames: number, seconds: number, events: number}>}
+   */
+  async renderOffline(pattern, { cycles, cps, tail = 0, onBlock }) {
+    if (this.started) {
+      throw new Error('Cannot render offline while the engine is playing');
+    }
+    if (this.samples && !this.samples.indexed) {
+      await this.samples.index();
+    }
+
+    const rate = cps || this.cps;
+    const frameAt = (seconds) => Math.round(seconds * this.sampleRate);
+    const totalFrames = frameAt(cycles / rate) + frameAt(tail);
+    let events = 0;
+
+    this.mixer.reset();
+    for (let cycle = 0; this.mixer.frame < totalFrames; cycle += 1) {
+      if (cycle < cycles) {
+        const haps = pattern.queryArc(cycle, Math.min(cycle + 1, cycles)).filter((hap) => hap.hasOnset());
+        for (const hap of haps) {
+          const voice = await this._createVoice(hap, hap.duration.valueOf() / rate, rate, frameAt(hap.whole.begin.valueOf() / rate));
+          if (voice) {
+            this.mixer.add(voice);
+            events += 1;
+          }
+        }
+      }
+
+      // Render up to the next cycle's first frame (or the end of the file)
+      const untilFrame = Math.min(frameAt((cycle + 1) / rate), totalFrames);
+      while (this.mixer.frame < untilFrame) {
+        let block = this._renderBlock();
+        const remaining = totalFrames - (this.mixer.frame - this.blockSize);
+        if (remaining < this.blockSize) {
+          block = block.subarray(0, remaining * this.channels);
+        }
+        await onBlock(block);
+      }
+    }
+
+    const frames = Math.min(this.mixer.frame, totalFrames);
+    this.mixer.reset();
+    return { frames, seconds: frames / this.sampleRate, events };
+  }
+
+  /**
+   * Scheduler time in seconds, read from the audio clock so hap times map
+   * directly onto mixer frames.
+   * @private
+   */
   _now() {
-    return performance.now() / 1000;
+    return this.clock.time;
+  }
+
+  /**
+   * Optional master compressor from audio.compressor (off by default).
+   * @private
+   */
+  _createCompressor() {
+    const options = this.config?.get('audio.compressor');
+    if (!options?.enabled) {
+      return null;
+    }
+    return new Compressor({ ...options, sampleRate: this.sampleRate, channels: this.channels });
   }
 
   /**
-   * Handle scheduled hap -> render short PCM burst to backend.
+   * Master brickwall limiter from audio.limiter (on unless disabled).
+   * @private
+   */
+  _createLimiter() {
+    const options = this.config?.get('audio.limiter') || {};
+    if (options.enabled === false) {
+      return null;
+    }
+    return new Limiter({ ...options, sampleRate: this.sampleRate, channels: this.channels });
+  }
+
+  /**
+   * Build the polyphony limiter from audio.maxVoices / audio.voiceStealing.
+   * @private
+   */
+  _createVoiceManager() {
+    const maxVoices = this.config?.get('audio.maxVoices') || 128;
+    const policy = this.config?.get('audio.voiceStealing') || 'oldest';
+    try {
+      return new VoiceManager({ maxVoices, policy });
+    } catch (error) {
+      this.logger?.warn?.(`${error.message}; using oldest`);
+      return new VoiceManager({ maxVoices });
+    }
+  }
+
+  /**
+   * Scheduler callback. The Cyclist does not await it, so a hap that fails
+   * to become a voice is logged here instead of rejecting unhandled.
+   * @private
+   */
+  _trigger(...args) {
+    return this._handleTrigger(...args).catch((error) => {
+      this.logger?.warn?.(`Dropping audio event: ${error.message}`);
+    });
+  }
+
+  /**
+   * Handle scheduled hap -> place a voice on the mixer timeline.
    * @private
    */
   async _handleTrigger(hap, _deadline, duration, cps, targetTime) {
@@ -143,60 +491,632 @@ export class NativeAudioEngine {
       return;
     }
 
-    // Compute frequency with graceful fallbacks
-    let freq = 440;
-    try {
-      freq = getFrequency(hap);
-    } catch {
-      if (typeof hap?.value === 'string') {
-        // Hash string to frequency range for percussion-ish tones
-        const hash = [...hap.value].reduce((acc, ch) => acc + ch.charCodeAt(0), 0);
-        freq = 200 + (hash % 600);
+    const voice = await this._createVoice(hap, duration, cps, this._frameAt(targetTime));
+    if (!voice) {
+      return;
+    }
+    this.mixer.add(voice);
+
+    this._metrics.events += 1;
+    if (voice.startFrame < this.mixer.frame) {
+      // Its start was already rendered: the voice starts late
+      this._metrics.lateEvents += 1;
+    }
+    this._metrics.cycle = this.scheduler?.lastEnd ?? this._metrics.cycle;
+    this._metrics.latencyMs = Math.max(0, Math.round((targetTime - this._now()) * 1000));
+  }
+
+  /**
+   * Schedule the stack of audible slots: swap it in while playing, or start
+   * the scheduler when there is something to play.
+   * @private
+   */
+  async _playSlots({ quantize = this.patternQuantize } = {}) {
+    await this.initialize();
+    const pattern = this.slots.pattern();
+
+    if (this.started) {
+      const at = this._swapCycle(quantize);
+      this.pattern = pattern;
+      await this.scheduler.setPattern(pattern, false, { at });
+      this.logger?.debug?.(`Pattern swapped on NativeAudioEngine${at === undefined ? '' : ` at cycle ${at}`}`);
+      return;
+    }
+    if (pattern === silence) {
+      return;
+    }
+
+    this.pattern = pattern;
+    this.scheduler.setCps(this.cps);
+    await this.scheduler.setPattern(pattern, true);
+    this.started = true;
+    this.logger?.debug?.('Pattern scheduled on NativeAudioEngine');
+  }
+
+  /**
+   * Cycle on which a quantised pattern swap should happen.
+   * @returns {number|undefined} Boundary cycle, or undefined for the next tick
+   * @private
+   */
+  _swapCycle(quantize) {
+    if (quantize === 'now') {
+      return undefined;
+    }
+    const grid = quantize === 'beat' ? 1 / BEATS_PER_CYCLE : quantize === 'cycle' ? 1 : Number(quantize);
+    if (!Number.isFinite(grid) || grid <= 0) {
+      throw new Error(`Unknown pattern quantize mode: ${quantize} (expected now|beat|cycle|<cycles>)`);
+    }
+    return Math.ceil(this.scheduler.lastEnd / grid) * grid;
+  }
+
+  /**
+   * Build the voice for a hap starting at an absolute mixer frame.
+   * @returns {Promise<Voice|null>} Voice, or null when the hap makes no sound
+   * @private
+   */
+  async _createVoice(hap, duration, cps, startFrame) {
+    const value = hap?.value !== null && typeof hap?.value === 'object' ? hap.value : {};
+    const gain = Math.min(1, value.amp ?? this.outputGain) * (value.gain ?? 1) * (value.velocity ?? 1);
+    const bus = this._busFor(value, cps);
+    const sound = typeof value.s === 'string' && value.bank ? `${value.bank}_${value.s}` : value.s;
+
+    const holdSeconds = Math.max(0.03, duration || 0.15) * (value.legato ?? value.clip ?? 1);
+    // Superdough plays a triangle when a note arrives without a sound
+    const waveform = value.s === undefined && (value.note !== undefined || value.freq !== undefined)
+      ? 'triangle'
+      : oscillatorType(value.s);
+
+    let voice;
+    if (waveform) {
+      const frequency = this._synthFrequencyOf(hap);
+      voice = new OscillatorVoice({
+        type: waveform,
+        frequency,
+        fm: this._fmFor(value, frequency, holdSeconds),
+        envelope: this._envelopeFor(value, holdSeconds, SYNTH_ADSR),
+        processors: this._processorsFor(value, holdSeconds),
+        sampleRate: this.sampleRate,
+        startFrame,
+        gain,
+        bus
+      });
+    } else if (typeof sound === 'string' && sound.startsWith(WAVETABLE_PREFIX) && this.samples?.has(sound)) {
+      const wavetable = await this.samples.loadWavetable(sound, value.n);
+      if (!wavetable) {
+        return null;
+      }
+      const positionEnvelope = this._positionEnvelopeFor(value, holdSeconds);
+      voice = new WavetableVoice({
+        wavetable,
+        frequency: this._synthFrequencyOf(hap),
+        position: value.wt ?? 0,
+        positionEnvelope,
+        depth: value.wtenv ?? 1,
+        phase: Math.random() * Math.min(Math.max(value.wtphaserand ?? 0, 0), 1),
+        envelope: this._envelopeFor(value, holdSeconds, SYNTH_ADSR),
+        processors: this._processorsFor(value, holdSeconds),
+        sampleRate: this.sampleRate,
+        startFrame,
+        gain,
+        bus
+      });
+    } else if (typeof sound === 'string' && this.samples?.has(sound)) {
+      const sample = this.samples.get(sound, value.n) || (await this.samples.load(sound, value.n));
+      if (!sample) {
+        return null;
+      }
+      const rate = this._sampleRateFor(value, sample, cps);
+      if (rate === 0) {
+        return null;
       }
+      const begin = value.begin ?? 0;
+      const end = value.end ?? 1;
+      // Samples ring out fully unless the pattern asks for a gate length
+      const gated = value.legato !== undefined || value.clip !== undefined
+        || value.release !== undefined || Boolean(value.loop);
+      const sampleSeconds = (Math.max(0, end - begin) * sample.length) / Math.abs(rate) / this.sampleRate;
+      voice = new SampleVoice({
+        sample,
+        rate: Math.abs(rate),
+        reverse: rate < 0,
+        begin,
+        end,
+        loop: Boolean(value.loop),
+        loopBegin: value.loopBegin ?? 0,
+        loopEnd: value.loopEnd ?? 1,
+        cut: value.cut,
+        envelope: this._envelopeFor(value, gated ? holdSeconds : sampleSeconds, SAMPLE_ADSR),
+        processors: this._processorsFor(value, gated ? holdSeconds : sampleSeconds),
+        startFrame,
+        gain,
+        bus
+      });
+    } else {
+      voice = new OscillatorVoice({
+        type: 'sine',
+        frequency: this._frequencyOf(hap),
+        envelope: this._envelopeFor(value, holdSeconds, SYNTH_ADSR),
+        processors: this._processorsFor(value, holdSeconds),
+        sampleRate: this.sampleRate,
+        startFrame,
+        gain,
+        bus
+      });
     }
 
-    const amplitude = Math.min(1, hap?.value?.amp ?? this.outputGain);
-    const durationSec = Math.max(0.03, duration || 0.15);
-    const renderStart = performance.now();
-    const buffer = this._synthesizeSine(freq, durationSec, amplitude);
-    const renderCost = performance.now() - renderStart;
+    return voice;
+  }
+
+  /**
+   * Build an ADSR envelope from a hap's attack/decay/sustain/release controls.
+   * @private
+   */
+  _envelopeFor(value, holdSeconds, defaults) {
+    const [attack, decay, sustain, release] = adsrValues(
+      [value.attack, value.decay, value.sustain, value.release],
+      defaults
+    );
+    return new Envelope({ attack, decay, sustain, release, hold: holdSeconds, sampleRate: this.sampleRate });
+  }
+
+  /**
+   * FM operator for a synth voice, or null when `fmi` is not set. Like
+   * superdough, the modulation only gets an envelope once one of its controls
+   * is set.
+   * @private
+   */
+  _fmFor(value, frequency, holdSeconds) {
+    if (!value.fmi) {
+      return null;
+    }
+    const envParams = [value.fmattack, value.fmdecay, value.fmsustain, value.fmrelease];
+    let envelope = null;
+    if (envParams.some((param) => param !== undefined) || value.fmvelocity !== undefined) {
+      const [attack, decay, sustain, release] = adsrValues(envParams, FM_ADSR);
+      envelope = new Envelope({
+        attack,
+        decay,
+        sustain,
+        release,
+        hold: holdSeconds,
+        sampleRate: this.sampleRate,
+        curve: value.fmenv === 'lin' ? 'linear' : 'exponential'
+      });
+    }
+    return new FmOperator({
+      frequency,
+      index: value.fmi,
+      harmonicity: value.fmh ?? 1,
+      wave: value.fmwave ?? 'sine',
+      envelope,
+      sampleRate: this.sampleRate
+    });
+  }
+
+  /**
+   * Wavetable position envelope, switched on (like the filter envelopes) by
+   * setting `wtenv` or any of its ADSR controls.
+   * @private
+   */
+  _positionEnvelopeFor(value, holdSeconds) {
+    const envParams = [value.wtattack, value.wtdecay, value.wtsustain, value.wtrelease];
+    if (value.wtenv === undefined && envParams.every((param) => param === undefined)) {
+      return null;
+    }
+    const [attack, decay, sustain, release] = adsrValues(envParams, FILTER_ADSR);
+    return new Envelope({ attack, decay, sustain, release, hold: holdSeconds, sampleRate: this.sampleRate });
+  }
 
-    const fireInMs = Math.max(0, (targetTime - this._now()) * 1000);
-    setTimeout(async () => {
+  /**
+   * Orbit routing and send levels for a hap. `delaysync` (in cycles) keeps
+   * the delay locked to the tempo; otherwise `delaytime` is in seconds.
+   * @private
+   */
+  _busFor(value, cps) {
+    const delayTime = typeof value.delaysync === 'number' && cps > 0
+      ? value.delaysync / cps
+      : value.delaytime ?? 0.25;
+    return {
+      orbit: value.orbit ?? 1,
+      pan: value.pan,
+      dry: value.dry ?? 1,
+      delay: value.delay ?? 0,
+      delayTime,
+      delayFeedback: value.delayfeedback ?? 0.5,
+      room: value.room ?? 0,
+      roomSize: value.roomsize ?? 2
+    };
+  }
+
+  /**
+   * Playback rate of a sample in source frames per output frame, following
+   * superdough: `speed` (negative reverses), repitching by `note`/`freq`
+   * relative to C3, `unit: 'c'` stretching the sample to one cycle, and any
+   * rate mismatch left in the buffer (the SampleBank resamples at load time).
+   * @private
+   */
+  _sampleRateFor(value, sample, cps) {
+    let rate = value.speed ?? 1;
+    if (value.note !== undefined || value.freq !== undefined) {
+      const midi = 12 * Math.log2(this._synthFrequencyOf({ value }) / 440) + 69;
+      rate *= 2 ** ((midi - 36) / 12);
+    }
+    if (value.unit === 'c' && cps > 0) {
+      rate *= (sample.length / (sample.sampleRate || this.sampleRate)) * cps;
+    }
+    return rate * ((sample.sampleRate || this.sampleRate) / this.sampleRate);
+  }
+
+  /**
+   * Per-voice processor chain in superdough's order: filters, vowel, coarse,
+   * crush, shape, distort.
+   * @private
+   */
+  _processorsFor(value, holdSeconds) {
+    const processors = this._filtersFor(value, holdSeconds);
+
+    if (value.vowel !== undefined) {
       try {
-        await this.backend.playBuffer(buffer);
+        processors.push(new VowelFilter({ vowel: value.vowel, sampleRate: this.sampleRate }));
       } catch (error) {
-        this.logger?.warn?.(`Backend write failed: ${error.message}`);
+        this.logger?.warn?.(error.message);
+      }
+    }
+    if (typeof value.coarse === 'number') {
+      processors.push(new CoarseProcessor({ coarse: value.coarse }));
+    }
+    if (typeof value.crush === 'number') {
+      processors.push(new CrushProcessor({ crush: value.crush }));
+    }
+    if (typeof value.shape === 'number') {
+      processors.push(new ShapeProcessor({ shape: value.shape, postgain: value.shapevol ?? 1 }));
+    }
+    if (typeof value.distort === 'number') {
+      processors.push(new DistortProcessor({ distort: value.distort, postgain: value.distortvol ?? 1 }));
+    }
+
+    return processors;
+  }
+
+  /**
+   * Build the low-pass -> high-pass -> band-pass chain requested by a hap.
+   * @private
+   */
+  _filtersFor(value, holdSeconds) {
+    const specs = [
+      ['lowpass', value.cutoff, value.resonance ?? 1, 'lp'],
+      ['highpass', value.hcutoff, value.hresonance ?? 1, 'hp'],
+      ['bandpass', value.bandf, value.bandq ?? 1, 'bp']
+    ];
+    const filters = [];
+
+    for (const [type, frequency, resonance, prefix] of specs) {
+      if (typeof frequency !== 'number') {
+        continue;
+      }
+      const envParams = [
+        value[`${prefix}attack`],
+        value[`${prefix}decay`],
+        value[`${prefix}sustain`],
+        value[`${prefix}release`]
+      ];
+      const depth = value[`${prefix}env`];
+      // Like superdough, setting any envelope control switches the sweep on
+      const hasEnvelope = depth !== undefined || envParams.some((param) => param !== undefined);
+      let envelope = null;
+      if (hasEnvelope) {
+        const [attack, decay, sustain, release] = adsrValues(envParams, FILTER_ADSR);
+        envelope = new Envelope({ attack, decay, sustain, release, hold: holdSeconds, sampleRate: this.sampleRate });
       }
-    }, fireInMs);
+      filters.push(new FilterProcessor({
+        type,
+        frequency,
+        resonance,
+        sampleRate: this.sampleRate,
+        envelope,
+        depth: depth ?? 1,
+        anchor: value.fanchor ?? 0
+      }));
+    }
 
-    this._metrics.events += 1;
-    this._metrics.cycle = this.scheduler?.lastEnd ?? this._metrics.cycle;
-    this._metrics.latencyMs = Math.round(fireInMs);
-    this._metrics.cpuAvg = Number(((this._metrics.cpuAvg * 0.9 + renderCost * 0.1)).toFixed(4));
+    return filters;
+  }
+
+  /**
+   * Convert an engine clock time (seconds) to an absolute mixer frame.
+   * @private
+   */
+  _frameAt(time) {
+    return Math.round(time * this.sampleRate);
+  }
+
+  /**
+   * Start streaming mixer blocks to the backend.
+   * @private
+   */
+  _startRenderLoop() {
+    if (this._renderTimer) {
+      return;
+    }
+    this.mixer.reset();
+    this.clock.start();
+    this._framesAcked = 0;
+    this._playbackOrigin = this.backend?.getPlaybackFrames?.() ?? 0;
+    this._pipeOffset = null;
+    this._starved = false;
+    const blockMs = (this.blockSize / this.sampleRate) * 1000;
+    this._renderTimer = setInterval(() => this._pump(), Math.max(1, Math.floor(blockMs / 2)));
+    this._pump();
+  }
+
+  /**
+   * Stop the render loop and drop pending voices.
+   * @private
+   */
+  _stopRenderLoop() {
+    if (this._renderTimer) {
+      clearInterval(this._renderTimer);
+      this._renderTimer = null;
+    }
+    this.clock.stop();
+    this.mixer.reset();
+  }
+
+  /**
+   * Feed the audio clock, then render as many blocks as needed to stay
+   * `latency` ahead of the playback position. Tracks DSP load (render time as
+   * a share of the block's duration), underruns (the playback position
+   * overtook the rendered audio) and the audio queued ahead of the device,
+   * including a pipe-fed player's own buffer.
+   * @private
+   */
+  _pump() {
+    const leadFrames = Math.ceil((this.latencyMs / 1000) * this.sampleRate);
+    this.clock.report(this._playbackFrames(leadFrames));
+    const playhead = Math.floor(this.clock.frame);
+    const targetFrame = playhead + leadFrames;
+
+    // The device has played past everything rendered so far (the clock
+    // starts a moment before the first block, so that one does not count)
+    const starved = this.mixer.frame > 0 && this.mixer.frame < playhead;
+    if (starved && !this._starved) {
+      this._metrics.underruns += 1;
+    }
+    this._starved = starved;
+
+    const blockMs = (this.blockSize / this.sampleRate) * 1000;
+    const metrics = this._metrics;
+    while (this.mixer.frame < targetFrame) {
+      const renderStart = performance.now();
+      const block = this._renderBlock();
+      const renderCost = performance.now() - renderStart;
+      const load = (renderCost / blockMs) * 100;
+      metrics.renderMs = Number((metrics.renderMs * 0.9 + renderCost * 0.1).toFixed(4));
+      metrics.cpuAvg = Number((metrics.cpuAvg * 0.9 + load * 0.1).toFixed(1));
+      metrics.cpuPeak = Number(Math.max(load, metrics.cpuPeak * LOAD_PEAK_DECAY).toFixed(1));
+      for (const output of this.outputs) {
+        output.write(block);
+      }
+      this._write(block);
+    }
+    const queued = this.mixer.frame - this.clock.frame + this._backendLatencyFrames();
+    metrics.queuedMs = Number(((queued / this.sampleRate) * 1000).toFixed(1));
+  }
+
+  /**
+   * Audio a pipe-fed player holds on top of what the clock counts as queued.
+   * Backends that report their playback position are already exact, since
+   * the clock follows them.
+   * @private
+   */
+  _backendLatencyFrames() {
+    if (this._clockSource === 'device') {
+      return 0;
+    }
+    return this.backend?.getLatencyFrames?.() || 0;
+  }
+
+  /**
+   * Frames the backend has played. Backends that know their position expose
+   * `getPlaybackFrames()`, counted here from where the render loop started.
+   * Pipe-fed players (aplay, paplay, pw-play, jack-stdin) report none, so
+   * the clock follows the wall clock until back-pressure is reached: once
+   * the pipe and the player's buffer are full, writes stop completing and
+   * the player accepts audio only as fast as it plays it. From then on the
+   * frames it has accepted, less the pipe and player buffer between them and
+   * the clock when back-pressure set in, estimate the position, and the
+   * clock's rate loop takes the drift out. A starved player only shows up in
+   * the xruns it reports itself. getMetrics().clockSource says which case
+   * applies.
+   * @param {number} leadFrames - Frames the render loop keeps ahead of the clock
+   * @private
+   */
+  _playbackFrames(leadFrames) {
+    const reported = this.backend?.getPlaybackFrames?.();
+    if (typeof reported === 'number') {
+      this._clockSource = 'device';
+      return reported - this._playbackOrigin;
+    }
+    if (this.mixer.frame - this._framesAcked > leadFrames + 2 * this.blockSize) {
+      if (this._pipeOffset === null) {
+        this._pipeOffset = this._framesAcked - this.clock.frame;
+      }
+      this._clockSource = 'pipe';
+      return this._framesAcked - this._pipeOffset;
+    }
+    this._clockSource = 'wall';
+    return this.clock.frame;
+  }
+
+  /**
+   * Render the next mixer block, add the attached inputs and run the result
+   * through the master dynamics.
+   * @private
+   */
+  _renderBlock() {
+    const block = this.mixer.render();
+    for (const input of this.inputs) {
+      input.render(block, this.channels);
+    }
+    this.compressor?.process(block);
+    this.limiter?.process(block);
+    return block;
+  }
+
+  /**
+   * Hand a rendered block to the backend.
+   * @private
+   */
+  _write(block) {
+    const buffer = Buffer.from(block.buffer, block.byteOffset, block.byteLength);
+    const frames = block.length / this.channels;
+    if (this._recovering) {
+      // Nothing to play on until the backend is back
+      this._framesAcked += frames;
+      return;
+    }
+    Promise.resolve()
+      .then(() => this.backend?.playBuffer(buffer))
+      .then(() => {
+        this._writeFailing = false;
+      })
+      .catch((error) => {
+        // Warn once per failure streak instead of once per block
+        if (!this._writeFailing) {
+          this.logger?.warn?.(`Backend write failed: ${error.message}`);
+        }
+        this._writeFailing = true;
+      })
+      .finally(() => {
+        // Dropped blocks count as consumed so time keeps moving without a backend
+        this._framesAcked += frames;
+      });
+  }
+
+  /**
+   * Listen for a backend's player going away.
+   * @private
+   */
+  _watchBackend(backend) {
+    if (this.backend?.off) {
+      this.backend.off('exit', this._onBackendExit);
+      this.backend.off('error', this._onBackendError);
+    }
+    this.backend = backend;
+    if (backend?.on) {
+      backend.on('exit', this._onBackendExit);
+      backend.on('error', this._onBackendError);
+    }
+  }
+
+  /**
+   * Start recovery when the backend dies mid-stream. Exits while the render
+   * loop is off are stop()s or idle deaths the next start respawns anyway.
+   * @private
+   */
+  _handleBackendLoss(reason) {
+    if (!this._renderTimer || this._recovering) {
+      return;
+    }
+    if (performance.now() - this._recoveredAt > RECOVERY_STABLE_MS) {
+      this._respawns = 0;
+    }
+    this.logger?.warn?.(`Audio backend ${reason}`);
+    this.emit('backend', { status: 'lost', reason });
+    this._recoverBackend().catch((error) => {
+      this._recovering = false;
+      this.logger?.error?.(`Backend recovery failed: ${error.message}`);
+    });
   }
 
   /**
-   * Generate a simple sine buffer with a short fade-in/out to avoid clicks.
+   * Respawn the backend with exponential backoff, then fail over to the
+   * backends the failover callback offers, until one starts or none is left.
+   * Gives up quietly if playback stops meanwhile.
    * @private
    */
-  _synthesizeSine(frequency, durationSec, amplitude) {
-    const totalSamples = Math.max(1, Math.floor(durationSec * this.sampleRate));
-    const buffer = Buffer.alloc(totalSamples * this.channels * 4);
-    const fadeSamples = Math.min(256, Math.floor(totalSamples * 0.1));
+  async _recoverBackend() {
+    this._recovering = true;
+    const { retries, delay, failover } = this.recovery;
+
+    while (this._renderTimer) {
+      if (this._respawns < retries) {
+        this._respawns += 1;
+        const delayMs = delay * 1000 * 2 ** (this._respawns - 1);
+        this.emit('backend', { status: 'recovering', attempt: this._respawns, retries, delayMs });
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+        if (!this._renderTimer) {
+          break;
+        }
+      } else {
+        const next = failover && this.failover ? await this.failover(this.backend) : null;
+        if (!next) {
+          this.emit('backend', { status: 'failed' });
+          this.logger?.error?.('Audio output lost: no backend could be restarted');
+          break;
+        }
+        this._watchBackend(next);
+        this._respawns = 0;
+        this.emit('backend', { status: 'failover' });
+      }
 
-    for (let i = 0; i < totalSamples; i += 1) {
-      const phase = (2 * Math.PI * frequency * i) / this.sampleRate;
-      const fadeIn = i < fadeSamples ? i / fadeSamples : 1;
-      const fadeOut = i > totalSamples - fadeSamples ? (totalSamples - i) / fadeSamples : 1;
-      const env = Math.min(fadeIn, fadeOut);
-      const sample = Math.sin(phase) * amplitude * env;
-      for (let ch = 0; ch < this.channels; ch += 1) {
-        const idx = (i * this.channels + ch) * 4;
-        buffer.writeFloatLE(sample, idx);
+      try {
+        await this.backend.initialize();
+      } catch (error) {
+        this.logger?.debug?.(`Backend restart failed: ${error.message}`);
+        continue;
       }
+      this._playbackOrigin = (this.backend.getPlaybackFrames?.() ?? 0) - Math.floor(this.clock.frame);
+      this._pipeOffset = null;
+      this._recovering = false;
+      this._recoveredAt = performance.now();
+      this._writeFailing = false;
+      this.emit('backend', { status: 'recovered' });
+      return;
     }
 
-    return buffer;
+    this._recovering = false;
+  }
+
+  /**
+   * Frequency for synth voices; notes default to C2 like superdough, as do
+   * note names that cannot be parsed (warned about once per name).
+   * @private
+   */
+  _synthFrequencyOf(hap) {
+    const { note, freq } = hap.value;
+    if (typeof freq === 'number') {
+      return freq;
+    }
+    if (typeof note === 'string') {
+      try {
+        return midiToFreq(noteToMidi(note));
+      } catch (error) {
+        if (!this._invalidNotes.has(note)) {
+          this._invalidNotes.add(note);
+          this.logger?.warn?.(`${error.message}; playing C2 instead`);
+        }
+        return midiToFreq(36);
+      }
+    }
+    return midiToFreq(typeof note === 'number' ? note : 36);
+  }
+
+  /**
+   * Compute a hap's frequency with graceful fallbacks.
+   * @private
+   */
+  _frequencyOf(hap) {
+    try {
+      return getFrequency(hap);
+    } catch {
+      const name = typeof hap?.value === 'string' ? hap.value : hap?.value?.s;
+      if (typeof name === 'string') {
+        // Hash string to frequency range for percussion-ish tones
+        const hash = [...name].reduce((acc, ch) => acc + ch.charCodeAt(0), 0);
+        return 200 + (hash % 600);
+      }
+    }
+    return 440;
   }
 }
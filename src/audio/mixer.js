@@ -0,0 +1,211 @@
+/**
+ * Mixer - Block-based voice summing for the native engine.
+ *
+ * Voices are positioned on an absolute frame timeline. Each call to render()
+ * produces one fixed-size interleaved Float32 block, starting every voice at
+ * its exact frame offset inside the block and summing it into its orbit's bus.
+ * Each orbit runs its delay/reverb sends and is then mixed into the master
+ * output on channels 1/2, or on the channel pair configured for it in
+ * `orbitChannels` so parts can feed separate inputs of a multichannel
+ * interface. A voice with a `cut` group chokes earlier voices of the same
+ * group at the exact frame it starts, and an optional VoiceManager caps
+ * polyphony by stealing voices. Rendering an empty mixer yields
+ * silence, so the output stream never stalls.
+ *
+ * @module audio/mixer
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import { Orbit } from './orbit.js';
+
+const DEFAULT_BUS = { orbit: 1 };
+const DEFAULT_ROUTE = [0, 1];
+const CHOKE_SECONDS = 0.01;
+
+export class Mixer {
+  /**
+   * @param {object} options
+   * @param {number} options.channels - Output channel count
+   * @param {number} options.blockSize - Frames per rendered block
+   * @param {number} [options.sampleRate=48000] - Engine sample rate (for effects)
+   * @param {object} [options.orbitChannels={}] - Orbit to 1-based output channels,
+   *   e.g. `{ 2: [3, 4] }` for a stereo pair or `{ 3: 5 }` for a mono channel
+   * @param {VoiceManager} [options.voiceManager] - Polyphony limit (none = unlimited)
+   */
+  constructor({ channels = 2, blockSize = 256, sampleRate = 48000, orbitChannels = {}, voiceManager = null } = {}) {
+    this.channels = channels;
+    this.voiceManager = voiceManager;
+    this.blockSize = blockSize;
+    this.sampleRate = sampleRate;
+    this.routes = this._parseRoutes(orbitChannels);
+    this.frame = 0;
+    this.voices = [];
+    this.orbits = new Map();
+    this._scratch = new Float32Array(blockSize);
+  }
+
+  /**
+   * Get (or lazily create) an orbit bus.
+   * @param {number|string} id - Orbit number
+   * @returns {Orbit}
+   */
+  orbit(id) {
+    if (!this.orbits.has(id)) {
+      this.orbits.set(id, new Orbit(id, { sampleRate: this.sampleRate, blockSize: this.blockSize }));
+    }
+    return this.orbits.get(id);
+  }
+
+  /**
+   * Add a voice to the mix.
+   * @param {Voice} voice - Voice with startFrame, gain and render()
+   */
+  add(voice) {
+    this.voices.push(voice);
+  }
+
+  /**
+   * Number of voices currently held (playing or waiting to start).
+   * @returns {number}
+   */
+  get activeVoices() {
+    return this.voices.length;
+  }
+
+  /**
+   * Render the next block and advance the timeline.
+   * @returns {Float32Array} Interleaved block of blockSize * channels samples
+   */
+  render() {
+    const { blockSize, channels } = this;
+    const out = new Float32Array(blockSize * channels);
+    const blockStart = this.frame;
+    const blockEnd = blockStart + blockSize;
+    const scratch = this._scratch;
+    const remaining = [];
+
+    for (const orbit of this.orbits.values()) {
+      orbit.clear();
+    }
+    this._chokeCutGroups(blockStart, blockEnd);
+    this.voiceManager?.enforce(this.voices, blockEnd);
+
+    for (const voice of this.voices) {
+      if (voice.startFrame >= blockEnd) {
+        remaining.push(voice);
+        continue;
+      }
+
+      const bus = voice.bus || DEFAULT_BUS;
+      const orbit = this.orbit(bus.orbit ?? 1);
+      if (!voice.started) {
+        orbit.configure(bus);
+        voice.started = true;
+      }
+
+      // Late voices (start frame already rendered) begin at the top of the block
+      const offset = Math.max(0, voice.startFrame - blockStart);
+      scratch.fill(0);
+      const alive = voice.render(scratch, offset, blockSize - offset);
+      orbit.addVoice(scratch, offset, voice.gain, bus, blockStart);
+
+      if (alive) {
+        remaining.push(voice);
+      }
+    }
+
+    for (const orbit of this.orbits.values()) {
+      orbit.process(blockStart);
+      this._mixOrbit(orbit, out);
+    }
+
+    this.voices = remaining;
+    this.frame = blockEnd;
+    return out;
+  }
+
+  /**
+   * Release voices whose cut group is taken over by a voice starting in this
+   * block, timing the release to the new voice's start frame.
+   * @private
+   */
+  _chokeCutGroups(blockStart, blockEnd) {
+    for (const voice of this.voices) {
+      if (voice.started || voice.cut === undefined || voice.startFrame >= blockEnd) {
+        continue;
+      }
+      for (const other of this.voices) {
+        if (other !== voice && other.cut === voice.cut && other.startFrame < voice.startFrame) {
+          const delay = Math.max(0, voice.startFrame - Math.max(blockStart, other.startFrame));
+          other.release(CHOKE_SECONDS, delay);
+        }
+      }
+    }
+  }
+
+  /**
+   * Output channels (0-based) an orbit is mixed into.
+   * @param {number|string} id - Orbit number
+   * @returns {number[]} [left, right] or a single channel for mono
+   */
+  routeFor(id) {
+    if (this.channels === 1) {
+      return [0];
+    }
+    return this.routes.get(String(id)) || DEFAULT_ROUTE;
+  }
+
+  /**
+   * Add an orbit's stereo bus to the interleaved master block. A route with
+   * a single channel gets the average of both sides.
+   * @private
+   */
+  _mixOrbit(orbit, out) {
+    const { blockSize, channels } = this;
+    const { outL, outR } = orbit;
+    const route = this.routeFor(orbit.id);
+
+    if (route.length === 1) {
+      const [ch] = route;
+      for (let i = 0; i < blockSize; i += 1) {
+        out[i * channels + ch] += (outL[i] + outR[i]) / 2;
+      }
+      return;
+    }
+
+    const [left, right] = route;
+    for (let i = 0; i < blockSize; i += 1) {
+      const base = i * channels;
+      out[base + left] += outL[i];
+      out[base + right] += outR[i];
+    }
+  }
+
+  /**
+   * Normalise the orbitChannels config into 0-based routes, dropping entries
+   * that point outside the available channels.
+   * @private
+   */
+  _parseRoutes(orbitChannels) {
+    const routes = new Map();
+    for (const [orbit, spec] of Object.entries(orbitChannels || {})) {
+      const route = (Array.isArray(spec) ? spec : [spec]).slice(0, 2).map((ch) => Number(ch) - 1);
+      const valid = route.length > 0
+        && route.every((ch) => Number.isInteger(ch) && ch >= 0 && ch < this.channels);
+      if (valid) {
+        routes.set(String(orbit), route);
+      }
+    }
+    return routes;
+  }
+
+  /**
+   * Drop all voices and rewind the timeline.
+   */
+  reset() {
+    this.voices = [];
+    this.orbits.clear();
+    this.frame = 0;
+  }
+}
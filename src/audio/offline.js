@@ -0,0 +1,123 @@
+/**
+ * OfflineRenderer - Bounce patterns to WAV files without a sound card.
+ *
+ * Evaluates pattern code with the PatternEvaluator, then drives a
+ * NativeAudioEngine's offline render (no scheduler, no backend) into a
+ * WavWriter as fast as the CPU allows. Sample rate and tempo can be
+ * overridden per render without touching the stored configuration.
+ *
+ * @module audio/offline
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import { readFile } from 'fs/promises';
+import { performance } from 'perf_hooks';
+import { NativeAudioEngine } from './engine.js';
+import { SampleBank } from './sample-bank.js';
+import { WavWriter } from './wav.js';
+import { SampleCache } from '../samples/cache.js';
+import { PatternEvaluator } from '../patterns/evaluator.js';
+
+export class OfflineRenderer {
+  /**
+   * @param {Config} config - Configuration manager
+   * @param {Logger} logger - Logger instance
+   * @param {object} [options]
+   * @param {SampleBank} [options.samples] - Sample bank (defaults to one built from config and cache)
+   */
+  constructor(config, logger, { samples } = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.samples = samples;
+  }
+
+  /**
+   * Render a pattern file to WAV.
+   * @param {string} file - Pattern source file
+   * @param {object} options - See render()
+   * @returns {Promise<object>} Render summary
+   */
+  async renderFile(file, options) {
+    const code = await readFile(file, 'utf-8');
+    return this.render(code, options);
+  }
+
+  /**
+   * Render pattern code to WAV.
+   * @param {string} code - Pattern source code
+   * @param {object} options
+   * @param {string} options.out - Output WAV path
+   * @param {number} [options.cycles=4] - Number of cycles to render
+   * @param {number} [options.sampleRate] - Output sample rate (defaults to audio.sampleRate)
+   * @param {number} [options.bpm] - Tempo (defaults to setcps()/setcpm() in the code, then audio.bpm)
+   * @param {number} [options.tail=0] - Extra seconds for release and effect tails
+   * @param {number} [options.bitDepth=32] - 16, 24 or 32 (float)
+   * @returns {Promise<{file: string, frames: number, seconds: number, events: number, bytes: number, realtimeFactor: number}>}
+   */
+  async render(code, { out, cycles = 4, sampleRate, bpm, tail = 0, bitDepth = 32 }) {
+    if (!out) {
+      throw new Error('An output file is required');
+    }
+    if (!(cycles > 0)) {
+      throw new Error(`Invalid cycle count: ${cycles}`);
+    }
+
+    const config = this._overlayConfig({ 'audio.sampleRate': sampleRate, 'audio.bpm': bpm });
+    const engine = new NativeAudioEngine({
+      backend: null,
+      config,
+      logger: this.logger,
+      samples: this.samples || new SampleBank(config, this.logger, {
+        cache: new SampleCache(config, this.logger)
+      })
+    });
+    const evaluator = new PatternEvaluator(null, this.logger);
+    const pattern = await evaluator.evaluate(code);
+
+    const writer = new WavWriter(out, {
+      sampleRate: engine.sampleRate,
+      channels: engine.channels,
+      bitDepth
+    });
+    const started = performance.now();
+    await writer.open();
+
+    let result;
+    let written;
+    try {
+      result = await engine.renderOffline(pattern, {
+        cycles,
+        // An explicit tempo wins over setcps()/setcpm() in the code
+        cps: bpm ? undefined : evaluator.cps,
+        tail,
+        onBlock: (block) => writer.write(block)
+      });
+    } finally {
+      written = await writer.close();
+      await evaluator.cleanup();
+    }
+
+    const elapsed = (performance.now() - started) / 1000;
+    const summary = {
+      file: out,
+      ...result,
+      bytes: written.bytes,
+      realtimeFactor: elapsed > 0 ? Number((result.seconds / elapsed).toFixed(1)) : Infinity
+    };
+    this.logger?.debug?.(`Rendered ${summary.seconds.toFixed(2)}s in ${elapsed.toFixed(2)}s (${summary.realtimeFactor}x)`);
+    return summary;
+  }
+
+  /**
+   * Config view with per-render overrides layered on top of the store.
+   * @private
+   */
+  _overlayConfig(overrides) {
+    const base = this.config;
+    return {
+      get: (key) => overrides[key] ?? base?.get(key),
+      set: (key, value) => base?.set(key, value)
+    };
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * Orbit - Per-orbit bus with its own delay and reverb sends.
+ *
+ * Voices on the same orbit share one effect chain, like superdough's orbits:
+ * each voice is panned onto the stereo bus, `delay` and `room` set send
+ * levels, and the most recently started voice sets the orbit's delay
+ * time/feedback and reverb size.
+ *
+ * @module audio/orbit
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import { FeedbackDelay, Reverb } from './dsp/effects.js';
+
+/**
+ * Equal-power pan gains for a mono voice. Strudel's `pan` runs from 0 (left)
+ * to 1 (right); an unset pan leaves the voice at full level on both sides,
+ * matching superdough, which only inserts a panner when `pan` is given.
+ * @param {number} [pan] - Pan position (0-1)
+ * @returns {number[]} [left, right] gains
+ */
+export function panGains(pan) {
+  if (typeof pan !== 'number' || Number.isNaN(pan)) {
+    return [1, 1];
+  }
+  const angle = (Math.min(Math.max(pan, 0), 1) * Math.PI) / 2;
+  return [Math.cos(angle), Math.sin(angle)];
+}
+
+export class Orbit {
+  /**
+   * @param {number|string} id - Orbit number
+   * @param {object} options
+   * @param {number} options.sampleRate - Engine sample rate
+   * @param {number} options.blockSize - Frames per block
+   */
+  constructor(id, { sampleRate, blockSize }) {
+    this.id = id;
+    this.sampleRate = sampleRate;
+    this.blockSize = blockSize;
+    this.outL = new Float32Array(blockSize);
+    this.outR = new Float32Array(blockSize);
+    this.delayL = new Float32Array(blockSize);
+    this.delayR = new Float32Array(blockSize);
+    this.reverbL = new Float32Array(blockSize);
+    this.reverbR = new Float32Array(blockSize);
+    this.delay = null;
+    this.reverb = null;
+    this._delayActiveUntil = 0;
+    this._reverbActiveUntil = 0;
+  }
+
+  /**
+   * Reset bus buffers at the start of a block.
+   */
+  clear() {
+    this.outL.fill(0);
+    this.outR.fill(0);
+    this.delayL.fill(0);
+    this.delayR.fill(0);
+    this.reverbL.fill(0);
+    this.reverbR.fill(0);
+  }
+
+  /**
+   * Apply a voice's orbit-wide effect parameters.
+   * @param {object} bus - Voice bus settings
+   */
+  configure(bus) {
+    if (bus.delay > 0) {
+      this.delay = this.delay || new FeedbackDelay(this.sampleRate);
+      this.delay.setParams(bus.delayTime, bus.delayFeedback);
+    }
+    if (bus.room > 0) {
+      this.reverb = this.reverb || new Reverb(this.sampleRate);
+      this.reverb.setSize(bus.roomSize);
+    }
+  }
+
+  /**
+   * Add a rendered voice block to the dry bus and effect sends.
+   * @param {Float32Array} block - Mono voice block
+   * @param {number} offset - First valid index
+   * @param {number} gain - Voice gain
+   * @param {object} bus - Voice bus settings ({ pan, dry, delay, room })
+   * @param {number} frame - Absolute frame of the block start
+   */
+  addVoice(block, offset, gain, bus, frame) {
+    const dry = bus.dry ?? 1;
+    const delaySend = this.delay ? bus.delay || 0 : 0;
+    const reverbSend = this.reverb ? bus.room || 0 : 0;
+    const [panL, panR] = panGains(bus.pan);
+
+    for (let i = offset; i < this.blockSize; i += 1) {
+      const left = block[i] * gain * panL;
+      const right = block[i] * gain * panR;
+      this.outL[i] += left * dry;
+      this.outR[i] += right * dry;
+      if (delaySend) {
+        this.delayL[i] += left * delaySend;
+        this.delayR[i] += right * delaySend;
+      }
+      if (reverbSend) {
+        this.reverbL[i] += left * reverbSend;
+        this.reverbR[i] += right * reverbSend;
+      }
+    }
+
+    const blockEnd = frame + this.blockSize;
+    if (delaySend) {
+      this._delayActiveUntil = blockEnd + Math.ceil(this.delay.tailSeconds * this.sampleRate);
+    }
+    if (reverbSend) {
+      this._reverbActiveUntil = blockEnd + Math.ceil(this.reverb.tailSeconds * this.sampleRate);
+    }
+  }
+
+  /**
+   * Run the effects for this block (skipping them once their tails have
+   * died away) and leave the stereo result in outL/outR.
+   * @param {number} frame - Absolute frame of the block start
+   */
+  process(frame) {
+    if (this.delay && frame < this._delayActiveUntil) {
+      this.delay.process(this.delayL, this.delayR, this.outL, this.outR, this.blockSize);
+    }
+    if (this.reverb && frame < this._reverbActiveUntil) {
+      this.reverb.process(this.reverbL, this.reverbR, this.outL, this.outR, this.blockSize);
+    }
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * SampleBank - Resolves Strudel sound names to decoded sample buffers.
+ *
+ * Indexes Dirt-Samples style folders (`bd/BT0A0A7.wav`, `hh/000_hh3closedhh.wav`)
+ * under `samples.localPath` and the sample cache, then decodes and keeps the
+ * buffers in memory so repeated triggers do not touch the disk. Files whose
+ * rate differs from `audio.sampleRate` are resampled once at load time, in
+ * chunks that leave the engine's render loop running, and the converted
+ * buffer is what gets cached. `wt_` sounds can also be loaded as
+ * Wavetables, which keep the file's own resolution so frames stay whole. A
+ * file that cannot be read or decoded is warned about once and then treated
+ * as silent until clear(), so dense patterns do not hit the disk again.
+ *
+ * @module audio/sample-bank
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { existsSync } from 'fs';
+import { getSoundIndex } from '@strudel/core';
+import { decodeWav } from './wav.js';
+import { resampleAsync } from './dsp/resample.js';
+import { Wavetable } from './dsp/wavetable.js';
+
+const AUDIO_EXTENSIONS = new Set(['.wav', '.wave']);
+const MAX_SCAN_DEPTH = 5;
+
+export class SampleBank {
+  /**
+   * @param {Config} config - Config provider
+   * @param {Logger} logger - Logger instance
+   * @param {object} options
+   * @param {SampleCache} [options.cache] - Sample cache whose directory is also indexed
+   * @param {string[]} [options.roots] - Explicit search roots (overrides config)
+   */
+  constructor(config, logger, options = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.roots = options.roots || this._resolveRoots(options.cache);
+    this.sampleRate = this.config?.get('audio.sampleRate') || 48000;
+    this.banks = new Map();
+    this.buffers = new Map();
+    this.pending = new Map();
+    this.wavetables = new Map();
+    this.failed = new Map();
+    this.indexed = false;
+  }
+
+  /**
+   * Scan search roots and build the bank name -> files map.
+   * @returns {Promise<void>}
+   */
+  async index() {
+    this.banks.clear();
+    for (const root of this.roots) {
+      if (!existsSync(root)) {
+        continue;
+      }
+      await this._scan(root, 0);
+    }
+    this.indexed = true;
+    this.logger?.debug?.(`Sample bank indexed ${this.banks.size} sounds from ${this.roots.join(', ')}`);
+  }
+
+  /**
+   * Whether a sound name maps to at least one file.
+   * @param {string} name - Sound name (e.g. "bd")
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.banks.has(this._splitName(name).name);
+  }
+
+  /**
+   * List known sound names.
+   * @returns {string[]}
+   */
+  list() {
+    return [...this.banks.keys()].sort();
+  }
+
+  /**
+   * Resolve a sound name and index to a file path.
+   * @param {string} name - Sound name, optionally with ":n" suffix
+   * @param {number} [n=0] - Index within the bank (wraps around)
+   * @returns {string|null}
+   */
+  resolvePath(name, n = 0) {
+    const split = this._splitName(name);
+    const files = this.banks.get(split.name);
+    if (!files || files.length === 0) {
+      return null;
+    }
+    return files[getSoundIndex(split.n ?? n, files.length)];
+  }
+
+  /**
+   * Get an already decoded buffer without touching the disk.
+   * @param {string} name - Sound name
+   * @param {number} [n=0] - Index within the bank
+   * @returns {object|null} Decoded buffer or null if not loaded yet
+   */
+  get(name, n = 0) {
+    const filePath = this.resolvePath(name, n);
+    return filePath ? this.buffers.get(filePath) || null : null;
+  }
+
+  /**
+   * Load (or reuse) the decoded buffer for a sound.
+   * @param {string} name - Sound name
+   * @param {number} [n=0] - Index within the bank
+   * @returns {Promise<object|null>} Decoded buffer, or null if the sound is
+   *   unknown or its file failed to load
+   */
+  async load(name, n = 0) {
+    const filePath = this.resolvePath(name, n);
+    if (!filePath) {
+      return null;
+    }
+    if (this.buffers.has(filePath)) {
+      return this.buffers.get(filePath);
+    }
+    if (this.failed.has(filePath)) {
+      return null;
+    }
+    if (!this.pending.has(filePath)) {
+      const loading = this._decodeFile(filePath)
+        .catch((error) => this._fail(filePath, 'sample', error))
+        .finally(() => this.pending.delete(filePath));
+      this.pending.set(filePath, loading);
+    }
+    return this.pending.get(filePath);
+  }
+
+  /**
+   * Load (or reuse) a sound as a wavetable of single-cycle frames.
+   * @param {string} name - Sound name
+   * @param {number} [n=0] - Index within the bank
+   * @returns {Promise<Wavetable|null>} Wavetable, or null if the sound is
+   *   unknown or its file failed to load
+   */
+  async loadWavetable(name, n = 0) {
+    const filePath = this.resolvePath(name, n);
+    if (!filePath) {
+      return null;
+    }
+    if (!this.wavetables.has(filePath)) {
+      const loading = fs.readFile(filePath).then((data) => {
+        const decoded = decodeWav(data);
+        this.logger?.debug?.(`Loaded wavetable ${filePath} (${decoded.length} samples)`);
+        return new Wavetable(decoded, { cycleLength: decoded.cycleLength });
+      }).catch((error) => this._fail(filePath, 'wavetable', error));
+      this.wavetables.set(filePath, loading);
+    }
+    return this.wavetables.get(filePath);
+  }
+
+  /**
+   * Drop decoded buffers from memory, and forget failed files so they are
+   * read again.
+   */
+  clear() {
+    this.buffers.clear();
+    this.wavetables.clear();
+    this.failed.clear();
+  }
+
+  /**
+   * Read, decode and convert a file to the engine rate, storing the result in
+   * memory.
+   * @param {string} filePath
+   * @returns {Promise<object>}
+   * @private
+   */
+  async _decodeFile(filePath) {
+    const data = await fs.readFile(filePath);
+    const decoded = decodeWav(data);
+    const buffer = { ...(await resampleAsync(decoded, this.sampleRate)), path: filePath, sourceSampleRate: decoded.sampleRate };
+    this.buffers.set(filePath, buffer);
+    this.logger?.debug?.(
+      `Loaded sample ${filePath} (${decoded.length} frames @ ${decoded.sampleRate}Hz` +
+        `${decoded.sampleRate !== this.sampleRate ? ` -> ${buffer.length} @ ${this.sampleRate}Hz` : ''})`
+    );
+    return buffer;
+  }
+
+  /**
+   * Remember a file that failed to load and warn about it once.
+   * @param {string} filePath
+   * @param {string} kind - What the file was loaded as
+   * @param {Error} error
+   * @returns {null}
+   * @private
+   */
+  _fail(filePath, kind, error) {
+    this.failed.set(filePath, error);
+    this.logger?.warn?.(`Failed to load ${kind} ${filePath}: ${error.message}`);
+    return null;
+  }
+
+  /**
+   * Recursively collect folders that contain audio files.
+   * @param {string} dir
+   * @param {number} depth
+   * @private
+   */
+  async _scan(dir, depth) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      this.logger?.debug?.(`Skipping unreadable sample dir ${dir}: ${error.message}`);
+      return;
+    }
+
+    const files = entries
+      .filter((entry) => entry.isFile() && AUDIO_EXTENSIONS.has(path.extname(entry.name).toLowerCase()))
+      .map((entry) => entry.name)
+      // Numbered packs (bd2.wav, bd10.wav) keep their numeric order for `n`
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    const name = path.basename(dir).toLowerCase();
+    // Earlier roots win so a user's own folder can shadow a cached pack
+    if (files.length > 0 && !this.banks.has(name)) {
+      this.banks.set(name, files.map((file) => path.join(dir, file)));
+    }
+
+    if (depth >= MAX_SCAN_DEPTH) {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (entry.isDirectory() && !entry.name.startsWith('.')) {
+        await this._scan(path.join(dir, entry.name), depth + 1);
+      }
+    }
+  }
+
+  /**
+   * Split "bd:3" into name and index.
+   * @param {string} name
+   * @returns {{name: string, n: number|undefined}}
+   * @private
+   */
+  _splitName(name) {
+    const [base, index] = String(name).toLowerCase().split(':');
+    return { name: base, n: index !== undefined && index !== '' ? Number(index) : undefined };
+  }
+
+  /**
+   * Resolve default search roots from config and cache.
+   * @param {SampleCache} [cache]
+   * @returns {string[]}
+   * @private
+   */
+  _resolveRoots(cache) {
+    const roots = [];
+    const configured = this.config?.get('samples.localPath');
+    if (configured) {
+      const expanded = configured.replace(/^~/, process.env.HOME || process.env.USERPROFILE || '');
+      roots.push(path.resolve(expanded));
+    }
+    if (cache?.cacheDir) {
+      roots.push(cache.cacheDir);
+    }
+    return roots;
+  }
+}
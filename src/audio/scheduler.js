@@ -0,0 +1,170 @@
+/**
+ * Scheduler - Cyclist with live, phase-continuous tempo and pattern changes.
+ *
+ * @strudel/core's Cyclist already keeps the cycle position when `setCps` is
+ * called: the next tick rebases its cycle/time mapping on the last queried
+ * cycle, so tempo changes apply from the next tick. The Scheduler adds
+ * changes quantised to a cycle boundary. The tick that crosses the boundary
+ * is cut short at it, and the following tick rebases the mapping exactly on
+ * the boundary at the new tempo and catches its query window up with the
+ * clock. Events before the boundary therefore keep the old tempo, events
+ * after it use the new one, and the timeline has no gap or overlap.
+ *
+ * Patterns are swapped the same way without stopping the clock: a swap
+ * quantised to a cycle takes the old pattern's events up to the boundary and
+ * the new pattern's from it, within the same tick.
+ *
+ * @module audio/scheduler
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import { Cyclist } from '@strudel/core';
+
+export class Scheduler extends Cyclist {
+  /**
+   * @param {object} options - Cyclist options (onTrigger, getTime, latency, ...)
+   */
+  constructor(options) {
+    super(options);
+    this.source = null;
+    this._pendingCps = null;
+    this._pendingPattern = null;
+    // Cyclist only ever calls pattern.queryArc; route it through the Scheduler
+    this._query = { queryArc: (begin, end, state) => this._queryTick(begin, end, state) };
+  }
+
+  /**
+   * Set the pattern to play, replacing the current one without a restart.
+   * @param {object} pattern - Strudel Pattern instance
+   * @param {boolean} [autostart=false] - Start the clock if stopped
+   * @param {object} [options]
+   * @param {number} [options.at] - Cycle to swap on (defaults to the next tick)
+   */
+  async setPattern(pattern, autostart = false, { at } = {}) {
+    if (at === undefined || !this.started || at <= this.lastEnd) {
+      this._pendingPattern = null;
+      this.source = pattern;
+    } else {
+      this._pendingPattern = { pattern, cycle: at };
+    }
+    await super.setPattern(this._query, autostart);
+  }
+
+  /**
+   * Change the tempo, immediately or at a cycle boundary.
+   * @param {number} [cps=0.5] - Cycles per second
+   * @param {object} [options]
+   * @param {number} [options.at] - Cycle to change on (defaults to the next tick)
+   */
+  setCps(cps = 0.5, { at } = {}) {
+    if (this._pendingCps?.cut) {
+      // The boundary tick already ran; the next tick applies whatever is pending
+      this._pendingCps.cps = cps;
+      return;
+    }
+    if (at === undefined || !this.started || at <= this.lastEnd) {
+      this._pendingCps = null;
+      super.setCps(cps);
+      return;
+    }
+    this._pendingCps = { cps, cycle: at, cut: false };
+  }
+
+  /**
+   * First cycle boundary that has not been scheduled yet.
+   * @returns {number}
+   */
+  nextCycle() {
+    return Math.ceil(this.lastEnd);
+  }
+
+  /**
+   * Tempo change waiting for its cycle boundary, if any.
+   * @returns {{cps: number, cycle: number}|null}
+   */
+  get pendingCps() {
+    return this._pendingCps ? { cps: this._pendingCps.cps, cycle: this._pendingCps.cycle } : null;
+  }
+
+  /**
+   * Cycle a quantised pattern swap is waiting for, if any.
+   * @returns {number|null}
+   */
+  get pendingSwap() {
+    return this._pendingPattern?.cycle ?? null;
+  }
+
+  async start() {
+    this._applyPendingPattern();
+    this._pendingCps = null;
+    await super.start();
+  }
+
+  stop() {
+    this._applyPendingPattern();
+    this._pendingCps = null;
+    super.stop();
+  }
+
+  /**
+   * Query one tick's window, applying quantised tempo changes and pattern
+   * swaps at their boundaries.
+   * @private
+   */
+  _queryTick(begin, end, state) {
+    const pending = this._pendingCps;
+    if (pending?.cut) {
+      end = this._rebase(pending);
+    } else if (pending && end > pending.cycle) {
+      // Stop this tick at the boundary; the next tick starts there at the new tempo
+      end = Math.max(begin, pending.cycle);
+      this.lastEnd = end;
+      pending.cut = true;
+    }
+    if (end <= begin) {
+      return [];
+    }
+
+    const swap = this._pendingPattern;
+    if (!swap || end <= swap.cycle) {
+      return this.source.queryArc(begin, end, state);
+    }
+    const before = begin < swap.cycle ? this.source.queryArc(begin, swap.cycle, state) : [];
+    this._applyPendingPattern();
+    return before.concat(this.source.queryArc(Math.max(begin, swap.cycle), end, state));
+  }
+
+  /**
+   * Make a waiting pattern swap current.
+   * @private
+   */
+  _applyPendingPattern() {
+    if (this._pendingPattern) {
+      this.source = this._pendingPattern.pattern;
+      this._pendingPattern = null;
+    }
+  }
+
+  /**
+   * Rebase the cycle/time mapping on the boundary at the pending tempo and
+   * extend the current tick's window to the clock's window end.
+   * @returns {number} New window end (cycles)
+   * @private
+   */
+  _rebase(pending) {
+    const duration = this.clock.duration;
+    const boundaryTime = this.seconds_at_cps_change
+      + (pending.cycle - this.num_cycles_at_cps_change) / this.cps;
+    const elapsed = Math.max(0, this.lastTick + duration - boundaryTime);
+
+    this.cps = pending.cps;
+    this.num_cycles_at_cps_change = pending.cycle;
+    this.seconds_at_cps_change = boundaryTime;
+    // Fractional tick count keeps later windows aligned with the clock's ticks
+    this.num_ticks_since_cps_change = elapsed / duration;
+    this.lastEnd = pending.cycle + elapsed * this.cps;
+    this._pendingCps = null;
+    return this.lastEnd;
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * SlotSet - Named pattern slots (d1..d16, `$:` and labelled blocks).
+ *
+ * Each slot holds one pattern that can be replaced, hushed, muted or soloed
+ * on its own. The engine plays the stack of audible slots: every soloed slot
+ * when any are soloed, otherwise every slot that is not muted. Mute and solo
+ * flags survive re-evaluation of a slot.
+ *
+ * @module audio/slots
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import { silence, stack } from '@strudel/core';
+
+/** Slot used for code that does not name one. */
+export const DEFAULT_SLOT = 'd1';
+
+export class SlotSet {
+  constructor() {
+    this._slots = new Map();
+  }
+
+  /**
+   * Names of all slots, in creation order.
+   * @returns {string[]}
+   */
+  get names() {
+    return [...this._slots.keys()];
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this._slots.has(name);
+  }
+
+  /**
+   * Replace a slot's pattern. An empty pattern (null or silence) hushes it.
+   * @param {string} name - Slot name
+   * @param {object|null} pattern - Strudel Pattern instance
+   */
+  set(name, pattern) {
+    if (!pattern || pattern === silence) {
+      this._slots.delete(name);
+      return;
+    }
+    const slot = this._slots.get(name);
+    this._slots.set(name, { pattern, muted: slot?.muted ?? false, solo: slot?.solo ?? false });
+  }
+
+  /**
+   * Remove a slot.
+   * @param {string} name - Slot name
+   * @returns {boolean} Whether the slot existed
+   */
+  delete(name) {
+    return this._slots.delete(name);
+  }
+
+  /**
+   * Remove every slot.
+   */
+  clear() {
+    this._slots.clear();
+  }
+
+  /**
+   * Mute or unmute a slot.
+   * @param {string} name - Slot name
+   * @param {boolean} [muted=true]
+   */
+  mute(name, muted = true) {
+    this._get(name).muted = muted;
+  }
+
+  /**
+   * Solo or unsolo a slot. Without a name, clears every solo.
+   * @param {string} [name] - Slot name
+   * @param {boolean} [solo=true]
+   */
+  solo(name, solo = true) {
+    if (name === undefined) {
+      this._slots.forEach((slot) => {
+        slot.solo = false;
+      });
+      return;
+    }
+    this._get(name).solo = solo;
+  }
+
+  /**
+   * Describe every slot.
+   * @returns {Array<{name: string, muted: boolean, solo: boolean, audible: boolean}>}
+   */
+  list() {
+    const audible = new Set(this._audible());
+    return [...this._slots].map(([name, slot]) => ({
+      name,
+      muted: slot.muted,
+      solo: slot.solo,
+      audible: audible.has(name)
+    }));
+  }
+
+  /**
+   * Stack of the audible slots' patterns.
+   * @returns {object} Strudel Pattern (silence when nothing is audible)
+   */
+  pattern() {
+    const patterns = this._audible().map((name) => this._slots.get(name).pattern);
+    if (patterns.length === 0) {
+      return silence;
+    }
+    return patterns.length === 1 ? patterns[0] : stack(...patterns);
+  }
+
+  /**
+   * Names of the slots that should sound.
+   * @private
+   */
+  _audible() {
+    const entries = [...this._slots];
+    const soloed = entries.filter(([, slot]) => slot.solo);
+    return (soloed.length > 0 ? soloed : entries.filter(([, slot]) => !slot.muted)).map(([name]) => name);
+  }
+
+  /**
+   * Look up a slot or fail with its name.
+   * @private
+   */
+  _get(name) {
+    const slot = this._slots.get(name);
+    if (!slot) {
+      throw new Error(`Unknown slot: ${name}`);
+    }
+    return slot;
+  }
+}
@@ -0,0 +1,367 @@
+/**
+ * Stream Server - HTTP streaming of the engine's master mix
+ *
+ * Attached to a NativeAudioEngine as an output, it receives every master
+ * block as it is rendered and serves it live to any number of listeners:
+ * `/stream.wav` as chunked WAV with a header of unknown length (16-bit PCM by
+ * default, `audio.stream.bitDepth`), and `/stream.ogg` (or `/stream.opus`)
+ * through an `opusenc` process per listener (`audio.stream.encoder`,
+ * `audio.stream.bitrate` in kbps). Writes never wait on the network: a
+ * listener whose unsent audio exceeds `audio.stream.maxBuffer` seconds
+ * misses blocks until it catches up, and one that stays behind for
+ * STALL_SECONDS is disconnected, so slow clients cannot stall the engine.
+ *
+ * @module audio/stream-server
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import http from 'http';
+import os from 'os';
+import { spawn } from 'child_process';
+import { encodeSamples, wavHeader } from './wav.js';
+
+/** Seconds a listener may stay over its buffer limit before it is dropped. */
+const STALL_SECONDS = 10;
+
+/** Hosts that bind every interface and name none of them. */
+const WILDCARD_HOSTS = new Set(['0.0.0.0', '::']);
+
+export class StreamServer {
+  /**
+   * Create a StreamServer instance
+   * @param {Config} config - Configuration instance (sample rate and channels as the engine)
+   * @param {Logger} logger - Logger instance
+   */
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.server = null;
+    this.isRunning = false;
+    this.port = config.get('audio.stream.port') ?? 8001;
+    this.host = config.get('audio.stream.host') || '127.0.0.1';
+    this.sampleRate = config.get('audio.sampleRate') || 48000;
+    this.channels = config.get('audio.channels') || 2;
+    this.bitDepth = Number(config.get('audio.stream.bitDepth') || 16);
+    this.maxBuffer = config.get('audio.stream.maxBuffer') ?? 2;
+    this.encoder = config.get('audio.stream.encoder') || 'opusenc';
+    this.bitrate = config.get('audio.stream.bitrate') || 128;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Start the stream server
+   * @param {object} options - Server options
+   * @param {number} [options.port] - Port (0 picks a free one)
+   * @returns {Promise<void>}
+   */
+  async start(options = {}) {
+    if (this.isRunning) {
+      this.logger.warn('Stream server already running');
+      return;
+    }
+    if (![16, 24, 32].includes(this.bitDepth)) {
+      throw new Error(`Unsupported stream bit depth: ${this.bitDepth}`);
+    }
+
+    const port = options.port ?? this.port;
+    this.server = http.createServer((req, res) => {
+      this._handleRequest(req, res);
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', (error) => {
+        this.logger.error(`Stream server error: ${error.message}`);
+        reject(error);
+      });
+      this.server.listen(port, this.host, () => {
+        this.isRunning = true;
+        this.port = this.server.address().port;
+        this.logger.info(`Streaming the master output at ${this.getURL()}/stream.wav`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Disconnect every listener and stop the server
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.isRunning || !this.server) {
+      return;
+    }
+    for (const listener of this.listeners) {
+      this._drop(listener);
+    }
+
+    return new Promise((resolve) => {
+      this.server.close(() => {
+        this.isRunning = false;
+        this.server = null;
+        this.logger.info('Stream server stopped');
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Engine output: send a master block to every listener.
+   * @param {Float32Array} block - Interleaved master block
+   */
+  write(block) {
+    if (this.listeners.size === 0) {
+      return;
+    }
+    const frames = block.length / this.channels;
+    const encoded = {};
+
+    for (const listener of this.listeners) {
+      // Ogg listeners feed their encoder 16-bit PCM; WAV listeners get the stream's depth
+      const bitDepth = listener.encoder ? 16 : this.bitDepth;
+      encoded[bitDepth] = encoded[bitDepth] || encodeSamples(block, bitDepth);
+      const chunk = encoded[bitDepth];
+      const sink = listener.encoder ? listener.encoder.stdin : listener.res;
+      const limit = this.maxBuffer * this.sampleRate * this.channels * (chunk.length / block.length);
+
+      if (sink.writableLength > limit) {
+        listener.dropped += frames;
+        listener.behindSince = listener.behindSince || Date.now();
+        if (Date.now() - listener.behindSince > STALL_SECONDS * 1000) {
+          this.logger.info(`Dropping stream listener ${listener.address}: too far behind`);
+          this._drop(listener);
+        }
+        continue;
+      }
+      listener.behindSince = null;
+      sink.write(chunk);
+    }
+  }
+
+  /**
+   * Handle HTTP request
+   * @param {http.IncomingMessage} req - Request object
+   * @param {http.ServerResponse} res - Response object
+   * @private
+   */
+  _handleRequest(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    if (req.method !== 'GET') {
+      this._sendError(res, 405, 'Method Not Allowed');
+      return;
+    }
+
+    const urlPath = new URL(req.url, `http://localhost:${this.port}`).pathname;
+    switch (urlPath) {
+      case '/':
+        this._sendServerInfo(res);
+        break;
+      case '/stream.wav':
+        this._addListener(req, res, 'wav');
+        break;
+      case '/stream.ogg':
+      case '/stream.opus':
+        this._addListener(req, res, 'ogg');
+        break;
+      default:
+        this._sendError(res, 404, 'Not found');
+    }
+  }
+
+  /**
+   * Start streaming to a client.
+   * @private
+   */
+  _addListener(req, res, format) {
+    const listener = {
+      res,
+      format,
+      encoder: null,
+      address: `${req.socket.remoteAddress}:${req.socket.remotePort}`,
+      connectedAt: Date.now(),
+      dropped: 0,
+      behindSince: null
+    };
+
+    res.setHeader('Cache-Control', 'no-cache, no-store');
+    if (format === 'ogg') {
+      // Answer once the encoder is running, so a missing encoder gets a 503
+      listener.encoder = this._spawnEncoder(listener);
+      listener.encoder.once('spawn', () => {
+        res.writeHead(200, { 'Content-Type': 'audio/ogg' });
+        listener.encoder.stdout.pipe(res);
+        this._connect(listener);
+      });
+      res.once('close', () => {
+        if (!this.listeners.has(listener)) {
+          listener.encoder.kill('SIGTERM');
+        }
+      });
+    } else {
+      res.writeHead(200, { 'Content-Type': 'audio/wav' });
+      res.write(wavHeader({ sampleRate: this.sampleRate, channels: this.channels, bitDepth: this.bitDepth, dataBytes: Infinity }));
+      this._connect(listener);
+    }
+  }
+
+  /**
+   * Start sending master blocks to a listener.
+   * @private
+   */
+  _connect(listener) {
+    const { res } = listener;
+    this.listeners.add(listener);
+    this.logger.info(`Stream listener connected: ${listener.address} (${listener.format})`);
+    res.on('close', () => {
+      if (this.listeners.delete(listener)) {
+        listener.encoder?.kill('SIGTERM');
+        this.logger.info(`Stream listener disconnected: ${listener.address}`);
+      }
+    });
+  }
+
+  /**
+   * Start an Ogg/Opus encoder reading the listener's PCM.
+   * @private
+   */
+  _spawnEncoder(listener) {
+    const args = [
+      '--quiet',
+      '--raw',
+      '--raw-bits',
+      '16',
+      '--raw-rate',
+      String(this.sampleRate),
+      '--raw-chan',
+      String(this.channels),
+      '--bitrate',
+      String(this.bitrate),
+      '-',
+      '-'
+    ];
+    this.logger.debug(`Starting stream encoder: ${this.encoder} ${args.join(' ')}`);
+    const encoder = spawn(this.encoder, args, { stdio: ['pipe', 'pipe', 'ignore'] });
+
+    encoder.on('error', (error) => {
+      this.logger.error(`Stream encoder ${this.encoder} failed: ${error.message}`);
+      if (listener.res.headersSent) {
+        this._drop(listener);
+      } else {
+        this._sendError(listener.res, 503, `Stream encoder ${this.encoder} is not available`);
+      }
+    });
+    // The encoder's stdin breaks when it dies; 'exit' tidies up
+    encoder.stdin.on('error', () => {});
+    encoder.on('exit', () => {
+      if (this.listeners.has(listener)) {
+        this._drop(listener);
+      }
+    });
+    return encoder;
+  }
+
+  /**
+   * Disconnect a listener.
+   * @private
+   */
+  _drop(listener) {
+    this.listeners.delete(listener);
+    listener.encoder?.kill('SIGTERM');
+    listener.res.destroy();
+  }
+
+  /**
+   * Send server info page
+   * @param {http.ServerResponse} res - Response object
+   * @private
+   */
+  _sendServerInfo(res) {
+    const info = {
+      name: 'Strudel CLI Stream Server',
+      status: 'running',
+      sampleRate: this.sampleRate,
+      channels: this.channels,
+      bitDepth: this.bitDepth,
+      endpoints: {
+        '/stream.wav': 'Master output as chunked WAV',
+        '/stream.ogg': `Master output as Ogg/Opus (${this.encoder}, ${this.bitrate} kbps)`
+      },
+      listeners: this.getListeners()
+    };
+
+    res.setHeader('Content-Type', 'application/json');
+    res.writeHead(200);
+    res.end(JSON.stringify(info, null, 2));
+  }
+
+  /**
+   * Send error response
+   * @param {http.ServerResponse} res - Response object
+   * @param {number} statusCode - HTTP status code
+   * @param {string} message - Error message
+   * @private
+   */
+  _sendError(res, statusCode, message) {
+    res.setHeader('Content-Type', 'application/json');
+    res.writeHead(statusCode);
+    res.end(JSON.stringify({ error: message }));
+  }
+
+  /**
+   * Connected listeners
+   * @returns {Array<object>} Address, format, seconds connected and seconds dropped
+   */
+  getListeners() {
+    return [...this.listeners].map((listener) => ({
+      address: listener.address,
+      format: listener.format,
+      seconds: Math.round((Date.now() - listener.connectedAt) / 1000),
+      droppedSeconds: Number((listener.dropped / this.sampleRate).toFixed(2))
+    }));
+  }
+
+  /**
+   * Get server URL
+   * @returns {string} Server URL
+   */
+  getURL() {
+    if (!this.isRunning) {
+      return null;
+    }
+    const host = this._publicHost();
+    return `http://${host.includes(':') ? `[${host}]` : host}:${this.port}`;
+  }
+
+  /**
+   * Host listeners reach the server at: the configured host, or for a
+   * wildcard bind the first external interface address, so the URL also
+   * works from another machine.
+   * @returns {string}
+   * @private
+   */
+  _publicHost() {
+    if (!WILDCARD_HOSTS.has(this.host)) {
+      return this.host;
+    }
+    const external = Object.values(os.networkInterfaces())
+      .flat()
+      .filter((iface) => iface && !iface.internal && !iface.address.startsWith('fe80:'));
+    const preferred = external.find((iface) => iface.family === 'IPv4')
+      || (this.host === '0.0.0.0' ? null : external[0]);
+    return preferred?.address || 'localhost';
+  }
+
+  /**
+   * Get server state
+   * @returns {object} Server state
+   */
+  getState() {
+    return {
+      isRunning: this.isRunning,
+      port: this.port,
+      url: this.getURL(),
+      listeners: this.listeners.size
+    };
+  }
+}
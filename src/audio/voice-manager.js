@@ -0,0 +1,83 @@
+/**
+ * VoiceManager - Polyphony limit and voice stealing for the mixer.
+ *
+ * Before each block the mixer asks the manager to enforce `maxVoices` over
+ * the voices that will be sounding in it. When the limit is exceeded, voices
+ * that are already playing are stolen first, in priority order (`oldest`
+ * start frame or `quietest` current level), then surplus voices that were due
+ * to start in the block. Stolen voices fade out over a few milliseconds
+ * instead of cutting off, and no longer count against the limit while they
+ * fade.
+ *
+ * @module audio/voice-manager
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+const POLICIES = ['oldest', 'quietest'];
+
+export class VoiceManager {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxVoices=128] - Maximum simultaneous voices
+   * @param {string} [options.policy='oldest'] - Stealing priority (oldest|quietest)
+   * @param {number} [options.fadeSeconds=0.005] - Fade-out applied to stolen voices
+   */
+  constructor({ maxVoices = 128, policy = 'oldest', fadeSeconds = 0.005 } = {}) {
+    if (!POLICIES.includes(policy)) {
+      throw new Error(`Unknown voice stealing policy: ${policy} (expected ${POLICIES.join('|')})`);
+    }
+    this.maxVoices = Math.max(1, Math.floor(maxVoices));
+    this.policy = policy;
+    this.fadeSeconds = fadeSeconds;
+    this.stolen = 0;
+  }
+
+  /**
+   * Steal voices so that at most maxVoices sound in the block.
+   * @param {Voice[]} voices - All voices held by the mixer
+   * @param {number} blockEnd - First frame after the block being rendered
+   * @returns {number} Number of voices stolen for this block
+   */
+  enforce(voices, blockEnd) {
+    const playing = [];
+    const starting = [];
+    for (const voice of voices) {
+      if (voice.stolen || voice.startFrame >= blockEnd) {
+        continue;
+      }
+      (voice.started ? playing : starting).push(voice);
+    }
+
+    let excess = playing.length + starting.length - this.maxVoices;
+    if (excess <= 0) {
+      return 0;
+    }
+
+    const victims = [...this._prioritise(playing), ...starting.sort((a, b) => a.startFrame - b.startFrame)];
+    let count = 0;
+    for (const voice of victims) {
+      if (excess <= 0) {
+        break;
+      }
+      voice.steal(this.fadeSeconds);
+      excess -= 1;
+      count += 1;
+    }
+
+    this.stolen += count;
+    return count;
+  }
+
+  /**
+   * Order playing voices by stealing priority.
+   * @private
+   */
+  _prioritise(voices) {
+    if (this.policy === 'quietest') {
+      const level = (voice) => voice.gain * (voice.envelope ? voice.envelope.level : 1);
+      return voices.sort((a, b) => level(a) - level(b) || a.startFrame - b.startFrame);
+    }
+    return voices.sort((a, b) => a.startFrame - b.startFrame);
+  }
+}
@@ -0,0 +1,261 @@
+/**
+ * Voices - Sound generators mixed by the native engine.
+ *
+ * A voice renders mono audio into a caller-provided block via
+ * `process(out, offset, count)`, writing `count` samples starting at `offset`
+ * and returning false once it has finished. Voices shape their output with an
+ * ADSR Envelope and then run their processor chain (filters, ...) over the
+ * block; the mixer calls `render()` for both steps, applies `gain` and spreads
+ * the result over the output channels.
+ *
+ * @module audio/voices
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import { Oscillator } from './dsp/oscillators.js';
+import { WavetableOscillator } from './dsp/wavetable.js';
+
+export class Voice {
+  /**
+   * @param {object} options
+   * @param {number} options.startFrame - Absolute frame at which the voice starts
+   * @param {number} [options.gain=1] - Linear gain applied by the mixer
+   * @param {Envelope} [options.envelope] - Amplitude envelope (none = full level)
+   * @param {Array<object>} [options.processors] - In-place block processors run after the source
+   * @param {object} [options.bus] - Orbit routing and sends ({ orbit, dry, delay, room, ... })
+   */
+  constructor({ startFrame = 0, gain = 1, envelope = null, processors = [], bus = null } = {}) {
+    this.startFrame = startFrame;
+    this.gain = gain;
+    this.envelope = envelope;
+    this.processors = processors;
+    this.bus = bus;
+    this.position = 0;
+    this.started = false;
+    this.stolen = false;
+  }
+
+  /**
+   * Render the source and run it through the processor chain.
+   * @param {Float32Array} out - Block to write into
+   * @param {number} offset - First index to write
+   * @param {number} count - Number of samples to write
+   * @returns {boolean} True while the voice still has audio to produce
+   */
+  render(out, offset, count) {
+    const alive = this.process(out, offset, count);
+    for (const processor of this.processors) {
+      processor.process(out, offset, count);
+    }
+    // Without an envelope to fade, a stolen voice stops after this block
+    return alive && !(this.stolen && !this.envelope);
+  }
+
+  /**
+   * Close the gate early (e.g. when choked) and let the envelope release.
+   * @param {number} [seconds] - Release time override
+   * @param {number} [delayFrames=0] - Frames from now until the gate closes
+   */
+  release(seconds, delayFrames = 0) {
+    this.envelope?.triggerRelease(seconds, delayFrames);
+  }
+
+  /**
+   * Fade the voice out quickly to free its slot (polyphony limit).
+   * @param {number} fadeSeconds - Fade-out time
+   */
+  steal(fadeSeconds) {
+    this.stolen = true;
+    this.release(fadeSeconds);
+  }
+
+  /**
+   * Render samples into a mono block.
+   * @param {Float32Array} _out - Block to write into
+   * @param {number} _offset - First index to write
+   * @param {number} _count - Number of samples to write
+   * @returns {boolean} True while the voice still has audio to produce
+   */
+  process(_out, _offset, _count) {
+    throw new Error('process() must be implemented by subclass');
+  }
+}
+
+/**
+ * Plays a decoded sample buffer until it ends or its envelope has released.
+ * Multichannel files are folded to mono. The read cursor moves `rate` source
+ * frames per output frame (linear interpolation), starting at `begin` and
+ * stopping at `end` (fractions of the buffer), or wrapping between
+ * `loopBegin` and `loopEnd` when looping. `reverse` plays the buffer
+ * backwards, with begin/end measured from its end like superdough's reversed
+ * buffers.
+ */
+export class SampleVoice extends Voice {
+  /**
+   * @param {object} options
+   * @param {object} options.sample - Decoded buffer ({ channelData, length })
+   * @param {number} options.startFrame - Absolute start frame
+   * @param {number} [options.gain=1] - Linear gain
+   * @param {Envelope} [options.envelope] - Amplitude envelope
+   * @param {number} [options.rate=1] - Source frames per output frame
+   * @param {boolean} [options.reverse=false] - Play the buffer backwards
+   * @param {number} [options.begin=0] - Start point (0-1)
+   * @param {number} [options.end=1] - End point (0-1)
+   * @param {boolean} [options.loop=false] - Loop between loopBegin and loopEnd
+   * @param {number} [options.loopBegin=0] - Loop start (0-1)
+   * @param {number} [options.loopEnd=1] - Loop end (0-1)
+   * @param {number|string} [options.cut] - Cut group; starting a voice in the group chokes earlier ones
+   */
+  constructor({
+    sample,
+    rate = 1,
+    reverse = false,
+    begin = 0,
+    end = 1,
+    loop = false,
+    loopBegin = 0,
+    loopEnd = 1,
+    cut,
+    ...rest
+  }) {
+    super(rest);
+    const { length } = sample;
+    const clamp = (value) => Math.min(Math.max(value, 0), 1) * length;
+    this.sample = sample;
+    this.rate = rate;
+    this.reverse = reverse;
+    this.cut = cut;
+    this.cursor = clamp(begin);
+    this.stop = Math.max(this.cursor, clamp(end));
+    this.loop = Boolean(loop) && clamp(loopEnd) > clamp(loopBegin);
+    this.loopBegin = clamp(loopBegin);
+    this.loopEnd = clamp(loopEnd);
+  }
+
+  process(out, offset, count) {
+    const envelope = this.envelope;
+    const limit = this.loop ? this.loopEnd : this.stop;
+
+    for (let i = 0; i < count; i += 1) {
+      if (this.loop && this.cursor >= this.loopEnd) {
+        this.cursor = this.loopBegin + ((this.cursor - this.loopBegin) % (this.loopEnd - this.loopBegin));
+      }
+      if (this.cursor >= limit || envelope?.done) {
+        this.position += i;
+        return false;
+      }
+      out[offset + i] = this._read(this.cursor) * (envelope ? envelope.next() : 1);
+      this.cursor += this.rate;
+    }
+
+    this.position += count;
+    return this.loop || this.cursor < limit ? !envelope?.done : false;
+  }
+
+  /**
+   * Interpolated mono frame at a (possibly fractional) cursor position.
+   * @private
+   */
+  _read(cursor) {
+    const { channelData, length } = this.sample;
+    const base = Math.floor(cursor);
+    const frac = cursor - base;
+    const index = this.reverse ? length - 1 - base : base;
+    const next = this.reverse ? index - 1 : index + 1;
+    let sum = 0;
+
+    for (const channel of channelData) {
+      const a = channel[index] ?? 0;
+      const b = frac > 0 ? channel[next] ?? 0 : a;
+      sum += a + (b - a) * frac;
+    }
+    return sum / channelData.length;
+  }
+}
+
+/**
+ * Oscillator note shaped by its envelope; ends when the release finishes.
+ * An FmOperator, when given, modulates the oscillator's frequency.
+ */
+export class OscillatorVoice extends Voice {
+  /**
+   * @param {object} options
+   * @param {string} options.type - Waveform (sine|sawtooth|square|triangle|white|pink|brown)
+   * @param {number} options.frequency - Frequency in Hz
+   * @param {Envelope} options.envelope - Amplitude envelope (defines the voice length)
+   * @param {number} options.sampleRate - Engine sample rate
+   * @param {number} options.startFrame - Absolute start frame
+   * @param {number} [options.gain=1] - Linear gain
+   * @param {FmOperator} [options.fm] - Frequency modulator
+   */
+  constructor({ type = 'sine', frequency, sampleRate, fm = null, ...rest }) {
+    super(rest);
+    this.oscillator = new Oscillator(type, sampleRate);
+    this.frequency = frequency;
+    this.fm = fm;
+  }
+
+  process(out, offset, count) {
+    const envelope = this.envelope;
+    const fm = this.fm;
+
+    for (let i = 0; i < count; i += 1) {
+      if (envelope.done) {
+        return false;
+      }
+      const frequency = fm ? this.frequency + fm.next() : this.frequency;
+      out[offset + i] = this.oscillator.next(frequency) * envelope.next();
+    }
+
+    this.position += count;
+    return !envelope.done;
+  }
+}
+
+/**
+ * Wavetable note: scans the frames of a `wt_` sample at `position`, moved by
+ * an optional position envelope scaled by `depth`; ends with its amplitude
+ * envelope like an oscillator voice.
+ */
+export class WavetableVoice extends Voice {
+  /**
+   * @param {object} options
+   * @param {Wavetable} options.wavetable - Frames to play
+   * @param {number} options.frequency - Frequency in Hz
+   * @param {Envelope} options.envelope - Amplitude envelope (defines the voice length)
+   * @param {number} options.sampleRate - Engine sample rate
+   * @param {number} options.startFrame - Absolute start frame
+   * @param {number} [options.position=0] - Table position (0-1)
+   * @param {Envelope} [options.positionEnvelope] - Position envelope
+   * @param {number} [options.depth=1] - How far the envelope moves the position
+   * @param {number} [options.phase=0] - Initial phase in [0, 1)
+   * @param {number} [options.gain=1] - Linear gain
+   */
+  constructor({ wavetable, frequency, sampleRate, position = 0, positionEnvelope = null, depth = 1, phase = 0, ...rest }) {
+    super(rest);
+    this.oscillator = new WavetableOscillator(wavetable, sampleRate, phase);
+    this.frequency = frequency;
+    this.tablePosition = position;
+    this.positionEnvelope = positionEnvelope;
+    this.depth = depth;
+  }
+
+  process(out, offset, count) {
+    const envelope = this.envelope;
+    const positionEnvelope = this.positionEnvelope;
+
+    for (let i = 0; i < count; i += 1) {
+      if (envelope.done) {
+        return false;
+      }
+      const position = positionEnvelope
+        ? this.tablePosition + this.depth * positionEnvelope.next()
+        : this.tablePosition;
+      out[offset + i] = this.oscillator.next(this.frequency, position) * envelope.next();
+    }
+
+    this.position += count;
+    return !envelope.done;
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * WAV codec helpers for the native engine.
+ *
+ * Decodes RIFF/WAVE files (integer PCM 8/16/24/32-bit and IEEE float 32/64-bit,
+ * including WAVE_FORMAT_EXTENSIBLE) into planar Float32Array channel data
+ * (plus the cycle length from a wavetable's `clm ` chunk), and
+ * streams interleaved float blocks to disk as 16/24-bit PCM or 32-bit float
+ * with WavWriter.
+ *
+ * @module audio/wav
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import { open } from 'fs/promises';
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+const HEADER_BYTES = 44;
+
+export class WavDecodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WavDecodeError';
+  }
+}
+
+/**
+ * Decode a WAV file buffer.
+ * @param {Buffer} buffer - Raw file contents
+ * @returns {{sampleRate: number, length: number, channelData: Float32Array[], cycleLength?: number}}
+ */
+export function decodeWav(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    throw new WavDecodeError('Not a WAV file (too short)');
+  }
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new WavDecodeError('Not a RIFF/WAVE file');
+  }
+
+  let fmt = null;
+  let data = null;
+  let cycleLength;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      let format = buffer.readUInt16LE(body);
+      if (format === FORMAT_EXTENSIBLE && size >= 26) {
+        // First two bytes of the SubFormat GUID carry the actual format tag
+        format = buffer.readUInt16LE(body + 24);
+      }
+      fmt = {
+        format,
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      // Some writers leave the size at 0 or 0xFFFFFFFF when streaming
+      const end = size === 0 || body + size > buffer.length ? buffer.length : body + size;
+      data = buffer.subarray(body, end);
+    } else if (id === 'clm ') {
+      // Wavetable editors store the frame size as "<!>2048 ..."
+      const match = /<!>(\d+)/.exec(buffer.toString('ascii', body, Math.min(body + size, buffer.length)));
+      cycleLength = match ? Number(match[1]) : undefined;
+    }
+
+    // Chunks are word aligned
+    offset = body + size + (size % 2);
+  }
+
+  if (!fmt) {
+    throw new WavDecodeError('Missing fmt chunk');
+  }
+  if (!data) {
+    throw new WavDecodeError('Missing data chunk');
+  }
+
+  const readSample = createSampleReader(fmt);
+  const bytesPerSample = fmt.bitsPerSample / 8;
+  const frameSize = bytesPerSample * fmt.channels;
+  const length = Math.floor(data.length / frameSize);
+  const channelData = Array.from({ length: fmt.channels }, () => new Float32Array(length));
+
+  for (let i = 0; i < length; i += 1) {
+    const frameOffset = i * frameSize;
+    for (let ch = 0; ch < fmt.channels; ch += 1) {
+      channelData[ch][i] = readSample(data, frameOffset + ch * bytesPerSample);
+    }
+  }
+
+  const decoded = { sampleRate: fmt.sampleRate, length, channelData };
+  if (cycleLength > 0) {
+    decoded.cycleLength = cycleLength;
+  }
+  return decoded;
+}
+
+/**
+ * Build a reader converting one encoded sample to a float in [-1, 1].
+ * @param {object} fmt - Parsed fmt chunk
+ * @returns {Function}
+ * @private
+ */
+function createSampleReader({ format, bitsPerSample }) {
+  if (format === FORMAT_FLOAT) {
+    if (bitsPerSample === 32) return (buf, idx) => buf.readFloatLE(idx);
+    if (bitsPerSample === 64) return (buf, idx) => buf.readDoubleLE(idx);
+  }
+
+  if (format === FORMAT_PCM) {
+    switch (bitsPerSample) {
+      case 8:
+        return (buf, idx) => (buf.readUInt8(idx) - 128) / 128;
+      case 16:
+        return (buf, idx) => buf.readInt16LE(idx) / 32768;
+      case 24:
+        return (buf, idx) => buf.readIntLE(idx, 3) / 8388608;
+      case 32:
+        return (buf, idx) => buf.readInt32LE(idx) / 2147483648;
+      default:
+        break;
+    }
+  }
+
+  throw new WavDecodeError(`Unsupported WAV encoding (format=${format}, bits=${bitsPerSample})`);
+}
+
+/**
+ * Build a canonical 44-byte WAV header.
+ * @param {object} options
+ * @param {number} options.sampleRate - Sample rate in Hz
+ * @param {number} options.channels - Channel count
+ * @param {number} [options.bitDepth=32] - 16 or 24 (PCM) or 32 (float)
+ * @param {number} [options.dataBytes=0] - Size of the data chunk
+ * @returns {Buffer}
+ */
+export function wavHeader({ sampleRate, channels, bitDepth = 32, dataBytes = 0 }) {
+  const header = Buffer.alloc(HEADER_BYTES);
+  const bytesPerSample = bitDepth / 8;
+  // Streams of unknown length use the largest size readers will accept
+  const dataSize = Math.min(dataBytes, 0xffffffff - 36);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(bitDepth === 32 ? FORMAT_FLOAT : FORMAT_PCM, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * bytesPerSample, 28);
+  header.writeUInt16LE(channels * bytesPerSample, 32);
+  header.writeUInt16LE(bitDepth, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataSize, 40);
+  return header;
+}
+
+/**
+ * Encode interleaved float samples for a WAV data chunk. Integer formats are
+ * clipped to [-1, 1].
+ * @param {Float32Array} samples - Interleaved samples
+ * @param {number} [bitDepth=32] - 16 or 24 (PCM) or 32 (float)
+ * @returns {Buffer}
+ */
+export function encodeSamples(samples, bitDepth = 32) {
+  if (bitDepth === 32) {
+    return Buffer.from(samples.buffer.slice(samples.byteOffset, samples.byteOffset + samples.byteLength));
+  }
+
+  const bytesPerSample = bitDepth / 8;
+  const out = Buffer.alloc(samples.length * bytesPerSample);
+  for (let i = 0; i < samples.length; i += 1) {
+    const clipped = Math.max(-1, Math.min(1, samples[i]));
+    if (bitDepth === 16) {
+      out.writeInt16LE(Math.round(clipped * 32767), i * 2);
+    } else {
+      out.writeIntLE(Math.round(clipped * 8388607), i * 3, 3);
+    }
+  }
+  return out;
+}
+
+/**
+ * Streams interleaved float blocks into a WAV file, patching the header sizes
+ * on close.
+ */
+export class WavWriter {
+  /**
+   * @param {string} filePath - Output file
+   * @param {object} options
+   * @param {number} options.sampleRate - Sample rate in Hz
+   * @param {number} options.channels - Channel count
+   * @param {number} [options.bitDepth=32] - 16 or 24 (PCM) or 32 (float)
+   */
+  constructor(filePath, { sampleRate, channels, bitDepth = 32 }) {
+    if (![16, 24, 32].includes(bitDepth)) {
+      throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+    }
+    this.filePath = filePath;
+    this.sampleRate = sampleRate;
+    this.channels = channels;
+    this.bitDepth = bitDepth;
+    this.dataBytes = 0;
+    this.handle = null;
+  }
+
+  /**
+   * Create the file and write a placeholder header.
+   */
+  async open() {
+    this.handle = await open(this.filePath, 'w');
+    await this.handle.write(wavHeader(this));
+  }
+
+  /**
+   * Append an interleaved block.
+   * @param {Float32Array} block
+   */
+  async write(block) {
+    const encoded = encodeSamples(block, this.bitDepth);
+    await this.handle.write(encoded);
+    this.dataBytes += encoded.length;
+  }
+
+  /**
+   * Finalise the header and close the file.
+   * @returns {Promise<{frames: number, bytes: number}>}
+   */
+  async close() {
+    await this.handle.write(wavHeader(this), 0, HEADER_BYTES, 0);
+    await this.handle.close();
+    this.handle = null;
+    return {
+      frames: this.dataBytes / ((this.bitDepth / 8) * this.channels),
+      bytes: this.dataBytes + HEADER_BYTES
+    };
+  }
+}
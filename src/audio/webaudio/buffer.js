@@ -0,0 +1,81 @@
+/**
+ * AudioBuffer - Decoded PCM held as one Float32Array per channel.
+ *
+ * @module audio/webaudio/buffer
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+export class AudioBuffer {
+  /**
+   * @param {object} options
+   * @param {number} [options.numberOfChannels=1]
+   * @param {number} options.length - Frames per channel
+   * @param {number} options.sampleRate - Sample rate in Hz
+   */
+  constructor({ numberOfChannels = 1, length, sampleRate } = {}) {
+    if (!Number.isInteger(numberOfChannels) || numberOfChannels < 1 || numberOfChannels > 32) {
+      throw new DOMException(`Invalid numberOfChannels: ${numberOfChannels}`, 'NotSupportedError');
+    }
+    if (!Number.isInteger(length) || length < 1) {
+      throw new DOMException(`Invalid buffer length: ${length}`, 'NotSupportedError');
+    }
+    if (!Number.isFinite(sampleRate) || sampleRate < 3000 || sampleRate > 768000) {
+      throw new DOMException(`Invalid sampleRate: ${sampleRate}`, 'NotSupportedError');
+    }
+    this.numberOfChannels = numberOfChannels;
+    this.length = length;
+    this.sampleRate = sampleRate;
+    this._channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+  }
+
+  /**
+   * Wrap already decoded channel data without copying it.
+   * @param {{sampleRate: number, channelData: Float32Array[]}} decoded - e.g. from decodeWav()
+   * @returns {AudioBuffer}
+   */
+  static fromChannelData({ sampleRate, channelData }) {
+    const buffer = Object.create(AudioBuffer.prototype);
+    buffer.numberOfChannels = channelData.length;
+    buffer.length = channelData[0].length;
+    buffer.sampleRate = sampleRate;
+    buffer._channels = channelData;
+    return buffer;
+  }
+
+  /**
+   * Length in seconds.
+   * @returns {number}
+   */
+  get duration() {
+    return this.length / this.sampleRate;
+  }
+
+  /**
+   * @param {number} channel
+   * @returns {Float32Array}
+   */
+  getChannelData(channel) {
+    return this._channel(channel);
+  }
+
+  copyFromChannel(destination, channel, startInChannel = 0) {
+    const data = this._channel(channel);
+    const frames = Math.max(0, Math.min(destination.length, this.length - startInChannel));
+    destination.set(data.subarray(startInChannel, startInChannel + frames));
+  }
+
+  copyToChannel(source, channel, startInChannel = 0) {
+    const data = this._channel(channel);
+    const frames = Math.max(0, Math.min(source.length, this.length - startInChannel));
+    data.set(source.subarray(0, frames), startInChannel);
+  }
+
+  /** @private */
+  _channel(channel) {
+    if (!Number.isInteger(channel) || channel < 0 || channel >= this.numberOfChannels) {
+      throw new DOMException(`Channel ${channel} out of range`, 'IndexSizeError');
+    }
+    return this._channels[channel];
+  }
+}
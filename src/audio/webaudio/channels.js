@@ -0,0 +1,79 @@
+/**
+ * Channel routing nodes of the WebAudio polyfill: splitter and merger.
+ *
+ * ChannelSplitterNode puts each channel of its input on an output of its
+ * own; ChannelMergerNode down-mixes each of its inputs to mono and makes it
+ * one channel of its output. Together with the output and input indices of
+ * connect() they route channels between nodes, which is how superdough sends
+ * each orbit to a pair of destination channels.
+ *
+ * @module audio/webaudio/channels
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import { AudioNode, silentChannels } from './node.js';
+
+/**
+ * Throw unless a splitter or merger size is within the spec's range.
+ * @private
+ */
+function requirePorts(count, what) {
+  if (!Number.isInteger(count) || count < 1 || count > 32) {
+    throw new DOMException(`Invalid ${what}: ${count}`, 'IndexSizeError');
+  }
+}
+
+export class ChannelSplitterNode extends AudioNode {
+  /**
+   * @param {BaseAudioContext} context
+   * @param {object} [options]
+   * @param {number} [options.numberOfOutputs=6] - One per channel
+   */
+  constructor(context, { numberOfOutputs = 6 } = {}) {
+    requirePorts(numberOfOutputs, 'numberOfOutputs');
+    super(context, {
+      numberOfOutputs,
+      channelCount: numberOfOutputs,
+      channelCountMode: 'explicit',
+      channelInterpretation: 'discrete'
+    });
+  }
+
+  _process() {
+    const input = this._mixInput();
+    for (let output = 0; output < this.numberOfOutputs; output += 1) {
+      this._outputs[output] = silentChannels(this._outputs[output], 1);
+      if (input) {
+        this._outputs[output][0].set(input[output]);
+      }
+      this._outputSilent[output] = !input;
+    }
+    this._silent = !input;
+    return this._outputs[0];
+  }
+}
+
+export class ChannelMergerNode extends AudioNode {
+  /**
+   * @param {BaseAudioContext} context
+   * @param {object} [options]
+   * @param {number} [options.numberOfInputs=6] - One per channel
+   */
+  constructor(context, { numberOfInputs = 6 } = {}) {
+    requirePorts(numberOfInputs, 'numberOfInputs');
+    super(context, { numberOfInputs, channelCount: 1, channelCountMode: 'explicit' });
+  }
+
+  _process(previous) {
+    let output = null;
+    for (let input = 0; input < this.numberOfInputs; input += 1) {
+      const mono = this._mixInput(input);
+      if (mono) {
+        output = output || silentChannels(previous, this.numberOfInputs);
+        output[input].set(mono[0]);
+      }
+    }
+    return output || this._silence(previous, this.numberOfInputs);
+  }
+}
@@ -0,0 +1,329 @@
+/**
+ * AudioContext - Node-side WebAudio context that plays through the native
+ * engine.
+ *
+ * Strudel's WebAudio output code (superdough) builds its voices from
+ * context.createX() nodes, node constructors and AudioWorklet processors
+ * scheduled on `currentTime`. This context renders that graph in 128-frame
+ * quanta and adds it to the NativeAudioEngine's output blocks, so the graph
+ * plays through the selected native backend with the engine's master
+ * dynamics. `currentTime` counts the frames this context has rendered: it
+ * starts at zero when the context is created and stands still while the
+ * context is detached, so it is not the engine's AudioClock, only in step
+ * with it while attached. The context starts `running` (there is no autoplay
+ * policy in a terminal) but only attaches to the engine, and so starts the
+ * render loop, once something is connected to its destination.
+ * OfflineAudioContext renders the same graph into an AudioBuffer as fast as
+ * possible. There are no analyser, compressor or wave shaper nodes, so
+ * superdough's `analyze`, `compressor` and `sbd` features do not play.
+ *
+ * @module audio/webaudio/context
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import { performance } from 'perf_hooks';
+import { decodeWav } from '../wav.js';
+import { resample } from '../dsp/resample.js';
+import { AudioBuffer } from './buffer.js';
+import { AudioDestinationNode, RENDER_QUANTUM } from './node.js';
+import { AudioBufferSourceNode, ConstantSourceNode, OscillatorNode, PeriodicWave } from './sources.js';
+import { BiquadFilterNode, DelayNode, GainNode, StereoPannerNode } from './processors.js';
+import { ConvolverNode } from './convolver.js';
+import { ChannelMergerNode, ChannelSplitterNode } from './channels.js';
+import { AudioWorklet } from './worklet.js';
+
+export class BaseAudioContext extends EventTarget {
+  /**
+   * @param {object} options
+   * @param {number} options.sampleRate - Hz
+   * @param {number} options.channels - Destination channels
+   */
+  constructor({ sampleRate, channels }) {
+    super();
+    if (!Number.isFinite(sampleRate) || sampleRate < 3000 || sampleRate > 768000) {
+      throw new DOMException(`Invalid sampleRate: ${sampleRate}`, 'NotSupportedError');
+    }
+    this.sampleRate = sampleRate;
+    this.state = 'suspended';
+    this.onstatechange = null;
+    this._frame = 0;
+    this._quantum = 0;
+    this.destination = new AudioDestinationNode(this, channels);
+    this.audioWorklet = new AudioWorklet(this);
+  }
+
+  /**
+   * Seconds rendered so far.
+   * @returns {number}
+   */
+  get currentTime() {
+    return this._frame / this.sampleRate;
+  }
+
+  createBuffer(numberOfChannels, length, sampleRate) {
+    return new AudioBuffer({ numberOfChannels, length, sampleRate });
+  }
+
+  createBufferSource() {
+    return new AudioBufferSourceNode(this);
+  }
+
+  createOscillator() {
+    return new OscillatorNode(this);
+  }
+
+  createConstantSource() {
+    return new ConstantSourceNode(this);
+  }
+
+  createPeriodicWave(real, imag, { disableNormalization = false } = {}) {
+    return new PeriodicWave(this, { real, imag, disableNormalization });
+  }
+
+  createGain() {
+    return new GainNode(this);
+  }
+
+  createBiquadFilter() {
+    return new BiquadFilterNode(this);
+  }
+
+  createDelay(maxDelayTime = 1) {
+    return new DelayNode(this, { maxDelayTime });
+  }
+
+  createConvolver() {
+    return new ConvolverNode(this);
+  }
+
+  createStereoPanner() {
+    return new StereoPannerNode(this);
+  }
+
+  createChannelSplitter(numberOfOutputs = 6) {
+    return new ChannelSplitterNode(this, { numberOfOutputs });
+  }
+
+  createChannelMerger(numberOfInputs = 6) {
+    return new ChannelMergerNode(this, { numberOfInputs });
+  }
+
+  /**
+   * Decode a WAV file and convert it to the context's sample rate.
+   * @param {ArrayBuffer|Uint8Array} audioData - Encoded file
+   * @param {Function} [successCallback]
+   * @param {Function} [errorCallback]
+   * @returns {Promise<AudioBuffer>}
+   */
+  async decodeAudioData(audioData, successCallback, errorCallback) {
+    let buffer;
+    try {
+      const decoded = decodeWav(Buffer.from(audioData));
+      buffer = AudioBuffer.fromChannelData(resample(decoded, this.sampleRate));
+    } catch (error) {
+      const failure = new DOMException(`Unable to decode audio data: ${error.message}`, 'EncodingError');
+      errorCallback?.(failure);
+      throw failure;
+    }
+    successCallback?.(buffer);
+    return buffer;
+  }
+
+  /**
+   * Render the graph's next quantum.
+   * @returns {Float32Array[]} Destination channels
+   * @private
+   */
+  _renderQuantum() {
+    const output = this.destination._pull();
+    this._frame += RENDER_QUANTUM;
+    this._quantum += 1;
+    return output;
+  }
+
+  /** @private */
+  _setState(state) {
+    if (this.state === state) {
+      return;
+    }
+    this.state = state;
+    const event = new Event('statechange');
+    this.dispatchEvent(event);
+    this.onstatechange?.call(this, event);
+  }
+}
+
+export class AudioContext extends BaseAudioContext {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.sampleRate=48000] - Must match the engine's
+   * @param {number} [options.channels=2] - Must match the engine's
+   * @param {NativeAudioEngine} [options.engine] - Engine that plays the output
+   * @param {Logger} [options.logger]
+   */
+  constructor({ sampleRate = 48000, channels = 2, engine = null, logger = null } = {}) {
+    super({ sampleRate, channels });
+    this.engine = engine;
+    this.logger = logger;
+    this.state = 'running';
+    this._attached = false;
+    this._block = null;
+    this._blockOffset = RENDER_QUANTUM;
+  }
+
+  /**
+   * Latency of the context's own processing (one quantum).
+   * @returns {number} Seconds
+   */
+  get baseLatency() {
+    return RENDER_QUANTUM / this.sampleRate;
+  }
+
+  /**
+   * Latency between the graph's output and the speaker.
+   * @returns {number} Seconds
+   */
+  get outputLatency() {
+    return (this.engine?.latencyMs ?? 0) / 1000;
+  }
+
+  getOutputTimestamp() {
+    return { contextTime: this.currentTime, performanceTime: performance.now() };
+  }
+
+  async resume() {
+    this._requireOpen();
+    this._setState('running');
+    await this._attach();
+  }
+
+  async suspend() {
+    this._requireOpen();
+    this._detach();
+    this._setState('suspended');
+  }
+
+  async close() {
+    if (this.state === 'closed') {
+      return;
+    }
+    this._detach();
+    this._setState('closed');
+  }
+
+  /**
+   * Add the graph's next frames to an interleaved engine block. Called by
+   * the engine's render loop while the context is attached.
+   * @param {Float32Array} block - Interleaved frames (summed into)
+   * @param {number} channels - Channels per frame
+   */
+  render(block, channels) {
+    const frames = block.length / channels;
+    let frame = 0;
+    while (frame < frames) {
+      if (this._blockOffset >= RENDER_QUANTUM) {
+        this._block = this._renderQuantum();
+        this._blockOffset = 0;
+      }
+      const count = Math.min(frames - frame, RENDER_QUANTUM - this._blockOffset);
+      const shared = Math.min(channels, this._block.length);
+      for (let ch = 0; ch < shared; ch += 1) {
+        const source = this._block[ch];
+        for (let i = 0; i < count; i += 1) {
+          block[(frame + i) * channels + ch] += source[this._blockOffset + i];
+        }
+      }
+      frame += count;
+      this._blockOffset += count;
+    }
+  }
+
+  /**
+   * Attach once the graph has something to play.
+   * @private
+   */
+  _onDestinationConnected() {
+    if (this.state === 'running') {
+      this._attach().catch((error) => this.logger?.warn?.(`AudioContext failed to start: ${error.message}`));
+    }
+  }
+
+  /** @private */
+  async _attach() {
+    if (!this.engine || this._attached || this.destination._sources.size === 0) {
+      return;
+    }
+    this._attached = true;
+    await this.engine.attachInput(this);
+    this.logger?.debug?.('AudioContext attached to the native engine');
+  }
+
+  /** @private */
+  _detach() {
+    if (this._attached) {
+      this._attached = false;
+      this.engine.detachInput(this);
+    }
+  }
+
+  /** @private */
+  _requireOpen() {
+    if (this.state === 'closed') {
+      throw new DOMException('The AudioContext is closed', 'InvalidStateError');
+    }
+  }
+}
+
+export class OfflineAudioContext extends BaseAudioContext {
+  /**
+   * Accepts an options object or the legacy (channels, length, sampleRate)
+   * arguments.
+   * @param {object|number} options - {numberOfChannels, length, sampleRate}
+   * @param {number} [length]
+   * @param {number} [sampleRate]
+   */
+  constructor(options, length, sampleRate) {
+    const { numberOfChannels = 1, ...rest } = typeof options === 'object'
+      ? options
+      : { numberOfChannels: options, length, sampleRate };
+    super({ sampleRate: rest.sampleRate, channels: numberOfChannels });
+    if (!Number.isInteger(rest.length) || rest.length < 1) {
+      throw new DOMException(`Invalid length: ${rest.length}`, 'NotSupportedError');
+    }
+    this.length = rest.length;
+    this.numberOfChannels = numberOfChannels;
+    this.oncomplete = null;
+    this._rendering = false;
+  }
+
+  /**
+   * Render the whole graph.
+   * @returns {Promise<AudioBuffer>}
+   */
+  async startRendering() {
+    if (this._rendering) {
+      throw new DOMException('startRendering() may only be called once', 'InvalidStateError');
+    }
+    this._rendering = true;
+    this._setState('running');
+    const rendered = new AudioBuffer({
+      numberOfChannels: this.numberOfChannels,
+      length: this.length,
+      sampleRate: this.sampleRate
+    });
+    for (let frame = 0; frame < this.length; frame += RENDER_QUANTUM) {
+      const output = this._renderQuantum();
+      const count = Math.min(RENDER_QUANTUM, this.length - frame);
+      output.forEach((channel, ch) => rendered.getChannelData(ch).set(channel.subarray(0, count), frame));
+      // Let `ended` handlers run between quanta, as they would in real time
+      await Promise.resolve();
+    }
+    this._setState('closed');
+    const event = new Event('complete');
+    event.renderedBuffer = rendered;
+    this.dispatchEvent(event);
+    this.oncomplete?.call(this, event);
+    return rendered;
+  }
+}
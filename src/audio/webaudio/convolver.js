@@ -0,0 +1,133 @@
+/**
+ * ConvolverNode - Impulse-response reverb of the WebAudio polyfill.
+ *
+ * Convolution runs through PartitionedConvolver, so long responses add no
+ * latency. Channel handling follows the spec: mono and stereo responses
+ * convolve each input channel with the matching response channel, a
+ * four-channel response is a true-stereo matrix (LL, LR, RL, RR). With
+ * `normalize` on, the response is scaled by the spec's power-based
+ * normalisation so rooms of different sizes play at similar loudness.
+ *
+ * @module audio/webaudio/convolver
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import { PartitionedConvolver } from '../dsp/fft.js';
+import { AudioNode, RENDER_QUANTUM, silentChannels } from './node.js';
+
+/** Constants of the spec's normalisation. */
+const GAIN_CALIBRATION = 0.00125;
+const GAIN_CALIBRATION_SAMPLE_RATE = 44100;
+const MIN_POWER = 0.000125;
+/** Partition size for the response past its first block. */
+const TAIL_BLOCK_SIZE = 2048;
+
+/**
+ * Normalisation scale for a response (spec algorithm).
+ * @param {AudioBuffer} buffer
+ * @returns {number}
+ */
+export function normalizationScale(buffer) {
+  let power = 0;
+  for (let ch = 0; ch < buffer.numberOfChannels; ch += 1) {
+    const data = buffer.getChannelData(ch);
+    for (let i = 0; i < data.length; i += 1) {
+      power += data[i] * data[i];
+    }
+  }
+  power = Math.sqrt(power / (buffer.numberOfChannels * buffer.length));
+  if (!Number.isFinite(power) || power < MIN_POWER) {
+    power = MIN_POWER;
+  }
+  let scale = (1 / power) * GAIN_CALIBRATION * (GAIN_CALIBRATION_SAMPLE_RATE / buffer.sampleRate);
+  if (buffer.numberOfChannels === 4) {
+    scale *= 0.5;
+  }
+  return scale;
+}
+
+export class ConvolverNode extends AudioNode {
+  /**
+   * @param {BaseAudioContext} context
+   * @param {object} [options]
+   * @param {AudioBuffer} [options.buffer] - Impulse response
+   * @param {boolean} [options.disableNormalization=false]
+   */
+  constructor(context, { buffer = null, disableNormalization = false } = {}) {
+    super(context, { channelCount: 2, channelCountMode: 'clamped-max' });
+    this.normalize = !disableNormalization;
+    this._buffer = null;
+    this._paths = [];
+    this._scale = 1;
+    this._zeros = new Float32Array(RENDER_QUANTUM);
+    // Frames since the last audible input
+    this._idle = Infinity;
+    this.buffer = buffer;
+  }
+
+  get buffer() {
+    return this._buffer;
+  }
+
+  /**
+   * Set the impulse response. `normalize` is read at this point, as in the
+   * spec.
+   * @param {AudioBuffer|null} buffer
+   */
+  set buffer(buffer) {
+    if (!buffer) {
+      this._buffer = null;
+      this._paths = [];
+      return;
+    }
+    if (![1, 2, 4].includes(buffer.numberOfChannels)) {
+      throw new DOMException('Convolver responses must have 1, 2 or 4 channels', 'NotSupportedError');
+    }
+    if (buffer.sampleRate !== this.context.sampleRate) {
+      throw new DOMException('Convolver response sample rate must match the context', 'NotSupportedError');
+    }
+    // Each path convolves input channel `from` with response channel `ch` into output `to`
+    const routes = {
+      1: [[0, 0, 0]],
+      2: [[0, 0, 0], [1, 1, 1]],
+      4: [[0, 0, 0], [0, 1, 1], [1, 0, 2], [1, 1, 3]]
+    }[buffer.numberOfChannels];
+    this._buffer = buffer;
+    this._scale = this.normalize ? normalizationScale(buffer) : 1;
+    this._paths = routes.map(([from, to, ch]) => this._path(from, to, ch));
+    this._idle = Infinity;
+  }
+
+  _process(previous) {
+    const input = this._mixInput();
+    this._idle = input ? 0 : this._idle + RENDER_QUANTUM;
+    // The reverb tail lasts the response's length (plus the tail partitions' block)
+    if (this._paths.length === 0 || this._idle > this._buffer.length + TAIL_BLOCK_SIZE) {
+      return this._silence(previous, 2);
+    }
+    const output = silentChannels(previous, 2);
+    if (input?.length > 1 && this._paths.length === 1) {
+      // Stereo input through a mono response: the right side gets its own path
+      this._paths.push(this._path(1, 1, 0));
+    }
+    for (const { from, to, convolver } of this._paths) {
+      // Mono input feeds every path
+      const source = input ? input[Math.min(from, input.length - 1)] : this._zeros;
+      convolver.process(source, output[to]);
+    }
+    if (this._paths.length === 1) {
+      output[1].set(output[0]);
+    }
+    return output;
+  }
+
+  /**
+   * Convolution path from one input channel to one output channel.
+   * @private
+   */
+  _path(from, to, channel) {
+    const response = Float32Array.from(this._buffer.getChannelData(channel), (value) => value * this._scale);
+    return { from, to, convolver: new PartitionedConvolver(response, { blockSize: RENDER_QUANTUM, tailBlockSize: TAIL_BLOCK_SIZE }) };
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * installGlobals - Expose the WebAudio polyfill under the browser's names.
+ *
+ * Browser audio code reaches WebAudio through globals: superdough calls
+ * `new AudioContext()`, `new GainNode(ctx)` and `new AudioWorkletNode(...)`,
+ * and patches AudioContext.prototype when it is imported, so the globals
+ * have to be installed before such code is loaded. The installed
+ * AudioContext fills in any options it is not given from `defaults`, which
+ * is how a bare `new AudioContext()` ends up playing through a native
+ * engine in the engine's format. Only WebAudio is provided; superdough also
+ * looks for a `window` before it initializes.
+ *
+ * @module audio/webaudio/globals
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import { AudioContext, BaseAudioContext, OfflineAudioContext } from './context.js';
+import { AudioBuffer } from './buffer.js';
+import { AudioDestinationNode, AudioNode } from './node.js';
+import { AudioParam } from './param.js';
+import {
+  AudioBufferSourceNode,
+  AudioScheduledSourceNode,
+  ConstantSourceNode,
+  OscillatorNode,
+  PeriodicWave
+} from './sources.js';
+import { BiquadFilterNode, DelayNode, GainNode, StereoPannerNode } from './processors.js';
+import { ConvolverNode } from './convolver.js';
+import { ChannelMergerNode, ChannelSplitterNode } from './channels.js';
+import { AudioWorklet, AudioWorkletNode } from './worklet.js';
+
+const INTERFACES = {
+  AudioBuffer,
+  AudioBufferSourceNode,
+  AudioDestinationNode,
+  AudioNode,
+  AudioParam,
+  AudioScheduledSourceNode,
+  AudioWorklet,
+  AudioWorkletNode,
+  BaseAudioContext,
+  BiquadFilterNode,
+  ChannelMergerNode,
+  ChannelSplitterNode,
+  ConstantSourceNode,
+  ConvolverNode,
+  DelayNode,
+  GainNode,
+  OfflineAudioContext,
+  OscillatorNode,
+  PeriodicWave,
+  StereoPannerNode
+};
+
+/**
+ * Install the WebAudio interfaces on a global object.
+ * @param {object} [defaults] - AudioContext options, e.g. {engine, logger}; the
+ *   sample rate and channels default to the engine's
+ * @param {object} [target=globalThis]
+ * @returns {Function} Restores whatever the names held before
+ */
+export function installGlobals(defaults = {}, target = globalThis) {
+  const globals = {
+    ...INTERFACES,
+    AudioContext: class extends AudioContext {
+      constructor(options = {}) {
+        const { engine } = defaults;
+        super({ sampleRate: engine?.sampleRate, channels: engine?.channels, ...defaults, ...options });
+      }
+    }
+  };
+  const previous = Object.keys(globals).map((name) => [name, Object.getOwnPropertyDescriptor(target, name)]);
+  Object.assign(target, globals);
+  return () => {
+    for (const [name, descriptor] of previous) {
+      if (descriptor) {
+        Object.defineProperty(target, name, descriptor);
+      } else {
+        delete target[name];
+      }
+    }
+  };
+}
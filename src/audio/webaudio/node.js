@@ -0,0 +1,367 @@
+/**
+ * AudioNode - Base of the WebAudio polyfill's processing graph.
+ *
+ * The graph is pull-based: the destination asks its inputs for one render
+ * quantum (128 frames), which ask theirs in turn. Each node caches its output
+ * per quantum, so a node feeding several others is rendered once, and a node
+ * reached again while it is still rendering (a feedback cycle) returns its
+ * previous quantum instead. Nodes whose inputs are all silent skip their
+ * work once their tail (filter ringing, delay lines, reverb) has died out,
+ * and report silence so the nodes after them can do the same; like a
+ * browser, the graph only costs CPU while it sounds. Inputs are summed with
+ * the WebAudio channel mixing rules: `speakers` up-mixes mono to every
+ * channel and down-mixes stereo to mono by averaging, `discrete` matches
+ * channels by index. Nodes with several inputs or outputs (channel splitters
+ * and mergers, worklets) are wired with the indices connect() takes; each
+ * output after the first is pulled through an outlet that renders the node
+ * and hands back that output's channels.
+ *
+ * @module audio/webaudio/node
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+/** Frames per render quantum (fixed by the WebAudio spec). */
+export const RENDER_QUANTUM = 128;
+
+const CHANNEL_COUNT_MODES = ['max', 'clamped-max', 'explicit'];
+const CHANNEL_INTERPRETATIONS = ['speakers', 'discrete'];
+
+/**
+ * Add `source` channels into `target` channels with WebAudio up/down-mixing.
+ * @param {Float32Array[]} target - Output channels (summed into)
+ * @param {Float32Array[]} source - Input channels
+ * @param {string} [interpretation='speakers']
+ */
+export function mixChannels(target, source, interpretation = 'speakers') {
+  const frames = target[0].length;
+  if (interpretation === 'speakers' && source.length === 1 && target.length > 1) {
+    const [mono] = source;
+    // Mono feeds left and right only (centre-less layouts beyond stereo stay discrete)
+    const count = Math.min(target.length, 2);
+    for (let ch = 0; ch < count; ch += 1) {
+      const out = target[ch];
+      for (let i = 0; i < frames; i += 1) {
+        out[i] += mono[i];
+      }
+    }
+    return;
+  }
+  if (interpretation === 'speakers' && source.length === 2 && target.length === 1) {
+    const [left, right] = source;
+    const out = target[0];
+    for (let i = 0; i < frames; i += 1) {
+      out[i] += 0.5 * (left[i] + right[i]);
+    }
+    return;
+  }
+  const count = Math.min(target.length, source.length);
+  for (let ch = 0; ch < count; ch += 1) {
+    const out = target[ch];
+    const input = source[ch];
+    for (let i = 0; i < frames; i += 1) {
+      out[i] += input[i];
+    }
+  }
+}
+
+/**
+ * Allocate (or reuse) silent channel buffers for one quantum.
+ * @param {Float32Array[]|null} buffers - Buffers from the previous quantum
+ * @param {number} channels
+ * @returns {Float32Array[]}
+ */
+export function silentChannels(buffers, channels) {
+  if (!buffers || buffers.length !== channels) {
+    return Array.from({ length: channels }, () => new Float32Array(RENDER_QUANTUM));
+  }
+  for (const buffer of buffers) {
+    buffer.fill(0);
+  }
+  return buffers;
+}
+
+export class AudioNode extends EventTarget {
+  /**
+   * @param {BaseAudioContext} context - Owning context
+   * @param {object} [options]
+   * @param {number} [options.numberOfInputs=1]
+   * @param {number} [options.numberOfOutputs=1]
+   * @param {number} [options.channelCount=2]
+   * @param {string} [options.channelCountMode='max']
+   * @param {string} [options.channelInterpretation='speakers']
+   */
+  constructor(context, {
+    numberOfInputs = 1,
+    numberOfOutputs = 1,
+    channelCount = 2,
+    channelCountMode = 'max',
+    channelInterpretation = 'speakers'
+  } = {}) {
+    super();
+    this.context = context;
+    this.numberOfInputs = numberOfInputs;
+    this.numberOfOutputs = numberOfOutputs;
+    this.channelCount = channelCount;
+    this.channelCountMode = channelCountMode;
+    this.channelInterpretation = channelInterpretation;
+    // Connected sources of each input; `_sources` is the first
+    this._inputs = Array.from({ length: Math.max(numberOfInputs, 1) }, () => new Set());
+    this._sources = this._inputs[0];
+    this._connections = new Set();
+    this._outlets = [this];
+    this._outputs = [];
+    this._outputSilent = [];
+    this._inputBuffers = [];
+    this._pulled = [];
+    this._output = null;
+    this._silent = true;
+    this._quantum = -1;
+    this._rendering = false;
+  }
+
+  get channelCount() {
+    return this._channelCount;
+  }
+
+  set channelCount(count) {
+    if (!Number.isInteger(count) || count < 1 || count > 32) {
+      throw new DOMException(`Invalid channelCount: ${count}`, 'NotSupportedError');
+    }
+    this._channelCount = count;
+  }
+
+  get channelCountMode() {
+    return this._channelCountMode;
+  }
+
+  set channelCountMode(mode) {
+    if (!CHANNEL_COUNT_MODES.includes(mode)) {
+      throw new TypeError(`Invalid channelCountMode: ${mode}`);
+    }
+    this._channelCountMode = mode;
+  }
+
+  get channelInterpretation() {
+    return this._channelInterpretation;
+  }
+
+  set channelInterpretation(interpretation) {
+    if (!CHANNEL_INTERPRETATIONS.includes(interpretation)) {
+      throw new TypeError(`Invalid channelInterpretation: ${interpretation}`);
+    }
+    this._channelInterpretation = interpretation;
+  }
+
+  /**
+   * Connect one of this node's outputs to a node's input or to an AudioParam.
+   * @param {AudioNode|AudioParam} destination
+   * @param {number} [output=0] - Output of this node
+   * @param {number} [input=0] - Input of the destination node
+   * @returns {AudioNode|undefined} The destination node, for chaining
+   */
+  connect(destination, output = 0, input = 0) {
+    if (!destination || typeof destination._addSource !== 'function') {
+      throw new TypeError('connect() needs an AudioNode or AudioParam');
+    }
+    if (destination.context !== this.context) {
+      throw new DOMException('Cannot connect nodes from different contexts', 'InvalidAccessError');
+    }
+    const outlet = this._outlet(output);
+    const isNode = destination instanceof AudioNode;
+    if (isNode && !(Number.isInteger(input) && input >= 0 && input < destination.numberOfInputs)) {
+      throw new DOMException(`${destination.constructor.name} has no input ${input}`, 'IndexSizeError');
+    }
+    const target = isNode ? input : 0;
+    const connected = [...this._connections].some((connection) => connection.destination === destination
+      && connection.output === output && connection.input === target);
+    if (!connected) {
+      this._connections.add({ destination, output, input: target, outlet });
+      destination._addSource(outlet, target);
+    }
+    return isNode ? destination : undefined;
+  }
+
+  /**
+   * Disconnect every connection, those of one output, or those to one
+   * destination (optionally narrowed to an output and input).
+   * @param {AudioNode|AudioParam|number} [destination] - Destination, or an output index
+   * @param {number} [output]
+   * @param {number} [input]
+   */
+  disconnect(...args) {
+    const [destination, output, input] = typeof args[0] === 'number' ? [undefined, ...args] : args;
+    if (output !== undefined) {
+      this._outlet(output);
+    }
+    const matches = [...this._connections].filter((connection) =>
+      (destination === undefined || connection.destination === destination)
+      && (output === undefined || connection.output === output)
+      && (input === undefined || connection.input === input));
+    if (destination !== undefined && matches.length === 0) {
+      throw new DOMException('Not connected to that destination', 'InvalidAccessError');
+    }
+    for (const connection of matches) {
+      connection.destination._removeSource(connection.outlet, connection.input);
+      this._connections.delete(connection);
+    }
+  }
+
+  /**
+   * What a destination pulls to read one of this node's outputs: the node
+   * itself for the first, an outlet for the others.
+   * @param {number} output
+   * @returns {AudioNode|AudioNodeOutput}
+   * @private
+   */
+  _outlet(output) {
+    if (!(Number.isInteger(output) && output >= 0 && output < this.numberOfOutputs)) {
+      throw new DOMException(`${this.constructor.name} has no output ${output}`, 'IndexSizeError');
+    }
+    this._outlets[output] ??= new AudioNodeOutput(this, output);
+    return this._outlets[output];
+  }
+
+  /**
+   * Output channels for the context's current quantum.
+   * @returns {Float32Array[]}
+   * @private
+   */
+  _pull() {
+    const quantum = this.context._quantum;
+    if (this._quantum === quantum || this._rendering) {
+      // Already rendered, or a feedback cycle: use what we have (one quantum late)
+      return this._output || silentChannels(null, 1);
+    }
+    this._rendering = true;
+    this._silent = false;
+    try {
+      this._output = this._process(this._output);
+    } finally {
+      this._rendering = false;
+    }
+    this._quantum = quantum;
+    return this._output;
+  }
+
+  /**
+   * Render one quantum. Subclasses override; the default passes the mixed
+   * input through.
+   * @param {Float32Array[]|null} previous - Output buffers of the last quantum (reusable)
+   * @returns {Float32Array[]}
+   * @protected
+   */
+  _process(previous) {
+    const input = this._mixInput();
+    return input ? this._copy(previous, input) : this._silence(previous, 1);
+  }
+
+  /**
+   * Silent output buffers; marks this quantum's output as silent.
+   * @protected
+   */
+  _silence(previous, channels) {
+    this._silent = true;
+    return silentChannels(previous, channels);
+  }
+
+  /**
+   * Sum the sources connected to an input into the computed number of
+   * channels.
+   * @param {number} [input=0]
+   * @returns {Float32Array[]|null} Null when nothing audible is connected
+   * @protected
+   */
+  _mixInput(input = 0) {
+    const outputs = this._pulled;
+    outputs.length = 0;
+    let widest = 0;
+    for (const source of this._inputs[input]) {
+      const output = source._pull();
+      if (!source._silent) {
+        outputs.push(output);
+        widest = Math.max(widest, output.length);
+      }
+    }
+    if (outputs.length === 0) {
+      return null;
+    }
+    let channels = widest;
+    if (this.channelCountMode === 'clamped-max') {
+      channels = Math.min(widest, this.channelCount);
+    } else if (this.channelCountMode === 'explicit') {
+      channels = this.channelCount;
+    }
+    const mixed = silentChannels(this._inputBuffers[input], channels);
+    this._inputBuffers[input] = mixed;
+    for (const output of outputs) {
+      mixChannels(mixed, output, this.channelInterpretation);
+    }
+    return mixed;
+  }
+
+  /**
+   * Copy channels into this node's own output buffers.
+   * @protected
+   */
+  _copy(previous, channels) {
+    const output = silentChannels(previous, channels.length);
+    channels.forEach((channel, ch) => output[ch].set(channel));
+    return output;
+  }
+
+  /** @private */
+  _addSource(node, input = 0) {
+    this._inputs[input].add(node);
+  }
+
+  /** @private */
+  _removeSource(node, input = 0) {
+    this._inputs[input].delete(node);
+  }
+}
+
+/**
+ * A node's second or later output, pulled like a node by what it feeds.
+ * Nodes with several outputs fill `_outputs` and `_outputSilent` while they
+ * render.
+ * @private
+ */
+class AudioNodeOutput {
+  constructor(node, index) {
+    this.node = node;
+    this.index = index;
+    this.context = node.context;
+  }
+
+  get _silent() {
+    return this.node._outputSilent[this.index] ?? true;
+  }
+
+  _pull() {
+    this.node._pull();
+    return this.node._outputs[this.index] || silentChannels(null, 1);
+  }
+}
+
+export class AudioDestinationNode extends AudioNode {
+  /**
+   * @param {BaseAudioContext} context
+   * @param {number} channels - Output channels of the device
+   */
+  constructor(context, channels) {
+    super(context, { numberOfOutputs: 0, channelCount: channels, channelCountMode: 'explicit' });
+    this.maxChannelCount = channels;
+  }
+
+  _process(previous) {
+    const input = this._mixInput();
+    return input ? this._copy(previous, input) : this._silence(previous, this.channelCount);
+  }
+
+  /** @private */
+  _addSource(node, input) {
+    super._addSource(node, input);
+    this.context._onDestinationConnected?.();
+  }
+}
@@ -0,0 +1,392 @@
+/**
+ * AudioParam - Automatable node parameter of the WebAudio polyfill.
+ *
+ * Implements the WebAudio automation timeline: setValueAtTime, linear and
+ * exponential ramps (which run from the previous event to their end time),
+ * setTargetAtTime, setValueCurveAtTime, cancelScheduledValues and
+ * cancelAndHoldAtTime. Values are computed per frame for a-rate parameters
+ * and once per quantum for k-rate ones, then summed with any audio-rate
+ * inputs connected to the parameter and clamped to its nominal range. Events
+ * that can no longer affect the output are dropped as time moves on.
+ *
+ * @module audio/webaudio/param
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import { RENDER_QUANTUM } from './node.js';
+
+const MOST_POSITIVE_FLOAT = 3.4028234663852886e38;
+
+/**
+ * Throw unless every value is a finite number.
+ * @private
+ */
+function requireFinite(...values) {
+  for (const value of values) {
+    if (!Number.isFinite(value)) {
+      throw new TypeError(`Non-finite automation value: ${value}`);
+    }
+  }
+}
+
+export class AudioParam {
+  /**
+   * @param {BaseAudioContext} context - Owning context
+   * @param {object} options
+   * @param {number} options.defaultValue
+   * @param {number} [options.minValue] - Nominal range minimum
+   * @param {number} [options.maxValue] - Nominal range maximum
+   * @param {string} [options.automationRate='a-rate'] - `a-rate` or `k-rate`
+   */
+  constructor(context, {
+    defaultValue,
+    minValue = -MOST_POSITIVE_FLOAT,
+    maxValue = MOST_POSITIVE_FLOAT,
+    automationRate = 'a-rate'
+  }) {
+    this.context = context;
+    this.defaultValue = defaultValue;
+    this.minValue = minValue;
+    this.maxValue = maxValue;
+    this.automationRate = automationRate;
+    this._intrinsic = defaultValue;
+    this._current = defaultValue;
+    this._events = [];
+    this._sources = new Set();
+    this._values = new Float32Array(RENDER_QUANTUM);
+    this._quantum = -1;
+    // Whether the last computed quantum holds a single value
+    this._constant = true;
+  }
+
+  /**
+   * Value at the start of the most recent quantum (or the set value).
+   * @returns {number}
+   */
+  get value() {
+    return this._current;
+  }
+
+  set value(value) {
+    requireFinite(value);
+    if (this._events.length === 0) {
+      this._intrinsic = value;
+      this._current = this._clamp(value);
+      return;
+    }
+    this.setValueAtTime(value, this.context.currentTime);
+  }
+
+  setValueAtTime(value, startTime) {
+    requireFinite(value, startTime);
+    this._insert({ type: 'set', time: Math.max(0, startTime), value });
+    return this;
+  }
+
+  linearRampToValueAtTime(value, endTime) {
+    requireFinite(value, endTime);
+    this._insert({ type: 'linear', time: Math.max(0, endTime), value });
+    return this;
+  }
+
+  exponentialRampToValueAtTime(value, endTime) {
+    requireFinite(value, endTime);
+    if (value === 0) {
+      throw new RangeError('exponentialRampToValueAtTime value must not be 0');
+    }
+    this._insert({ type: 'exponential', time: Math.max(0, endTime), value });
+    return this;
+  }
+
+  setTargetAtTime(target, startTime, timeConstant) {
+    requireFinite(target, startTime, timeConstant);
+    if (timeConstant < 0) {
+      throw new RangeError('setTargetAtTime timeConstant must not be negative');
+    }
+    this._insert({ type: 'target', time: Math.max(0, startTime), value: target, timeConstant });
+    return this;
+  }
+
+  setValueCurveAtTime(values, startTime, duration) {
+    requireFinite(startTime, duration);
+    if (!values || values.length < 2) {
+      throw new DOMException('setValueCurveAtTime needs at least two values', 'InvalidStateError');
+    }
+    if (duration <= 0) {
+      throw new RangeError('setValueCurveAtTime duration must be positive');
+    }
+    const curve = Float32Array.from(values);
+    this._insert({ type: 'curve', time: Math.max(0, startTime), value: curve[curve.length - 1], curve, duration });
+    return this;
+  }
+
+  /**
+   * Remove every event at or after a time.
+   * @param {number} cancelTime
+   */
+  cancelScheduledValues(cancelTime) {
+    requireFinite(cancelTime);
+    this._events = this._events.filter((event) => event.time < cancelTime);
+    return this;
+  }
+
+  /**
+   * Remove every event after a time and hold the value the automation had
+   * reached at it.
+   * @param {number} cancelTime
+   */
+  cancelAndHoldAtTime(cancelTime) {
+    requireFinite(cancelTime);
+    const held = this._valueAt(cancelTime);
+    const next = this._events.find((event) => event.time >= cancelTime);
+    this._events = this._events.filter((event) => event.time < cancelTime && !this._spans(event, cancelTime));
+    // A ramp in progress ends early at the held value instead of jumping to it
+    const type = next?.type === 'linear' || next?.type === 'exponential' ? next.type : 'set';
+    this._insert({ type, time: cancelTime, value: held });
+    return this;
+  }
+
+  /**
+   * Compute this quantum's values (automation plus connected inputs).
+   * @returns {Float32Array}
+   * @private
+   */
+  _compute() {
+    const quantum = this.context._quantum;
+    if (this._quantum === quantum) {
+      return this._values;
+    }
+    this._quantum = quantum;
+    const values = this._values;
+    const { sampleRate } = this.context;
+    const start = this.context._frame / sampleRate;
+
+    this._prune(start);
+    const first = this._segment(start);
+    this._constant = this.automationRate === 'k-rate'
+      || (first.type === 'set' && first.until >= start + RENDER_QUANTUM / sampleRate);
+    if (this._constant) {
+      values.fill(this._evaluate(first, start));
+    } else {
+      // Evaluate one automation segment at a time
+      let segment = first;
+      for (let i = 0; i < values.length; i += 1) {
+        const time = start + i / sampleRate;
+        if (time >= segment.until) {
+          segment = this._segment(time);
+        }
+        values[i] = this._evaluate(segment, time);
+      }
+    }
+
+    for (const source of this._sources) {
+      const channels = source._pull();
+      if (source._silent) {
+        continue;
+      }
+      const k = this.automationRate === 'k-rate';
+      this._constant = this._constant && k;
+      for (let i = 0; i < values.length; i += 1) {
+        let sum = 0;
+        for (const channel of channels) {
+          sum += channel[k ? 0 : i];
+        }
+        // Inputs are down-mixed to mono
+        values[i] += sum / channels.length;
+      }
+    }
+
+    if (this._constant) {
+      values.fill(this._clamp(values[0]));
+    } else if (this.minValue > -MOST_POSITIVE_FLOAT || this.maxValue < MOST_POSITIVE_FLOAT) {
+      for (let i = 0; i < values.length; i += 1) {
+        values[i] = this._clamp(values[i]);
+      }
+    }
+    this._current = values[0];
+    return values;
+  }
+
+  /**
+   * Automation value at a time, before inputs are added.
+   * @private
+   */
+  _valueAt(time) {
+    return this._evaluate(this._segment(time), time);
+  }
+
+  /**
+   * The automation segment a time falls in: its shape and the time the next
+   * event changes it (`until`).
+   * @private
+   */
+  _segment(time) {
+    const events = this._events;
+    let value = this._intrinsic;
+    // Start of the segment a following ramp runs from
+    let fromTime = 0;
+    let fromValue = value;
+    let target = null;
+
+    for (let i = 0; i < events.length; i += 1) {
+      const event = events[i];
+      if (event.time > time) {
+        if (event.type === 'linear' || event.type === 'exponential') {
+          return { type: event.type, fromTime, fromValue, to: event, until: event.time };
+        }
+        return target
+          ? { type: 'target', event: target, fromValue, until: event.time }
+          : { type: 'set', value, until: event.time };
+      }
+
+      if (target) {
+        // The previous setTarget ran until this event
+        value = this._targetAt(target, fromValue, event.time);
+        target = null;
+      }
+      switch (event.type) {
+        case 'target':
+          target = event;
+          fromTime = event.time;
+          fromValue = value;
+          break;
+        case 'curve': {
+          const end = event.time + event.duration;
+          if (time < end) {
+            return { type: 'curve', event, until: end };
+          }
+          value = event.value;
+          fromTime = end;
+          fromValue = value;
+          break;
+        }
+        default:
+          value = event.value;
+          fromTime = event.time;
+          fromValue = value;
+          break;
+      }
+    }
+
+    return target
+      ? { type: 'target', event: target, fromValue, until: Infinity }
+      : { type: 'set', value, until: Infinity };
+  }
+
+  /**
+   * Value of a segment at a time inside it.
+   * @private
+   */
+  _evaluate(segment, time) {
+    switch (segment.type) {
+      case 'linear': {
+        const { fromTime, fromValue, to } = segment;
+        return fromValue + ((to.value - fromValue) * (time - fromTime)) / (to.time - fromTime);
+      }
+      case 'exponential': {
+        const { fromTime, fromValue, to } = segment;
+        if (fromValue === 0 || fromValue * to.value < 0) {
+          return fromValue;
+        }
+        return fromValue * (to.value / fromValue) ** ((time - fromTime) / (to.time - fromTime));
+      }
+      case 'target':
+        return this._targetAt(segment.event, segment.fromValue, time);
+      case 'curve':
+        return this._curveAt(segment.event, time);
+      default:
+        return segment.value;
+    }
+  }
+
+  /**
+   * Value of a setTarget curve that started from `fromValue`.
+   * @private
+   */
+  _targetAt(event, fromValue, time) {
+    if (event.timeConstant === 0) {
+      return event.value;
+    }
+    return event.value + (fromValue - event.value) * Math.exp(-(time - event.time) / event.timeConstant);
+  }
+
+  /**
+   * Linearly interpolated curve value.
+   * @private
+   */
+  _curveAt(event, time) {
+    const { curve } = event;
+    const position = ((time - event.time) / event.duration) * (curve.length - 1);
+    const index = Math.floor(position);
+    if (index >= curve.length - 1) {
+      return curve[curve.length - 1];
+    }
+    return curve[index] + (curve[index + 1] - curve[index]) * (position - index);
+  }
+
+  /**
+   * Drop events that ended before `time`. The last finished set/ramp becomes
+   * the starting value, so later events see the same history.
+   * @private
+   */
+  _prune(time) {
+    const events = this._events;
+    let last = -1;
+    for (let i = 0; i < events.length && events[i].time <= time; i += 1) {
+      const event = events[i];
+      const finished = event.type === 'curve' ? event.time + event.duration <= time : event.type !== 'target';
+      if (finished) {
+        last = i;
+      }
+    }
+    if (last < 0) {
+      return;
+    }
+    const { value, time: at, type, duration } = events[last];
+    this._intrinsic = value;
+    // Keep a set event so a following ramp still starts from this point
+    events.splice(0, last + 1, { type: 'set', time: type === 'curve' ? at + duration : at, value });
+  }
+
+  /**
+   * Insert an event in time order (after events at the same time).
+   * @private
+   */
+  _insert(event) {
+    const events = this._events;
+    for (const other of events) {
+      if (other.type === 'curve' && event.time > other.time && event.time < other.time + other.duration) {
+        throw new DOMException('Automation event overlaps a value curve', 'NotSupportedError');
+      }
+    }
+    let index = events.length;
+    while (index > 0 && events[index - 1].time > event.time) {
+      index -= 1;
+    }
+    events.splice(index, 0, event);
+  }
+
+  /**
+   * Whether a value curve is still running at `time`.
+   * @private
+   */
+  _spans(event, time) {
+    return event.type === 'curve' && event.time + event.duration > time;
+  }
+
+  /** @private */
+  _clamp(value) {
+    return Math.min(this.maxValue, Math.max(this.minValue, value));
+  }
+
+  /** @private */
+  _addSource(node) {
+    this._sources.add(node);
+  }
+
+  /** @private */
+  _removeSource(node) {
+    this._sources.delete(node);
+  }
+}
@@ -0,0 +1,460 @@
+/**
+ * Processing nodes of the WebAudio polyfill: gain, biquad filter, delay and
+ * stereo panner.
+ *
+ * BiquadFilterNode computes its coefficients with the formulas of the
+ * WebAudio spec (Robert Bristow-Johnson's cookbook, with Q in decibels for
+ * lowpass and highpass), once per quantum while its parameters hold still
+ * and per frame while they are automated. DelayNode reads before it writes
+ * when every delay in the quantum is at least one quantum long, which is
+ * what lets it close feedback loops without adding latency; shorter delays
+ * inside a loop are effectively lengthened to one quantum, as in browsers.
+ * Filters and delays keep processing silent input until they have rung out.
+ * StereoPannerNode uses the spec's equal-power law.
+ *
+ * @module audio/webaudio/processors
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import { AudioNode, RENDER_QUANTUM, silentChannels } from './node.js';
+import { AudioParam } from './param.js';
+
+const FILTER_TYPES = ['lowpass', 'highpass', 'bandpass', 'lowshelf', 'highshelf', 'peaking', 'notch', 'allpass'];
+
+/** Filter state below this (about -140 dB) has finished ringing. */
+const QUIET = 1e-7;
+
+export class GainNode extends AudioNode {
+  /**
+   * @param {BaseAudioContext} context
+   * @param {object} [options]
+   * @param {number} [options.gain=1]
+   */
+  constructor(context, { gain = 1, ...options } = {}) {
+    super(context, options);
+    this.gain = new AudioParam(context, { defaultValue: gain });
+  }
+
+  _process(previous) {
+    const input = this._mixInput();
+    const gain = this.gain._compute();
+    if (!input || (this.gain._constant && gain[0] === 0)) {
+      return this._silence(previous, 1);
+    }
+    const output = silentChannels(previous, input.length);
+    for (let ch = 0; ch < input.length; ch += 1) {
+      const source = input[ch];
+      const out = output[ch];
+      for (let i = 0; i < RENDER_QUANTUM; i += 1) {
+        out[i] = source[i] * gain[i];
+      }
+    }
+    return output;
+  }
+}
+
+export class BiquadFilterNode extends AudioNode {
+  /**
+   * @param {BaseAudioContext} context
+   * @param {object} [options]
+   * @param {string} [options.type='lowpass']
+   * @param {number} [options.frequency=350] - Hz
+   * @param {number} [options.detune=0] - Cents
+   * @param {number} [options.Q=1]
+   * @param {number} [options.gain=0] - dB (shelving and peaking)
+   */
+  constructor(context, { type = 'lowpass', frequency = 350, detune = 0, Q = 1, gain = 0, ...options } = {}) {
+    super(context, options);
+    const nyquist = context.sampleRate / 2;
+    this.frequency = new AudioParam(context, { defaultValue: frequency, minValue: 0, maxValue: nyquist });
+    this.detune = new AudioParam(context, { defaultValue: detune });
+    this.Q = new AudioParam(context, { defaultValue: Q });
+    this.gain = new AudioParam(context, { defaultValue: gain });
+    this.type = type;
+    this._state = [];
+    this._coefficients = new Float64Array(5);
+  }
+
+  get type() {
+    return this._type;
+  }
+
+  set type(type) {
+    if (FILTER_TYPES.includes(type)) {
+      this._type = type;
+    }
+  }
+
+  /**
+   * Magnitude and phase response at the current parameter values.
+   * @param {Float32Array} frequencyHz
+   * @param {Float32Array} magResponse
+   * @param {Float32Array} phaseResponse
+   */
+  getFrequencyResponse(frequencyHz, magResponse, phaseResponse) {
+    const [b0, b1, b2, a1, a2] = this._compute(this.frequency.value, this.detune.value, this.Q.value, this.gain.value);
+    const nyquist = this.context.sampleRate / 2;
+    for (let i = 0; i < frequencyHz.length; i += 1) {
+      if (frequencyHz[i] < 0 || frequencyHz[i] > nyquist) {
+        magResponse[i] = NaN;
+        phaseResponse[i] = NaN;
+        continue;
+      }
+      const w = (Math.PI * frequencyHz[i]) / nyquist;
+      const [c1, s1, c2, s2] = [Math.cos(w), Math.sin(w), Math.cos(2 * w), Math.sin(2 * w)];
+      const numRe = b0 + b1 * c1 + b2 * c2;
+      const numIm = -(b1 * s1 + b2 * s2);
+      const denRe = 1 + a1 * c1 + a2 * c2;
+      const denIm = -(a1 * s1 + a2 * s2);
+      magResponse[i] = Math.hypot(numRe, numIm) / Math.hypot(denRe, denIm);
+      phaseResponse[i] = Math.atan2(numIm, numRe) - Math.atan2(denIm, denRe);
+    }
+  }
+
+  _process(previous) {
+    const input = this._mixInput();
+    const frequency = this.frequency._compute();
+    const detune = this.detune._compute();
+    const q = this.Q._compute();
+    const gain = this.gain._compute();
+    let source = input;
+    if (!source) {
+      if (this._quiet()) {
+        return this._silence(previous, 1);
+      }
+      // Let the filter ring out
+      source = this._zeros(this._state.length);
+    }
+
+    const output = silentChannels(previous, source.length);
+    while (this._state.length < source.length) {
+      this._state.push(new Float64Array(4));
+    }
+    const automated = !(this.frequency._constant && this.detune._constant && this.Q._constant && this.gain._constant);
+    const c = this._compute(frequency[0], detune[0], q[0], gain[0]);
+
+    for (let i = 0; i < RENDER_QUANTUM; i += 1) {
+      if (automated && i > 0) {
+        this._compute(frequency[i], detune[i], q[i], gain[i]);
+      }
+      const b0 = c[0];
+      const b1 = c[1];
+      const b2 = c[2];
+      const a1 = c[3];
+      const a2 = c[4];
+      for (let ch = 0; ch < source.length; ch += 1) {
+        // Direct form I: x1, x2, y1, y2
+        const s = this._state[ch];
+        const x = source[ch][i];
+        const y = b0 * x + b1 * s[0] + b2 * s[1] - a1 * s[2] - a2 * s[3];
+        s[1] = s[0];
+        s[0] = x;
+        s[3] = s[2];
+        s[2] = y;
+        output[ch][i] = y;
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Whether every channel's state has decayed to silence (and clear it).
+   * @private
+   */
+  _quiet() {
+    const quiet = this._state.every((s) => Math.abs(s[0]) + Math.abs(s[1]) + Math.abs(s[2]) + Math.abs(s[3]) < QUIET);
+    if (quiet) {
+      this._state.forEach((s) => s.fill(0));
+    }
+    return quiet;
+  }
+
+  /**
+   * Silent input for ringing out.
+   * @private
+   */
+  _zeros(channels) {
+    if (!this._zeroInput || this._zeroInput.length !== channels) {
+      this._zeroInput = Array.from({ length: channels }, () => new Float32Array(RENDER_QUANTUM));
+    }
+    return this._zeroInput;
+  }
+
+  /**
+   * Normalised coefficients [b0, b1, b2, a1, a2] (the spec's formulas).
+   * @private
+   */
+  _compute(frequency, detune, q, gainDb) {
+    const sampleRate = this.context.sampleRate;
+    const nyquist = sampleRate / 2;
+    const f0 = Math.min(nyquist, Math.max(0, frequency * 2 ** (detune / 1200)));
+    const w0 = (2 * Math.PI * f0) / sampleRate;
+    const cos = Math.cos(w0);
+    const sin = Math.sin(w0);
+    const A = 10 ** (gainDb / 40);
+    const out = this._coefficients;
+    let b0;
+    let b1;
+    let b2;
+    let a0;
+    let a1;
+    let a2;
+
+    switch (this._type) {
+      case 'highpass': {
+        const alpha = sin / (2 * 10 ** (q / 20));
+        b0 = (1 + cos) / 2;
+        b1 = -(1 + cos);
+        b2 = b0;
+        a0 = 1 + alpha;
+        a1 = -2 * cos;
+        a2 = 1 - alpha;
+        break;
+      }
+      case 'bandpass': {
+        const alpha = sin / (2 * q);
+        b0 = alpha;
+        b1 = 0;
+        b2 = -alpha;
+        a0 = 1 + alpha;
+        a1 = -2 * cos;
+        a2 = 1 - alpha;
+        break;
+      }
+      case 'notch': {
+        const alpha = sin / (2 * q);
+        b0 = 1;
+        b1 = -2 * cos;
+        b2 = 1;
+        a0 = 1 + alpha;
+        a1 = -2 * cos;
+        a2 = 1 - alpha;
+        break;
+      }
+      case 'allpass': {
+        const alpha = sin / (2 * q);
+        b0 = 1 - alpha;
+        b1 = -2 * cos;
+        b2 = 1 + alpha;
+        a0 = 1 + alpha;
+        a1 = -2 * cos;
+        a2 = 1 - alpha;
+        break;
+      }
+      case 'peaking': {
+        const alpha = sin / (2 * q);
+        b0 = 1 + alpha * A;
+        b1 = -2 * cos;
+        b2 = 1 - alpha * A;
+        a0 = 1 + alpha / A;
+        a1 = -2 * cos;
+        a2 = 1 - alpha / A;
+        break;
+      }
+      case 'lowshelf':
+      case 'highshelf': {
+        // Shelf slope S = 1
+        const twoSqrtAAlpha = 2 * Math.sqrt(A) * (sin / 2) * Math.SQRT2;
+        const sign = this._type === 'lowshelf' ? 1 : -1;
+        b0 = A * ((A + 1) - sign * (A - 1) * cos + twoSqrtAAlpha);
+        b1 = sign * 2 * A * ((A - 1) - sign * (A + 1) * cos);
+        b2 = A * ((A + 1) - sign * (A - 1) * cos - twoSqrtAAlpha);
+        a0 = (A + 1) + sign * (A - 1) * cos + twoSqrtAAlpha;
+        a1 = -sign * 2 * ((A - 1) + sign * (A + 1) * cos);
+        a2 = (A + 1) + sign * (A - 1) * cos - twoSqrtAAlpha;
+        break;
+      }
+      case 'lowpass':
+      default: {
+        const alpha = sin / (2 * 10 ** (q / 20));
+        b0 = (1 - cos) / 2;
+        b1 = 1 - cos;
+        b2 = b0;
+        a0 = 1 + alpha;
+        a1 = -2 * cos;
+        a2 = 1 - alpha;
+        break;
+      }
+    }
+
+    if (!Number.isFinite(a0) || a0 === 0 || (sin === 0 && this._type !== 'lowshelf' && this._type !== 'highshelf')) {
+      return this._degenerate(f0, nyquist);
+    }
+    out[0] = b0 / a0;
+    out[1] = b1 / a0;
+    out[2] = b2 / a0;
+    out[3] = a1 / a0;
+    out[4] = a2 / a0;
+    return out;
+  }
+
+  /**
+   * Pass-through gain at 0 Hz or Nyquist, where the cookbook formulas
+   * divide by zero (the limits given in the spec).
+   * @private
+   */
+  _degenerate(f0, nyquist) {
+    const atNyquist = f0 >= nyquist;
+    let gain = 1;
+    if (this._type === 'lowpass') {
+      gain = atNyquist ? 1 : 0;
+    } else if (this._type === 'highpass') {
+      gain = atNyquist ? 0 : 1;
+    } else if (this._type === 'bandpass') {
+      gain = 0;
+    }
+    const out = this._coefficients;
+    out.fill(0);
+    out[0] = gain;
+    return out;
+  }
+}
+
+export class DelayNode extends AudioNode {
+  /**
+   * @param {BaseAudioContext} context
+   * @param {object} [options]
+   * @param {number} [options.maxDelayTime=1] - Seconds
+   * @param {number} [options.delayTime=0] - Seconds
+   */
+  constructor(context, { maxDelayTime = 1, delayTime = 0, ...options } = {}) {
+    if (!(maxDelayTime > 0 && maxDelayTime < 180)) {
+      throw new DOMException(`Invalid maxDelayTime: ${maxDelayTime}`, 'NotSupportedError');
+    }
+    super(context, options);
+    this.delayTime = new AudioParam(context, { defaultValue: delayTime, minValue: 0, maxValue: maxDelayTime });
+    this._size = Math.ceil(maxDelayTime * context.sampleRate) + RENDER_QUANTUM + 2;
+    this._ring = [];
+    this._write = 0;
+    this._frames = new Float64Array(RENDER_QUANTUM);
+    // Frames since the last audible input; the ring is all zeros past its size
+    this._idle = Infinity;
+  }
+
+  /**
+   * Feedback-safe processing: when the whole quantum reads audio written in
+   * earlier quanta, publish the output before pulling the input, so a loop
+   * back into this node sees this quantum's output.
+   */
+  _process(previous) {
+    const delays = this.delayTime._compute();
+    const { sampleRate } = this.context;
+    const frames = this._frames;
+    for (let i = 0; i < RENDER_QUANTUM; i += 1) {
+      // Snap float32 rounding error so whole-frame delays read exact samples
+      const exact = delays[i] * sampleRate;
+      const rounded = Math.round(exact);
+      frames[i] = Math.abs(exact - rounded) < 1e-3 ? rounded : exact;
+    }
+    const quantumLong = frames.every((delay) => delay >= RENDER_QUANTUM);
+
+    if (this._idle >= this._size) {
+      // Nothing stored: the output only depends on this quantum's input
+      const input = this._mixInput();
+      if (!input) {
+        return this._silence(previous, 1);
+      }
+      this._store(input);
+      return this._read(previous, frames, RENDER_QUANTUM);
+    }
+    if (quantumLong) {
+      const output = this._read(previous, frames);
+      this._output = output;
+      this._quantum = this.context._quantum;
+      this._store(this._mixInput());
+      return output;
+    }
+    this._store(this._mixInput());
+    return this._read(previous, frames, RENDER_QUANTUM);
+  }
+
+  /**
+   * Read one quantum at per-frame delays (in frames). Positions are relative
+   * to the start of the quantum (`written` frames of it are already in the
+   * ring).
+   * @private
+   */
+  _read(previous, frames, written = 0) {
+    const channels = Math.max(1, this._ring.length);
+    const output = silentChannels(previous, channels);
+    if (this._ring.length === 0) {
+      return output;
+    }
+    const size = this._size;
+    const start = this._write - written;
+    for (let i = 0; i < RENDER_QUANTUM; i += 1) {
+      const position = start + i - frames[i];
+      const base = Math.floor(position);
+      const frac = position - base;
+      const a = ((base % size) + size) % size;
+      const b = (a + 1) % size;
+      for (let ch = 0; ch < channels; ch += 1) {
+        const ring = this._ring[ch];
+        output[ch][i] = ring[a] + (ring[b] - ring[a]) * frac;
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Append one quantum of input to the ring (silence when unconnected).
+   * @private
+   */
+  _store(input) {
+    const channels = input ? input.length : this._ring.length;
+    while (this._ring.length < channels) {
+      this._ring.push(new Float32Array(this._size));
+    }
+    for (let ch = 0; ch < this._ring.length; ch += 1) {
+      const ring = this._ring[ch];
+      // Mono input feeds every channel the ring already has
+      const source = input ? input[Math.min(ch, input.length - 1)] : null;
+      for (let i = 0; i < RENDER_QUANTUM; i += 1) {
+        ring[(this._write + i) % this._size] = source ? source[i] : 0;
+      }
+    }
+    this._write = (this._write + RENDER_QUANTUM) % this._size;
+    this._idle = input ? 0 : this._idle + RENDER_QUANTUM;
+  }
+}
+
+export class StereoPannerNode extends AudioNode {
+  /**
+   * @param {BaseAudioContext} context
+   * @param {object} [options]
+   * @param {number} [options.pan=0] - -1 (left) to 1 (right)
+   */
+  constructor(context, { pan = 0 } = {}) {
+    super(context, { channelCount: 2, channelCountMode: 'clamped-max' });
+    this.pan = new AudioParam(context, { defaultValue: pan, minValue: -1, maxValue: 1 });
+  }
+
+  _process(previous) {
+    const input = this._mixInput();
+    const pan = this.pan._compute();
+    if (!input) {
+      return this._silence(previous, 2);
+    }
+    const output = silentChannels(previous, 2);
+    const [left, right] = output;
+    const halfPi = Math.PI / 2;
+    for (let i = 0; i < RENDER_QUANTUM; i += 1) {
+      const p = pan[i];
+      if (input.length === 1) {
+        const x = (p + 1) / 2;
+        left[i] = input[0][i] * Math.cos(x * halfPi);
+        right[i] = input[0][i] * Math.sin(x * halfPi);
+      } else if (p <= 0) {
+        const x = p + 1;
+        left[i] = input[0][i] + input[1][i] * Math.cos(x * halfPi);
+        right[i] = input[1][i] * Math.sin(x * halfPi);
+      } else {
+        const x = p;
+        left[i] = input[0][i] * Math.cos(x * halfPi);
+        right[i] = input[1][i] + input[0][i] * Math.sin(x * halfPi);
+      }
+    }
+    return output;
+  }
+}
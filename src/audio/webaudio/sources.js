@@ -0,0 +1,434 @@
+/**
+ * Source nodes of the WebAudio polyfill: oscillators, buffer players and
+ * constant sources.
+ *
+ * Sources start and stop at context times, rounded to the nearest frame, and
+ * fire `ended` (and `onended`) once they stop or run out of data. The event
+ * is dispatched after the current quantum has rendered, so handlers may
+ * disconnect nodes freely. OscillatorNode reuses the engine's PolyBLEP
+ * oscillators; their phase is offset so each waveform starts where the
+ * browser's does (sawtooth and triangle rise from zero). Custom periodic
+ * waves are rendered from wavetables with the harmonics above Nyquist left
+ * out, one table per octave of the playing frequency.
+ *
+ * @module audio/webaudio/sources
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import { Oscillator } from '../dsp/oscillators.js';
+import { AudioNode, RENDER_QUANTUM, silentChannels } from './node.js';
+import { AudioParam } from './param.js';
+
+const OSCILLATOR_TYPES = ['sine', 'square', 'sawtooth', 'triangle'];
+/** Start phases that line the PolyBLEP waveforms up with WebAudio's. */
+const START_PHASE = { sine: 0, square: 0, sawtooth: 0.5, triangle: 0.75 };
+const WAVETABLE_SIZE = 2048;
+/** Highest harmonic a periodic wave keeps. */
+const MAX_HARMONICS = WAVETABLE_SIZE / 2;
+/** Cent range of `detune` parameters. */
+const MAX_DETUNE = 153600;
+
+/**
+ * Frequency multiplier for a detune in cents.
+ * @private
+ */
+function detuneRatio(cents) {
+  return cents === 0 ? 1 : 2 ** (cents / 1200);
+}
+
+export class AudioScheduledSourceNode extends AudioNode {
+  /**
+   * @param {BaseAudioContext} context
+   * @param {object} [options] - AudioNode options
+   */
+  constructor(context, options = {}) {
+    super(context, { ...options, numberOfInputs: 0 });
+    this.onended = null;
+    this._startTime = null;
+    this._stopTime = Infinity;
+    this._ended = false;
+  }
+
+  /**
+   * Start playing at a context time.
+   * @param {number} [when=0] - Context time in seconds (past times start immediately)
+   */
+  start(when = 0) {
+    if (this._startTime !== null) {
+      throw new DOMException('start() may only be called once', 'InvalidStateError');
+    }
+    if (!Number.isFinite(when) || when < 0) {
+      throw new RangeError(`Invalid start time: ${when}`);
+    }
+    this._startTime = when;
+  }
+
+  /**
+   * Stop playing at a context time. Calling it again moves the stop time.
+   * @param {number} [when=0] - Context time in seconds
+   */
+  stop(when = 0) {
+    if (this._startTime === null) {
+      throw new DOMException('stop() called before start()', 'InvalidStateError');
+    }
+    if (!Number.isFinite(when) || when < 0) {
+      throw new RangeError(`Invalid stop time: ${when}`);
+    }
+    this._stopTime = when;
+  }
+
+  /**
+   * Frames of the current quantum during which the source plays.
+   * @returns {{from: number, to: number, last: boolean}|null}
+   * @protected
+   */
+  _activeRange() {
+    if (this._startTime === null || this._ended) {
+      return null;
+    }
+    const { _frame: frame, sampleRate } = this.context;
+    const from = Math.max(0, Math.round(this._startTime * sampleRate) - frame);
+    const stop = Math.round(this._stopTime * sampleRate) - frame;
+    if (stop <= from || stop <= 0) {
+      this._finish();
+      return null;
+    }
+    if (from >= RENDER_QUANTUM) {
+      return null;
+    }
+    return { from, to: Math.min(RENDER_QUANTUM, stop), last: stop <= RENDER_QUANTUM };
+  }
+
+  /**
+   * Mark the source as ended and notify listeners after this quantum.
+   * @protected
+   */
+  _finish() {
+    if (this._ended) {
+      return;
+    }
+    this._ended = true;
+    queueMicrotask(() => {
+      const event = new Event('ended');
+      this.dispatchEvent(event);
+      this.onended?.call(this, event);
+    });
+  }
+}
+
+export class PeriodicWave {
+  /**
+   * @param {BaseAudioContext} context
+   * @param {object} [options]
+   * @param {ArrayLike<number>} [options.real] - Cosine terms (index 0 is ignored)
+   * @param {ArrayLike<number>} [options.imag] - Sine terms (index 0 is ignored)
+   * @param {boolean} [options.disableNormalization=false]
+   */
+  constructor(context, { real, imag, disableNormalization = false } = {}) {
+    if (real && imag && real.length !== imag.length) {
+      throw new DOMException('real and imag must have the same length', 'IndexSizeError');
+    }
+    const length = real?.length ?? imag?.length ?? 2;
+    if (length < 2) {
+      throw new DOMException('A periodic wave needs at least two terms', 'IndexSizeError');
+    }
+    this._real = Float32Array.from(real ?? new Float32Array(length));
+    this._imag = Float32Array.from(imag ?? Float32Array.from({ length }, (_, k) => (k === 1 ? 1 : 0)));
+    this._harmonics = Math.min(length - 1, MAX_HARMONICS);
+    this._tables = new Map();
+    this._scale = 1;
+    if (!disableNormalization) {
+      const peak = this._table(this._harmonics).reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+      this._tables.clear();
+      this._scale = peak > 0 ? 1 / peak : 1;
+    }
+  }
+
+  /**
+   * Wavetable for a frequency: the harmonics that stay below Nyquist,
+   * rounded down to a power of two.
+   * @param {number} frequency - Hz
+   * @param {number} sampleRate - Hz
+   * @returns {Float32Array} WAVETABLE_SIZE + 1 samples (last repeats the first)
+   * @private
+   */
+  _tableFor(frequency, sampleRate) {
+    const limit = Math.floor(sampleRate / 2 / Math.max(1, Math.abs(frequency)));
+    const harmonics = Math.min(this._harmonics, 2 ** Math.floor(Math.log2(Math.max(1, limit))));
+    return this._table(harmonics);
+  }
+
+  /** @private */
+  _table(harmonics) {
+    let table = this._tables.get(harmonics);
+    if (table) {
+      return table;
+    }
+    table = new Float32Array(WAVETABLE_SIZE + 1);
+    for (let k = 1; k <= harmonics; k += 1) {
+      const re = this._real[k];
+      const im = this._imag[k];
+      if (re === 0 && im === 0) {
+        continue;
+      }
+      for (let n = 0; n < WAVETABLE_SIZE; n += 1) {
+        const angle = (2 * Math.PI * k * n) / WAVETABLE_SIZE;
+        table[n] += re * Math.cos(angle) + im * Math.sin(angle);
+      }
+    }
+    for (let n = 0; n < WAVETABLE_SIZE; n += 1) {
+      table[n] *= this._scale;
+    }
+    table[WAVETABLE_SIZE] = table[0];
+    this._tables.set(harmonics, table);
+    return table;
+  }
+}
+
+export class OscillatorNode extends AudioScheduledSourceNode {
+  /**
+   * @param {BaseAudioContext} context
+   * @param {object} [options]
+   * @param {string} [options.type='sine'] - sine|square|sawtooth|triangle|custom
+   * @param {number} [options.frequency=440] - Hz
+   * @param {number} [options.detune=0] - Cents
+   * @param {PeriodicWave} [options.periodicWave] - Required for `custom`
+   */
+  constructor(context, { type = 'sine', frequency = 440, detune = 0, periodicWave } = {}) {
+    super(context);
+    const nyquist = context.sampleRate / 2;
+    this.frequency = new AudioParam(context, { defaultValue: frequency, minValue: -nyquist, maxValue: nyquist });
+    this.detune = new AudioParam(context, { defaultValue: detune, minValue: -MAX_DETUNE, maxValue: MAX_DETUNE });
+    this._wave = null;
+    this._phase = 0;
+    this._oscillator = null;
+    if (type === 'custom') {
+      if (!periodicWave) {
+        throw new DOMException('A custom oscillator needs a periodicWave', 'InvalidStateError');
+      }
+      this.setPeriodicWave(periodicWave);
+    } else {
+      this.type = type;
+    }
+  }
+
+  get type() {
+    return this._wave ? 'custom' : this._oscillator.type;
+  }
+
+  set type(type) {
+    if (type === 'custom') {
+      throw new DOMException('Use setPeriodicWave() for custom waveforms', 'InvalidStateError');
+    }
+    if (!OSCILLATOR_TYPES.includes(type)) {
+      // Like the browser, ignore unknown waveform names
+      return;
+    }
+    this._wave = null;
+    // Keep the phase when the waveform changes while playing
+    const phase = this._oscillator && this._startTime !== null ? this._oscillator.phase : START_PHASE[type];
+    this._oscillator = new Oscillator(type, this.context.sampleRate, phase);
+  }
+
+  /**
+   * Play a custom waveform.
+   * @param {PeriodicWave} wave
+   */
+  setPeriodicWave(wave) {
+    if (!(wave instanceof PeriodicWave)) {
+      throw new TypeError('setPeriodicWave() needs a PeriodicWave');
+    }
+    this._wave = wave;
+  }
+
+  _process(previous) {
+    const range = this._activeRange();
+    if (!range) {
+      return this._silence(previous, 1);
+    }
+    const output = silentChannels(previous, 1);
+    const frequency = this.frequency._compute();
+    const detune = this.detune._compute();
+    const out = output[0];
+    const { sampleRate } = this.context;
+
+    if (this._wave) {
+      const table = this._wave._tableFor(frequency[range.from] * detuneRatio(detune[range.from]), sampleRate);
+      for (let i = range.from; i < range.to; i += 1) {
+        const position = this._phase * WAVETABLE_SIZE;
+        const index = Math.floor(position);
+        out[i] = table[index] + (table[index + 1] - table[index]) * (position - index);
+        this._phase += (frequency[i] * detuneRatio(detune[i])) / sampleRate;
+        this._phase -= Math.floor(this._phase);
+      }
+    } else {
+      const oscillator = this._oscillator;
+      for (let i = range.from; i < range.to; i += 1) {
+        out[i] = oscillator.next(frequency[i] * detuneRatio(detune[i]));
+      }
+    }
+
+    if (range.last) {
+      this._finish();
+    }
+    return output;
+  }
+}
+
+export class AudioBufferSourceNode extends AudioScheduledSourceNode {
+  /**
+   * @param {BaseAudioContext} context
+   * @param {object} [options]
+   * @param {AudioBuffer} [options.buffer]
+   * @param {number} [options.playbackRate=1]
+   * @param {number} [options.detune=0] - Cents
+   * @param {boolean} [options.loop=false]
+   * @param {number} [options.loopStart=0] - Seconds
+   * @param {number} [options.loopEnd=0] - Seconds (0 loops to the end)
+   */
+  constructor(context, {
+    buffer = null,
+    playbackRate = 1,
+    detune = 0,
+    loop = false,
+    loopStart = 0,
+    loopEnd = 0
+  } = {}) {
+    super(context);
+    this.playbackRate = new AudioParam(context, { defaultValue: playbackRate, automationRate: 'k-rate' });
+    this.detune = new AudioParam(context, { defaultValue: detune, automationRate: 'k-rate' });
+    this.loop = loop;
+    this.loopStart = loopStart;
+    this.loopEnd = loopEnd;
+    this._buffer = null;
+    this._position = null;
+    this._remaining = Infinity;
+    this._offset = 0;
+    this._duration = undefined;
+    this.buffer = buffer;
+  }
+
+  get buffer() {
+    return this._buffer;
+  }
+
+  set buffer(buffer) {
+    if (buffer && this._buffer) {
+      throw new DOMException('The buffer can only be set once', 'InvalidStateError');
+    }
+    this._buffer = buffer || null;
+  }
+
+  /**
+   * Start playing.
+   * @param {number} [when=0] - Context time in seconds
+   * @param {number} [offset=0] - Position in the buffer to start from (seconds)
+   * @param {number} [duration] - Seconds of buffer to play (loops count)
+   */
+  start(when = 0, offset = 0, duration = undefined) {
+    if (offset < 0 || (duration !== undefined && duration < 0)) {
+      throw new RangeError('offset and duration must not be negative');
+    }
+    super.start(when);
+    this._offset = offset;
+    this._duration = duration;
+  }
+
+  _process(previous) {
+    const buffer = this._buffer;
+    const range = this._activeRange();
+    if (!range || !buffer) {
+      if (range?.last) {
+        this._finish();
+      }
+      return this._silence(previous, 1);
+    }
+    const output = silentChannels(previous, buffer.numberOfChannels);
+
+    if (this._position === null) {
+      this._position = Math.min(this._offset * buffer.sampleRate, buffer.length);
+      this._remaining = this._duration === undefined ? Infinity : this._duration * buffer.sampleRate;
+    }
+    const step = this.playbackRate._compute()[0] * detuneRatio(this.detune._compute()[0])
+      * (buffer.sampleRate / this.context.sampleRate);
+    const [loopStart, loopEnd] = this._loopFrames(buffer);
+    const { length } = buffer;
+    const channels = buffer._channels;
+    let position = this._position;
+    let ended = range.last;
+
+    for (let i = range.from; i < range.to; i += 1) {
+      if (this._remaining <= 0 || (!this.loop && (position >= length || position < 0))) {
+        ended = true;
+        break;
+      }
+      const index = Math.floor(position);
+      const frac = position - index;
+      let next = index + 1;
+      if (next >= length) {
+        next = this.loop ? Math.floor(loopStart) : -1;
+      }
+      for (let ch = 0; ch < channels.length; ch += 1) {
+        const data = channels[ch];
+        const a = data[index] ?? 0;
+        const b = next >= 0 ? data[next] : 0;
+        output[ch][i] = a + (b - a) * frac;
+      }
+      position += step;
+      this._remaining -= Math.abs(step);
+      if (this.loop) {
+        if (step > 0 && position >= loopEnd) {
+          position -= loopEnd - loopStart;
+        } else if (step < 0 && position < loopStart) {
+          position += loopEnd - loopStart;
+        }
+      }
+    }
+
+    this._position = position;
+    if (ended) {
+      this._finish();
+    }
+    return output;
+  }
+
+  /**
+   * Loop bounds in buffer frames; invalid bounds loop the whole buffer.
+   * @private
+   */
+  _loopFrames(buffer) {
+    const start = Math.max(0, this.loopStart * buffer.sampleRate);
+    let end = this.loopEnd * buffer.sampleRate;
+    if (end <= 0 || end > buffer.length) {
+      end = buffer.length;
+    }
+    return start < end ? [start, end] : [0, buffer.length];
+  }
+}
+
+export class ConstantSourceNode extends AudioScheduledSourceNode {
+  /**
+   * @param {BaseAudioContext} context
+   * @param {object} [options]
+   * @param {number} [options.offset=1]
+   */
+  constructor(context, { offset = 1 } = {}) {
+    super(context);
+    this.offset = new AudioParam(context, { defaultValue: offset });
+  }
+
+  _process(previous) {
+    const range = this._activeRange();
+    if (!range) {
+      return this._silence(previous, 1);
+    }
+    const output = silentChannels(previous, 1);
+    const offset = this.offset._compute();
+    output[0].set(offset.subarray(range.from, range.to), range.from);
+    if (range.last) {
+      this._finish();
+    }
+    return output;
+  }
+}
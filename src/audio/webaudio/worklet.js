@@ -0,0 +1,283 @@
+/**
+ * AudioWorklet - Runs AudioWorkletProcessor code in the WebAudio polyfill.
+ *
+ * addModule() loads a script from a `data:` URL, a `file:` URL or path, or
+ * an http(s) URL, and runs it in a VM context that stands in for the
+ * AudioWorkletGlobalScope: `registerProcessor`, `AudioWorkletProcessor`,
+ * `sampleRate`, `currentFrame` and `currentTime`. Scripts run as classic
+ * scripts, so they cannot import or export; bundled worklets such as
+ * superdough's are written that way. Processors run inside the render loop
+ * rather than on an audio thread of their own. An AudioWorkletNode calls its
+ * processor's process() once per quantum with the spec's inputs, outputs and
+ * parameter arrays (one value when a parameter holds still, 128 when it
+ * moves); once process() returns false, the node only runs again while one
+ * of its inputs is audible. A processor that throws is silenced and reported
+ * through `processorerror`. The ports between nodes and processors are
+ * MessageChannel ports that do not keep the process alive.
+ *
+ * @module audio/webaudio/worklet
+ * @author Grimm (Joshua Robert Humphrey)
+ * @license AGPL-3.0
+ */
+
+import vm from 'vm';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { MessageChannel } from 'worker_threads';
+import { AudioNode, silentChannels } from './node.js';
+import { AudioParam } from './param.js';
+
+/** Port for the processor being constructed (the spec's pending port). */
+let pendingPort = null;
+
+/**
+ * Read the source of a worklet module.
+ * @param {string} url - data:, file: or http(s) URL, or a path
+ * @returns {Promise<string>}
+ * @private
+ */
+async function loadSource(url) {
+  if (url.startsWith('data:')) {
+    const comma = url.indexOf(',');
+    const body = url.slice(comma + 1);
+    return url.slice(0, comma).endsWith(';base64')
+      ? Buffer.from(body, 'base64').toString('utf8')
+      : decodeURIComponent(body);
+  }
+  if (/^https?:/.test(url)) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.text();
+  }
+  return readFile(url.startsWith('file:') ? fileURLToPath(url) : url, 'utf8');
+}
+
+export class AudioWorkletProcessor {
+  constructor() {
+    if (!pendingPort) {
+      throw new TypeError('AudioWorkletProcessor can only be constructed by an AudioWorkletNode');
+    }
+    this.port = pendingPort;
+    pendingPort = null;
+  }
+}
+
+export class AudioWorklet {
+  /**
+   * @param {BaseAudioContext} context - Owning context
+   */
+  constructor(context) {
+    this._context = context;
+    this._processors = new Map();
+    this._modules = new Map();
+    this._scope = null;
+  }
+
+  /**
+   * Load a module and run it, once per URL.
+   * @param {string|URL} moduleURL
+   * @returns {Promise<void>}
+   */
+  addModule(moduleURL) {
+    const url = String(moduleURL);
+    if (!this._modules.has(url)) {
+      const loading = this._run(url);
+      loading.catch(() => this._modules.delete(url));
+      this._modules.set(url, loading);
+    }
+    return this._modules.get(url);
+  }
+
+  /** @private */
+  async _run(url) {
+    let source;
+    try {
+      source = await loadSource(url);
+    } catch (error) {
+      throw new DOMException(`Unable to load worklet module ${url.slice(0, 64)}: ${error.message}`, 'AbortError');
+    }
+    vm.runInContext(source, this._globalScope(), { filename: url.startsWith('data:') ? 'data:' : url });
+  }
+
+  /**
+   * The VM context worklet modules run in, created on first use.
+   * @private
+   */
+  _globalScope() {
+    if (!this._scope) {
+      const context = this._context;
+      const scope = {
+        AudioWorkletProcessor,
+        registerProcessor: (name, processorCtor) => this._register(name, processorCtor),
+        console
+      };
+      Object.defineProperties(scope, {
+        sampleRate: { get: () => context.sampleRate, enumerable: true },
+        currentFrame: { get: () => context._frame, enumerable: true },
+        currentTime: { get: () => context.currentTime, enumerable: true }
+      });
+      this._scope = vm.createContext(scope);
+    }
+    return this._scope;
+  }
+
+  /** @private */
+  _register(name, processorCtor) {
+    if (typeof name !== 'string' || name === '') {
+      throw new DOMException('registerProcessor() needs a name', 'NotSupportedError');
+    }
+    if (this._processors.has(name)) {
+      throw new DOMException(`A processor is already registered as "${name}"`, 'NotSupportedError');
+    }
+    if (typeof processorCtor !== 'function') {
+      throw new TypeError(`Processor "${name}" is not a constructor`);
+    }
+    const descriptors = Array.from(processorCtor.parameterDescriptors ?? []);
+    this._processors.set(name, { processorCtor, descriptors });
+  }
+}
+
+export class AudioWorkletNode extends AudioNode {
+  /**
+   * @param {BaseAudioContext} context
+   * @param {string} name - Name a loaded module registered its processor as
+   * @param {object} [options]
+   * @param {number} [options.numberOfInputs=1]
+   * @param {number} [options.numberOfOutputs=1]
+   * @param {number[]} [options.outputChannelCount] - Channels of each output
+   * @param {object} [options.parameterData] - Initial parameter values by name
+   * @param {*} [options.processorOptions] - Passed to the processor
+   */
+  constructor(context, name, options = {}) {
+    const {
+      numberOfInputs = 1,
+      numberOfOutputs = 1,
+      outputChannelCount,
+      parameterData = {},
+      processorOptions = {},
+      ...channelOptions
+    } = options;
+    const definition = context.audioWorklet._processors.get(name);
+    if (!definition) {
+      throw new DOMException(`No processor is registered as "${name}"`, 'InvalidStateError');
+    }
+    if (numberOfInputs === 0 && numberOfOutputs === 0) {
+      throw new DOMException('An AudioWorkletNode needs an input or an output', 'NotSupportedError');
+    }
+    if (outputChannelCount && outputChannelCount.length !== numberOfOutputs) {
+      throw new DOMException('outputChannelCount needs one count per output', 'IndexSizeError');
+    }
+    super(context, { ...channelOptions, numberOfInputs, numberOfOutputs });
+    this.onprocessorerror = null;
+    this.parameters = new Map(definition.descriptors.map((descriptor) => [descriptor.name, new AudioParam(context, {
+      defaultValue: descriptor.defaultValue ?? 0,
+      minValue: descriptor.minValue,
+      maxValue: descriptor.maxValue,
+      automationRate: descriptor.automationRate
+    })]));
+    for (const [key, value] of Object.entries(parameterData)) {
+      if (this.parameters.has(key)) {
+        this.parameters.get(key).value = value;
+      }
+    }
+    // Each parameter's values array, and its first value alone for quanta it holds still
+    this._parameterViews = [...this.parameters].map(([key, param]) =>
+      ({ key, param, first: param._values.subarray(0, 1) }));
+    this._parameterValues = {};
+    this._outputChannelCount = outputChannelCount || null;
+    this._inputArrays = [];
+    this._active = true;
+    this._failed = false;
+
+    const { port1, port2 } = new MessageChannel();
+    this.port = port1;
+    pendingPort = port2;
+    try {
+      this._processor = new definition.processorCtor({
+        numberOfInputs,
+        numberOfOutputs,
+        outputChannelCount,
+        parameterData,
+        processorOptions
+      });
+    } catch (error) {
+      this._fail(error);
+    } finally {
+      pendingPort = null;
+    }
+    port1.unref();
+    port2.unref();
+  }
+
+  _process(previous) {
+    const inputs = this._inputArrays;
+    let audible = false;
+    for (let input = 0; input < this.numberOfInputs; input += 1) {
+      const mixed = this._mixInput(input);
+      audible = audible || mixed !== null;
+      inputs[input] = mixed || [];
+    }
+    const parameters = this._parameterValues;
+    for (const { key, param, first } of this._parameterViews) {
+      const values = param._compute();
+      parameters[key] = param._constant ? first : values;
+    }
+    if (this._failed || (!this._active && !audible)) {
+      return this._silenceOutputs(previous);
+    }
+
+    const outputs = this._outputs;
+    for (let output = 0; output < this.numberOfOutputs; output += 1) {
+      outputs[output] = silentChannels(outputs[output], this._channelsOf(output, inputs));
+      this._outputSilent[output] = false;
+    }
+    try {
+      this._active = Boolean(this._processor.process(inputs, outputs, parameters));
+    } catch (error) {
+      this._fail(error);
+      return this._silenceOutputs(previous);
+    }
+    return this.numberOfOutputs > 0 ? outputs[0] : this._silence(previous, 1);
+  }
+
+  /**
+   * Channels of an output: as configured, else those of the only input for
+   * a one-in one-out node, else one.
+   * @private
+   */
+  _channelsOf(output, inputs) {
+    if (this._outputChannelCount) {
+      return this._outputChannelCount[output];
+    }
+    if (this.numberOfInputs === 1 && this.numberOfOutputs === 1) {
+      return Math.max(1, inputs[0].length);
+    }
+    return 1;
+  }
+
+  /** @private */
+  _silenceOutputs(previous) {
+    for (let output = 0; output < this.numberOfOutputs; output += 1) {
+      this._outputs[output] = silentChannels(this._outputs[output], this._outputChannelCount?.[output] || 1);
+      this._outputSilent[output] = true;
+    }
+    return this._silence(this.numberOfOutputs > 0 ? this._outputs[0] : previous, this._outputs[0]?.length || 1);
+  }
+
+  /**
+   * Stop running the processor and fire `processorerror`.
+   * @private
+   */
+  _fail(error) {
+    this._failed = true;
+    this.context.logger?.warn?.(`AudioWorklet processor failed: ${error.message}`);
+    queueMicrotask(() => {
+      const event = new Event('processorerror');
+      event.error = error;
+      this.dispatchEvent(event);
+      this.onprocessorerror?.call(this, event);
+    });
+  }
+}
@@ -21,6 +21,10 @@ import { PipeWireBackend } from './audio/backends/pipewire.js';
 import { AlsaBackend } from './audio/backends/alsa.js';
 import { PulseAudioBackend } from './audio/backends/pulse.js';
 import { JackBackend } from './audio/backends/jack.js';
+import { FileBackend } from './audio/backends/file.js';
+import { NullBackend } from './audio/backends/null.js';
+import { OfflineRenderer } from './audio/offline.js';
+import { DEVICE_BACKENDS, listDevices } from './audio/devices.js';
 
 /**
  * Main CLI function
@@ -43,6 +47,9 @@ export async function cli(argv) {
     .command('play <file>')
     .description('Play a Strudel pattern file')
     .option('-m, --mode <mode>', 'Backend mode (auto|web|native|osc)', 'auto')
+    .option('-b, --backend <name>', 'Native audio backend (auto|pipewire|jack|alsa|pulse|file|null)')
+    .option('-d, --device <name>', 'Output device for the native backend (see `strudel devices`)')
+    .option('--stream [port]', 'Serve the native master output over HTTP (default port 8001)')
     .option('-s, --samples <path>', 'Local samples directory')
     .option('--offline', 'Use only local assets')
     .option('--no-autoplay', 'Load without playing')
@@ -51,6 +58,12 @@ export async function cli(argv) {
       const config = new Config();
       const logger = new Logger({ verbose: globalOptions.verbose, quiet: globalOptions.quiet });
       if (options.mode) config.set('mode', options.mode);
+      if (options.backend) config.override('audio.backend', options.backend);
+      if (options.device) config.override('audio.device', options.device);
+      if (options.stream) {
+        config.override('audio.stream.enabled', true);
+        if (options.stream !== true) config.override('audio.stream.port', Number(options.stream));
+      }
       if (options.offline) config.set('offline', true);
       if (options.samples) config.set('samples.localPath', options.samples);
 
@@ -72,11 +85,52 @@ export async function cli(argv) {
       }
     });
 
+  // Command: render <file>
+  program
+    .command('render <file>')
+    .description('Render a pattern file to WAV faster than real time')
+    .option('-c, --cycles <n>', 'Number of cycles to render', '4')
+    .option('-o, --out <path>', 'Output WAV file (defaults to <file>.wav)')
+    .option('-r, --sample-rate <hz>', 'Output sample rate')
+    .option('--bpm <bpm>', 'Tempo (defaults to audio.bpm)')
+    .option('--tail <seconds>', 'Extra seconds to let sounds ring out', '0')
+    .option('--bit-depth <bits>', 'WAV bit depth (16|24|32 float)', '32')
+    .option('-s, --samples <path>', 'Local samples directory')
+    .action(async (file, options) => {
+      const globalOptions = program.opts();
+      const config = new Config();
+      const logger = new Logger({ verbose: globalOptions.verbose, quiet: globalOptions.quiet });
+      if (options.samples) config.set('samples.localPath', options.samples);
+
+      const out = options.out || `${file.replace(/\.[^./\\]+$/, '')}.wav`;
+      const renderer = new OfflineRenderer(config, logger);
+      try {
+        const result = await renderer.renderFile(file, {
+          out,
+          cycles: Number(options.cycles),
+          sampleRate: options.sampleRate ? Number(options.sampleRate) : undefined,
+          bpm: options.bpm ? Number(options.bpm) : undefined,
+          tail: Number(options.tail),
+          bitDepth: Number(options.bitDepth)
+        });
+        logger.info(
+          `Rendered ${result.seconds.toFixed(2)}s (${result.events} events) to ${result.file} ` +
+            `at ${result.realtimeFactor}x real time`
+        );
+      } catch (error) {
+        logger.error(`Render failed: ${error.message}`);
+        process.exitCode = 1;
+      }
+    });
+
   // Command: repl
   program
     .command('repl')
     .description('Start interactive REPL')
     .option('-m, --mode <mode>', 'Audio backend mode', 'auto')
+    .option('-b, --backend <name>', 'Native audio backend (auto|pipewire|jack|alsa|pulse|file|null)')
+    .option('-d, --device <name>', 'Output device for the native backend (see `strudel devices`)')
+    .option('--stream [port]', 'Serve the native master output over HTTP (default port 8001)')
     .option('--theme <theme>', 'REPL theme (dark|light)', 'dark')
     .option('--no-banner', 'Hide startup banner')
     .option('--visualize', 'Enable live visualization', true)
@@ -85,6 +139,12 @@ export async function cli(argv) {
       const config = new Config();
       const logger = new Logger({ verbose: globalOptions.verbose, quiet: globalOptions.quiet });
       config.set('mode', options.mode);
+      if (options.backend) config.override('audio.backend', options.backend);
+      if (options.device) config.override('audio.device', options.device);
+      if (options.stream) {
+        config.override('audio.stream.enabled', true);
+        if (options.stream !== true) config.override('audio.stream.port', Number(options.stream));
+      }
       const orchestrator = new Orchestrator(config, logger);
       try {
         await orchestrator.startREPL({
@@ -240,6 +300,57 @@ export async function cli(argv) {
       }
     });
 
+  // Command: devices
+  program
+    .command('devices')
+    .description('List output devices for the native backends')
+    .argument('[backend]', `Backend to query (${DEVICE_BACKENDS.join('|')})`)
+    .option('--json', 'Print machine-readable JSON')
+    .action(async (backend, options) => {
+      const config = new Config();
+      if (backend && !DEVICE_BACKENDS.includes(backend)) {
+        console.log(chalk.red(`Unknown backend: ${backend} (expected ${DEVICE_BACKENDS.join('|')})`));
+        process.exitCode = 1;
+        return;
+      }
+
+      const backends = backend ? [backend] : DEVICE_BACKENDS;
+      const results = await Promise.all(
+        backends.map((name) =>
+          listDevices(name)
+            .then((devices) => ({ backend: name, devices }))
+            .catch((error) => ({
+              backend: name,
+              devices: [],
+              error: error.code === 'ENOENT' ? 'tools not installed' : error.message.split('\n')[0]
+            }))
+        )
+      );
+
+      if (options.json) {
+        console.log(JSON.stringify(results, null, 2));
+        return;
+      }
+
+      const configured = config.get('audio.device');
+      console.log(chalk.bold('\n🔊 Strudel CLI - Output Devices\n'));
+      results.forEach((result) => {
+        console.log(chalk.blue(result.backend));
+        if (result.error) {
+          console.log(chalk.gray(`  unavailable (${result.error})`));
+        } else if (result.devices.length === 0) {
+          console.log(chalk.gray('  no devices found'));
+        }
+        result.devices.forEach((device) => {
+          const marker = device.id === configured ? chalk.green('→') : device.isDefault ? '*' : ' ';
+          const description = device.description ? chalk.gray(` - ${device.description}`) : '';
+          console.log(`${marker} ${device.id}${description}`);
+        });
+        console.log();
+      });
+      console.log(chalk.gray('* backend default, → audio.device. Select with --device <id> or audio.device.'));
+    });
+
   // Command: doctor
   program
     .command('doctor')
@@ -261,9 +372,17 @@ export async function cli(argv) {
         PipeWireBackend.isAvailable().then((ok) => ({ name: 'PipeWire', ok })),
         AlsaBackend.isAvailable().then((ok) => ({ name: 'ALSA', ok })),
         PulseAudioBackend.isAvailable().then((ok) => ({ name: 'PulseAudio', ok })),
-        JackBackend.isAvailable().then((ok) => ({ name: 'JACK', ok }))
+        JackBackend.isAvailable().then((ok) => ({ name: 'JACK', ok })),
+        FileBackend.isAvailable().then((ok) => ({
+          name: 'File output',
+          ok,
+          detail: new FileBackend(config, logger).path
+        })),
+        NullBackend.isAvailable().then((ok) => ({ name: 'Null output', ok, detail: 'discards audio' }))
       ]);
       checks.push(...backendChecks);
+      checks.push({ name: 'Configured backend', ok: true, detail: config.get('audio.backend') || 'auto' });
+      checks.push({ name: 'Configured device', ok: true, detail: config.get('audio.device') || 'backend default' });
 
       const puppeteerOk = await import('puppeteer')
         .then(() => true)
@@ -21,6 +21,7 @@ export class Config {
       defaults: this.getDefaults(),
       ...options.confOptions
     });
+    this.overrides = new Map();
   }
 
   /**
@@ -32,10 +33,46 @@ export class Config {
       mode: process.env.STRUDEL_MODE || 'auto',
       audio: {
         backend: process.env.STRUDEL_AUDIO_BACKEND || 'auto',
+        device: process.env.STRUDEL_AUDIO_DEVICE || null,
         sampleRate: 48000,
+        channels: 2,
+        orbitChannels: {},
+        maxVoices: 128,
+        voiceStealing: 'oldest',
+        limiter: {
+          enabled: true,
+          ceiling: -1,
+          lookahead: 0.005,
+          release: 0.05
+        },
+        compressor: {
+          enabled: false,
+          threshold: -18,
+          ratio: 4,
+          attack: 0.01,
+          release: 0.1,
+          makeup: 0
+        },
         bufferSize: 256,
         latency: 10,
-        bpm: 120
+        playerBuffer: 100,
+        recovery: {
+          retries: 3,
+          delay: 0.25,
+          failover: true
+        },
+        stream: {
+          enabled: false,
+          port: 8001,
+          host: '127.0.0.1',
+          bitDepth: 16,
+          maxBuffer: 2,
+          encoder: 'opusenc',
+          bitrate: 128
+        },
+        bpm: 120,
+        tempoQuantize: 'now',
+        patternQuantize: 'now'
       },
       web: {
         allowFallback: true
@@ -54,7 +91,7 @@ export class Config {
    * @returns {*} Configuration value
    */
   get(key) {
-    return this.store.get(key);
+    return this.overrides.has(key) ? this.overrides.get(key) : this.store.get(key);
   }
 
   /**
@@ -63,9 +100,19 @@ export class Config {
    * @param {*} value - Value to set
    */
   set(key, value) {
+    this.overrides.delete(key);
     this.store.set(key, value);
   }
 
+  /**
+   * Set a value for this run only, without writing it to the config file
+   * @param {string} key - Dot-notation key
+   * @param {*} value - Value to use until the process exits
+   */
+  override(key, value) {
+    this.overrides.set(key, value);
+  }
+
   /**
    * Load configuration from file or environment
    * @returns {Config} Config instance
@@ -14,6 +14,9 @@ import { WebMode } from '../modes/web.js';
 import { NativeMode } from '../modes/native.js';
 import { OSCMode } from '../modes/osc.js';
 
+/** Native backends that work without any audio hardware or sound server. */
+const HEADLESS_BACKENDS = ['file', 'null'];
+
 export class Orchestrator {
   /**
    * Create an Orchestrator
@@ -111,8 +114,10 @@ export class Orchestrator {
 
     let selectedMode = modeType;
 
-    // Auto-detect optimal mode
-    if (modeType === 'auto') {
+    // Auto-detect optimal mode; the headless backends need no detection
+    if (modeType === 'auto' && HEADLESS_BACKENDS.includes(this.config.get('audio.backend'))) {
+      selectedMode = 'native';
+    } else if (modeType === 'auto') {
       selectedMode = await Detector.detectOptimalMode();
       this.logger.info(`Auto-detected optimal mode: ${selectedMode}`);
     }
@@ -161,6 +166,72 @@ export class Orchestrator {
     this.logger.info(`Switched to ${this.currentMode.name} mode`);
   }
 
+  /**
+   * Change the tempo. The value is stored as `audio.bpm` and applied to the
+   * running pattern when the current mode supports live tempo changes.
+   * @param {number} bpm - Beats per minute
+   * @param {object} options - Tempo options (e.g. quantize: now|cycle)
+   * @returns {Promise<boolean>} Whether the running pattern picked up the change
+   */
+  async setBpm(bpm, options = {}) {
+    this.config.set('audio.bpm', bpm);
+    if (typeof this.currentMode?.setBpm !== 'function') {
+      return false;
+    }
+    await this.currentMode.setBpm(bpm, options);
+    return true;
+  }
+
+  /**
+   * Stop one named pattern slot (d1..d16, `$:` or labelled block)
+   * @param {string} name - Slot name
+   * @returns {Promise<boolean>} Whether the slot existed
+   */
+  async hushSlot(name) {
+    return this._slotMode('hushSlot').hushSlot(name);
+  }
+
+  /**
+   * Mute or unmute a pattern slot
+   * @param {string} name - Slot name
+   * @param {boolean} muted - Mute state
+   * @returns {Promise<void>}
+   */
+  async muteSlot(name, muted = true) {
+    await this._slotMode('muteSlot').muteSlot(name, muted);
+  }
+
+  /**
+   * Solo or unsolo a pattern slot; without a name, clear every solo
+   * @param {string} [name] - Slot name
+   * @param {boolean} solo - Solo state
+   * @returns {Promise<void>}
+   */
+  async soloSlot(name, solo = true) {
+    await this._slotMode('soloSlot').soloSlot(name, solo);
+  }
+
+  /**
+   * List the current mode's pattern slots
+   * @returns {Array<object>} Slots (name, muted, solo, audible); empty if unsupported
+   */
+  getSlots() {
+    return this.currentMode?.getSlots?.() || [];
+  }
+
+  /**
+   * Current mode, if it supports pattern slots
+   * @param {string} method - Slot method about to be called
+   * @returns {BaseMode}
+   * @private
+   */
+  _slotMode(method) {
+    if (typeof this.currentMode?.[method] !== 'function') {
+      throw new Error(`${this.currentMode?.name || 'Current'} mode does not support pattern slots`);
+    }
+    return this.currentMode;
+  }
+
   /**
    * Stop playback and cleanup
    * @returns {Promise<void>}
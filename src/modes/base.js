@@ -1,13 +1,19 @@
 /**
  * BaseMode - Abstract base class for execution modes
  *
+ * Modes are EventEmitters so the REPL can report what happens between
+ * commands (native mode emits `backend` events while recovering its output).
+ *
  * @module modes/base
  * @author Grimm (Joshua Robert Humphrey)
  * @license AGPL-3.0
  */
 
-export class BaseMode {
+import { EventEmitter } from 'events';
+
+export class BaseMode extends EventEmitter {
   constructor(name, config, logger) {
+    super();
     this.name = name;
     this.config = config;
     this.logger = logger;
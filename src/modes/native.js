@@ -1,8 +1,13 @@
 /**
  * NativeMode - Native audio backend execution mode (PipeWire/ALSA/JACK/Pulse)
  *
- * Uses native Linux audio backends for low-latency pattern playback.
- * Phase 1 MVP: Basic ALSA backend foundation with pattern evaluation stub.
+ * Uses native Linux audio backends for low-latency pattern playback, or the
+ * `file` and `null` backends on machines without a sound server. When the
+ * backend's player dies and cannot be respawned, playback fails over to the
+ * next available backend (on its default device); recovery progress is
+ * re-emitted as `backend` events with the backend name. With
+ * `audio.stream.enabled` the master output is also served over HTTP.
+ * Pattern code is evaluated in a sandbox and played by the NativeAudioEngine.
  *
  * @module modes/native
  * @author Grimm (Joshua Robert Humphrey)
@@ -10,16 +15,21 @@
  */
 
 import { BaseMode } from './base.js';
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import { PipeWireBackend } from '../audio/backends/pipewire.js';
 import { AlsaBackend } from '../audio/backends/alsa.js';
 import { PulseAudioBackend } from '../audio/backends/pulse.js';
 import { JackBackend } from '../audio/backends/jack.js';
+import { FileBackend } from '../audio/backends/file.js';
+import { NullBackend } from '../audio/backends/null.js';
 import { NativeAudioEngine } from '../audio/engine.js';
+import { StreamServer } from '../audio/stream-server.js';
+import { AudioContext } from '../audio/webaudio/context.js';
+import { SampleBank } from '../audio/sample-bank.js';
+import { SampleCache } from '../samples/cache.js';
 import { PatternEvaluator } from '../patterns/evaluator.js';
 
-const execAsync = promisify(exec);
+/** Auto-detection and failover order. */
+const AUTO_BACKENDS = ['pipewire', 'jack', 'alsa', 'pulse'];
 
 export class NativeMode extends BaseMode {
   /**
@@ -33,9 +43,12 @@ export class NativeMode extends BaseMode {
     this.backend = null;
     this.audioBackend = null;
     this.audioEngine = null;
+    this.streamServer = null;
     this.evaluator = null;
     this.isPlaying = false;
     this.currentPattern = null;
+    this._triedBackends = new Set();
+    this._failedBackend = null;
   }
 
   /**
@@ -52,9 +65,7 @@ export class NativeMode extends BaseMode {
       this.backend = await this._selectBackend(requestedBackend);
 
       this.logger.info(`Selected audio backend: ${this.backend}`);
-
-      // Phase 1 MVP: Create minimal audio context foundation
-      this.audioContext = this._createMinimalAudioContext();
+      this._triedBackends = new Set([this.backend]);
 
       // Initialize backend driver
       this.audioBackend = this._createAudioBackend(this.backend);
@@ -62,17 +73,34 @@ export class NativeMode extends BaseMode {
         await this.audioBackend.initialize();
       }
 
+      const engineConfig = this._engineConfig();
       this.audioEngine = new NativeAudioEngine({
         backend: this.audioBackend,
-        config: this.config,
-        logger: this.logger
+        config: engineConfig,
+        logger: this.logger,
+        samples: new SampleBank(engineConfig, this.logger, {
+          cache: new SampleCache(this.config, this.logger)
+        }),
+        failover: (failed) => this._failoverBackend(failed)
+      });
+      this.audioEngine.on('backend', (event) => {
+        const previous = event.status === 'failover' ? { previous: this._failedBackend } : {};
+        this.emit('backend', { ...event, ...previous, backend: this.backend });
       });
 
-      // Phase 1 MVP: Pattern evaluator stub (full implementation in Phase 2)
+      if (this.config.get('audio.stream.enabled')) {
+        this.streamServer = new StreamServer(engineConfig, this.logger);
+        await this.streamServer.start();
+        this.audioEngine.attachOutput(this.streamServer);
+      }
+
+      // WebAudio context for Strudel's own output code, played through the engine
+      this.audioContext = this._createAudioContext();
+
+      // Evaluated patterns go straight to the engine
       this.evaluator = this._createPatternEvaluator();
 
       this.logger.info('Native mode initialized successfully');
-      this.logger.warn('Native mode is in Phase 1 MVP - limited functionality');
     } catch (error) {
       this.logger.error(`Failed to initialize Native mode: ${error.message}`);
       await this.cleanup();
@@ -101,12 +129,15 @@ export class NativeMode extends BaseMode {
       // Store current pattern
       this.currentPattern = code;
 
-      // Phase 1 MVP: Pattern evaluation stub
-      // Full implementation requires @strudel/core integration in Phase 2
+      // The evaluator swaps the pattern into the engine's slots
       await this.evaluator.evaluate(code);
 
+      if (this.audioContext.state === 'suspended') {
+        await this.audioContext.resume();
+      }
+
       this.isPlaying = true;
-      this.logger.info('Pattern playback started (stubbed)');
+      this.logger.info('Pattern playback started');
       this.logger.debug(`Backend: ${this.backend}, Sample rate: ${this.audioContext.sampleRate}Hz`);
     } catch (error) {
       this.logger.error(`Failed to play pattern: ${error.message}`);
@@ -127,11 +158,15 @@ export class NativeMode extends BaseMode {
     this.logger.info('Stopping Native mode playback...');
 
     try {
-      // Phase 1 MVP: Stop pattern evaluation
       if (this.evaluator) {
         await this.evaluator.stop();
       }
 
+      // The backend goes down, so WebAudio output pauses until the next play()
+      if (this.audioContext.state === 'running') {
+        await this.audioContext.suspend();
+      }
+
       if (this.audioEngine) {
         await this.audioEngine.stop();
       }
@@ -149,6 +184,53 @@ export class NativeMode extends BaseMode {
     }
   }
 
+  /**
+   * Change the tempo of the running pattern
+   * @param {number} bpm - Beats per minute
+   * @param {object} options - Tempo options (quantize: now|cycle)
+   * @returns {Promise<void>}
+   */
+  async setBpm(bpm, options = {}) {
+    this._requireEngine().setBpm(bpm, options);
+  }
+
+  /**
+   * Stop one pattern slot
+   * @param {string} name - Slot name
+   * @returns {Promise<boolean>} Whether the slot existed
+   */
+  async hushSlot(name) {
+    return this._requireEngine().hushSlot(name);
+  }
+
+  /**
+   * Mute or unmute a pattern slot
+   * @param {string} name - Slot name
+   * @param {boolean} muted - Mute state
+   * @returns {Promise<void>}
+   */
+  async muteSlot(name, muted = true) {
+    await this._requireEngine().muteSlot(name, muted);
+  }
+
+  /**
+   * Solo or unsolo a pattern slot
+   * @param {string} [name] - Slot name (omit to clear every solo)
+   * @param {boolean} solo - Solo state
+   * @returns {Promise<void>}
+   */
+  async soloSlot(name, solo = true) {
+    await this._requireEngine().soloSlot(name, solo);
+  }
+
+  /**
+   * List pattern slots
+   * @returns {Array<object>} Slots (name, muted, solo, audible)
+   */
+  getSlots() {
+    return this.audioEngine?.getSlots() || [];
+  }
+
   /**
    * Cleanup resources and close audio backend
    * @returns {Promise<void>}
@@ -168,12 +250,22 @@ export class NativeMode extends BaseMode {
 
     if (this.audioContext) {
       try {
-        // Phase 1 MVP: Minimal cleanup (full AudioContext.close() in Phase 2)
-        this.audioContext = null;
-        this.logger.debug('Audio context released');
+        await this.audioContext.close();
+        this.logger.debug('Audio context closed');
+      } catch (error) {
+        this.logger.warn(`Error closing audio context: ${error.message}`);
+      }
+      this.audioContext = null;
+    }
+
+    if (this.streamServer) {
+      this.audioEngine?.detachOutput(this.streamServer);
+      try {
+        await this.streamServer.stop();
       } catch (error) {
-        this.logger.warn(`Error releasing audio context: ${error.message}`);
+        this.logger.warn(`Error stopping stream server: ${error.message}`);
       }
+      this.streamServer = null;
     }
 
     if (this.audioBackend) {
@@ -205,6 +297,7 @@ export class NativeMode extends BaseMode {
    * @returns {object} Playback state
    */
   getState() {
+    const metrics = this.audioEngine?.getMetrics() || null;
     return {
       mode: this.name,
       isPlaying: this.isPlaying,
@@ -213,11 +306,17 @@ export class NativeMode extends BaseMode {
       audioBackendActive: this.audioBackend !== null,
       evaluatorActive: this.evaluator !== null,
       sampleRate: this.audioContext?.sampleRate || null,
-      latencyMs: this.audioEngine?.getMetrics().latencyMs || this.config.get('audio.latency') || null,
-      bpm: this.audioEngine?.getMetrics().bpm || this.config.get('audio.bpm') || 120,
-      cycle: this.audioEngine?.getMetrics().cycle || 0,
-      cpu: this.audioEngine?.getMetrics().cpuAvg || 0,
-      metrics: this.audioEngine?.getMetrics() || null,
+      latencyMs: metrics?.latencyMs || this.config.get('audio.latency') || null,
+      bpm: metrics?.bpm || this.config.get('audio.bpm') || 120,
+      cycle: metrics?.cycle || 0,
+      cpu: metrics?.cpuAvg || 0,
+      underruns: metrics?.underruns || 0,
+      xruns: metrics?.xruns || 0,
+      lateEvents: metrics?.lateEvents || 0,
+      queuedMs: metrics?.queuedMs || 0,
+      stream: this.streamServer?.getState() || null,
+      metrics,
+      slots: this.getSlots(),
       currentPattern: this.currentPattern ? this.currentPattern.substring(0, 50) + '...' : null
     };
   }
@@ -225,19 +324,24 @@ export class NativeMode extends BaseMode {
   /**
    * Create backend instance by name
    * @param {string} backendName
+   * @param {Config} [config] - Config the backend reads (defaults to the mode's)
    * @returns {object|null}
    * @private
    */
-  _createAudioBackend(backendName) {
+  _createAudioBackend(backendName, config = this.config) {
     switch (backendName) {
       case 'pipewire':
-        return new PipeWireBackend(this.config, this.logger);
+        return new PipeWireBackend(config, this.logger);
       case 'alsa':
-        return new AlsaBackend(this.config, this.logger);
+        return new AlsaBackend(config, this.logger);
       case 'pulse':
-        return new PulseAudioBackend(this.config, this.logger);
+        return new PulseAudioBackend(config, this.logger);
       case 'jack':
-        return new JackBackend(this.config, this.logger);
+        return new JackBackend(config, this.logger);
+      case 'file':
+        return new FileBackend(config, this.logger);
+      case 'null':
+        return new NullBackend(config, this.logger);
       default:
         return null;
     }
@@ -245,7 +349,7 @@ export class NativeMode extends BaseMode {
 
   /**
    * Select audio backend based on availability and preference
-   * @param {string} requestedBackend - Requested backend (auto|pipewire|alsa|jack|pulse)
+   * @param {string} requestedBackend - Requested backend (auto|pipewire|alsa|jack|pulse|file|null)
    * @returns {Promise<string>} Selected backend name
    * @private
    */
@@ -263,8 +367,7 @@ export class NativeMode extends BaseMode {
     }
 
     // Auto-detect optimal backend (priority: PipeWire > JACK > ALSA > PulseAudio)
-    const backends = ['pipewire', 'jack', 'alsa', 'pulse'];
-    for (const backend of backends) {
+    for (const backend of AUTO_BACKENDS) {
       const available = await this._checkBackendAvailable(backend);
       if (available) {
         this.logger.debug(`Auto-selected backend: ${backend}`);
@@ -274,13 +377,76 @@ export class NativeMode extends BaseMode {
 
     throw new Error(
       'No native audio backend available. Please install PipeWire, ALSA, JACK, or PulseAudio.\n' +
-      'Or use web mode: strudel repl --mode web'
+      'On headless machines set audio.backend to "file" or "null" (--backend null), ' +
+      'or use web mode: strudel repl --mode web'
     );
   }
 
+  /**
+   * Config for the engine: backends that run at their server's format (JACK)
+   * override the configured sample rate and buffer size
+   * @returns {Config|object} Config provider
+   * @private
+   */
+  _engineConfig() {
+    const format = this.audioBackend?.getServerFormat?.();
+    if (!format) {
+      return this.config;
+    }
+    if (format.sampleRate !== this.config.get('audio.sampleRate')) {
+      this.logger.info(`Using the ${this.backend} server's sample rate: ${format.sampleRate}Hz`);
+    }
+    const overrides = { 'audio.sampleRate': format.sampleRate, 'audio.bufferSize': format.bufferSize };
+    return { get: (key) => overrides[key] ?? this.config.get(key) };
+  }
+
+  /**
+   * Replace a backend the engine could not respawn with the next available
+   * one not tried yet this session. The engine keeps its sample rate, so the
+   * replacement is started at that rate, and a JACK server running at
+   * another rate is passed over (jack-stdin does not resample).
+   * @param {object} failed - Backend that gave up
+   * @returns {Promise<object|null>} Replacement backend, or null when none is left
+   * @private
+   */
+  async _failoverBackend(failed) {
+    for (const name of AUTO_BACKENDS) {
+      if (this._triedBackends.has(name) || !(await this._checkBackendAvailable(name))) {
+        continue;
+      }
+      this._triedBackends.add(name);
+
+      // audio.device names an output of the backend that failed
+      const overrides = { 'audio.device': null, 'audio.sampleRate': this.audioEngine.sampleRate };
+      const config = { get: (key) => (key in overrides ? overrides[key] : this.config.get(key)) };
+      const backend = this._createAudioBackend(name, config);
+      const format = await backend.queryServerFormat?.();
+      if (format && format.sampleRate !== this.audioEngine.sampleRate) {
+        this.logger.warn(
+          `Not failing over to ${name}: its server runs at ${format.sampleRate}Hz, ` +
+            `the engine at ${this.audioEngine.sampleRate}Hz`
+        );
+        continue;
+      }
+
+      try {
+        await failed?.cleanup?.();
+      } catch (error) {
+        this.logger.debug(`Error cleaning up failed backend: ${error.message}`);
+      }
+
+      this._failedBackend = this.backend;
+      this.backend = name;
+      this.audioBackend = backend;
+      this.logger.warn(`Audio backend ${this._failedBackend} failed, switching to ${name}`);
+      return this.audioBackend;
+    }
+    return null;
+  }
+
   /**
    * Check if audio backend is available on system
-   * @param {string} backend - Backend to check (pipewire|alsa|jack|pulse)
+   * @param {string} backend - Backend to check (pipewire|alsa|jack|pulse|file|null)
    * @returns {Promise<boolean>} Backend availability
    * @private
    */
@@ -294,25 +460,17 @@ export class NativeMode extends BaseMode {
           return AlsaBackend.isAvailable();
 
         case 'jack':
-          // Check for JACK daemon or utilities
-          try {
-            await execAsync('which jack_lsp');
-            this.logger.debug('JACK backend available');
-            return true;
-          } catch {
-            // Also check if jackd is running
-            try {
-              await execAsync('pgrep -x jackd');
-              this.logger.debug('JACK backend available (daemon running)');
-              return true;
-            } catch {
-              return false;
-            }
-          }
+          return JackBackend.isAvailable(this.config.get('audio.jack.binary') || 'jack-stdin');
 
         case 'pulse':
           return PulseAudioBackend.isAvailable();
 
+        case 'file':
+          return FileBackend.isAvailable();
+
+        case 'null':
+          return NullBackend.isAvailable();
+
         default:
           this.logger.warn(`Unknown backend: ${backend}`);
           return false;
@@ -324,38 +482,18 @@ export class NativeMode extends BaseMode {
   }
 
   /**
-   * Create minimal audio context for Phase 1 MVP
-   * Full WebAudio API polyfill implementation in Phase 2
-   * @returns {object} Minimal audio context
+   * Create the WebAudio context whose graph plays through the engine
+   * @returns {AudioContext} WebAudio polyfill context
    * @private
    */
-  _createMinimalAudioContext() {
-    const sampleRate = this.config.get('audio.sampleRate') || 48000;
-    const bufferSize = this.config.get('audio.bufferSize') || 256;
-    const channels = this.config.get('audio.channels') || 2;
-    const latency = this.config.get('audio.latency') || 10;
-
-    this.logger.debug(`Creating audio context: ${sampleRate}Hz, ${bufferSize} samples, ${channels} channels`);
-
-    // Phase 1 MVP: Minimal context structure
-    // Phase 2 will implement full AudioContext polyfill
-    return {
-      sampleRate,
-      bufferSize,
-      channels,
-      latency,
-      currentTime: 0,
-      state: 'running',
-      // Stub methods for Phase 2
-      createOscillator: () => { throw new Error('Not implemented in Phase 1'); },
-      createGain: () => { throw new Error('Not implemented in Phase 1'); },
-      createBuffer: () => { throw new Error('Not implemented in Phase 1'); }
-    };
+  _createAudioContext() {
+    const { sampleRate, channels, blockSize, latencyMs } = this.audioEngine;
+    this.logger.debug(`Creating audio context: ${sampleRate}Hz, ${blockSize} samples, ${channels} channels, ${latencyMs}ms`);
+    return new AudioContext({ sampleRate, channels, engine: this.audioEngine, logger: this.logger });
   }
 
   /**
-   * Create pattern evaluator for Strudel patterns
-   * Phase 1 MVP: Stub implementation
+   * Create pattern evaluator for Strudel patterns, playing into the engine
    * @returns {object} Pattern evaluator
    * @private
    */
@@ -373,6 +511,18 @@ export class NativeMode extends BaseMode {
     );
   }
 
+  /**
+   * Audio engine, or an error when not initialized
+   * @returns {NativeAudioEngine}
+   * @private
+   */
+  _requireEngine() {
+    if (!this.audioEngine) {
+      throw new Error('NativeMode not initialized. Call initialize() first.');
+    }
+    return this.audioEngine;
+  }
+
   /**
    * Validate pattern syntax (basic check)
    * @param {string} code - Pattern code
@@ -388,8 +538,7 @@ export class NativeMode extends BaseMode {
       throw new Error('Pattern code cannot be empty');
     }
 
-    // Phase 1 MVP: Basic syntax validation
-    // Phase 2 will use full Strudel parser
+    // Syntax errors surface from the evaluator, which parses the code itself
     this.logger.debug(`Pattern validation: ${code.length} characters`);
   }
 
@@ -3,6 +3,9 @@
  *
  * Uses vm2 to execute pattern code in an isolated environment with a restricted
  * scope. Provides Strudel core/mini helpers while blocking Node built-ins.
+ * Code can fill named slots with `d1(...)`..`d16(...)`, `.p('name')` or
+ * labelled blocks (`name: ...`, anonymous `$: ...`); a leading or trailing
+ * `_` on a label hushes that slot. Code without slots fills `d1`.
  *
  * @module patterns/evaluator
  * @author Grimm (Joshua Robert Humphrey)
@@ -15,6 +18,15 @@ import { mini, m, h } from '@strudel/mini';
 import { transpiler } from '@strudel/transpiler';
 import { registerLanguage } from '@strudel/transpiler';
 import { getLeafLocations } from '@strudel/mini';
+import { DEFAULT_SLOT } from '../audio/slots.js';
+
+/** Number of d1..dN slot functions in scope. */
+const SLOT_COUNT = 16;
+
+// The transpiler turns `name:` blocks into `.p('name')` calls, so each
+// evaluation installs its own slot collector as Pattern#p while its code runs.
+// Evaluations take turns so they never see each other's collector.
+let slotTurn = Promise.resolve();
 
 export class PatternEvaluationError extends Error {
   constructor(message) {
@@ -45,6 +57,9 @@ export class PatternEvaluator {
     this.timeoutMs = timeoutMs;
     this.onPattern = onPattern;
     this.audioEngine = audioEngine;
+    this.cps = null;
+    this.slots = new Map();
+    this._anonymousSlots = 0;
     this.scope = this._buildScope(scopeOverrides);
     this.vm = new VM({
       timeout: this.timeoutMs,
@@ -76,19 +91,38 @@ export class PatternEvaluator {
       throw new PatternEvaluationError('Pattern code cannot be empty');
     }
 
+    const slots = new Map();
+    let anonymous = 0;
     try {
       const transpiled = transpiler(trimmed, { addReturn: true, wrapAsync: false });
       const wrapped = `(async () => { ${transpiled.output} })()`;
-      const pattern = await this.vm.run(wrapped);
-      if (!strudel.isPattern(pattern)) {
+      const collectSlot = (id, pattern) => {
+        if (id === '$') {
+          slots.set(`$${anonymous++}`, pattern);
+          return pattern;
+        }
+        const name = typeof id === 'number' ? `d${id}` : String(id);
+        const hushed = name.startsWith('_') || name.endsWith('_');
+        if (hushed && name.replace(/^_+|_+$/g, '') === '$') {
+          // A hushed anonymous block simply does not take a number
+          return strudel.silence;
+        }
+        slots.set(name.replace(/^_+|_+$/g, ''), hushed ? null : pattern);
+        return hushed ? strudel.silence : pattern;
+      };
+      let pattern = await this._runCollectingSlots(wrapped, collectSlot);
+      if (slots.size > 0) {
+        pattern = this._stackSlots(slots);
+      } else if (!strudel.isPattern(pattern)) {
         throw new Error('Evaluation did not return a Strudel Pattern');
       }
       this.logger?.debug?.('Pattern evaluated in sandbox');
       if (this.onPattern) {
         await this.onPattern(pattern);
       }
+      this.slots = slots.size > 0 ? slots : new Map([[DEFAULT_SLOT, pattern]]);
       if (this.audioEngine && pattern) {
-        await this.audioEngine.setPattern(pattern);
+        await this.audioEngine.updateSlots(this._slotUpdates(anonymous));
       }
       return pattern;
     } catch (error) {
@@ -101,6 +135,7 @@ export class PatternEvaluator {
    * Stop current execution (no-op placeholder for streaming schedulers).
    */
   async stop() {
+    this._anonymousSlots = 0;
     if (this.audioEngine) {
       await this.audioEngine.stop();
     }
@@ -126,6 +161,12 @@ export class PatternEvaluator {
       stack: strudel.stack,
       seq: strudel.seq,
       hush: strudel.silence,
+      ...Object.fromEntries(Array.from({ length: SLOT_COUNT }, (_, i) => [
+        `d${i + 1}`,
+        (pattern) => strudel.reify(pattern).p(`d${i + 1}`)
+      ])),
+      setcps: (cps) => this._setCps(cps),
+      setcpm: (cpm) => this._setCps(cpm / 60),
       mini,
       m,
       h,
@@ -148,6 +189,77 @@ export class PatternEvaluator {
     return safeScope;
   }
 
+  /**
+   * Run sandbox code with `.p()` feeding a slot collector, restoring the
+   * shared Pattern prototype afterwards even when the code throws.
+   * @param {string} code - Wrapped, transpiled code
+   * @param {Function} collectSlot - Called with (id, pattern) for each `.p()`
+   * @returns {Promise<*>} Evaluation result
+   * @private
+   */
+  async _runCollectingSlots(code, collectSlot) {
+    const previousTurn = slotTurn;
+    let endTurn;
+    slotTurn = new Promise((resolve) => {
+      endTurn = resolve;
+    });
+    await previousTurn;
+
+    const prototype = strudel.Pattern.prototype;
+    const original = Object.getOwnPropertyDescriptor(prototype, 'p');
+    prototype.p = function (id) {
+      return collectSlot(id, this);
+    };
+    try {
+      return await this.vm.run(code);
+    } finally {
+      if (original) {
+        Object.defineProperty(prototype, 'p', original);
+      } else {
+        delete prototype.p;
+      }
+      endTurn();
+    }
+  }
+
+  /**
+   * Stack of the patterns an evaluation put in slots.
+   * @private
+   */
+  _stackSlots(slots) {
+    const patterns = [...slots.values()].filter(Boolean);
+    return patterns.length > 0 ? strudel.stack(...patterns) : strudel.silence;
+  }
+
+  /**
+   * Slot updates for the engine. Anonymous `$:` blocks are numbered per
+   * evaluation, so blocks left over from a longer previous evaluation are hushed.
+   * @private
+   */
+  _slotUpdates(anonymous) {
+    const updates = [...this.slots];
+    if (anonymous > 0) {
+      for (let i = anonymous; i < this._anonymousSlots; i += 1) {
+        updates.push([`$${i}`, null]);
+      }
+      this._anonymousSlots = anonymous;
+    }
+    return updates;
+  }
+
+  /**
+   * Tempo change requested by pattern code (`setcps`/`setcpm`).
+   * @param {number} cps - Cycles per second
+   * @private
+   */
+  _setCps(cps) {
+    if (!Number.isFinite(cps) || cps <= 0) {
+      throw new Error(`Invalid tempo: ${cps} cps`);
+    }
+    this.cps = cps;
+    this.audioEngine?.setCps?.(cps);
+  }
+
   _sanitizeError(error) {
     if (!error) {
       return 'Unknown pattern evaluation error';
@@ -62,9 +62,15 @@ export class REPL {
       '.status': this._showStatus.bind(this),
       '.metrics': this._showMetrics.bind(this),
       '.bpm': this._bpm.bind(this),
+      '.mute': this._mute.bind(this),
+      '.unmute': this._unmute.bind(this),
+      '.solo': this._solo.bind(this),
+      '.unsolo': this._unsolo.bind(this),
       '.clear': this._clearScreen.bind(this),
       '.history': this._showHistory.bind(this)
     };
+    this._watchedMode = null;
+    this._onBackendEvent = this._onBackendEvent.bind(this);
   }
 
   /**
@@ -88,6 +94,7 @@ export class REPL {
 
     // Setup readline event handlers
     this._setupReadlineHandlers();
+    this._watchMode(this.orchestrator.currentMode);
 
     // Show welcome banner
     if (this.options.showBanner !== false) {
@@ -232,17 +239,21 @@ export class REPL {
     console.log(chalk.cyan('  .help') + '              Show this help message');
     console.log(chalk.cyan('  .exit, .quit') + '       Exit the REPL');
     console.log(chalk.cyan('  .stop, .hush') + '       Stop current pattern playback');
+    console.log(chalk.cyan('  .hush <slot>') + '       Stop one slot (d1..d16, $0, labels)');
+    console.log(chalk.cyan('  .mute/.unmute <slot>') + ' Mute or unmute a slot');
+    console.log(chalk.cyan('  .solo <slot>') + '       Solo a slot (.unsolo [slot] to undo)');
     console.log(chalk.cyan('  .play') + '              Replay last pattern');
     console.log(chalk.cyan('  .mode <mode>') + '       Switch execution mode (web|native|osc)');
     console.log(chalk.cyan('  .status') + '            Show current status');
     console.log(chalk.cyan('  .metrics') + '           Show live audio metrics');
-    console.log(chalk.cyan('  .bpm [value]') + '       Show or set BPM');
+    console.log(chalk.cyan('  .bpm [value] [q]') + '   Show or set BPM (q: now|cycle)');
     console.log(chalk.cyan('  .clear') + '             Clear screen');
     console.log(chalk.cyan('  .history') + '           Show command history');
     console.log();
     console.log(chalk.gray('Pattern syntax:'));
     console.log(chalk.gray('  sound("bd sd hh cp").fast(2)'));
     console.log(chalk.gray('  note("c3 e3 g3").s("piano")'));
+    console.log(chalk.gray('  d2(note("c2 g1").s("sawtooth"))  or  bass: note("c2")'));
     console.log(chalk.gray('  Use \\ at end of line for multiline patterns'));
     console.log();
   }
@@ -271,14 +282,89 @@ export class REPL {
   }
 
   /**
-   * Hush/stop all playback
+   * Hush/stop all playback, or one slot when named
+   * @param {Array<string>} args - Optional slot name
    * @private
    */
-  async _hush() {
+  async _hush(args = []) {
+    if (args.length > 0) {
+      await this._slotCommand(args, async (name) => {
+        if (!(await this.orchestrator.hushSlot(name))) {
+          throw new Error(`Unknown slot: ${name}`);
+        }
+      }, 'hushed');
+      return;
+    }
     await this._stop();
     this.currentPattern = null;
   }
 
+  /**
+   * Mute a slot
+   * @param {Array<string>} args - Slot name
+   * @private
+   */
+  async _mute(args = []) {
+    await this._slotCommand(args, (name) => this.orchestrator.muteSlot(name, true), 'muted');
+  }
+
+  /**
+   * Unmute a slot
+   * @param {Array<string>} args - Slot name
+   * @private
+   */
+  async _unmute(args = []) {
+    await this._slotCommand(args, (name) => this.orchestrator.muteSlot(name, false), 'unmuted');
+  }
+
+  /**
+   * Solo a slot (other slots fall silent until unsoloed)
+   * @param {Array<string>} args - Slot name
+   * @private
+   */
+  async _solo(args = []) {
+    await this._slotCommand(args, (name) => this.orchestrator.soloSlot(name, true), 'soloed');
+  }
+
+  /**
+   * Clear the solo of one slot, or of every slot
+   * @param {Array<string>} args - Optional slot name
+   * @private
+   */
+  async _unsolo(args = []) {
+    if (args.length > 0) {
+      await this._slotCommand(args, (name) => this.orchestrator.soloSlot(name, false), 'unsoloed');
+      return;
+    }
+    try {
+      await this.orchestrator.soloSlot(undefined, false);
+      console.log(chalk.green('✓ All slots unsoloed'));
+    } catch (error) {
+      console.log(chalk.red(`✗ ${error.message}`));
+    }
+  }
+
+  /**
+   * Apply a change to the slot named in args and report it
+   * @param {Array<string>} args - Command arguments (slot name first)
+   * @param {Function} change - Async change taking the slot name
+   * @param {string} done - Past-tense verb for the confirmation
+   * @private
+   */
+  async _slotCommand(args, change, done) {
+    const [name] = args;
+    if (!name) {
+      console.log(chalk.red('Slot name required (e.g. d1, $0 or a block label)'));
+      return;
+    }
+    try {
+      await change(name);
+      console.log(chalk.green(`✓ ${name} ${done}`));
+    } catch (error) {
+      console.log(chalk.red(`✗ ${error.message}`));
+    }
+  }
+
   /**
    * Replay last pattern
    * @private
@@ -310,12 +396,68 @@ export class REPL {
     try {
       console.log(chalk.gray(`Switching to ${newMode} mode...`));
       await this.orchestrator.switchMode(newMode);
+      this._watchMode(this.orchestrator.currentMode);
       console.log(chalk.green(`✓ Switched to ${newMode} mode`));
     } catch (error) {
       console.log(chalk.red(`✗ Error switching mode: ${error.message}`));
     }
   }
 
+  /**
+   * Follow a mode's events, dropping the previous mode's
+   * @param {BaseMode} mode - Current mode
+   * @private
+   */
+  _watchMode(mode) {
+    this._watchedMode?.off?.('backend', this._onBackendEvent);
+    this._watchedMode = mode || null;
+    this._watchedMode?.on?.('backend', this._onBackendEvent);
+  }
+
+  /**
+   * Report audio backend recovery as it happens
+   * @param {object} event - Backend event from the mode
+   * @private
+   */
+  _onBackendEvent(event) {
+    const { backend } = event;
+    switch (event.status) {
+      case 'lost':
+        this._notify(chalk.yellow(`⚠ Audio backend ${backend} ${event.reason}`));
+        break;
+      case 'recovering':
+        this._notify(chalk.gray(`  Restarting ${backend} in ${Math.round(event.delayMs)}ms (attempt ${event.attempt}/${event.retries})...`));
+        break;
+      case 'failover':
+        this._notify(chalk.yellow(`⚠ Switching audio output from ${event.previous} to ${backend}`));
+        break;
+      case 'recovered':
+        this._notify(chalk.green(`✓ Audio restored on ${backend}`));
+        break;
+      case 'failed':
+        this._notify(chalk.red('✗ Audio output lost: no backend could be restarted. Use .stop, then play again once the device is back.'));
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Print a message without mangling the line being typed
+   * @param {string} message
+   * @private
+   */
+  _notify(message) {
+    if (!this.rl) {
+      console.log(message);
+      return;
+    }
+    readline.clearLine(process.stdout, 0);
+    readline.cursorTo(process.stdout, 0);
+    console.log(message);
+    this.rl.prompt(true);
+  }
+
   /**
    * Show current status
    * @private
@@ -344,11 +486,29 @@ export class REPL {
         console.log(chalk.cyan('  Latency:') + `          ${modeState.latencyMs}ms`);
       }
       if (modeState.cpu !== undefined) {
-        console.log(chalk.cyan('  CPU:') + `              ${modeState.cpu || 0}%`);
+        console.log(chalk.cyan('  DSP Load:') + `         ${modeState.cpu || 0}%`);
+      }
+      if (modeState.underruns !== undefined) {
+        console.log(chalk.cyan('  Underruns:') + `        ${modeState.underruns} (${modeState.xruns || 0} backend xruns)`);
+      }
+      if (modeState.lateEvents !== undefined) {
+        console.log(chalk.cyan('  Late Events:') + `      ${modeState.lateEvents}`);
+      }
+      if (modeState.stream?.url) {
+        const listeners = `${modeState.stream.listeners} listener${modeState.stream.listeners === 1 ? '' : 's'}`;
+        console.log(chalk.cyan('  Stream:') + `           ${modeState.stream.url}/stream.wav (${listeners})`);
       }
       if (modeState.metrics?.events !== undefined) {
         console.log(chalk.cyan('  Events:') + `           ${modeState.metrics.events}`);
       }
+      if (modeState.slots?.length) {
+        const slots = modeState.slots.map((slot) => {
+          const flags = [slot.solo && 'solo', slot.muted && 'muted'].filter(Boolean);
+          const label = flags.length ? `${slot.name} (${flags.join(', ')})` : slot.name;
+          return slot.audible ? chalk.green(label) : chalk.gray(label);
+        });
+        console.log(chalk.cyan('  Slots:') + `            ${slots.join(', ')}`);
+      }
       if (modeState.browserActive !== undefined) {
         console.log(chalk.cyan('  Browser:') + `           ${modeState.browserActive ? 'active' : 'inactive'}`);
       }
@@ -377,8 +537,37 @@ export class REPL {
     console.log(chalk.cyan('  BPM:') + `              ${metrics.bpm}`);
     console.log(chalk.cyan('  Cycle:') + `            ${metrics.cycle.toFixed(2)}`);
     console.log(chalk.cyan('  Latency:') + `          ${metrics.latencyMs} ms`);
-    console.log(chalk.cyan('  CPU (approx):') + `     ${metrics.cpuAvg}%`);
+    if (metrics.queuedMs !== undefined) {
+      console.log(chalk.cyan('  Queued:') + `           ${metrics.queuedMs} ms`);
+    }
+    if (metrics.clockSource) {
+      const drift = `${metrics.clockDriftPpm >= 0 ? '+' : ''}${metrics.clockDriftPpm} ppm`;
+      const clock = {
+        device: `device (${drift})`,
+        pipe: `player back-pressure (${drift})`
+      }[metrics.clockSource] || 'wall clock (backend reports no playback position)';
+      console.log(chalk.cyan('  Clock:') + `            ${clock}`);
+    }
+    const load = `${metrics.cpuAvg}%` + (metrics.cpuPeak !== undefined ? ` (peak ${metrics.cpuPeak}%)` : '');
+    console.log(chalk.cyan('  DSP load:') + `         ${metrics.cpuPeak >= 80 ? chalk.yellow(load) : load}`);
     console.log(chalk.cyan('  Events:') + `           ${metrics.events}`);
+    if (metrics.lateEvents !== undefined) {
+      const late = String(metrics.lateEvents);
+      console.log(chalk.cyan('  Late events:') + `      ${metrics.lateEvents > 0 ? chalk.yellow(late) : late}`);
+    }
+    if (metrics.underruns !== undefined) {
+      const xruns = `${metrics.underruns} engine, ${metrics.xruns ?? 0} backend`;
+      const trouble = metrics.underruns > 0 || metrics.xruns > 0;
+      console.log(chalk.cyan('  Underruns:') + `        ${trouble ? chalk.yellow(xruns) : xruns}`);
+    }
+    if (metrics.voices !== undefined) {
+      console.log(chalk.cyan('  Voices:') + `           ${metrics.voices}/${metrics.maxVoices} (${metrics.stolenVoices} stolen)`);
+    }
+    if (metrics.gainReduction) {
+      const { compressor, limiter } = metrics.gainReduction;
+      const reduction = `comp -${compressor} dB, limiter -${limiter} dB`;
+      console.log(chalk.cyan('  Gain reduction:') + `   ${limiter > 0 ? chalk.yellow(reduction) : reduction}`);
+    }
     console.log();
   }
 
@@ -413,7 +602,9 @@ export class REPL {
   }
 
   /**
-   * Show or set BPM (stored in config)
+   * Show or set BPM. The running pattern follows the change immediately or
+   * from the next cycle (`.bpm 140 now|cycle`, default audio.tempoQuantize,
+   * itself `now`).
    * @param {Array<string>} args
    * @private
    */
@@ -428,8 +619,18 @@ export class REPL {
       console.log(chalk.red('Invalid BPM value'));
       return;
     }
-    this.orchestrator.config.set('audio.bpm', val);
-    console.log(chalk.green(`✓ BPM set to ${val}`));
+    const quantize = args[1] || this.orchestrator.config.get('audio.tempoQuantize') || 'now';
+    if (!['now', 'cycle'].includes(quantize)) {
+      console.log(chalk.red(`Unknown quantize mode: ${quantize} (expected now|cycle)`));
+      return;
+    }
+    try {
+      const live = await this.orchestrator.setBpm(val, { quantize });
+      const when = live ? (quantize === 'now' ? ' (now)' : ' (from next cycle)') : '';
+      console.log(chalk.green(`✓ BPM set to ${val}${when}`));
+    } catch (error) {
+      console.log(chalk.red(`✗ ${error.message}`));
+    }
   }
 
   /**
@@ -487,6 +688,9 @@ export class REPL {
       cpu: metrics.cpuAvg || state.cpu || 0,
       latencyMs: metrics.latencyMs || latency,
       events: metrics.events || 0,
+      underruns: (metrics.underruns || 0) + (metrics.xruns || 0),
+      lateEvents: metrics.lateEvents || 0,
+      queuedMs: metrics.queuedMs ?? null,
       playing: state.isPlaying || false
     });
   }
@@ -532,6 +736,7 @@ export class REPL {
   async _cleanup() {
     try {
       this.isRunning = false;
+      this._watchMode(null);
 
       // Stop any playing patterns
       await Promise.resolve(this.orchestrator.stop()).catch(() => {});
@@ -26,8 +26,11 @@ export class TerminalVisualizer {
    * @param {string} state.pattern - Pattern description
    * @param {number} state.cycle - Cycle position
    * @param {number} state.bpm - Current BPM
-   * @param {number} state.cpu - CPU percentage
+   * @param {number} state.cpu - DSP load percentage
    * @param {number} state.latencyMs - Measured latency
+   * @param {number} state.underruns - Engine underruns plus backend xruns
+   * @param {number} state.lateEvents - Events that arrived past their deadline
+   * @param {number} state.queuedMs - Audio queued ahead of the device
    * @param {boolean} state.playing - Playback flag
    */
   render(state = {}) {
@@ -42,7 +45,10 @@ export class TerminalVisualizer {
       cpu = 0,
       latencyMs = null,
       playing = false,
-      events = 0
+      events = 0,
+      underruns = 0,
+      lateEvents = 0,
+      queuedMs = null
     } = state;
 
     const bar = this._renderBar(cycle);
@@ -58,11 +64,16 @@ export class TerminalVisualizer {
         chalk.bold.cyan('│'),
       chalk.bold.cyan('│ ') +
         chalk.gray(
-          `BPM: ${bpm} | CPU: ${cpu}% | Latency: ${latencyMs ?? '-'}ms | Evts: ${events} | ${
+          `BPM: ${bpm} | DSP: ${cpu}% | Latency: ${latencyMs ?? '-'}ms | Evts: ${events} | ${
             playing ? '▶' : '■'
           }`
         ).padEnd(33, ' ') +
         chalk.bold.cyan('│'),
+      chalk.bold.cyan('│ ') +
+        (underruns > 0 || lateEvents > 0 ? chalk.yellow : chalk.gray)(
+          `XRuns: ${underruns} | Late: ${lateEvents} | Queued: ${queuedMs ?? '-'}ms`
+        ).padEnd(33, ' ') +
+        chalk.bold.cyan('│'),
       chalk.bold.cyan('╰─────────────────────────────────────╯')
     ];
 
@@ -0,0 +1,73 @@
+/**
+ * AudioClock Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { AudioClock } from '../../../src/audio/clock.js';
+
+const SR = 48000;
+
+const makeClock = () => {
+  const wall = { now: 0 };
+  const clock = new AudioClock({ sampleRate: SR, wallTime: () => wall.now });
+  clock.start();
+  return { clock, wall };
+};
+
+describe('AudioClock', () => {
+  it('follows the wall clock when the backend reports nothing', () => {
+    const { clock, wall } = makeClock();
+    wall.now = 0.5;
+
+    expect(clock.frame).toBe(24000);
+    expect(clock.time).toBeCloseTo(0.5);
+  });
+
+  it('locks onto a drifting device despite report jitter', () => {
+    const { clock, wall } = makeClock();
+    const ppm = -200;
+    let seed = 1;
+    const jitter = () => {
+      seed = (seed * 16807) % 2147483647;
+      return (seed / 2147483647 - 0.5) * 512;
+    };
+
+    let maxError = 0;
+    for (let i = 0; i < 20000; i += 1) {
+      wall.now += 0.0025;
+      const device = wall.now * SR * (1 + ppm / 1e6);
+      clock.report(device + jitter());
+      if (wall.now > 30) {
+        maxError = Math.max(maxError, Math.abs(clock.frame - device));
+      }
+    }
+
+    // A free-running wall clock would be ~480 frames off after 50s
+    expect(maxError).toBeLessThan(64);
+    expect(clock.driftPpm).toBeLessThan(-100);
+    expect(clock.driftPpm).toBeGreaterThan(-300);
+  });
+
+  it('never runs backwards and holds after a large backwards resync', () => {
+    const { clock, wall } = makeClock();
+    wall.now = 1;
+    const before = clock.frame;
+
+    clock.report(before - SR / 2);
+    expect(clock.frame).toBe(before);
+    wall.now = 1.25;
+    expect(clock.frame).toBe(before);
+    wall.now = 1.75;
+    expect(clock.frame).toBeCloseTo(before + SR / 4);
+  });
+
+  it('resyncs forwards immediately and freezes when stopped', () => {
+    const { clock, wall } = makeClock();
+    clock.report(SR);
+    expect(clock.frame).toBe(SR);
+
+    clock.stop();
+    wall.now = 10;
+    expect(clock.frame).toBe(SR);
+  });
+});
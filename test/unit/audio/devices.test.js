@@ -0,0 +1,193 @@
+/**
+ * Output Device Discovery Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const mockExecFile = vi.fn();
+
+vi.mock('child_process', () => ({
+  spawn: vi.fn(),
+  execFile: (...args) => mockExecFile(...args)
+}));
+
+import {
+  listDevices,
+  parseAplayDevices,
+  parseJackPorts,
+  parsePactlSinks,
+  parsePwCliNodes,
+  parsePwDump
+} from '../../../src/audio/devices.js';
+import { AlsaBackend } from '../../../src/audio/backends/alsa.js';
+import { PulseAudioBackend } from '../../../src/audio/backends/pulse.js';
+import { configFactory } from './helpers.js';
+
+const PW_DUMP = JSON.stringify([
+  {
+    id: 0,
+    type: 'PipeWire:Interface:Metadata',
+    props: { 'metadata.name': 'default' },
+    metadata: [
+      { subject: 0, key: 'default.audio.sink', type: 'Spa:String:JSON', value: { name: 'alsa_output.usb-Focusrite' } }
+    ]
+  },
+  {
+    id: 40,
+    type: 'PipeWire:Interface:Node',
+    info: { props: { 'media.class': 'Audio/Sink', 'node.name': 'alsa_output.pci-analog', 'node.description': 'Built-in Audio' } }
+  },
+  {
+    id: 41,
+    type: 'PipeWire:Interface:Node',
+    info: { props: { 'media.class': 'Audio/Sink', 'node.name': 'alsa_output.usb-Focusrite', 'node.description': 'Scarlett 2i2' } }
+  },
+  {
+    id: 42,
+    type: 'PipeWire:Interface:Node',
+    info: { props: { 'media.class': 'Audio/Source', 'node.name': 'alsa_input.pci-analog' } }
+  }
+]);
+
+const PW_CLI = `\tid 40, type PipeWire:Interface:Node/3
+ \t\tobject.serial = "40"
+ \t\tnode.description = "Built-in Audio"
+ \t\tnode.name = "alsa_output.pci-analog"
+ \t\tmedia.class = "Audio/Sink"
+\tid 42, type PipeWire:Interface:Node/3
+ \t\tnode.name = "alsa_input.pci-analog"
+ \t\tmedia.class = "Audio/Source"
+`;
+
+const APLAY = `null
+    Discard all samples (playback) or generate zero samples (capture)
+default
+    Default ALSA Output (currently PipeWire Media Server)
+hw:CARD=USB,DEV=0
+    Scarlett 2i2 USB, USB Audio
+    Direct hardware device without any conversions
+`;
+
+const PACTL = `Sink #0
+\tState: SUSPENDED
+\tName: alsa_output.pci-analog
+\tDescription: Built-in Audio
+\tDriver: PipeWire
+
+Sink #1
+\tState: RUNNING
+\tName: alsa_output.usb-Focusrite
+\tDescription: Scarlett 2i2
+`;
+
+const JACK = `system:capture_1
+\tproperties: output,physical,terminal,
+system:playback_1
+\tproperties: input,physical,terminal,
+system:playback_2
+\tproperties: input,physical,terminal,
+reverb:in_1
+\tproperties: input,
+`;
+
+const makeConfig = configFactory();
+
+describe('output device parsers', () => {
+  it('reads PipeWire sinks and the default sink from pw-dump', () => {
+    expect(parsePwDump(PW_DUMP)).toEqual([
+      { id: 'alsa_output.pci-analog', description: 'Built-in Audio', isDefault: false },
+      { id: 'alsa_output.usb-Focusrite', description: 'Scarlett 2i2', isDefault: true }
+    ]);
+  });
+
+  it('reads PipeWire sinks from pw-cli', () => {
+    expect(parsePwCliNodes(PW_CLI)).toEqual([
+      { id: 'alsa_output.pci-analog', description: 'Built-in Audio', isDefault: false }
+    ]);
+  });
+
+  it('reads ALSA PCM names and descriptions from aplay -L', () => {
+    const devices = parseAplayDevices(APLAY);
+
+    expect(devices.map((device) => device.id)).toEqual(['null', 'default', 'hw:CARD=USB,DEV=0']);
+    expect(devices[1].isDefault).toBe(true);
+    expect(devices[2].description).toBe('Scarlett 2i2 USB, USB Audio, Direct hardware device without any conversions');
+  });
+
+  it('reads PulseAudio sinks from pactl', () => {
+    expect(parsePactlSinks(PACTL, 'alsa_output.usb-Focusrite')).toEqual([
+      { id: 'alsa_output.pci-analog', description: 'Built-in Audio', isDefault: false },
+      { id: 'alsa_output.usb-Focusrite', description: 'Scarlett 2i2', isDefault: true }
+    ]);
+  });
+
+  it('keeps only JACK ports that accept audio', () => {
+    const devices = parseJackPorts(JACK);
+
+    expect(devices.map((device) => device.id)).toEqual(['system:playback_1', 'system:playback_2', 'reverb:in_1']);
+    expect(devices[0].isDefault).toBe(true);
+    expect(devices[2].isDefault).toBe(false);
+  });
+});
+
+describe('listDevices', () => {
+  beforeEach(() => {
+    mockExecFile.mockReset();
+  });
+
+  it('falls back to pw-cli when pw-dump is missing', async () => {
+    mockExecFile.mockImplementation((binary, _args, _options, cb) => {
+      if (binary === 'pw-dump') cb(Object.assign(new Error('spawn pw-dump ENOENT'), { code: 'ENOENT' }));
+      else cb(null, { stdout: PW_CLI, stderr: '' });
+    });
+
+    const devices = await listDevices('pipewire');
+
+    expect(devices).toHaveLength(1);
+    expect(mockExecFile.mock.calls[1].slice(0, 2)).toEqual(['pw-cli', ['ls', 'Node']]);
+  });
+
+  it('asks pactl for untranslated output and the default sink', async () => {
+    mockExecFile.mockImplementation((_binary, args, _options, cb) => {
+      const stdout = args[0] === 'info' ? 'Server Name: PulseAudio\nDefault Sink: alsa_output.pci-analog\n' : PACTL;
+      cb(null, { stdout, stderr: '' });
+    });
+
+    const devices = await listDevices('pulse');
+
+    expect(devices[0].isDefault).toBe(true);
+    expect(mockExecFile.mock.calls[0][2].env.LC_ALL).toBe('C');
+  });
+
+  it('rejects backends without discovery', async () => {
+    await expect(listDevices('file')).rejects.toThrow(/not supported/);
+  });
+});
+
+describe('device selection', () => {
+  it('passes audio.device to aplay with -D', () => {
+    const backend = new AlsaBackend(makeConfig({ 'audio.device': 'hw:CARD=USB,DEV=0' }));
+    const args = backend.argsBuilder(backend);
+
+    expect(args.slice(0, 2)).toEqual(['-D', 'hw:CARD=USB,DEV=0']);
+    expect(new AlsaBackend(makeConfig()).argsBuilder({ ...backend, device: null })).not.toContain('-D');
+  });
+
+  it('passes audio.device to paplay with --device', () => {
+    const backend = new PulseAudioBackend(makeConfig({ 'audio.device': 'alsa_output.usb-Focusrite' }));
+    const args = backend.argsBuilder(backend);
+
+    expect(args[args.indexOf('--device') + 1]).toBe('alsa_output.usb-Focusrite');
+    expect(args[args.length - 1]).toBe('-');
+  });
+
+  it('sets and reports the player buffer from audio.playerBuffer', () => {
+    const alsa = new AlsaBackend(makeConfig({ 'audio.playerBuffer': 50 }));
+    const pulse = new PulseAudioBackend(makeConfig({ 'audio.playerBuffer': 50 }));
+
+    expect(alsa.argsBuilder(alsa)).toContain('--buffer-time=50000');
+    expect(pulse.argsBuilder(pulse)).toContain('--latency-msec=50');
+    expect(alsa.getLatencyFrames()).toBe(0.05 * alsa.sampleRate);
+    expect(new AlsaBackend(makeConfig()).getLatencyFrames()).toBeUndefined();
+  });
+});
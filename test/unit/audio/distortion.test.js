@@ -0,0 +1,57 @@
+/**
+ * Shape / Distort / Crush / Coarse Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  CoarseProcessor,
+  CrushProcessor,
+  DistortProcessor,
+  ShapeProcessor
+} from '../../../src/audio/dsp/distortion.js';
+
+const apply = (processor, values) => {
+  const block = Float32Array.from(values);
+  processor.process(block, 0, block.length);
+  return Array.from(block);
+};
+
+describe('ShapeProcessor', () => {
+  it('is transparent at 0 and saturates as shape approaches 1', () => {
+    expect(apply(new ShapeProcessor({ shape: 0 }), [0.5, -0.25])).toEqual([0.5, -0.25]);
+
+    const [soft] = apply(new ShapeProcessor({ shape: 0.5 }), [0.5]);
+    const [hard] = apply(new ShapeProcessor({ shape: 0.99 }), [0.5]);
+    expect(soft).toBeCloseTo(0.75);
+    expect(hard).toBeGreaterThan(0.99);
+    expect(hard).toBeLessThanOrEqual(1);
+  });
+
+  it('applies and clamps the post gain', () => {
+    expect(apply(new ShapeProcessor({ shape: 0, postgain: 0.5 }), [1])[0]).toBeCloseTo(0.5);
+    expect(apply(new ShapeProcessor({ shape: 0, postgain: 3 }), [1])[0]).toBeCloseTo(1);
+  });
+});
+
+describe('DistortProcessor', () => {
+  it('drives exponentially with distort', () => {
+    expect(apply(new DistortProcessor({ distort: 0 }), [0.3])[0]).toBeCloseTo(0.3);
+    const k = Math.expm1(2);
+    expect(apply(new DistortProcessor({ distort: 2 }), [0.3])[0]).toBeCloseTo(((1 + k) * 0.3) / (1 + k * 0.3));
+  });
+});
+
+describe('CrushProcessor', () => {
+  it('quantises to the requested bit depth', () => {
+    expect(apply(new CrushProcessor({ crush: 1 }), [0.4, 0.6, -0.7])).toEqual([0, 1, -1]);
+    expect(apply(new CrushProcessor({ crush: 3 }), [0.3, 0.4])).toEqual([0.25, 0.5]);
+  });
+});
+
+describe('CoarseProcessor', () => {
+  it('holds samples across block boundaries', () => {
+    const coarse = new CoarseProcessor({ coarse: 3 });
+    expect(apply(coarse, [1, 2, 3, 4])).toEqual([1, 1, 1, 4]);
+    expect(apply(coarse, [5, 6, 7])).toEqual([4, 4, 7]);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Compressor / Limiter Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Compressor, Limiter } from '../../../src/audio/dsp/dynamics.js';
+
+const SR = 48000;
+
+const stereoSine = (frames, amplitude) => {
+  const block = new Float32Array(frames * 2);
+  for (let i = 0; i < frames; i += 1) {
+    const value = amplitude * Math.sin((2 * Math.PI * 440 * i) / SR);
+    block[i * 2] = value;
+    block[i * 2 + 1] = value;
+  }
+  return block;
+};
+
+const peakOf = (block, from = 0) => block.slice(from).reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+
+describe('Limiter', () => {
+  it('keeps loud input under the ceiling and reports gain reduction', () => {
+    const limiter = new Limiter({ sampleRate: SR, channels: 2, ceiling: -1 });
+    const block = limiter.process(stereoSine(4800, 3));
+
+    expect(peakOf(block)).toBeLessThanOrEqual(10 ** (-1 / 20) + 1e-6);
+    expect(limiter.reductionDb).toBeGreaterThan(9);
+  });
+
+  it('delays quiet input by the look-ahead without changing it', () => {
+    const limiter = new Limiter({ sampleRate: SR, channels: 2, lookahead: 0.001 });
+    const input = stereoSine(480, 0.5);
+    const output = limiter.process(input.slice());
+    const delay = limiter.latencyFrames;
+
+    expect(delay).toBe(47);
+    expect(output[delay * 2 + 20]).toBeCloseTo(input[20], 6);
+    expect(limiter.reductionDb).toBe(0);
+  });
+
+  it('ramps into a transient instead of clipping it', () => {
+    const limiter = new Limiter({ sampleRate: SR, channels: 1, ceiling: 0, lookahead: 0.002 });
+    const input = new Float32Array(400).fill(0.5);
+    input[200] = 4;
+    const output = limiter.process(input);
+    const peakAt = 200 + limiter.latencyFrames;
+
+    expect(output[peakAt]).toBeCloseTo(1, 3);
+    // Gain is already reduced before the peak and stays smooth
+    expect(output[peakAt - 10]).toBeLessThan(0.5);
+    expect(output[peakAt - 10]).toBeGreaterThan(0.1);
+  });
+});
+
+describe('Compressor', () => {
+  it('reduces level above the threshold by the ratio', () => {
+    const compressor = new Compressor({ sampleRate: SR, channels: 2, threshold: -20, ratio: 4, attack: 0.001 });
+    const block = compressor.process(stereoSine(48000, 1));
+
+    // 20 dB over the threshold at 4:1 leaves 5 dB, i.e. 15 dB of reduction
+    expect(compressor.reductionDb).toBeGreaterThan(14);
+    expect(compressor.reductionDb).toBeLessThan(15.5);
+    expect(peakOf(block, 48000)).toBeLessThan(0.3);
+  });
+
+  it('leaves quiet signals untouched apart from makeup gain', () => {
+    const compressor = new Compressor({ sampleRate: SR, channels: 2, threshold: -6, makeup: 6 });
+    const block = compressor.process(stereoSine(480, 0.1));
+
+    expect(compressor.reductionDb).toBe(0);
+    expect(peakOf(block)).toBeCloseTo(0.1 * 10 ** (6 / 20), 2);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Delay / Reverb / Orbit routing Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { FeedbackDelay, Reverb } from '../../../src/audio/dsp/effects.js';
+import { Mixer } from '../../../src/audio/mixer.js';
+import { SampleVoice } from '../../../src/audio/voices.js';
+
+const SR = 1000;
+
+const impulse = (length) => {
+  const block = new Float32Array(length);
+  block[0] = 1;
+  return block;
+};
+
+describe('FeedbackDelay', () => {
+  it('repeats the input after the delay time with decaying feedback', () => {
+    const delay = new FeedbackDelay(SR);
+    delay.setParams(0.1, 0.5);
+    // Skip the glide from the default time
+    delay._delayFrames = 100;
+    const input = impulse(400);
+    const outL = new Float32Array(400);
+    const outR = new Float32Array(400);
+
+    delay.process(input, input, outL, outR, 400);
+
+    expect(outL[100]).toBeCloseTo(1);
+    expect(outL[200]).toBeCloseTo(0.5);
+    expect(outR[300]).toBeCloseTo(0.25);
+    expect(outL[150]).toBe(0);
+  });
+
+  it('clamps feedback below runaway levels', () => {
+    const delay = new FeedbackDelay(SR);
+    delay.setParams(0.1, 4);
+    expect(delay.feedback).toBeLessThan(1);
+  });
+});
+
+describe('Reverb', () => {
+  it('produces a tail that lasts longer for larger sizes', () => {
+    const tailEnergy = (size) => {
+      const reverb = new Reverb(48000);
+      reverb.setSize(size);
+      const input = impulse(48000);
+      const outL = new Float32Array(48000);
+      const outR = new Float32Array(48000);
+      reverb.process(input, input, outL, outR, 48000);
+      return outL.slice(24000).reduce((sum, v) => sum + v * v, 0);
+    };
+
+    expect(tailEnergy(0.5)).toBeGreaterThan(0);
+    expect(tailEnergy(4)).toBeGreaterThan(tailEnergy(0.5) * 100);
+  });
+});
+
+describe('Mixer orbit routing', () => {
+  const sample = { length: 1, channelData: [Float32Array.from([1])] };
+
+  it('sends voices through their orbit delay', () => {
+    const mixer = new Mixer({ channels: 2, blockSize: 64, sampleRate: SR });
+    mixer.add(new SampleVoice({
+      sample,
+      startFrame: 0,
+      bus: { orbit: 2, delay: 1, delayTime: 0.25, delayFeedback: 0, room: 0 }
+    }));
+
+    mixer.render();
+    expect(mixer.orbits.has(2)).toBe(true);
+    expect(mixer.orbit(2).delay.time).toBe(0.25);
+  });
+
+  it('scales the dry path with dry', () => {
+    const mixer = new Mixer({ channels: 2, blockSize: 4, sampleRate: SR });
+    mixer.add(new SampleVoice({ sample, startFrame: 0, bus: { orbit: 1, dry: 0.5 } }));
+
+    const block = mixer.render();
+    expect(block[0]).toBeCloseTo(0.5);
+    expect(block[1]).toBeCloseTo(0.5);
+  });
+
+  it('pans voices with equal power', () => {
+    const mixer = new Mixer({ channels: 2, blockSize: 4, sampleRate: SR });
+    mixer.add(new SampleVoice({ sample, startFrame: 0, bus: { orbit: 1, pan: 0 } }));
+    mixer.add(new SampleVoice({ sample, startFrame: 1, bus: { orbit: 1, pan: 0.5 } }));
+
+    const block = mixer.render();
+    expect(block[0]).toBeCloseTo(1);
+    expect(block[1]).toBeCloseTo(0);
+    expect(block[2]).toBeCloseTo(Math.SQRT1_2);
+    expect(block[3]).toBeCloseTo(Math.SQRT1_2);
+  });
+
+  it('routes orbits to configured channel pairs', () => {
+    const mixer = new Mixer({
+      channels: 4,
+      blockSize: 2,
+      sampleRate: SR,
+      orbitChannels: { 2: [3, 4], 3: [7, 8] }
+    });
+    mixer.add(new SampleVoice({ sample, startFrame: 0, bus: { orbit: 2, pan: 1 } }));
+    mixer.add(new SampleVoice({ sample, startFrame: 1, bus: { orbit: 3 } }));
+
+    const block = mixer.render();
+    expect(Array.from(block.slice(0, 4)).map((v) => Math.round(v * 1000) / 1000)).toEqual([0, 0, 0, 1]);
+    // Out-of-range routes fall back to channels 1/2
+    expect(Array.from(block.slice(4, 8))).toEqual([1, 1, 0, 0]);
+  });
+});
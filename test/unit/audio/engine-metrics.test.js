@@ -0,0 +1,116 @@
+/**
+ * NativeAudioEngine health metrics Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { s } from '@strudel/core';
+import { NativeAudioEngine } from '../../../src/audio/engine.js';
+import { configFactory } from './helpers.js';
+
+const makeConfig = configFactory({ 'audio.sampleRate': 48000, 'audio.bufferSize': 256, 'audio.latency': 20 });
+
+describe('NativeAudioEngine metrics', () => {
+  let backend;
+  let engine;
+
+  beforeEach(() => {
+    backend = { played: 0, xruns: 3, playBuffer: async () => {}, getPlaybackFrames: () => backend.played };
+    engine = new NativeAudioEngine({
+      backend,
+      config: makeConfig(),
+      logger: null,
+      samples: { indexed: true, has: () => false }
+    });
+    engine.clock.start();
+  });
+
+  it('reports DSP load as a share of the block duration', () => {
+    engine._pump();
+    const metrics = engine.getMetrics();
+    const blockMs = (256 / 48000) * 1000;
+
+    expect(metrics.renderMs).toBeGreaterThan(0);
+    expect(metrics.cpuAvg).toBeCloseTo((metrics.renderMs / blockMs) * 100, 0);
+    expect(metrics.cpuPeak).toBeGreaterThanOrEqual(metrics.cpuAvg);
+  });
+
+  it('reports audio queued ahead of the device', () => {
+    // Hold the device still so a slow render cannot eat into the lead
+    engine.clock.wallTime = () => 0;
+    engine.clock.start();
+    engine._pump();
+    // 20ms lead rounded up to whole blocks
+    expect(engine.getMetrics().queuedMs).toBeGreaterThan(20);
+    expect(engine.getMetrics().queuedMs).toBeLessThan(20 + (256 / 48000) * 1000 + 1);
+  });
+
+  it('adds the buffer of a pipe-fed player to the queued audio', () => {
+    engine.clock.wallTime = () => 0;
+    engine.clock.start();
+    delete backend.getPlaybackFrames;
+    backend.getLatencyFrames = () => 4800;
+    engine._pump();
+
+    expect(engine.getMetrics().queuedMs).toBeGreaterThan(120);
+    expect(engine.getMetrics().queuedMs).toBeLessThan(120 + (256 / 48000) * 1000 + 1);
+  });
+
+  it('reports whether the clock follows the device or the wall clock', () => {
+    engine._pump();
+    expect(engine.getMetrics().clockSource).toBe('device');
+
+    delete backend.getPlaybackFrames;
+    engine._pump();
+    expect(engine.getMetrics().clockSource).toBe('wall');
+  });
+
+  it('follows a pipe-fed player once it pushes back, correcting the drift', async () => {
+    // A player holding 2400 frames that plays 0.5% slower than the wall clock
+    const wall = { now: 0 };
+    const pending = [];
+    const player = { accepted: 0, played: 0 };
+    delete backend.getPlaybackFrames;
+    backend.playBuffer = (buffer) => new Promise((resolve) => pending.push({ frames: buffer.length / 8, resolve }));
+    engine.clock.wallTime = () => wall.now;
+    engine.clock.start();
+
+    for (let step = 0; step < 16000; step++) {
+      wall.now += 0.0025;
+      player.played = wall.now * 48000 * 0.995;
+      while (pending.length > 0 && player.accepted + pending[0].frames - player.played <= 2400) {
+        const write = pending.shift();
+        player.accepted += write.frames;
+        write.resolve();
+      }
+      await new Promise((resolve) => setImmediate(resolve));
+      engine._pump();
+    }
+
+    expect(engine.getMetrics().clockSource).toBe('pipe');
+    expect(engine.getMetrics().clockDriftPpm).toBeGreaterThan(-6000);
+    expect(engine.getMetrics().clockDriftPpm).toBeLessThan(-4000);
+    // Rendering keeps pace with the player instead of piling up behind it
+    expect(engine.mixer.frame - player.accepted).toBeLessThan(48000 * 0.05);
+  });
+
+  it('counts one underrun per episode of the device overtaking the render loop', () => {
+    engine._pump();
+    backend.played = engine.mixer.frame + 48000;
+    engine._pump();
+    engine._pump();
+
+    expect(engine.getMetrics().underruns).toBe(1);
+    expect(engine.getMetrics().xruns).toBe(3);
+  });
+
+  it('counts events whose start was already rendered as late', async () => {
+    engine._pump();
+    const [hap] = s('sine').queryArc(0, 1);
+
+    await engine._handleTrigger(hap, 0, 0.5, 1, engine.mixer.frame / 48000 + 0.05);
+    await engine._handleTrigger(hap, 0, 0.5, 1, 0);
+
+    expect(engine.getMetrics().events).toBe(2);
+    expect(engine.getMetrics().lateEvents).toBe(1);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * NativeAudioEngine backend recovery tests
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'events';
+import { NativeAudioEngine } from '../../../src/audio/engine.js';
+import { configFactory } from './helpers.js';
+
+const makeConfig = configFactory({
+  'audio.sampleRate': 48000,
+  'audio.bufferSize': 256,
+  'audio.recovery.delay': 0.001
+});
+
+class FakeBackend extends EventEmitter {
+  constructor() {
+    super();
+    this.initialize = vi.fn().mockResolvedValue();
+    this.playBuffer = vi.fn().mockResolvedValue();
+    this.stop = vi.fn().mockResolvedValue();
+    this.cleanup = vi.fn().mockResolvedValue();
+  }
+}
+
+const nextStatus = (engine, status) =>
+  new Promise((resolve) => {
+    const listener = (event) => {
+      if (event.status === status) {
+        engine.off('backend', listener);
+        resolve(event);
+      }
+    };
+    engine.on('backend', listener);
+  });
+
+describe('NativeAudioEngine backend recovery', () => {
+  let engine;
+  const input = { render: () => {} };
+
+  const start = async (backend, options = {}) => {
+    engine = new NativeAudioEngine({
+      backend,
+      config: makeConfig(options.config),
+      logger: null,
+      samples: { indexed: true, has: () => false },
+      failover: options.failover
+    });
+    await engine.attachInput(input);
+    return engine;
+  };
+
+  afterEach(async () => {
+    await engine?.cleanup();
+    engine = null;
+  });
+
+  it('respawns a backend whose player exits mid-stream', async () => {
+    const backend = new FakeBackend();
+    await start(backend);
+    const statuses = [];
+    engine.on('backend', (event) => statuses.push(event.status));
+
+    const recovered = nextStatus(engine, 'recovered');
+    backend.emit('exit', { code: 1, signal: null });
+    expect(engine.getMetrics().recovering).toBe(true);
+    const writes = backend.playBuffer.mock.calls.length;
+    engine._pump();
+    expect(backend.playBuffer.mock.calls.length).toBe(writes);
+
+    await recovered;
+    expect(statuses).toEqual(['lost', 'recovering', 'recovered']);
+    expect(backend.initialize).toHaveBeenCalledTimes(2);
+    expect(engine.getMetrics().recovering).toBe(false);
+  });
+
+  it('backs off exponentially between attempts', async () => {
+    const backend = new FakeBackend();
+    await start(backend, { config: { 'audio.recovery.retries': 3 } });
+    backend.initialize.mockRejectedValue(new Error('device busy'));
+    const delays = [];
+    engine.on('backend', (event) => event.status === 'recovering' && delays.push(event.delayMs));
+
+    const failed = nextStatus(engine, 'failed');
+    backend.emit('exit', { code: 1, signal: null });
+    await failed;
+
+    expect(delays).toEqual([1, 2, 4]);
+  });
+
+  it('fails over once respawning keeps failing', async () => {
+    const backend = new FakeBackend();
+    const replacement = new FakeBackend();
+    const failover = vi.fn().mockResolvedValue(replacement);
+    await start(backend, { failover, config: { 'audio.recovery.retries': 1 } });
+    backend.initialize.mockRejectedValue(new Error('device gone'));
+
+    const recovered = nextStatus(engine, 'recovered');
+    backend.emit('error', new Error('spawn pw-play ENOENT'));
+    await recovered;
+
+    expect(failover).toHaveBeenCalledWith(backend);
+    expect(engine.backend).toBe(replacement);
+    expect(replacement.initialize).toHaveBeenCalled();
+    expect(backend.listenerCount('exit')).toBe(0);
+
+    // The replacement is watched in turn
+    const again = nextStatus(engine, 'lost');
+    replacement.emit('exit', { code: 0, signal: 'SIGKILL' });
+    expect((await again).reason).toMatch(/SIGKILL/);
+  });
+
+  it('counts a respawn that dies straight away against the budget', async () => {
+    const backend = new FakeBackend();
+    const replacement = new FakeBackend();
+    const failover = vi.fn().mockResolvedValue(replacement);
+    await start(backend, { failover, config: { 'audio.recovery.retries': 2 } });
+    backend.initialize.mockImplementation(async () => {
+      setTimeout(() => backend.emit('exit', { code: 1, signal: null }), 0);
+    });
+
+    const failedOver = nextStatus(engine, 'failover');
+    backend.emit('exit', { code: 1, signal: null });
+    await failedOver;
+
+    expect(backend.initialize).toHaveBeenCalledTimes(3);
+  });
+
+  it('ignores exits while the render loop is stopped', async () => {
+    const backend = new FakeBackend();
+    await start(backend);
+    const listener = vi.fn();
+    engine.on('backend', listener);
+
+    engine.detachInput(input);
+    backend.emit('exit', { code: 0, signal: 'SIGTERM' });
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(engine.getMetrics().recovering).toBe(false);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Envelope Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Envelope, adsrValues, SYNTH_ADSR } from '../../../src/audio/dsp/envelope.js';
+
+const SR = 1000;
+
+const run = (envelope, frames) => Array.from({ length: frames }, () => envelope.next());
+
+describe('adsrValues', () => {
+  it('returns defaults when no control is set', () => {
+    expect(adsrValues([undefined, undefined, undefined, undefined])).toBe(SYNTH_ADSR);
+  });
+
+  it('holds full sustain when only attack is given', () => {
+    expect(adsrValues([0.5, undefined, undefined, undefined])).toEqual([0.5, 0.001, 1, 0.01]);
+  });
+
+  it('decays to silence when decay is given without sustain', () => {
+    const [, decay, sustain] = adsrValues([undefined, 0.2, undefined, undefined]);
+    expect(decay).toBe(0.2);
+    expect(sustain).toBeCloseTo(0.001);
+  });
+});
+
+describe('Envelope', () => {
+  it('ramps through attack and decay to the sustain level', () => {
+    const env = new Envelope({ attack: 0.01, decay: 0.01, sustain: 0.5, release: 0.01, hold: 1, sampleRate: SR });
+    const levels = run(env, 30);
+
+    expect(levels[0]).toBe(0);
+    expect(levels[5]).toBeCloseTo(0.5);
+    expect(levels[10]).toBeCloseTo(1);
+    expect(levels[25]).toBeCloseTo(0.5);
+  });
+
+  it('releases after the hold time and extends past it', () => {
+    const env = new Envelope({ attack: 0.001, decay: 0.001, sustain: 1, release: 0.1, hold: 0.05, sampleRate: SR });
+    const levels = run(env, 150);
+
+    expect(env.length).toBe(150);
+    expect(levels[49]).toBeCloseTo(1);
+    expect(levels[100]).toBeCloseTo(0.5);
+    expect(env.done).toBe(true);
+  });
+
+  it('can be released early from its current level', () => {
+    const env = new Envelope({ attack: 0.01, decay: 0.001, sustain: 1, release: 1, hold: 1, sampleRate: SR });
+    run(env, 5);
+    env.triggerRelease(0.004);
+    const tail = run(env, 5);
+
+    expect(tail[0]).toBeCloseTo(0.4);
+    expect(tail[4]).toBe(0);
+    expect(env.done).toBe(true);
+  });
+
+  it('can schedule the early release a number of frames ahead', () => {
+    const env = new Envelope({ attack: 0.001, decay: 0.001, sustain: 1, release: 1, hold: 1, sampleRate: SR });
+    run(env, 5);
+    env.triggerRelease(0.004, 3);
+    const tail = run(env, 8);
+
+    expect(tail.slice(0, 3)).toEqual([1, 1, 1]);
+    expect(tail[4]).toBeCloseTo(0.75);
+    expect(tail[7]).toBe(0);
+  });
+
+  it('ramps exponentially between the floor and full level', () => {
+    const env = new Envelope({
+      attack: 0.01, decay: 0.01, sustain: 0, release: 0.01, hold: 0.03, sampleRate: SR, curve: 'exponential'
+    });
+    const levels = run(env, 41);
+
+    expect(levels[0]).toBeCloseTo(0.001);
+    // Halfway through the attack: sqrt(0.001 * 1)
+    expect(levels[5]).toBeCloseTo(Math.sqrt(0.001), 5);
+    expect(levels[15]).toBeCloseTo(Math.sqrt(0.001), 5);
+    expect(levels[25]).toBeCloseTo(0.001, 5);
+    expect(levels[40]).toBe(0);
+  });
+});
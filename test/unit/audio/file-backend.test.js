@@ -0,0 +1,92 @@
+/**
+ * FileBackend Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { FileBackend } from '../../../src/audio/backends/file.js';
+import { decodeWav } from '../../../src/audio/wav.js';
+import { configFactory } from './helpers.js';
+
+const makeConfig = configFactory({ 'audio.sampleRate': 8000, 'audio.channels': 2 });
+const block = (values) => Buffer.from(Float32Array.from(values).buffer);
+
+describe('FileBackend', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'strudel-file-backend-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('writes a WAV file with its final length', async () => {
+    const file = path.join(dir, 'out.wav');
+    const backend = new FileBackend(makeConfig({ 'audio.file.path': file }), null);
+    await backend.initialize();
+    await Promise.all([backend.playBuffer(block([0.5, -0.5])), backend.playBuffer(block([0.25, -0.25]))]);
+    await backend.stop();
+
+    const decoded = decodeWav(await fs.readFile(file));
+    expect(decoded.sampleRate).toBe(8000);
+    expect(decoded.length).toBe(2);
+    expect(decoded.channelData[1][0]).toBe(-0.5);
+    expect(decoded.channelData[0][1]).toBe(0.25);
+  });
+
+  it('keeps earlier takes when it stops and plays again', async () => {
+    const file = path.join(dir, 'out.wav');
+    const backend = new FileBackend(makeConfig({ 'audio.file.path': file }), null);
+    for (const value of [0.5, 0.25, 0.125]) {
+      await backend.initialize();
+      await backend.playBuffer(block([value, value]));
+      await backend.stop();
+    }
+
+    expect((await fs.readdir(dir)).sort()).toEqual(['out-1.wav', 'out-2.wav', 'out.wav']);
+    expect(decodeWav(await fs.readFile(file)).channelData[0][0]).toBe(0.5);
+    expect(decodeWav(await fs.readFile(path.join(dir, 'out-1.wav'))).channelData[0][0]).toBe(0.25);
+    expect(backend.path).toBe(path.join(dir, 'out-2.wav'));
+  });
+
+  it('writes headerless PCM to other paths', async () => {
+    const file = path.join(dir, 'out.f32');
+    const backend = new FileBackend(makeConfig({ 'audio.file.path': file, 'audio.file.bitDepth': 16 }), null);
+    await backend.initialize();
+    await backend.playBuffer(block([1, -1]));
+    await backend.stop();
+
+    const data = await fs.readFile(file);
+    expect(data).toHaveLength(4);
+    expect(data.readInt16LE(0)).toBe(32767);
+  });
+
+  it('streams to a FIFO reader and gives up cleanly without one', async () => {
+    const fifo = path.join(dir, 'pipe');
+    try {
+      execFileSync('mkfifo', [fifo]);
+    } catch {
+      return;
+    }
+
+    const backend = new FileBackend(makeConfig({ 'audio.file.path': fifo }), null);
+    await backend.initialize();
+    const write = backend.playBuffer(block([0.5, 0.5]));
+    const reader = await fs.open(fifo, 'r');
+    await write;
+    const { bytesRead } = await reader.read(Buffer.alloc(64), 0, 64, null);
+    expect(bytesRead).toBe(8);
+    await backend.stop();
+    await reader.close();
+
+    const abandoned = new FileBackend(makeConfig({ 'audio.file.path': fifo }), null);
+    await abandoned.initialize();
+    abandoned.playBuffer(block([0.5, 0.5])).catch(() => {});
+    await abandoned.stop();
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Filter Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { FilterProcessor, VowelFilter, resonanceToQ } from '../../../src/audio/dsp/filter.js';
+import { Envelope } from '../../../src/audio/dsp/envelope.js';
+
+const SR = 48000;
+
+const sine = (frequency, frames = 4800) =>
+  Float32Array.from({ length: frames }, (_v, i) => Math.sin((2 * Math.PI * frequency * i) / SR));
+
+const rms = (block, from = 0) => {
+  let sum = 0;
+  for (let i = from; i < block.length; i += 1) sum += block[i] * block[i];
+  return Math.sqrt(sum / (block.length - from));
+};
+
+const filtered = (options, frequency) => {
+  const block = sine(frequency);
+  new FilterProcessor({ sampleRate: SR, resonance: 0, ...options }).process(block, 0, block.length);
+  return rms(block, 1000) / rms(sine(frequency), 1000);
+};
+
+describe('FilterProcessor', () => {
+  it('low-pass keeps lows and attenuates highs', () => {
+    expect(filtered({ type: 'lowpass', frequency: 500 }, 100)).toBeGreaterThan(0.9);
+    expect(filtered({ type: 'lowpass', frequency: 500 }, 8000)).toBeLessThan(0.05);
+  });
+
+  it('high-pass keeps highs and attenuates lows', () => {
+    expect(filtered({ type: 'highpass', frequency: 2000 }, 8000)).toBeGreaterThan(0.9);
+    expect(filtered({ type: 'highpass', frequency: 2000 }, 100)).toBeLessThan(0.05);
+  });
+
+  it('band-pass peaks around its centre frequency', () => {
+    const centre = filtered({ type: 'bandpass', frequency: 1000, resonance: 4 }, 1000);
+    expect(centre).toBeGreaterThan(0.9);
+    expect(filtered({ type: 'bandpass', frequency: 1000, resonance: 4 }, 8000)).toBeLessThan(centre / 4);
+  });
+
+  it('resonance boosts the cutoff region of a low-pass', () => {
+    expect(filtered({ type: 'lowpass', frequency: 1000, resonance: 12 }, 1000)).toBeGreaterThan(2);
+  });
+
+  it('sweeps the cutoff with its envelope', () => {
+    const envelope = new Envelope({ attack: 0.05, decay: 0.001, sustain: 1, release: 0.1, hold: 1, sampleRate: SR });
+    const filter = new FilterProcessor({
+      type: 'lowpass',
+      frequency: 200,
+      resonance: 0,
+      sampleRate: SR,
+      envelope,
+      depth: 4
+    });
+
+    expect(filter.min).toBeCloseTo(200);
+    expect(filter.max).toBeCloseTo(3200);
+  });
+});
+
+describe('resonanceToQ', () => {
+  it('treats low-pass resonance as dB and band-pass as Q', () => {
+    expect(resonanceToQ('lowpass', 0)).toBe(1);
+    expect(resonanceToQ('lowpass', 20)).toBeCloseTo(10);
+    expect(resonanceToQ('bandpass', 3)).toBe(3);
+  });
+});
+
+describe('VowelFilter', () => {
+  const formantLevel = (vowel, frequency) => {
+    const block = sine(frequency);
+    new VowelFilter({ vowel, sampleRate: SR }).process(block, 0, block.length);
+    return rms(block, 2400);
+  };
+
+  it('emphasises the first formant of each vowel', () => {
+    expect(formantLevel('a', 660)).toBeGreaterThan(formantLevel('a', 1500) * 4);
+    expect(formantLevel('i', 270)).toBeGreaterThan(formantLevel('i', 660) * 4);
+  });
+
+  it('rejects unknown vowels', () => {
+    expect(() => new VowelFilter({ vowel: 'x', sampleRate: SR })).toThrow('Unknown vowel');
+  });
+});
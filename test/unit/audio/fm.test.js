@@ -0,0 +1,56 @@
+/**
+ * FM operator Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { FmOperator } from '../../../src/audio/dsp/fm.js';
+import { Envelope } from '../../../src/audio/dsp/envelope.js';
+import { NativeAudioEngine } from '../../../src/audio/engine.js';
+
+const SR = 48000;
+
+describe('FmOperator', () => {
+  it('deviates by the modulator frequency times the index', () => {
+    const fm = new FmOperator({ frequency: 100, harmonicity: 2, index: 3, sampleRate: SR });
+    const deviations = Array.from({ length: SR / 200 }, () => fm.next());
+
+    expect(fm.frequency).toBe(200);
+    expect(Math.max(...deviations)).toBeCloseTo(600, 0);
+    expect(deviations[0]).toBe(0);
+  });
+
+  it('scales the deviation by its envelope', () => {
+    const envelope = new Envelope({ attack: 0.001, decay: 0.001, sustain: 1, release: 0.01, hold: 0, sampleRate: SR });
+    const fm = new FmOperator({ frequency: 100, index: 1, wave: 'square', envelope, sampleRate: SR });
+    Array.from({ length: 480 }, () => fm.next());
+
+    expect(Math.abs(fm.next())).toBe(0);
+  });
+});
+
+describe('NativeAudioEngine FM voices', () => {
+  const engine = new NativeAudioEngine({
+    backend: { playBuffer: async () => {} },
+    config: { get: (key) => ({ 'audio.sampleRate': SR })[key] },
+    logger: null,
+    samples: { indexed: true, has: () => false }
+  });
+  const voiceFor = (value) => engine._createVoice({ value }, 0.5, 1, 0);
+
+  it('adds an operator to synth voices when fmi is set', async () => {
+    const voice = await voiceFor({ s: 'sine', note: 'a4', fmi: 2, fmh: 1.5, fmwave: 'sawtooth' });
+
+    expect(voice.fm.frequency).toBeCloseTo(660, 6);
+    expect(voice.fm.depth).toBeCloseTo(1320, 6);
+    expect(voice.fm.oscillator.type).toBe('sawtooth');
+    expect(voice.fm.envelope).toBeNull();
+    expect((await voiceFor({ s: 'sine' })).fm).toBeNull();
+  });
+
+  it('shapes the modulation once an envelope control is set', async () => {
+    const voice = await voiceFor({ s: 'sine', fmi: 2, fmdecay: 0.1, fmsustain: 0 });
+
+    expect(voice.fm.envelope.exponential).toBe(true);
+    expect((await voiceFor({ s: 'sine', fmi: 2, fmattack: 0.1, fmenv: 'lin' })).fm.envelope.exponential).toBe(false);
+  });
+});
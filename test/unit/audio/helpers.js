@@ -0,0 +1,22 @@
+/**
+ * Shared helpers for the audio unit tests
+ */
+
+/**
+ * Build a `makeConfig(overrides)` for a test file: each config it returns is
+ * a Config stand-in reading dot-notation keys from its overrides, then from
+ * the file's defaults.
+ * @param {object} [defaults] - Values every config of the file starts from
+ * @returns {Function} makeConfig(overrides)
+ */
+export function configFactory(defaults = {}) {
+  return (overrides = {}) => {
+    const values = { ...overrides };
+    return {
+      get: (key) => (values[key] !== undefined ? values[key] : defaults[key]),
+      set: (key, value) => {
+        values[key] = value;
+      }
+    };
+  };
+}
@@ -0,0 +1,131 @@
+/**
+ * JackBackend Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'events';
+
+const mockSpawn = vi.fn();
+const mockExecFile = vi.fn();
+
+vi.mock('child_process', () => ({
+  spawn: (...args) => mockSpawn(...args),
+  execFile: (...args) => mockExecFile(...args)
+}));
+
+import { JackBackend, jackPortNames } from '../../../src/audio/backends/jack.js';
+import { configFactory } from './helpers.js';
+
+const JACK_PORTS = `system:capture_1
+\tproperties: output,physical,terminal,
+system:playback_1
+\tproperties: input,physical,terminal,
+system:playback_2
+\tproperties: input,physical,terminal,
+reverb:in_1
+\tproperties: input,
+reverb:in_2
+\tproperties: input,
+Interface (USB):playback_1
+\tproperties: input,physical,terminal,
+`;
+
+// `jack_lsp` without -p, once jack-stdin has registered its ports
+const PORT_LIST = ['system:playback_1', 'system:playback_2', 'reverb:in_1', 'strudel-cli:out1', 'strudel-cli:out2']
+  .join('\n');
+
+const makeConfig = configFactory({ 'audio.sampleRate': 44100, 'audio.bufferSize': 256, 'audio.channels': 2 });
+
+describe('JackBackend', () => {
+  let backend;
+  let proc;
+
+  beforeEach(() => {
+    mockExecFile.mockImplementation((binary, args, _options, cb) => {
+      if (binary === 'jack_lsp') cb(null, { stdout: args.includes('-p') ? JACK_PORTS : PORT_LIST, stderr: '' });
+      else if (binary === 'jack_samplerate') cb(null, { stdout: '96000\n', stderr: '' });
+      else if (binary === 'jack_bufsize') cb(null, { stdout: '512\n', stderr: '' });
+      else cb(null, { stdout: '', stderr: '' });
+    });
+    proc = new EventEmitter();
+    proc.stdin = { write: vi.fn((buffer, cb) => cb && cb()), end: vi.fn() };
+    proc.stderr = new EventEmitter();
+    proc.kill = vi.fn(() => proc.emit('exit', 0, null));
+    mockSpawn.mockReturnValue(proc);
+  });
+
+  afterEach(async () => {
+    await backend?.cleanup();
+    vi.clearAllMocks();
+  });
+
+  const open = async (overrides) => {
+    backend = new JackBackend(makeConfig(overrides), null);
+    await backend.initialize();
+    return mockSpawn.mock.calls[mockSpawn.mock.calls.length - 1][1];
+  };
+
+  it('starts jack-stdin with float32 input and the destination ports', async () => {
+    const args = await open();
+
+    expect(mockSpawn.mock.calls[0][0]).toBe('jack-stdin');
+    expect(args).toEqual(['-e', 'float', '-b', '32', '-n', 'strudel-cli', 'system:playback_1', 'system:playback_2']);
+    expect(backend.getServerFormat()).toEqual({ sampleRate: 96000, bufferSize: 512 });
+    expect(backend.spawn.sampleRate).toBe(96000);
+  });
+
+  it('connects to ports matching a configured regex', async () => {
+    const args = await open({ 'audio.jack.connect': '^reverb:' });
+    expect(args.slice(-2)).toEqual(['reverb:in_1', 'reverb:in_2']);
+  });
+
+  it('matches a pattern that is not valid regex as a substring', async () => {
+    const args = await open({ 'audio.device': 'Interface (USB' });
+    expect(args.slice(-2)).toEqual(['Interface (USB):playback_1', 'Interface (USB):playback_1']);
+  });
+
+  it('leaves channels unconnected when auto-connect is off', async () => {
+    const args = await open({ 'audio.jack.connect': false });
+    expect(args.slice(-2)).toEqual(['-', '-']);
+  });
+
+  it('names its ports after the orbits routed to them', async () => {
+    await open({ 'audio.channels': 2, 'audio.orbitChannels': { 1: [1, 2] } });
+
+    const aliases = mockExecFile.mock.calls.filter(([binary]) => binary === 'jack_alias').map(([, args]) => args);
+    expect(aliases).toEqual([
+      ['strudel-cli:out1', 'strudel-cli:orbit1_L'],
+      ['strudel-cli:out2', 'strudel-cli:orbit1_R']
+    ]);
+    expect(backend.ports).toEqual(['strudel-cli:orbit1_L', 'strudel-cli:orbit1_R']);
+  });
+
+  it('keeps a port under its own name when it cannot be aliased', async () => {
+    const execFile = mockExecFile.getMockImplementation();
+    mockExecFile.mockImplementation((binary, args, options, cb) =>
+      binary === 'jack_alias' ? cb(new Error('jack_alias: not found')) : execFile(binary, args, options, cb));
+
+    await open({ 'audio.jack.portNames': ['left', 'right'] });
+    expect(backend.ports).toEqual(['strudel-cli:out1', 'strudel-cli:out2']);
+  });
+
+  it('forwards the player exiting', async () => {
+    backend = new JackBackend(makeConfig(), null);
+    const onExit = vi.fn();
+    backend.on('exit', onExit);
+    await backend.initialize();
+
+    proc.emit('exit', 1, null);
+    expect(onExit).toHaveBeenCalledWith({ code: 1, signal: null });
+  });
+});
+
+describe('jackPortNames', () => {
+  it('names channels after the orbits routed to them', () => {
+    expect(jackPortNames(4, { 1: [1, 2], 2: 3 })).toEqual(['orbit1_L', 'orbit1_R', 'orbit2', 'out_4']);
+  });
+
+  it('ignores channels out of range and keeps the first orbit on a shared one', () => {
+    expect(jackPortNames(2, { 1: [1, 2], 2: [2, 5] })).toEqual(['orbit1_L', 'orbit1_R']);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Mixer Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Mixer } from '../../../src/audio/mixer.js';
+import { SampleVoice } from '../../../src/audio/voices.js';
+import { Envelope } from '../../../src/audio/dsp/envelope.js';
+
+const makeSample = (values) => ({
+  length: values.length,
+  channelData: [Float32Array.from(values)]
+});
+
+describe('Mixer', () => {
+  it('renders silence when no voices are active', () => {
+    const mixer = new Mixer({ channels: 2, blockSize: 8 });
+    const block = mixer.render();
+
+    expect(block).toHaveLength(16);
+    expect(block.every((v) => v === 0)).toBe(true);
+    expect(mixer.frame).toBe(8);
+  });
+
+  it('starts voices at their exact frame offset within a block', () => {
+    const mixer = new Mixer({ channels: 1, blockSize: 8 });
+    mixer.add(new SampleVoice({ sample: makeSample([1, 1]), startFrame: 5 }));
+
+    const block = mixer.render();
+
+    expect(Array.from(block)).toEqual([0, 0, 0, 0, 0, 1, 1, 0]);
+  });
+
+  it('sums overlapping voices into the same block', () => {
+    const mixer = new Mixer({ channels: 2, blockSize: 4 });
+    mixer.add(new SampleVoice({ sample: makeSample([0.25, 0.25]), startFrame: 0, gain: 1 }));
+    mixer.add(new SampleVoice({ sample: makeSample([0.5]), startFrame: 1, gain: 0.5 }));
+
+    const block = mixer.render();
+
+    expect(block[0]).toBeCloseTo(0.25);
+    expect(block[2]).toBeCloseTo(0.5);
+    expect(block[3]).toBeCloseTo(0.5);
+  });
+
+  it('holds future voices and drops finished ones', () => {
+    const mixer = new Mixer({ channels: 1, blockSize: 4 });
+    mixer.add(new SampleVoice({ sample: makeSample([1]), startFrame: 6 }));
+
+    expect(Array.from(mixer.render())).toEqual([0, 0, 0, 0]);
+    expect(mixer.activeVoices).toBe(1);
+    expect(Array.from(mixer.render())).toEqual([0, 0, 1, 0]);
+    expect(mixer.activeVoices).toBe(0);
+  });
+
+  it('chokes earlier voices in the same cut group when a new one starts', () => {
+    const sr = 1000;
+    const hold = () => new Envelope({ attack: 0.001, decay: 0.001, sustain: 1, release: 0.001, hold: 1, sampleRate: sr });
+    const mixer = new Mixer({ channels: 1, blockSize: 8, sampleRate: sr });
+    mixer.add(new SampleVoice({ sample: makeSample(new Array(64).fill(1)), envelope: hold(), startFrame: 0, cut: 1 }));
+    mixer.add(new SampleVoice({ sample: makeSample(new Array(64).fill(1)), envelope: hold(), startFrame: 0, cut: 2 }));
+    mixer.add(new SampleVoice({ sample: makeSample([0, 0]), startFrame: 4, cut: 1 }));
+
+    const block = Array.from(mixer.render());
+    mixer.render();
+
+    expect(block.slice(1, 4)).toEqual([2, 2, 2]);
+    // The choked voice releases over 10ms starting at frame 4
+    expect(block[7]).toBeLessThan(2);
+    expect(mixer.activeVoices).toBe(1);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * NullBackend Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { NullBackend } from '../../../src/audio/backends/null.js';
+import { NativeAudioEngine } from '../../../src/audio/engine.js';
+import { configFactory } from './helpers.js';
+
+const makeConfig = configFactory({ 'audio.sampleRate': 1000, 'audio.channels': 2 });
+const block = (frames, value = 0.5) => {
+  const samples = new Float32Array(frames * 2).fill(value);
+  return Buffer.from(samples.buffer);
+};
+
+describe('NullBackend', () => {
+  let now;
+  let backend;
+
+  beforeEach(async () => {
+    now = 0;
+    backend = new NullBackend(makeConfig(), null, { wallTime: () => now });
+    await backend.initialize();
+  });
+
+  it('plays queued frames at the sample rate and stalls when starved', async () => {
+    await backend.playBuffer(block(100));
+    now = 0.04;
+    expect(backend.getPlaybackFrames()).toBe(40);
+
+    now = 1;
+    expect(backend.getPlaybackFrames()).toBe(100);
+    // Starved time is not made up once audio arrives again
+    await backend.playBuffer(block(100));
+    now = 1.05;
+    expect(backend.getPlaybackFrames()).toBe(150);
+  });
+
+  it('captures the most recent output', async () => {
+    const short = new NullBackend(makeConfig({ 'audio.null.captureSeconds': 0.2 }), null, { wallTime: () => now });
+    await short.initialize();
+    await short.playBuffer(block(100, 0.1));
+    await short.playBuffer(block(100, 0.2));
+    await short.playBuffer(block(100, 0.3));
+
+    const captured = short.getCaptured();
+    expect(captured).toHaveLength(400);
+    expect(captured[0]).toBeCloseTo(0.2);
+    expect(captured[399]).toBeCloseTo(0.3);
+  });
+
+  it('rejects writes once stopped', async () => {
+    await backend.stop();
+    await expect(backend.playBuffer(block(1))).rejects.toThrow(/not initialized/);
+  });
+
+  it('drives a NativeAudioEngine without audio hardware', async () => {
+    const realtime = new NullBackend(makeConfig({ 'audio.sampleRate': 48000 }), null);
+    const engine = new NativeAudioEngine({
+      backend: realtime,
+      config: makeConfig({ 'audio.sampleRate': 48000, 'audio.bufferSize': 256 }),
+      logger: null,
+      samples: { indexed: true, has: () => false }
+    });
+    const input = { render: (out) => out.fill(0.25) };
+
+    await engine.attachInput(input);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    engine.detachInput(input);
+
+    const captured = realtime.getCaptured();
+    expect(captured.length).toBeGreaterThan(0);
+    expect(captured[captured.length - 1]).toBeGreaterThan(0);
+    expect(realtime.getPlaybackFrames()).toBeGreaterThan(0);
+    await engine.cleanup();
+  });
+});
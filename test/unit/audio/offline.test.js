@@ -0,0 +1,97 @@
+/**
+ * Offline rendering / WavWriter Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { decodeWav, WavWriter } from '../../../src/audio/wav.js';
+import { OfflineRenderer } from '../../../src/audio/offline.js';
+import { configFactory } from './helpers.js';
+
+const makeConfig = configFactory();
+
+const emptyBank = { indexed: true, has: () => false };
+
+describe('WavWriter', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'strudel-wav-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it.each([16, 24, 32])('writes %i-bit files that decode back', async (bitDepth) => {
+    const file = path.join(dir, 'out.wav');
+    const writer = new WavWriter(file, { sampleRate: 22050, channels: 2, bitDepth });
+    await writer.open();
+    await writer.write(Float32Array.from([0.5, -0.5, 0.25, -0.25]));
+    await writer.write(Float32Array.from([2, -2]));
+    const { frames } = await writer.close();
+
+    const decoded = decodeWav(await fs.readFile(file));
+    expect(frames).toBe(3);
+    expect(decoded.sampleRate).toBe(22050);
+    expect(decoded.length).toBe(3);
+    expect(decoded.channelData[0][0]).toBeCloseTo(0.5, 3);
+    expect(decoded.channelData[1][1]).toBeCloseTo(-0.25, 3);
+    // Integer formats clip, float keeps overs
+    expect(decoded.channelData[0][2]).toBeCloseTo(bitDepth === 32 ? 2 : 1, 3);
+  });
+});
+
+describe('OfflineRenderer', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'strudel-render-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('renders the requested number of cycles to a WAV file', async () => {
+    const out = path.join(dir, 'pattern.wav');
+    const renderer = new OfflineRenderer(makeConfig({ 'audio.bufferSize': 128 }), null, { samples: emptyBank });
+
+    const result = await renderer.render('note("c3 e3")', { out, cycles: 2, sampleRate: 8000, bpm: 120 });
+    const decoded = decodeWav(await fs.readFile(out));
+
+    // 2 cycles at 2 cycles per second
+    expect(result.frames).toBe(8000);
+    expect(result.events).toBe(4);
+    expect(decoded.sampleRate).toBe(8000);
+    expect(decoded.length).toBe(8000);
+    expect(decoded.channelData[0].some((v) => Math.abs(v) > 0.01)).toBe(true);
+  });
+
+  it('adds the requested tail', async () => {
+    const out = path.join(dir, 'tail.wav');
+    const renderer = new OfflineRenderer(makeConfig(), null, { samples: emptyBank });
+
+    const result = await renderer.render('s("sine")', { out, cycles: 1, sampleRate: 8000, bpm: 60, tail: 0.5 });
+
+    expect(result.frames).toBe(12000);
+  });
+
+  it('uses the tempo set in the code unless one is given', async () => {
+    const renderer = new OfflineRenderer(makeConfig(), null, { samples: emptyBank });
+    const code = 'setcps(1); s("sine")';
+
+    const fromCode = await renderer.render(code, { out: path.join(dir, 'code.wav'), cycles: 1, sampleRate: 8000 });
+    const explicit = await renderer.render(code, { out: path.join(dir, 'bpm.wav'), cycles: 1, sampleRate: 8000, bpm: 240 });
+
+    expect(fromCode.frames).toBe(8000);
+    expect(explicit.frames).toBe(2000);
+  });
+
+  it('requires an output file', async () => {
+    const renderer = new OfflineRenderer(makeConfig(), null, { samples: emptyBank });
+    await expect(renderer.render('s("sine")', { cycles: 1 })).rejects.toThrow('output file');
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Oscillator Unit Tests
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { note } from '@strudel/core';
+import { Oscillator, oscillatorType } from '../../../src/audio/dsp/oscillators.js';
+import { NativeAudioEngine } from '../../../src/audio/engine.js';
+
+const renderCycle = (type, frequency = 100, sampleRate = 48000) => {
+  const osc = new Oscillator(type, sampleRate);
+  const frames = Math.round(sampleRate / frequency);
+  return Array.from({ length: frames }, () => osc.next(frequency));
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+describe('oscillatorType', () => {
+  it('maps waveform names and aliases', () => {
+    expect(oscillatorType('sawtooth')).toBe('sawtooth');
+    expect(oscillatorType('saw')).toBe('sawtooth');
+    expect(oscillatorType('tri')).toBe('triangle');
+    expect(oscillatorType('noise')).toBe('white');
+    expect(oscillatorType('bd')).toBeNull();
+  });
+});
+
+describe('Oscillator', () => {
+  it.each(['sine', 'sawtooth', 'square', 'triangle'])('%s stays in range without DC offset', (type) => {
+    const cycle = renderCycle(type);
+
+    expect(Math.max(...cycle.map(Math.abs))).toBeLessThanOrEqual(1.01);
+    expect(Math.abs(mean(cycle))).toBeLessThan(0.02);
+  });
+
+  it('square spends half the period on each polarity', () => {
+    const cycle = renderCycle('square');
+    const positive = cycle.filter((v) => v > 0).length;
+
+    expect(positive / cycle.length).toBeCloseTo(0.5, 1);
+  });
+
+  it('runs backwards at negative frequencies', () => {
+    const osc = new Oscillator('sine', 48000);
+    osc.next(-1000);
+
+    expect(osc.next(-1000)).toBeCloseTo(-Math.sin((2 * Math.PI * 1000) / 48000), 6);
+  });
+
+  it('noise sources produce non-repeating output', () => {
+    const osc = new Oscillator('pink', 48000);
+    const values = Array.from({ length: 64 }, () => osc.next(0));
+
+    expect(new Set(values).size).toBeGreaterThan(60);
+  });
+});
+
+describe('NativeAudioEngine synth voices', () => {
+  const makeEngine = (logger = null) => new NativeAudioEngine({
+    backend: { playBuffer: async () => {} },
+    config: { get: (key) => ({ 'audio.sampleRate': 48000 })[key] },
+    logger,
+    samples: { indexed: true, has: () => false }
+  });
+
+  it('plays unparseable note names at C2 and warns once', async () => {
+    const logger = { warn: vi.fn(), debug: () => {} };
+    const engine = makeEngine(logger);
+    const [hap] = note('foo').s('sawtooth').queryArc(0, 1);
+
+    const voice = await engine._createVoice(hap, 0.5, 1, 0);
+    await engine._createVoice(hap, 0.5, 1, 0);
+
+    expect(voice.frequency).toBeCloseTo(65.41, 2);
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+    expect(logger.warn.mock.calls[0][0]).toMatch(/foo/);
+  });
+
+  it('logs haps that fail instead of rejecting the scheduler callback', async () => {
+    const logger = { warn: vi.fn(), debug: () => {} };
+    const engine = makeEngine(logger);
+    vi.spyOn(engine, '_createVoice').mockRejectedValue(new Error('boom'));
+    const [hap] = note('c3').s('sawtooth').queryArc(0, 1);
+
+    await expect(engine._trigger(hap, 0, 0.5, 1, 0)).resolves.toBeUndefined();
+    expect(logger.warn).toHaveBeenCalledWith('Dropping audio event: boom');
+  });
+});
@@ -86,6 +86,24 @@ describe('PipeWireBackend', () => {
     expect(args).toContain('48000');
   });
 
+  it('targets the configured device', async () => {
+    backend = new PipeWireBackend(makeConfig({ 'audio.device': 'alsa_output.usb-Focusrite' }), logger);
+    await backend.initialize();
+
+    const [, args] = mockSpawn.mock.calls[0];
+    expect(args[args.indexOf('--target') + 1]).toBe('alsa_output.usb-Focusrite');
+    expect(args[args.length - 1]).toBe('-');
+  });
+
+  it('sets and reports the node latency from audio.playerBuffer', async () => {
+    backend = new PipeWireBackend(makeConfig({ 'audio.playerBuffer': 100 }), logger);
+    await backend.initialize();
+
+    const [, args] = mockSpawn.mock.calls[0];
+    expect(args).toContain('--latency=100ms');
+    expect(backend.getLatencyFrames()).toBe(4800);
+  });
+
   it('writes sine wave samples to stdin', async () => {
     await backend.initialize();
     await backend.playSineWave({ frequency: 220, durationMs: 10 });
@@ -95,6 +113,18 @@ describe('PipeWireBackend', () => {
     expect(Buffer.isBuffer(written)).toBe(true);
   });
 
+  it('counts xruns reported on stderr', async () => {
+    const onXrun = vi.fn();
+    backend.on('xrun', onXrun);
+    await backend.initialize();
+
+    processStub.stderr.emit('data', Buffer.from('stream underrun\nxrun detected\n'));
+    processStub.stderr.emit('data', Buffer.from('format negotiated\n'));
+
+    expect(backend.xruns).toBe(2);
+    expect(onXrun).toHaveBeenCalledTimes(1);
+  });
+
   it('stops and kills the PipeWire process', async () => {
     await backend.initialize();
     await backend.stop();
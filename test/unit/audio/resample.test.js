@@ -0,0 +1,57 @@
+/**
+ * Sample-rate conversion Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { resample, resampleAsync, resampleChannel } from '../../../src/audio/dsp/resample.js';
+
+const sine = (frequency, sampleRate, length) =>
+  Float32Array.from({ length }, (_, i) => Math.sin((2 * Math.PI * frequency * i) / sampleRate));
+
+const rms = (values) => Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / values.length);
+
+describe('resample', () => {
+  it('returns buffers already at the target rate unchanged', () => {
+    const buffer = { sampleRate: 48000, length: 2, channelData: [new Float32Array(2)] };
+    expect(resample(buffer, 48000)).toBe(buffer);
+  });
+
+  it('keeps duration and pitch when upsampling', () => {
+    const input = sine(441, 44100, 4410);
+    const buffer = resample({ sampleRate: 44100, length: 4410, channelData: [input, input] }, 48000);
+
+    expect(buffer.sampleRate).toBe(48000);
+    expect(buffer.length).toBe(4800);
+    expect(buffer.channelData).toHaveLength(2);
+
+    // Away from the edges the output matches an ideal 441 Hz sine at 48 kHz
+    const ideal = sine(441, 48000, 4800);
+    const error = buffer.channelData[0].slice(200, 4600).map((v, i) => v - ideal[i + 200]);
+    expect(rms(error)).toBeLessThan(1e-3);
+  });
+
+  it('filters content above the new Nyquist frequency when downsampling', () => {
+    const passband = resampleChannel(sine(1000, 48000, 4800), 22050 / 48000);
+    const stopband = resampleChannel(sine(15000, 48000, 4800), 22050 / 48000);
+
+    expect(passband).toHaveLength(2205);
+    expect(rms(passband.slice(100, 2100))).toBeGreaterThan(0.69);
+    expect(rms(stopband.slice(100, 2100))).toBeLessThan(0.01);
+  });
+
+  it('converts in chunks that let timers run, with the same result', async () => {
+    const input = sine(441, 44100, 44100);
+    const buffer = { sampleRate: 44100, length: 44100, channelData: [input] };
+    let ticks = 0;
+    const timer = setInterval(() => {
+      ticks += 1;
+    }, 0);
+
+    const converted = await resampleAsync(buffer, 48000);
+    clearInterval(timer);
+
+    expect(converted.channelData[0]).toEqual(resample(buffer, 48000).channelData[0]);
+    expect(converted.length).toBe(48000);
+    expect(ticks).toBeGreaterThan(1);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * SampleBank / WAV decoding Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { decodeWav, WavDecodeError } from '../../../src/audio/wav.js';
+import { SampleBank } from '../../../src/audio/sample-bank.js';
+
+const makeLogger = () => ({
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {}
+});
+
+const makeWav16 = (samples, { sampleRate = 44100, channels = 1 } = {}) => {
+  const data = Buffer.alloc(samples.length * 2);
+  samples.forEach((value, i) => data.writeInt16LE(Math.round(value * 32767), i * 2));
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+};
+
+describe('decodeWav', () => {
+  it('decodes 16-bit PCM into planar floats', () => {
+    const decoded = decodeWav(makeWav16([0, 0.5, -0.5, 0.25], { channels: 2, sampleRate: 22050 }));
+
+    expect(decoded.sampleRate).toBe(22050);
+    expect(decoded.length).toBe(2);
+    expect(decoded.channelData).toHaveLength(2);
+    expect(decoded.channelData[0][1]).toBeCloseTo(-0.5, 3);
+    expect(decoded.channelData[1][0]).toBeCloseTo(0.5, 3);
+  });
+
+  it('reads the cycle length from a wavetable clm chunk', () => {
+    const wav = makeWav16(new Array(8).fill(0));
+    const text = Buffer.from('<!>4 10000000 wavetable ');
+    const chunk = Buffer.alloc(8 + text.length);
+    chunk.write('clm ', 0, 'ascii');
+    chunk.writeUInt32LE(text.length, 4);
+    text.copy(chunk, 8);
+
+    expect(decodeWav(Buffer.concat([wav.subarray(0, 12), chunk, wav.subarray(12)])).cycleLength).toBe(4);
+    expect(decodeWav(wav).cycleLength).toBeUndefined();
+  });
+
+  it('rejects non-WAV input', () => {
+    expect(() => decodeWav(Buffer.from('definitely not a wav file'))).toThrow(WavDecodeError);
+  });
+});
+
+describe('SampleBank', () => {
+  let root;
+  let bank;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'strudel-bank-'));
+    await fs.mkdir(path.join(root, 'Dirt-Samples', 'bd'), { recursive: true });
+    await fs.mkdir(path.join(root, 'Dirt-Samples', 'hh'), { recursive: true });
+    await fs.writeFile(path.join(root, 'Dirt-Samples', 'bd', 'b.wav'), makeWav16([0.1, 0.2]));
+    await fs.writeFile(path.join(root, 'Dirt-Samples', 'bd', 'a.wav'), makeWav16([0.3]));
+    await fs.writeFile(path.join(root, 'Dirt-Samples', 'hh', '0.wav'), makeWav16([0.4]));
+    bank = new SampleBank(null, makeLogger(), { roots: [root] });
+    await bank.index();
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('indexes folders containing audio files', () => {
+    expect(bank.list()).toEqual(['bd', 'hh']);
+    expect(bank.has('bd')).toBe(true);
+    expect(bank.has('cp')).toBe(false);
+  });
+
+  it('resolves n with wrap-around and "name:n" syntax', () => {
+    expect(path.basename(bank.resolvePath('bd', 0))).toBe('a.wav');
+    expect(path.basename(bank.resolvePath('bd', 3))).toBe('b.wav');
+    expect(path.basename(bank.resolvePath('bd:1'))).toBe('b.wav');
+  });
+
+  it('orders numbered files numerically', async () => {
+    await fs.mkdir(path.join(root, 'Dirt-Samples', 'sn'));
+    for (const file of ['sn10.wav', 'sn2.wav', 'sn1.wav']) {
+      await fs.writeFile(path.join(root, 'Dirt-Samples', 'sn', file), makeWav16([0.1]));
+    }
+    await bank.index();
+
+    expect(path.basename(bank.resolvePath('sn', 1))).toBe('sn2.wav');
+    expect(path.basename(bank.resolvePath('sn', 2))).toBe('sn10.wav');
+  });
+
+  it('decodes on load and serves later lookups from memory', async () => {
+    expect(bank.get('hh')).toBeNull();
+
+    const first = await bank.load('hh');
+    expect(first.channelData[0][0]).toBeCloseTo(0.4, 3);
+    expect(bank.get('hh')).toBe(first);
+    await expect(bank.load('hh')).resolves.toBe(first);
+  });
+
+  it('resamples files to the engine rate once at load time', async () => {
+    await fs.writeFile(path.join(root, 'Dirt-Samples', 'hh', '1.wav'), makeWav16(new Array(441).fill(0.25)));
+    const engineRate = new SampleBank({ get: (key) => (key === 'audio.sampleRate' ? 48000 : undefined) }, makeLogger(), {
+      roots: [root]
+    });
+    await engineRate.index();
+
+    const buffer = await engineRate.load('hh', 1);
+    expect(buffer.sampleRate).toBe(48000);
+    expect(buffer.sourceSampleRate).toBe(44100);
+    expect(buffer.length).toBe(480);
+    expect(buffer.channelData[0][240]).toBeCloseTo(0.25, 2);
+    expect(engineRate.get('hh', 1)).toBe(buffer);
+  });
+
+  it('loads wavetables at the file resolution', async () => {
+    await fs.mkdir(path.join(root, 'wt_basic'));
+    await fs.writeFile(path.join(root, 'wt_basic', 'saw.wav'), makeWav16(new Array(4096).fill(0.5)));
+    const engineRate = new SampleBank({ get: (key) => (key === 'audio.sampleRate' ? 48000 : undefined) }, makeLogger(), {
+      roots: [root]
+    });
+    await engineRate.index();
+
+    const wavetable = await engineRate.loadWavetable('wt_basic');
+    expect(wavetable.frames).toBe(2);
+    expect(wavetable.frameLength).toBe(2048);
+    await expect(engineRate.loadWavetable('wt_basic')).resolves.toBe(wavetable);
+  });
+
+  it('returns null for unknown sounds', async () => {
+    await expect(bank.load('nope')).resolves.toBeNull();
+  });
+
+  it('warns once about a file that fails to load and skips it until cleared', async () => {
+    const file = path.join(root, 'Dirt-Samples', 'hh', '0.wav');
+    await fs.writeFile(file, 'not a wav');
+    const warnings = [];
+    bank.logger = { ...makeLogger(), warn: (message) => warnings.push(message) };
+
+    await expect(Promise.all([bank.load('hh'), bank.load('hh')])).resolves.toEqual([null, null]);
+    await fs.rm(file);
+    await expect(bank.load('hh')).resolves.toBeNull();
+    await expect(bank.loadWavetable('hh')).resolves.toBeNull();
+    await expect(bank.loadWavetable('hh')).resolves.toBeNull();
+    expect(warnings).toHaveLength(2);
+    expect(warnings[0]).toMatch(/Failed to load sample .*0\.wav/);
+
+    await fs.writeFile(file, makeWav16([0.4]));
+    bank.clear();
+    expect((await bank.load('hh')).channelData[0][0]).toBeCloseTo(0.4, 3);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Scheduler Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { pure } from '@strudel/core';
+import { Scheduler } from '../../../src/audio/scheduler.js';
+
+describe('Scheduler', () => {
+  let time;
+  let tick;
+  let events;
+  let scheduler;
+
+  // Drive the scheduler's clock by hand in 100ms steps
+  const advanceTo = (seconds) => {
+    while (time < seconds - 1e-9) {
+      time += 0.1;
+      tick();
+    }
+  };
+
+  beforeEach(async () => {
+    time = 0;
+    events = [];
+    scheduler = new Scheduler({
+      getTime: () => time,
+      latency: 0,
+      setInterval: (fn) => {
+        tick = fn;
+        return 1;
+      },
+      clearInterval: () => {},
+      onTrigger: (hap, _deadline, _duration, _cps, targetTime) => {
+        events.push({ cycle: hap.whole.begin.valueOf(), time: targetTime, value: hap.value });
+      }
+    });
+    scheduler.setCps(1);
+    await scheduler.setPattern(pure('x').fast(4), true);
+  });
+
+  const expectEveryQuarter = (count) => {
+    expect(events.slice(0, count).map((event) => event.cycle)).toEqual(
+      Array.from({ length: count }, (_, i) => i / 4)
+    );
+  };
+
+  it('changes tempo on the next tick without losing phase', () => {
+    advanceTo(0.4);
+    const changedAt = scheduler.lastEnd;
+    const changeTime = changedAt + 0.01; // cycle 0 plays at the first tick (10ms)
+    scheduler.setCps(2);
+    advanceTo(3);
+
+    expectEveryQuarter(12);
+    for (const event of events) {
+      const expected = event.cycle < changedAt
+        ? event.cycle + 0.01
+        : changeTime + (event.cycle - changedAt) / 2;
+      expect(event.time).toBeCloseTo(expected, 3);
+    }
+  });
+
+  it('quantises tempo changes to the next cycle boundary', () => {
+    advanceTo(0.4);
+    const boundary = scheduler.nextCycle();
+    scheduler.setCps(2, { at: boundary });
+    expect(scheduler.pendingCps).toEqual({ cps: 2, cycle: 1 });
+    advanceTo(3);
+
+    expect(scheduler.pendingCps).toBeNull();
+    expect(scheduler.cps).toBe(2);
+    expectEveryQuarter(12);
+    for (const event of events) {
+      const expected = event.cycle < boundary
+        ? event.cycle + 0.01
+        : boundary + 0.01 + (event.cycle - boundary) / 2;
+      expect(event.time).toBeCloseTo(expected, 3);
+    }
+  });
+
+  it('keeps its query windows in step with the clock after a quantised change', () => {
+    advanceTo(0.4);
+    scheduler.setCps(0.5, { at: scheduler.nextCycle() });
+    advanceTo(4);
+
+    // Cycle 1 plays at 1.01s; from there windows advance at half speed up to one tick past the last
+    const windowEnd = scheduler.lastTick + 0.05;
+    expect(scheduler.lastEnd).toBeCloseTo(1 + (windowEnd - 1.01) * 0.5, 6);
+  });
+
+  it('swaps patterns on the next tick without restarting the clock', async () => {
+    advanceTo(0.4);
+    const swappedAt = scheduler.lastEnd;
+    await scheduler.setPattern(pure('y').fast(4));
+    advanceTo(2);
+
+    expect(scheduler.started).toBe(true);
+    expectEveryQuarter(8);
+    for (const event of events) {
+      expect(event.value).toBe(event.cycle < swappedAt ? 'x' : 'y');
+      expect(event.time).toBeCloseTo(event.cycle + 0.01, 3);
+    }
+  });
+
+  it('quantises pattern swaps to a cycle boundary', async () => {
+    advanceTo(0.4);
+    await scheduler.setPattern(pure('y').fast(4), false, { at: 2 });
+    expect(scheduler.pendingSwap).toBe(2);
+    advanceTo(3);
+
+    expect(scheduler.pendingSwap).toBeNull();
+    expectEveryQuarter(12);
+    for (const event of events) {
+      expect(event.value).toBe(event.cycle < 2 ? 'x' : 'y');
+    }
+  });
+
+  it('lands a swap and a tempo change on the same boundary', async () => {
+    advanceTo(0.4);
+    scheduler.setCps(2, { at: 1 });
+    await scheduler.setPattern(pure('y').fast(4), false, { at: 1 });
+    advanceTo(2);
+
+    expectEveryQuarter(8);
+    for (const event of events) {
+      expect(event.value).toBe(event.cycle < 1 ? 'x' : 'y');
+      expect(event.time).toBeCloseTo(event.cycle < 1 ? event.cycle + 0.01 : 1.01 + (event.cycle - 1) / 2, 3);
+    }
+  });
+
+  it('applies quantised changes immediately while stopped', () => {
+    scheduler.stop();
+    scheduler.setCps(3, { at: 4 });
+    expect(scheduler.cps).toBe(3);
+    expect(scheduler.pendingCps).toBeNull();
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * SlotSet Unit Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { pure, silence } from '@strudel/core';
+import { SlotSet } from '../../../src/audio/slots.js';
+
+const valuesOf = (pattern) => pattern.queryArc(0, 1).map((hap) => hap.value).sort();
+
+describe('SlotSet', () => {
+  let slots;
+
+  beforeEach(() => {
+    slots = new SlotSet();
+    slots.set('d1', pure('kick'));
+    slots.set('d2', pure('bass'));
+    slots.set('lead', pure('lead'));
+  });
+
+  it('stacks every slot', () => {
+    expect(slots.names).toEqual(['d1', 'd2', 'lead']);
+    expect(valuesOf(slots.pattern())).toEqual(['bass', 'kick', 'lead']);
+  });
+
+  it('hushes a slot set to silence', () => {
+    slots.set('d2', silence);
+    expect(slots.has('d2')).toBe(false);
+    expect(valuesOf(slots.pattern())).toEqual(['kick', 'lead']);
+  });
+
+  it('leaves muted slots out', () => {
+    slots.mute('d1');
+    expect(valuesOf(slots.pattern())).toEqual(['bass', 'lead']);
+    expect(slots.list().find((slot) => slot.name === 'd1')).toEqual({
+      name: 'd1', muted: true, solo: false, audible: false
+    });
+  });
+
+  it('plays only soloed slots while any are soloed', () => {
+    slots.mute('d2');
+    slots.solo('d2');
+    slots.solo('lead');
+    expect(valuesOf(slots.pattern())).toEqual(['bass', 'lead']);
+
+    slots.solo();
+    expect(valuesOf(slots.pattern())).toEqual(['kick', 'lead']);
+  });
+
+  it('keeps mute and solo when a slot is replaced', () => {
+    slots.mute('d1');
+    slots.set('d1', pure('snare'));
+    expect(slots.list()[0].muted).toBe(true);
+  });
+
+  it('is silent when nothing is audible', () => {
+    slots.names.forEach((name) => slots.mute(name));
+    expect(slots.pattern()).toBe(silence);
+  });
+
+  it('rejects unknown slots', () => {
+    expect(() => slots.mute('d9')).toThrow('Unknown slot: d9');
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * StreamServer Unit Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import http from 'http';
+import os from 'os';
+import { StreamServer } from '../../../src/audio/stream-server.js';
+import { NullBackend } from '../../../src/audio/backends/null.js';
+import { NativeAudioEngine } from '../../../src/audio/engine.js';
+import { Logger } from '../../../src/core/logger.js';
+import { configFactory } from './helpers.js';
+
+const makeConfig = configFactory({ 'audio.sampleRate': 8000, 'audio.channels': 2, 'audio.stream.host': '127.0.0.1' });
+const tick = (ms = 20) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Open a request and collect the response body as it arrives. */
+function listen(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, (res) => {
+      const received = { res, chunks: [], body: () => Buffer.concat(received.chunks) };
+      received.ended = new Promise((done) => res.on('end', done));
+      res.on('data', (chunk) => received.chunks.push(chunk));
+      resolve(received);
+    }).on('error', reject);
+  });
+}
+
+describe('StreamServer', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = new StreamServer(makeConfig(), new Logger({ quiet: true }));
+    await server.start({ port: 0 });
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await server.stop();
+  });
+
+  it('describes the stream on /', async () => {
+    const { ended, body } = await listen(`${server.getURL()}/`);
+    await ended;
+
+    const info = JSON.parse(body().toString());
+    expect(info.sampleRate).toBe(8000);
+    expect(info.bitDepth).toBe(16);
+    expect(Object.keys(info.endpoints)).toContain('/stream.wav');
+    expect(info.listeners).toEqual([]);
+  });
+
+  it('gives the URL of the host it is bound to', () => {
+    expect(server.getURL()).toBe(`http://127.0.0.1:${server.port}`);
+  });
+
+  it('gives an interface address when bound to every interface', async () => {
+    vi.spyOn(os, 'networkInterfaces').mockReturnValue({
+      lo: [{ address: '127.0.0.1', family: 'IPv4', internal: true }],
+      eth0: [
+        { address: 'fe80::1', family: 'IPv6', internal: false },
+        { address: '192.168.1.20', family: 'IPv4', internal: false }
+      ]
+    });
+    const wildcard = new StreamServer(makeConfig({ 'audio.stream.host': '0.0.0.0' }), new Logger({ quiet: true }));
+    await wildcard.start({ port: 0 });
+    try {
+      expect(wildcard.getURL()).toBe(`http://192.168.1.20:${wildcard.port}`);
+      os.networkInterfaces.mockReturnValue({ lo: [{ address: '127.0.0.1', family: 'IPv4', internal: true }] });
+      expect(wildcard.getURL()).toBe(`http://localhost:${wildcard.port}`);
+    } finally {
+      await wildcard.stop();
+    }
+  });
+
+  it('answers unknown paths with 404', async () => {
+    const { res } = await listen(`${server.getURL()}/nope`);
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('streams WAV with a streaming header to every listener', async () => {
+    const first = await listen(`${server.getURL()}/stream.wav`);
+    const second = await listen(`${server.getURL()}/stream.wav`);
+    await tick();
+    expect(server.getState().listeners).toBe(2);
+
+    server.write(Float32Array.from([0.5, -0.5]));
+    server.write(Float32Array.from([0.25, -0.25]));
+    await tick();
+
+    for (const listener of [first, second]) {
+      const body = listener.body();
+      expect(listener.res.headers['content-type']).toBe('audio/wav');
+      expect(body.toString('ascii', 0, 4)).toBe('RIFF');
+      expect(body.readUInt16LE(22)).toBe(2);
+      expect(body.readUInt32LE(24)).toBe(8000);
+      expect(body.readUInt16LE(34)).toBe(16);
+      expect(body.length).toBe(44 + 8);
+      expect(body.readInt16LE(44)).toBe(16384);
+      expect(body.readInt16LE(46)).toBeLessThan(-16000);
+      expect(body.readInt16LE(48)).toBe(8192);
+    }
+  });
+
+  it('drops blocks for a listener that falls behind, then disconnects it', async () => {
+    server.maxBuffer = 0.01;
+    const slow = await listen(`${server.getURL()}/stream.wav`);
+    slow.res.pause();
+    await tick();
+
+    // Far more than the socket can take while nobody reads
+    const block = new Float32Array(8000 * 2);
+    for (let i = 0; i < 400; i += 1) {
+      server.write(block);
+    }
+    const [listener] = server.listeners;
+    const limit = 0.01 * 8000 * 2 * 2;
+    expect(server.getListeners()[0].droppedSeconds).toBeGreaterThan(0);
+    expect(listener.res.writableLength).toBeLessThanOrEqual(limit + block.length * 2);
+
+    const now = Date.now();
+    vi.spyOn(Date, 'now').mockReturnValue(now + 11000);
+    server.write(block);
+    expect(server.getState().listeners).toBe(0);
+  });
+
+  it('answers 503 for Ogg when the encoder cannot start', async () => {
+    server.encoder = 'strudel-missing-encoder';
+    const { res, ended, body } = await listen(`${server.getURL()}/stream.ogg`);
+    await ended;
+    expect(res.statusCode).toBe(503);
+    expect(JSON.parse(body().toString()).error).toMatch(/strudel-missing-encoder/);
+    expect(server.getState().listeners).toBe(0);
+  });
+
+  it('receives master blocks as a NativeAudioEngine output', async () => {
+    const engine = new NativeAudioEngine({
+      backend: new NullBackend(makeConfig({ 'audio.sampleRate': 48000 }), null),
+      config: makeConfig({ 'audio.sampleRate': 48000, 'audio.bufferSize': 256 }),
+      logger: null,
+      samples: { indexed: true, has: () => false }
+    });
+    const output = { write: vi.fn() };
+    const input = { render: (out) => out.fill(0.25) };
+
+    engine.attachOutput(output);
+    await engine.attachInput(input);
+    await tick(50);
+    engine.detachInput(input);
+    engine.detachOutput(output);
+
+    expect(output.write).toHaveBeenCalled();
+    const [block] = output.write.mock.calls[output.write.mock.calls.length - 1];
+    expect(block).toBeInstanceOf(Float32Array);
+    expect(block.length).toBe(256 * 2);
+    expect(block[block.length - 1]).toBeGreaterThan(0);
+    await engine.cleanup();
+  });
+});
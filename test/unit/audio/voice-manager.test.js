@@ -0,0 +1,77 @@
+/**
+ * VoiceManager Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { VoiceManager } from '../../../src/audio/voice-manager.js';
+import { Mixer } from '../../../src/audio/mixer.js';
+import { SampleVoice } from '../../../src/audio/voices.js';
+import { Envelope } from '../../../src/audio/dsp/envelope.js';
+
+const SR = 1000;
+
+const makeVoice = (startFrame, gain = 1) =>
+  new SampleVoice({
+    sample: { length: 1000, channelData: [new Float32Array(1000).fill(1)] },
+    envelope: new Envelope({ attack: 0.001, decay: 0.001, sustain: 1, release: 0.5, hold: 1, sampleRate: SR }),
+    startFrame,
+    gain
+  });
+
+describe('VoiceManager', () => {
+  it('steals the oldest playing voices first', () => {
+    const manager = new VoiceManager({ maxVoices: 2 });
+    const voices = [makeVoice(0), makeVoice(4), makeVoice(8)];
+    voices[0].started = true;
+    voices[1].started = true;
+
+    expect(manager.enforce(voices, 16)).toBe(1);
+    expect(voices.map((v) => v.stolen)).toEqual([true, false, false]);
+    expect(manager.stolen).toBe(1);
+  });
+
+  it('steals the quietest playing voices first', () => {
+    const manager = new VoiceManager({ maxVoices: 2, policy: 'quietest' });
+    const voices = [makeVoice(0, 1), makeVoice(4, 0.1), makeVoice(8)];
+    voices.forEach((v) => {
+      v.envelope.level = 1;
+    });
+    voices[0].started = true;
+    voices[1].started = true;
+
+    manager.enforce(voices, 16);
+    expect(voices.map((v) => v.stolen)).toEqual([false, true, false]);
+  });
+
+  it('ignores voices that start later and voices already fading', () => {
+    const manager = new VoiceManager({ maxVoices: 1 });
+    const voices = [makeVoice(0), makeVoice(100)];
+    voices[0].started = true;
+
+    expect(manager.enforce(voices, 16)).toBe(0);
+    voices[0].stolen = true;
+    voices[1].startFrame = 8;
+    expect(manager.enforce(voices, 16)).toBe(0);
+  });
+
+  it('rejects unknown policies', () => {
+    expect(() => new VoiceManager({ policy: 'loudest' })).toThrow('Unknown voice stealing policy');
+  });
+
+  it('caps polyphony in the mixer with short fade-outs', () => {
+    const manager = new VoiceManager({ maxVoices: 4, fadeSeconds: 0.004 });
+    const mixer = new Mixer({ channels: 1, blockSize: 8, sampleRate: SR, voiceManager: manager });
+    for (let i = 0; i < 16; i += 1) {
+      mixer.add(makeVoice(i));
+    }
+
+    mixer.render();
+    const block = Array.from(mixer.render());
+
+    expect(manager.stolen).toBe(12);
+    // Stolen voices fade out instead of cutting off, so the sum never jumps
+    expect(Math.max(...block)).toBeLessThanOrEqual(8);
+    expect(mixer.render()[0]).toBeCloseTo(4);
+    expect(mixer.activeVoices).toBe(4);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * SampleVoice Playback Control Unit Tests
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { s as sound } from '@strudel/core';
+import { SampleVoice } from '../../../src/audio/voices.js';
+import { NativeAudioEngine } from '../../../src/audio/engine.js';
+
+const makeSample = (values) => ({
+  length: values.length,
+  channelData: [Float32Array.from(values)]
+});
+
+const renderVoice = (voice, count) => {
+  const out = new Float32Array(count);
+  voice.render(out, 0, count);
+  return Array.from(out);
+};
+
+describe('SampleVoice', () => {
+  const ramp = makeSample([0, 1, 2, 3, 4, 5, 6, 7]);
+
+  it('resamples with the playback rate', () => {
+    expect(renderVoice(new SampleVoice({ sample: ramp, rate: 2 }), 5)).toEqual([0, 2, 4, 6, 0]);
+    expect(renderVoice(new SampleVoice({ sample: ramp, rate: 0.5 }), 4)).toEqual([0, 0.5, 1, 1.5]);
+  });
+
+  it('plays backwards when reversed', () => {
+    expect(renderVoice(new SampleVoice({ sample: ramp, reverse: true }), 3)).toEqual([7, 6, 5]);
+  });
+
+  it('slices with begin and end', () => {
+    const voice = new SampleVoice({ sample: ramp, begin: 0.25, end: 0.5 });
+
+    expect(renderVoice(voice, 4)).toEqual([2, 3, 0, 0]);
+    expect(voice.render(new Float32Array(1), 0, 1)).toBe(false);
+  });
+
+  it('measures begin from the end of a reversed buffer', () => {
+    const voice = new SampleVoice({ sample: ramp, reverse: true, begin: 0.5 });
+    expect(renderVoice(voice, 5)).toEqual([3, 2, 1, 0, 0]);
+  });
+
+  it('wraps between loop points', () => {
+    const voice = new SampleVoice({ sample: ramp, loop: true, loopBegin: 0.25, loopEnd: 0.5 });
+
+    expect(renderVoice(voice, 8)).toEqual([0, 1, 2, 3, 2, 3, 2, 3]);
+    expect(voice.render(new Float32Array(4), 0, 4)).toBe(true);
+  });
+});
+
+describe('NativeAudioEngine sample voices', () => {
+  it('plays samples with unparseable notes unpitched from C2', async () => {
+    const logger = { warn: vi.fn(), debug: () => {} };
+    const piano = { length: 8, sampleRate: 48000, channelData: [new Float32Array(8)] };
+    const engine = new NativeAudioEngine({
+      backend: { playBuffer: async () => {} },
+      config: { get: (key) => ({ 'audio.sampleRate': 48000 })[key] },
+      logger,
+      samples: { indexed: true, has: (name) => name === 'piano', get: () => piano }
+    });
+    const [hap] = sound('piano').note('foo').queryArc(0, 1);
+
+    const voice = await engine._createVoice(hap, 0.5, 1, 0);
+
+    expect(voice).toBeInstanceOf(SampleVoice);
+    expect(voice.rate).toBeCloseTo(1, 6);
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+  });
+});
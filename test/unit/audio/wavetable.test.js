@@ -0,0 +1,93 @@
+/**
+ * Wavetable / WavetableVoice Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Wavetable, WavetableOscillator, TABLE_SIZE } from '../../../src/audio/dsp/wavetable.js';
+import { NativeAudioEngine } from '../../../src/audio/engine.js';
+
+const SR = 48000;
+
+/** One cycle of `length` samples per generator, back to back. */
+const makeTable = (length, ...generators) => {
+  const data = new Float32Array(length * generators.length);
+  generators.forEach((generate, frame) => {
+    for (let i = 0; i < length; i += 1) {
+      data[frame * length + i] = generate(i / length);
+    }
+  });
+  return { length: data.length, channelData: [data] };
+};
+const sine = (t) => Math.sin(2 * Math.PI * t);
+const square = (t) => (t < 0.5 ? 1 : -1);
+
+describe('Wavetable', () => {
+  it('splits samples into 2048-sample frames or one whole cycle', () => {
+    expect(new Wavetable(makeTable(2048, sine, square)).frames).toBe(2);
+    expect(new Wavetable(makeTable(600, sine)).frameLength).toBe(600);
+    expect(new Wavetable(makeTable(256, sine, sine, sine, sine), { cycleLength: 256 }).frames).toBe(4);
+  });
+
+  it('keeps every harmonic below Nyquist at the chosen mip level', () => {
+    const table = new Wavetable(makeTable(2048, square));
+    const level = table.levelFor(5000, SR);
+    const cycle = table.table(0, level);
+
+    // 4.8 harmonics fit below 24kHz: the square keeps its 1st and 3rd
+    const expected = (t) => (4 / Math.PI) * (Math.sin(2 * Math.PI * t) + Math.sin(6 * Math.PI * t) / 3);
+    for (const i of [0, 100, 512, 1500]) {
+      expect(cycle[i]).toBeCloseTo(expected(i / TABLE_SIZE), 2);
+    }
+    expect(table.levelFor(20, SR)).toBe(0);
+  });
+
+  it('resynthesises odd cycle lengths exactly', () => {
+    const table = new Wavetable(makeTable(600, (t) => sine(t) + 0.5 * sine(3 * t)));
+    const cycle = table.table(0, 0);
+
+    expect(cycle[300]).toBeCloseTo(sine(300 / TABLE_SIZE) + 0.5 * sine((3 * 300) / TABLE_SIZE), 4);
+  });
+});
+
+describe('WavetableOscillator', () => {
+  it('crossfades between neighbouring frames', () => {
+    const table = new Wavetable(makeTable(2048, sine, () => 0));
+    const osc = new WavetableOscillator(table, SR, 0.25);
+
+    expect(osc.next(100, 0.5)).toBeCloseTo(0.5, 4);
+    expect(osc.next(100, 1)).toBeCloseTo(0, 4);
+  });
+});
+
+describe('NativeAudioEngine wavetable voices', () => {
+  const wavetable = new Wavetable(makeTable(2048, sine, square));
+  const samples = {
+    indexed: true,
+    has: (name) => name === 'wt_digital',
+    loadWavetable: async () => wavetable
+  };
+  const engine = new NativeAudioEngine({
+    backend: { playBuffer: async () => {} },
+    config: { get: (key) => ({ 'audio.sampleRate': SR })[key] },
+    logger: null,
+    samples
+  });
+
+  it('plays wt_ sounds (with bank) as wavetables at the wt position', async () => {
+    const voice = await engine._createVoice({ value: { s: 'digital', bank: 'wt', note: 'a4', wt: 0.5 } }, 0.5, 1, 0);
+
+    expect(voice.oscillator.wavetable).toBe(wavetable);
+    expect(voice.frequency).toBeCloseTo(440, 6);
+    expect(voice.tablePosition).toBe(0.5);
+    expect(voice.positionEnvelope).toBeNull();
+  });
+
+  it('sweeps the position with the wt envelope', async () => {
+    const voice = await engine._createVoice({ value: { s: 'wt_digital', wtenv: 0.5, wtattack: 0.1 } }, 0.5, 1, 0);
+    const out = new Float32Array(4800);
+    voice.render(out, 0, out.length);
+
+    expect(voice.depth).toBe(0.5);
+    expect(voice.positionEnvelope.level).toBeCloseTo(1, 2);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * WebAudio polyfill AudioContext Unit Tests
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { AudioContext } from '../../../src/audio/webaudio/context.js';
+import { wavHeader, encodeSamples } from '../../../src/audio/wav.js';
+import { NativeAudioEngine } from '../../../src/audio/engine.js';
+
+const makeEngine = () => ({
+  latencyMs: 20,
+  attachInput: vi.fn(async () => {}),
+  detachInput: vi.fn()
+});
+
+describe('AudioContext', () => {
+  it('starts running and attaches to the engine once the graph is connected', async () => {
+    const engine = makeEngine();
+    const context = new AudioContext({ sampleRate: 48000, channels: 2, engine });
+    expect(context.state).toBe('running');
+    expect(engine.attachInput).not.toHaveBeenCalled();
+
+    context.createOscillator().connect(context.destination);
+    await Promise.resolve();
+    expect(engine.attachInput).toHaveBeenCalledWith(context);
+    expect(context.outputLatency).toBe(0.02);
+  });
+
+  it('adds its output to interleaved engine blocks and advances its clock', () => {
+    const context = new AudioContext({ sampleRate: 48000, channels: 2, engine: makeEngine() });
+    const source = context.createConstantSource();
+    source.offset.value = 0.5;
+    source.connect(context.destination);
+    source.start();
+
+    const block = new Float32Array(200 * 2).fill(0.25);
+    context.render(block, 2);
+    expect(block[0]).toBe(0.75);
+    expect(block[399]).toBe(0.75);
+    // 200 frames need two quanta
+    expect(context.currentTime).toBeCloseTo(256 / 48000, 10);
+  });
+
+  it('detaches on suspend and close', async () => {
+    const engine = makeEngine();
+    const context = new AudioContext({ engine });
+    const states = [];
+    context.onstatechange = () => states.push(context.state);
+    context.createGain().connect(context.destination);
+    await Promise.resolve();
+
+    await context.suspend();
+    expect(engine.detachInput).toHaveBeenCalledWith(context);
+    await context.resume();
+    expect(engine.attachInput).toHaveBeenCalledTimes(2);
+    await context.close();
+    expect(states).toEqual(['suspended', 'running', 'closed']);
+    await expect(context.resume()).rejects.toThrow(/closed/);
+  });
+
+  it('decodes WAV files at the context rate', async () => {
+    const samples = Float32Array.from({ length: 441 }, (_, i) => Math.sin(i / 10));
+    const file = Buffer.concat([
+      wavHeader({ sampleRate: 44100, channels: 1, dataBytes: samples.byteLength }),
+      encodeSamples(samples)
+    ]);
+    const context = new AudioContext({ sampleRate: 48000 });
+
+    const buffer = await context.decodeAudioData(file.buffer.slice(file.byteOffset, file.byteOffset + file.length));
+    expect(buffer.sampleRate).toBe(48000);
+    expect(buffer.length).toBe(480);
+    await expect(context.decodeAudioData(new ArrayBuffer(8))).rejects.toThrow(/Unable to decode/);
+  });
+});
+
+describe('NativeAudioEngine inputs', () => {
+  it('mixes attached inputs into rendered blocks', async () => {
+    const engine = new NativeAudioEngine({
+      backend: { playBuffer: async () => {} },
+      config: { get: (key) => ({ 'audio.sampleRate': 48000, 'audio.bufferSize': 256 })[key] },
+      logger: null,
+      samples: { indexed: true, has: () => false }
+    });
+    const input = { render: vi.fn((block) => block.fill(0.1)) };
+
+    await engine.attachInput(input);
+    expect(engine._renderTimer).not.toBeNull();
+    const block = engine._renderBlock();
+    expect(input.render).toHaveBeenCalledWith(block, 2);
+
+    engine.detachInput(input);
+    expect(engine._renderTimer).toBeNull();
+  });
+});
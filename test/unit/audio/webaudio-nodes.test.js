@@ -0,0 +1,384 @@
+/**
+ * WebAudio polyfill node Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { OfflineAudioContext } from '../../../src/audio/webaudio/context.js';
+import { AudioWorkletNode } from '../../../src/audio/webaudio/worklet.js';
+
+const SAMPLE_RATE = 48000;
+
+const offline = (length = 1024, numberOfChannels = 1) =>
+  new OfflineAudioContext({ numberOfChannels, length, sampleRate: SAMPLE_RATE });
+
+/** Buffer holding a single impulse (or given samples). */
+const bufferOf = (context, samples) => {
+  const buffer = context.createBuffer(1, samples.length, SAMPLE_RATE);
+  buffer.copyToChannel(Float32Array.from(samples), 0);
+  return buffer;
+};
+
+describe('OscillatorNode', () => {
+  it('starts a sine at phase zero', async () => {
+    const context = offline();
+    const osc = context.createOscillator();
+    osc.frequency.value = 1000;
+    osc.connect(context.destination);
+    osc.start();
+
+    const data = (await context.startRendering()).getChannelData(0);
+    for (const n of [0, 5, 12, 300]) {
+      expect(data[n]).toBeCloseTo(Math.sin((2 * Math.PI * 1000 * n) / SAMPLE_RATE), 4);
+    }
+  });
+
+  it('starts sawtooth and triangle rising from zero like the browser', async () => {
+    for (const type of ['sawtooth', 'triangle']) {
+      const context = offline(256);
+      const osc = context.createOscillator();
+      osc.type = type;
+      osc.frequency.value = 100;
+      osc.connect(context.destination);
+      osc.start();
+      const data = (await context.startRendering()).getChannelData(0);
+      expect(Math.abs(data[0])).toBeLessThan(0.01);
+      expect(data[40]).toBeGreaterThan(data[0]);
+    }
+  });
+
+  it('plays between start and stop and fires ended', async () => {
+    const context = offline(2048);
+    const osc = context.createOscillator();
+    let ended = 0;
+    osc.onended = () => {
+      ended += 1;
+    };
+    osc.connect(context.destination);
+    osc.start(256 / SAMPLE_RATE);
+    osc.stop(1000 / SAMPLE_RATE);
+
+    const data = (await context.startRendering()).getChannelData(0);
+    expect(data.subarray(0, 256).every((value) => value === 0)).toBe(true);
+    expect(data.subarray(256, 1000).some((value) => value !== 0)).toBe(true);
+    expect(data.subarray(1000).every((value) => value === 0)).toBe(true);
+    expect(ended).toBe(1);
+  });
+
+  it('plays custom periodic waves', async () => {
+    const context = offline(256);
+    const osc = context.createOscillator();
+    osc.setPeriodicWave(context.createPeriodicWave(new Float32Array(2), Float32Array.of(0, 1)));
+    osc.frequency.value = 1000;
+    osc.connect(context.destination);
+    osc.start();
+
+    const data = (await context.startRendering()).getChannelData(0);
+    expect(osc.type).toBe('custom');
+    expect(data[12]).toBeCloseTo(Math.sin((2 * Math.PI * 1000 * 12) / SAMPLE_RATE), 3);
+  });
+});
+
+describe('AudioBufferSourceNode', () => {
+  it('plays a buffer at the playback rate', async () => {
+    const context = offline(256);
+    const source = context.createBufferSource();
+    source.buffer = bufferOf(context, Array.from({ length: 100 }, (_, i) => i / 100));
+    source.playbackRate.value = 2;
+    source.connect(context.destination);
+    source.start();
+
+    const data = (await context.startRendering()).getChannelData(0);
+    expect(data[10]).toBeCloseTo(0.2, 5);
+    // 100 frames at double speed last 50 output frames
+    expect(data[60]).toBe(0);
+  });
+
+  it('loops between loopStart and loopEnd', async () => {
+    const context = offline(256);
+    const source = context.createBufferSource();
+    source.buffer = bufferOf(context, Array.from({ length: 100 }, (_, i) => i));
+    source.loop = true;
+    source.loopStart = 10 / SAMPLE_RATE;
+    source.loopEnd = 20 / SAMPLE_RATE;
+    source.connect(context.destination);
+    source.start();
+
+    const data = (await context.startRendering()).getChannelData(0);
+    expect(data[19]).toBe(19);
+    expect(data[20]).toBe(10);
+    expect(data[35]).toBe(15);
+  });
+
+  it('honours offset and duration and ends with the buffer', async () => {
+    const context = offline(256);
+    const source = context.createBufferSource();
+    let ended = false;
+    source.addEventListener('ended', () => {
+      ended = true;
+    });
+    source.buffer = bufferOf(context, Array.from({ length: 100 }, (_, i) => i));
+    source.connect(context.destination);
+    source.start(0, 50 / SAMPLE_RATE, 20 / SAMPLE_RATE);
+
+    const data = (await context.startRendering()).getChannelData(0);
+    expect(data[0]).toBe(50);
+    expect(data[19]).toBe(69);
+    expect(data[20]).toBe(0);
+    expect(ended).toBe(true);
+  });
+
+  it('only accepts its buffer once', () => {
+    const context = offline();
+    const source = context.createBufferSource();
+    source.buffer = bufferOf(context, [1]);
+    expect(() => {
+      source.buffer = bufferOf(context, [1]);
+    }).toThrow(/only be set once/);
+  });
+});
+
+describe('GainNode and StereoPannerNode', () => {
+  it('scales its input', async () => {
+    const context = offline(128);
+    const source = context.createConstantSource();
+    const gain = context.createGain();
+    gain.gain.value = 0.25;
+    source.connect(gain).connect(context.destination);
+    source.start();
+
+    const data = (await context.startRendering()).getChannelData(0);
+    expect(data[64]).toBe(0.25);
+  });
+
+  it('pans mono input with the equal-power law', async () => {
+    const context = offline(128, 2);
+    const source = context.createConstantSource();
+    const panner = context.createStereoPanner();
+    panner.pan.value = 0;
+    source.connect(panner).connect(context.destination);
+    source.start();
+
+    const rendered = await context.startRendering();
+    expect(rendered.getChannelData(0)[0]).toBeCloseTo(Math.SQRT1_2, 5);
+    expect(rendered.getChannelData(1)[0]).toBeCloseTo(Math.SQRT1_2, 5);
+  });
+
+  it('up-mixes mono sources to every destination channel', async () => {
+    const context = offline(128, 2);
+    const source = context.createConstantSource();
+    source.connect(context.destination);
+    source.start();
+
+    const rendered = await context.startRendering();
+    expect(rendered.getChannelData(1)[0]).toBe(1);
+  });
+});
+
+describe('BiquadFilterNode', () => {
+  const render = async (type, frequency, signal) => {
+    const context = offline(4096);
+    const source = context.createOscillator();
+    source.frequency.value = signal;
+    const filter = context.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    source.connect(filter).connect(context.destination);
+    source.start();
+    const data = (await context.startRendering()).getChannelData(0);
+    return Math.max(...data.subarray(2048).map(Math.abs));
+  };
+
+  it('passes low and cuts high frequencies as a lowpass', async () => {
+    expect(await render('lowpass', 1000, 100)).toBeGreaterThan(0.95);
+    expect(await render('lowpass', 1000, 10000)).toBeLessThan(0.02);
+  });
+
+  it('cuts low frequencies as a highpass', async () => {
+    expect(await render('highpass', 5000, 200)).toBeLessThan(0.01);
+  });
+
+  it('reports the spec response (Q in dB for lowpass)', () => {
+    const context = offline();
+    const filter = context.createBiquadFilter();
+    filter.frequency.value = 1000;
+    filter.Q.value = 6;
+    const mag = new Float32Array(2);
+    const phase = new Float32Array(2);
+    filter.getFrequencyResponse(Float32Array.of(0, 1000), mag, phase);
+
+    expect(mag[0]).toBeCloseTo(1, 4);
+    // At the cutoff the gain equals the resonance: Q=6 dB ~ 2x
+    expect(mag[1]).toBeCloseTo(10 ** (6 / 20), 1);
+  });
+});
+
+describe('DelayNode', () => {
+  it('delays its input', async () => {
+    const context = offline(512);
+    const source = context.createBufferSource();
+    source.buffer = bufferOf(context, [1]);
+    const delay = context.createDelay();
+    delay.delayTime.value = 100 / SAMPLE_RATE;
+    source.connect(delay).connect(context.destination);
+    source.start();
+
+    const data = (await context.startRendering()).getChannelData(0);
+    expect(data[100]).toBeCloseTo(1, 5);
+    expect(data.reduce((sum, value) => sum + Math.abs(value), 0)).toBeCloseTo(1, 5);
+  });
+
+  it('repeats through a feedback loop', async () => {
+    const context = offline(1024);
+    const source = context.createBufferSource();
+    source.buffer = bufferOf(context, [1]);
+    const delay = context.createDelay();
+    delay.delayTime.value = 200 / SAMPLE_RATE;
+    const feedback = context.createGain();
+    feedback.gain.value = 0.5;
+    source.connect(delay);
+    delay.connect(feedback).connect(delay);
+    delay.connect(context.destination);
+    source.start();
+
+    const data = (await context.startRendering()).getChannelData(0);
+    expect(data[200]).toBeCloseTo(1, 5);
+    expect(data[400]).toBeCloseTo(0.5, 5);
+    expect(data[600]).toBeCloseTo(0.25, 5);
+  });
+});
+
+describe('ConvolverNode', () => {
+  it('convolves with long responses exactly', async () => {
+    const length = 6000;
+    const context = offline(length);
+    const response = Float32Array.from({ length: 5000 }, (_, i) => Math.sin(i * 0.37) * Math.exp(-i / 2000));
+    const input = Float32Array.from({ length: 300 }, (_, i) => Math.cos(i * 0.11));
+
+    const source = context.createBufferSource();
+    source.buffer = bufferOf(context, input);
+    const convolver = context.createConvolver();
+    convolver.normalize = false;
+    convolver.buffer = bufferOf(context, response);
+    source.connect(convolver).connect(context.destination);
+    source.start();
+    const data = (await context.startRendering()).getChannelData(0);
+
+    for (const n of [0, 127, 128, 2047, 2048, 2500, 4999, 5200]) {
+      let expected = 0;
+      for (let k = 0; k < input.length; k += 1) {
+        expected += input[k] * (response[n - k] ?? 0);
+      }
+      expect(data[n]).toBeCloseTo(expected, 3);
+    }
+  });
+
+  it('normalises responses by default', () => {
+    const context = offline();
+    const convolver = context.createConvolver();
+    convolver.buffer = bufferOf(context, [1, 0, 0, 0]);
+    // Power = 1/2; scale = 2 * 0.00125 * 44100/48000
+    expect(convolver._scale).toBeCloseTo(2 * 0.00125 * (44100 / 48000), 8);
+  });
+});
+
+describe('ChannelSplitterNode and ChannelMergerNode', () => {
+  it('routes channels by output and input index', async () => {
+    const context = offline(128, 2);
+    const left = context.createConstantSource();
+    const right = context.createConstantSource();
+    right.offset.value = 0.5;
+    const merger = context.createChannelMerger(2);
+    left.connect(merger, 0, 0);
+    right.connect(merger, 0, 1);
+    // Swap the channels on their way to the destination
+    const splitter = context.createChannelSplitter(2);
+    const swap = context.createChannelMerger(2);
+    merger.connect(splitter);
+    splitter.connect(swap, 0, 1);
+    splitter.connect(swap, 1, 0);
+    swap.connect(context.destination);
+    left.start();
+    right.start();
+
+    const rendered = await context.startRendering();
+    expect(rendered.getChannelData(0)[64]).toBe(0.5);
+    expect(rendered.getChannelData(1)[64]).toBe(1);
+    expect(() => splitter.connect(swap, 2)).toThrow(/no output 2/);
+    expect(() => left.connect(swap, 0, 2)).toThrow(/no input 2/);
+  });
+
+  it('disconnects a single output', async () => {
+    const context = offline(128, 2);
+    const source = context.createConstantSource();
+    const splitter = context.createChannelSplitter(2);
+    const merger = context.createChannelMerger(2);
+    source.connect(splitter);
+    splitter.connect(merger, 0, 0);
+    splitter.connect(merger, 1, 1);
+    splitter.disconnect(0);
+    merger.connect(context.destination);
+    source.start();
+
+    expect(() => splitter.disconnect(merger, 0)).toThrow(/Not connected/);
+    const rendered = await context.startRendering();
+    // A mono source only fills the splitter's first output
+    expect(rendered.getChannelData(0)[0]).toBe(0);
+    expect(rendered.getChannelData(1)[0]).toBe(0);
+  });
+});
+
+describe('AudioWorkletNode', () => {
+  const moduleURL = (source) => `data:text/javascript;base64,${Buffer.from(source).toString('base64')}`;
+
+  it('runs a registered processor with its parameters and scope', async () => {
+    const context = offline(256);
+    await context.audioWorklet.addModule(moduleURL(`
+      registerProcessor('scale', class extends AudioWorkletProcessor {
+        static get parameterDescriptors() { return [{ name: 'amount', defaultValue: 1 }]; }
+        constructor(options) {
+          super();
+          this.offset = options.processorOptions.offset;
+        }
+        process(inputs, outputs, parameters) {
+          const [input] = inputs;
+          const [output] = outputs;
+          for (let i = 0; i < output[0].length; i += 1) {
+            const amount = parameters.amount.length > 1 ? parameters.amount[i] : parameters.amount[0];
+            output[0][i] = (input[0]?.[i] ?? 0) * amount + this.offset + (currentFrame === 128 ? sampleRate : 0);
+          }
+          return true;
+        }
+      });
+    `));
+    const source = context.createConstantSource();
+    const node = new AudioWorkletNode(context, 'scale', { parameterData: { amount: 0.5 }, processorOptions: { offset: 0.25 } });
+    source.connect(node).connect(context.destination);
+    source.start();
+
+    const data = (await context.startRendering()).getChannelData(0);
+    expect(data[0]).toBe(0.75);
+    expect(data[128]).toBe(48000.75);
+    expect(node.parameters.get('amount').value).toBe(0.5);
+    expect(() => new AudioWorkletNode(context, 'missing')).toThrow(/No processor/);
+  });
+
+  it('silences a processor that throws and reports it', async () => {
+    const context = offline(256);
+    await context.audioWorklet.addModule(moduleURL(`
+      registerProcessor('broken', class extends AudioWorkletProcessor {
+        process() { throw new Error('boom'); }
+      });
+    `));
+    const source = context.createConstantSource();
+    const node = new AudioWorkletNode(context, 'broken');
+    const errors = [];
+    node.onprocessorerror = (event) => errors.push(event.error.message);
+    source.connect(node).connect(context.destination);
+    source.start();
+
+    const data = (await context.startRendering()).getChannelData(0);
+    expect(data.every((value) => value === 0)).toBe(true);
+    expect(errors).toEqual(['boom']);
+    await expect(context.audioWorklet.addModule('/nonexistent/worklet.js')).rejects.toThrow(/Unable to load/);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * WebAudio polyfill AudioParam Unit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { OfflineAudioContext } from '../../../src/audio/webaudio/context.js';
+
+const SAMPLE_RATE = 8000;
+
+/**
+ * Render a ConstantSourceNode whose offset is automated by `automate`.
+ */
+const renderOffset = async (automate, seconds = 0.1) => {
+  const context = new OfflineAudioContext({ length: Math.round(seconds * SAMPLE_RATE), sampleRate: SAMPLE_RATE });
+  const source = context.createConstantSource();
+  automate(source.offset);
+  source.connect(context.destination);
+  source.start();
+  return (await context.startRendering()).getChannelData(0);
+};
+const at = (data, seconds) => data[Math.round(seconds * SAMPLE_RATE)];
+
+describe('AudioParam', () => {
+  it('uses a directly set value', async () => {
+    const data = await renderOffset((offset) => {
+      offset.value = 0.25;
+    });
+    expect(at(data, 0.05)).toBe(0.25);
+  });
+
+  it('ramps linearly from the previous event', async () => {
+    const data = await renderOffset((offset) => {
+      offset.setValueAtTime(0, 0.02);
+      offset.linearRampToValueAtTime(1, 0.06);
+    });
+    expect(at(data, 0.01)).toBe(1);
+    expect(at(data, 0.04)).toBeCloseTo(0.5, 5);
+    expect(at(data, 0.08)).toBe(1);
+  });
+
+  it('ramps exponentially', async () => {
+    const data = await renderOffset((offset) => {
+      offset.setValueAtTime(0.01, 0);
+      offset.exponentialRampToValueAtTime(1, 0.04);
+    });
+    expect(at(data, 0.02)).toBeCloseTo(0.1, 4);
+  });
+
+  it('approaches a target with its time constant', async () => {
+    const data = await renderOffset((offset) => {
+      offset.setValueAtTime(1, 0);
+      offset.setTargetAtTime(0, 0.02, 0.01);
+    });
+    expect(at(data, 0.03)).toBeCloseTo(Math.exp(-1), 4);
+    expect(at(data, 0.09)).toBeCloseTo(Math.exp(-7), 4);
+  });
+
+  it('starts a later event from where a target curve got to', async () => {
+    const data = await renderOffset((offset) => {
+      offset.setValueAtTime(1, 0);
+      offset.setTargetAtTime(0, 0, 0.01);
+      offset.setTargetAtTime(1, 0.01, 0.01);
+    });
+    const reached = Math.exp(-1);
+    expect(at(data, 0.02)).toBeCloseTo(1 + (reached - 1) * Math.exp(-1), 4);
+  });
+
+  it('follows a value curve', async () => {
+    const data = await renderOffset((offset) => {
+      offset.setValueCurveAtTime([0, 1, 0], 0.02, 0.04);
+    });
+    expect(at(data, 0.03)).toBeCloseTo(0.5, 5);
+    expect(at(data, 0.04)).toBeCloseTo(1, 5);
+    expect(at(data, 0.08)).toBe(0);
+  });
+
+  it('holds the value a cancelled ramp had reached', async () => {
+    const data = await renderOffset((offset) => {
+      offset.setValueAtTime(0, 0);
+      offset.linearRampToValueAtTime(1, 0.08);
+      offset.cancelAndHoldAtTime(0.04);
+    });
+    expect(at(data, 0.02)).toBeCloseTo(0.25, 5);
+    expect(at(data, 0.06)).toBeCloseTo(0.5, 5);
+  });
+
+  it('removes events with cancelScheduledValues', async () => {
+    const data = await renderOffset((offset) => {
+      offset.setValueAtTime(0.5, 0);
+      offset.setValueAtTime(0, 0.05);
+      offset.cancelScheduledValues(0.05);
+    });
+    expect(at(data, 0.08)).toBe(0.5);
+  });
+
+  it('adds audio connected to the parameter', async () => {
+    const context = new OfflineAudioContext({ length: 128, sampleRate: SAMPLE_RATE });
+    const carrier = context.createConstantSource();
+    const modulator = context.createConstantSource();
+    modulator.offset.value = 0.5;
+    modulator.connect(carrier.offset);
+    carrier.connect(context.destination);
+    carrier.start();
+    modulator.start();
+
+    const data = (await context.startRendering()).getChannelData(0);
+    expect(data[10]).toBe(1.5);
+  });
+
+  it('rejects invalid automation', () => {
+    const context = new OfflineAudioContext({ length: 128, sampleRate: SAMPLE_RATE });
+    const { offset } = context.createConstantSource();
+    expect(() => offset.exponentialRampToValueAtTime(0, 1)).toThrow(RangeError);
+    expect(() => offset.setValueAtTime(NaN, 1)).toThrow(TypeError);
+  });
+});
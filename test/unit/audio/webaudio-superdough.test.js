@@ -0,0 +1,64 @@
+/**
+ * superdough on the WebAudio polyfill Unit Tests
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { installGlobals } from '../../../src/audio/webaudio/globals.js';
+import { AudioContext } from '../../../src/audio/webaudio/context.js';
+
+const SAMPLE_RATE = 48000;
+
+/** RMS of one channel of interleaved stereo frames. */
+const rms = (block, from, to) => {
+  let sum = 0;
+  for (let frame = from; frame < to; frame += 1) {
+    sum += block[frame * 2] ** 2;
+  }
+  return Math.sqrt(sum / (to - from));
+};
+
+describe('superdough on the polyfill', () => {
+  let restore;
+  let superdough;
+
+  beforeAll(async () => {
+    restore = installGlobals({ sampleRate: SAMPLE_RATE });
+    // superdough only initializes where it finds a window
+    globalThis.window = new EventTarget();
+    superdough = await import('superdough');
+    superdough.setLogger(() => {});
+  });
+
+  afterAll(() => {
+    restore();
+    delete globalThis.window;
+  });
+
+  it('initializes and loads its worklets into the context', async () => {
+    await superdough.initAudio();
+    const context = superdough.getAudioContext();
+
+    expect(context).toBeInstanceOf(AudioContext);
+    expect(context.sampleRate).toBe(SAMPLE_RATE);
+    expect(context.state).toBe('running');
+    expect([...context.audioWorklet._processors.keys()]).toEqual(expect.arrayContaining([
+      'shape-processor', 'crush-processor', 'supersaw-oscillator'
+    ]));
+    expect(typeof context.createFeedbackDelay).toBe('function');
+  });
+
+  it('plays synth voices, worklet oscillators and effects', async () => {
+    const context = superdough.getAudioContext();
+    superdough.registerSynthSounds();
+    await superdough.superdough({ s: 'supersaw', note: 55 }, 0.05, 0.3);
+    await superdough.superdough({ s: 'square', note: 60, shape: 0.5, crush: 6, lpf: 800, delay: 0.3, room: 0.3 }, 0.5, 0.2);
+
+    const block = new Float32Array(SAMPLE_RATE * 2);
+    context.render(block, 2);
+    expect(rms(block, 0, 2000)).toBe(0);
+    expect(rms(block, 4000, 16000)).toBeGreaterThan(0.005);
+    expect(rms(block, 26000, 36000)).toBeGreaterThan(0.005);
+    expect(block.every(Number.isFinite)).toBe(true);
+    expect(context.currentTime).toBe(1);
+  });
+});
@@ -41,6 +41,7 @@ describe('Config', () => {
       expect(defaults.audio.backend).toBe('auto');
       expect(defaults.audio.sampleRate).toBe(48000);
       expect(defaults.audio.bufferSize).toBe(256);
+      expect(defaults.audio.tempoQuantize).toBe('now');
     });
 
     it('should respect environment variables', () => {
@@ -80,6 +81,32 @@ describe('Config', () => {
     });
   });
 
+  describe('override', () => {
+    it('should apply run-local values without persisting them', () => {
+      const config = new Config();
+
+      config.override('audio.stream.enabled', true);
+      expect(config.get('audio.stream.enabled')).toBe(true);
+      expect(config.store.get('audio.stream.enabled')).toBe(false);
+      const reopened = new Config({ confOptions: { cwd: path.dirname(config.store.path) } });
+      expect(reopened.get('audio.stream.enabled')).toBe(false);
+    });
+
+    it('should give way to a later set', () => {
+      const config = new Config();
+
+      config.override('audio.stream.port', 9000);
+      config.set('audio.stream.port', 9100);
+      expect(config.get('audio.stream.port')).toBe(9100);
+    });
+
+    it('should keep the stream server on the loopback interface by default', () => {
+      const config = new Config();
+
+      expect(config.get('audio.stream.host')).toBe('127.0.0.1');
+    });
+  });
+
   describe('load', () => {
     it('should create a Config instance', async () => {
       const config = await Config.load();
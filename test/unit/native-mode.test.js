@@ -10,6 +10,7 @@ import { PipeWireBackend } from '../../src/audio/backends/pipewire.js';
 import { AlsaBackend } from '../../src/audio/backends/alsa.js';
 import { PulseAudioBackend } from '../../src/audio/backends/pulse.js';
 import { JackBackend } from '../../src/audio/backends/jack.js';
+import { NullBackend } from '../../src/audio/backends/null.js';
 import { NativeAudioEngine } from '../../src/audio/engine.js';
 import * as strudel from '@strudel/core';
 
@@ -120,6 +121,85 @@ describe('NativeMode', () => {
       // Should fallback to pulse (the only available one)
       expect(nativeMode.backend).toBe('pulse');
     });
+
+    it('should run on the null backend without detection', async () => {
+      await nativeMode.initialize({ backend: 'null' });
+
+      expect(nativeMode.backend).toBe('null');
+      expect(nativeMode.audioBackend).toBeInstanceOf(NullBackend);
+    });
+
+    it('should serve the master output when streaming is enabled', async () => {
+      config.set('audio.stream.enabled', true);
+      config.set('audio.stream.port', 0);
+      config.set('audio.stream.host', '127.0.0.1');
+      await nativeMode.initialize({ backend: 'null' });
+
+      const { stream } = nativeMode.getState();
+      expect(stream.isRunning).toBe(true);
+      expect(stream.url).toMatch(/^http:\/\/127\.0\.0\.1:\d+$/);
+      expect(nativeMode.audioEngine.outputs.has(nativeMode.streamServer)).toBe(true);
+
+      const server = nativeMode.streamServer;
+      await nativeMode.cleanup();
+      expect(server.isRunning).toBe(false);
+      expect(nativeMode.getState().stream).toBeNull();
+    });
+  });
+
+  describe('backend failover', () => {
+    it('should fail over to the next available backend on its default device', async () => {
+      vi.spyOn(nativeMode, '_checkBackendAvailable').mockImplementation(async (backend) => backend !== 'jack');
+      config.set('audio.device', 'alsa_output.usb-Focusrite');
+      await nativeMode.initialize({ backend: 'pipewire' });
+      const failed = nativeMode.audioBackend;
+      const events = [];
+      nativeMode.on('backend', (event) => events.push(event));
+
+      const next = await nativeMode._failoverBackend(failed);
+      nativeMode.audioEngine.emit('backend', { status: 'failover' });
+
+      expect(next).toBeInstanceOf(AlsaBackend);
+      expect(next.device).toBeNull();
+      expect(nativeMode.backend).toBe('alsa');
+      expect(nativeMode.audioBackend).toBe(next);
+      expect(failed.cleanup).toHaveBeenCalled();
+      expect(events).toEqual([{ status: 'failover', previous: 'pipewire', backend: 'alsa' }]);
+      config.set('audio.device', null);
+    });
+
+    it('should start the replacement at the engine sample rate', async () => {
+      vi.spyOn(nativeMode, '_checkBackendAvailable').mockImplementation(async (backend) => ['jack', 'alsa'].includes(backend));
+      vi.spyOn(JackBackend.prototype, 'getServerFormat').mockReturnValue({ sampleRate: 44100, bufferSize: 128 });
+      await nativeMode.initialize({ backend: 'jack' });
+
+      const next = await nativeMode._failoverBackend(nativeMode.audioBackend);
+
+      expect(nativeMode.audioEngine.sampleRate).toBe(44100);
+      expect(next).toBeInstanceOf(AlsaBackend);
+      expect(next.sampleRate).toBe(44100);
+    });
+
+    it('should pass over a JACK server running at another sample rate', async () => {
+      vi.spyOn(nativeMode, '_checkBackendAvailable').mockImplementation(async (backend) => backend !== 'alsa');
+      const query = vi.spyOn(JackBackend.prototype, 'queryServerFormat')
+        .mockResolvedValue({ sampleRate: 44100, bufferSize: 256 });
+      await nativeMode.initialize({ backend: 'pipewire' });
+      const failed = nativeMode.audioBackend;
+
+      const next = await nativeMode._failoverBackend(failed);
+
+      expect(query).toHaveBeenCalled();
+      expect(next).toBeInstanceOf(PulseAudioBackend);
+      expect(failed.cleanup).toHaveBeenCalled();
+    });
+
+    it('should not offer a backend twice', async () => {
+      vi.spyOn(nativeMode, '_checkBackendAvailable').mockImplementation(async (backend) => backend === 'pulse');
+      await nativeMode.initialize({ backend: 'pulse' });
+
+      await expect(nativeMode._failoverBackend(nativeMode.audioBackend)).resolves.toBeNull();
+    });
   });
 
   describe('backend detection', () => {
@@ -138,6 +218,15 @@ describe('NativeMode', () => {
       expect(typeof isAvailable).toBe('boolean');
     });
 
+    it('should only offer JACK where its jack-stdin player is installed', async () => {
+      const isAvailable = vi.spyOn(JackBackend, 'isAvailable').mockResolvedValue(false);
+      config.set('audio.jack.binary', '/opt/jack/bin/jack-stdin');
+
+      await expect(nativeMode._checkBackendAvailable('jack')).resolves.toBe(false);
+      expect(isAvailable).toHaveBeenCalledWith('/opt/jack/bin/jack-stdin');
+      config.set('audio.jack.binary', 'jack-stdin');
+    });
+
     it('should detect PulseAudio backend when pactl available', async () => {
       const isAvailable = await nativeMode._checkBackendAvailable('pulse');
       // May or may not be available, just verify it doesn't crash
@@ -350,8 +439,8 @@ describe('NativeMode', () => {
       await nativeMode.initialize();
 
       expect(nativeMode.audioContext.sampleRate).toBe(48000);
-      expect(nativeMode.audioContext.bufferSize).toBe(256);
-      expect(nativeMode.audioContext.channels).toBe(2);
+      expect(nativeMode.audioEngine.blockSize).toBe(256);
+      expect(nativeMode.audioContext.destination.channelCount).toBe(2);
       expect(nativeMode.audioContext.state).toBe('running');
     });
 
@@ -365,17 +454,40 @@ describe('NativeMode', () => {
       await nativeMode.initialize();
 
       expect(nativeMode.audioContext.sampleRate).toBe(44100);
-      expect(nativeMode.audioContext.bufferSize).toBe(512);
-      expect(nativeMode.audioContext.channels).toBe(1);
+      expect(nativeMode.audioEngine.blockSize).toBe(512);
+      expect(nativeMode.audioContext.destination.channelCount).toBe(1);
     });
 
-    it('should have stub methods for Phase 2 implementation', async () => {
+    it('should create WebAudio nodes', async () => {
       vi.spyOn(nativeMode, '_checkBackendAvailable').mockResolvedValue(true);
       await nativeMode.initialize();
 
-      expect(() => nativeMode.audioContext.createOscillator()).toThrow(/Not implemented in Phase 1/);
-      expect(() => nativeMode.audioContext.createGain()).toThrow(/Not implemented in Phase 1/);
-      expect(() => nativeMode.audioContext.createBuffer()).toThrow(/Not implemented in Phase 1/);
+      const context = nativeMode.audioContext;
+      expect(context.createOscillator().frequency.value).toBe(440);
+      expect(context.createGain().gain.value).toBe(1);
+      expect(context.createBuffer(2, 128, 48000).duration).toBeCloseTo(128 / 48000);
+    });
+
+    it('should play the WebAudio graph through the engine once connected', async () => {
+      vi.spyOn(nativeMode, '_checkBackendAvailable').mockResolvedValue(true);
+      await nativeMode.initialize();
+      const attach = vi.spyOn(nativeMode.audioEngine, 'attachInput').mockResolvedValue();
+
+      const context = nativeMode.audioContext;
+      context.createOscillator().connect(context.destination);
+      await Promise.resolve();
+
+      expect(attach).toHaveBeenCalledWith(context);
+    });
+
+    it('should close the audio context on cleanup', async () => {
+      vi.spyOn(nativeMode, '_checkBackendAvailable').mockResolvedValue(true);
+      await nativeMode.initialize();
+      const context = nativeMode.audioContext;
+
+      await nativeMode.cleanup();
+
+      expect(context.state).toBe('closed');
     });
   });
 
@@ -385,14 +497,14 @@ describe('NativeMode', () => {
       await nativeMode.initialize();
     });
 
-    it('should create evaluator stub', () => {
+    it('should create the pattern evaluator', () => {
       expect(nativeMode.evaluator).toBeDefined();
       expect(typeof nativeMode.evaluator.evaluate).toBe('function');
       expect(typeof nativeMode.evaluator.stop).toBe('function');
       expect(typeof nativeMode.evaluator.cleanup).toBe('function');
     });
 
-    it('should accept pattern evaluation in Phase 1 stub', async () => {
+    it('should evaluate patterns', async () => {
       const result = await nativeMode.evaluator.evaluate('sound("bd")');
       expect(strudel.isPattern(result)).toBe(true);
     });
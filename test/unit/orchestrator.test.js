@@ -101,6 +101,14 @@ describe('Orchestrator', () => {
       expect(['web', 'native', 'osc']).toContain(mode.name);
     });
 
+    it('should pick native mode on "auto" when a headless backend is configured', async () => {
+      config.set('audio.backend', 'null');
+
+      const mode = await orchestrator.selectMode('auto');
+
+      expect(mode.name).toBe('native');
+    });
+
     it('should fallback to web mode for unknown mode', async () => {
       const mode = await orchestrator.selectMode('invalid-mode');
 
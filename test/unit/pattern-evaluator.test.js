@@ -43,6 +43,75 @@ describe('PatternEvaluator', () => {
     await expect(evaluator.evaluate('while(true) {}')).rejects.toThrow(PatternEvaluationError);
   });
 
+  it('applies setcps and setcpm to the audio engine', async () => {
+    const tempos = [];
+    const engine = { setCps: (cps) => tempos.push(cps), updateSlots: async () => {} };
+    const withEngine = new PatternEvaluator(null, makeLogger(), {}, 1000, null, engine);
+
+    await withEngine.evaluate('setcps(0.75); s("bd")');
+    await withEngine.evaluate('setcpm(90); s("bd")');
+
+    expect(tempos).toEqual([0.75, 1.5]);
+    expect(withEngine.cps).toBe(1.5);
+  });
+
+  it('puts code without slots in d1', async () => {
+    await evaluator.evaluate('s("bd")');
+    expect([...evaluator.slots.keys()]).toEqual(['d1']);
+  });
+
+  it('collects d1..d16, labelled and anonymous blocks', async () => {
+    const result = await evaluator.evaluate('d2(s("bd"))\nbass: note("c2")\n$: s("hh")\n$: s("sd")');
+
+    expect([...evaluator.slots.keys()]).toEqual(['d2', 'bass', '$0', '$1']);
+    expect(result.queryArc(0, 1)).toHaveLength(4);
+  });
+
+  it('hushes slots whose label starts or ends with an underscore', async () => {
+    await evaluator.evaluate('_bass: note("c2")\n_$: s("hh")\n$: s("sd")');
+
+    expect([...evaluator.slots]).toEqual([['bass', null], ['$0', expect.anything()]]);
+  });
+
+  it('keeps slots of concurrent evaluations apart', async () => {
+    const other = new PatternEvaluator(null, makeLogger(), {}, 1000);
+
+    await Promise.all([
+      evaluator.evaluate('d1(s("bd"))\nawait null\nd2(s("hh"))'),
+      other.evaluate('await null\nd3(s("sd"))')
+    ]);
+
+    expect([...evaluator.slots.keys()]).toEqual(['d1', 'd2']);
+    expect([...other.slots.keys()]).toEqual(['d3']);
+  });
+
+  it('restores the Pattern prototype when evaluation throws', async () => {
+    await expect(evaluator.evaluate('d1(s("bd"))\nbroken()\nd2(s("hh"))')).rejects.toThrow(/broken/);
+
+    expect(Object.prototype.hasOwnProperty.call(strudel.Pattern.prototype, 'p')).toBe(false);
+    expect(strudel.s('bd').p).toBeUndefined();
+  });
+
+  it('sends slot updates to the audio engine and hushes stale anonymous blocks', async () => {
+    const updates = [];
+    const engine = { updateSlots: async (entries) => updates.push(entries) };
+    const withEngine = new PatternEvaluator(null, makeLogger(), {}, 1000, null, engine);
+
+    await withEngine.evaluate('$: s("hh")\n$: s("sd")');
+    await withEngine.evaluate('d3(s("cp"))');
+    await withEngine.evaluate('$: s("bd")');
+
+    expect(updates.map((entries) => entries.map(([name, pattern]) => [name, pattern !== null]))).toEqual([
+      [['$0', true], ['$1', true]],
+      [['d3', true]],
+      [['$0', true], ['$1', false]]
+    ]);
+  });
+
+  it('rejects invalid tempos', async () => {
+    await expect(evaluator.evaluate('setcps(0); s("bd")')).rejects.toThrow(/invalid tempo/i);
+  });
+
   it('rejects empty code', async () => {
     await expect(evaluator.evaluate('   ')).rejects.toThrow(/cannot be empty/i);
   });
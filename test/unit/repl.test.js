@@ -3,6 +3,7 @@
  */
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'events';
 import { REPL } from '../../src/repl/terminal.js';
 import { Orchestrator } from '../../src/core/orchestrator.js';
 import { Config } from '../../src/core/config.js';
@@ -115,6 +116,77 @@ describe('REPL', () => {
       consoleSpy.mockRestore();
     });
 
+    it('should change tempo with .bpm', async () => {
+      const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      orchestrator.currentMode.setBpm = vi.fn().mockResolvedValue(undefined);
+
+      await repl._handleCommand('.bpm 140 now');
+
+      expect(orchestrator.config.get('audio.bpm')).toBe(140);
+      expect(orchestrator.currentMode.setBpm).toHaveBeenCalledWith(140, { quantize: 'now' });
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('BPM set to 140 (now)'));
+
+      consoleSpy.mockRestore();
+    });
+
+    it('should apply .bpm changes immediately by default', async () => {
+      const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      orchestrator.currentMode.setBpm = vi.fn().mockResolvedValue(undefined);
+      const get = config.get.bind(config);
+      const getSpy = vi.spyOn(config, 'get').mockImplementation((key) =>
+        key === 'audio.tempoQuantize' ? config.getDefaults().audio.tempoQuantize : get(key)
+      );
+
+      await repl._handleCommand('.bpm 150');
+
+      expect(orchestrator.currentMode.setBpm).toHaveBeenCalledWith(150, { quantize: 'now' });
+      getSpy.mockRestore();
+      consoleSpy.mockRestore();
+    });
+
+    it('should mute, solo and hush individual slots', async () => {
+      const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      const muteSpy = vi.spyOn(orchestrator, 'muteSlot').mockResolvedValue(undefined);
+      const soloSpy = vi.spyOn(orchestrator, 'soloSlot').mockResolvedValue(undefined);
+      const hushSpy = vi.spyOn(orchestrator, 'hushSlot').mockResolvedValue(false);
+
+      await repl._handleCommand('.mute d2');
+      await repl._handleCommand('.solo bass');
+      await repl._handleCommand('.unsolo');
+      await repl._handleCommand('.hush d5');
+
+      expect(muteSpy).toHaveBeenCalledWith('d2', true);
+      expect(soloSpy).toHaveBeenCalledWith('bass', true);
+      expect(soloSpy).toHaveBeenCalledWith(undefined, false);
+      expect(hushSpy).toHaveBeenCalledWith('d5');
+      const output = consoleSpy.mock.calls.map(call => call[0]).join('\n');
+      expect(output).toContain('d2 muted');
+      expect(output).toContain('Unknown slot: d5');
+
+      consoleSpy.mockRestore();
+    });
+
+    it('should list slots in .status', async () => {
+      const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      orchestrator.currentMode.getState.mockReturnValue({
+        mode: 'native',
+        isPlaying: true,
+        slots: [
+          { name: 'd1', muted: true, solo: false, audible: false },
+          { name: 'bass', muted: false, solo: false, audible: true }
+        ]
+      });
+
+      await repl._handleCommand('.status');
+
+      const output = consoleSpy.mock.calls.map(call => call[0]).join('\n');
+      expect(output).toContain('Slots');
+      expect(output).toContain('d1 (muted)');
+      expect(output).toContain('bass');
+
+      consoleSpy.mockRestore();
+    });
+
     it('should handle .status command', async () => {
       const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
       vi.spyOn(orchestrator, 'getState').mockReturnValue({
@@ -321,6 +393,32 @@ describe('REPL', () => {
     });
   });
 
+  describe('backend notifications', () => {
+    it('should report recovery events from the current mode', () => {
+      const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      const mode = new EventEmitter();
+      repl._watchMode(mode);
+
+      mode.emit('backend', { status: 'lost', backend: 'pipewire', reason: 'exited (code=1, signal=none)' });
+      mode.emit('backend', { status: 'failover', backend: 'alsa', previous: 'pipewire' });
+      mode.emit('backend', { status: 'recovered', backend: 'alsa' });
+
+      const output = consoleSpy.mock.calls.map((call) => call[0]).join('\n');
+      expect(output).toContain('pipewire exited (code=1');
+      expect(output).toContain('from pipewire to alsa');
+      expect(output).toContain('Audio restored on alsa');
+      consoleSpy.mockRestore();
+    });
+
+    it('should stop following a mode that was switched away from', () => {
+      const mode = new EventEmitter();
+      repl._watchMode(mode);
+      repl._watchMode(new EventEmitter());
+
+      expect(mode.listenerCount('backend')).toBe(0);
+    });
+  });
+
   describe('cleanup', () => {
     beforeEach(async () => {
       vi.spyOn(orchestrator, 'initialize').mockResolvedValue(undefined);